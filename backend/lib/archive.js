@@ -0,0 +1,109 @@
+import path from 'path';
+import dotenv from 'dotenv';
+import JSZip from 'jszip';
+
+dotenv.config();
+
+// Guards against archive bombs: entry count and total unpacked size
+const MAX_ENTRIES = Number(process.env.ZIP_MAX_ENTRIES) || 500;
+const MAX_UNPACKED_BYTES = (Number(process.env.ZIP_MAX_MB) || 200) * 1024 * 1024;
+
+// "PK\x03\x04" local file header, or "PK\x05\x06" for an empty archive
+const ZIP_SIGNATURES = [Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from([0x50, 0x4b, 0x05, 0x06])];
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+/**
+ * Whether an upload is a ZIP archive
+ * The signature is only checked for files without an extension, since
+ * DOCX and other office formats are ZIP containers themselves.
+ *
+ * @param {Object} file - { buffer, filename, mimetype }
+ */
+export function isZipFile({ buffer, filename = '', mimetype = '' }) {
+  const extension = path.extname(filename).toLowerCase();
+  if (extension === '.zip' || ZIP_MIME_TYPES.includes(mimetype)) {
+    return true;
+  }
+  return !extension && Boolean(buffer) && ZIP_SIGNATURES.some(signature => buffer.subarray(0, 4).equals(signature));
+}
+
+/**
+ * Entries that are archive bookkeeping rather than content
+ * (macOS resource forks, hidden files such as .DS_Store)
+ */
+function isIgnoredEntry(entryPath) {
+  return entryPath.startsWith('__MACOSX/') || entryPath.split('/').some(part => part.startsWith('.'));
+}
+
+function archiveTooLarge() {
+  return new Error(`ZIP archive unpacks to more than ${MAX_UNPACKED_BYTES / 1024 / 1024} MB`);
+}
+
+/**
+ * Uncompressed size an entry declares in the archive's central directory (0 when unknown)
+ */
+function declaredSize(entry) {
+  return Number(entry._data?.uncompressedSize) || 0;
+}
+
+/**
+ * Inflate one entry, giving up as soon as it passes the bytes left in the budget
+ * Streaming keeps a bomb from being inflated into memory before it is measured.
+ */
+function inflateEntry(entry, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.nodeStream('nodebuffer');
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.destroy();
+        reject(archiveTooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', error => reject(new Error(`Failed to unpack ${entry.name}: ${error.message}`)));
+    stream.on('end', () => resolve(Buffer.concat(chunks, size)));
+  });
+}
+
+/**
+ * Unpack the files in a ZIP archive
+ *
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Promise<Array<{path: string, filename: string, buffer: Buffer}>>} Files, with their path inside the archive
+ */
+export async function unpackZip(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error(`Failed to read ZIP archive: ${error.message}`);
+  }
+
+  const entries = Object.values(zip.files).filter(entry => !entry.dir && !isIgnoredEntry(entry.name));
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`ZIP archive has ${entries.length} files (limit ${MAX_ENTRIES})`);
+  }
+
+  const files = [];
+  let unpackedBytes = 0;
+
+  for (const entry of entries) {
+    const remaining = MAX_UNPACKED_BYTES - unpackedBytes;
+    // Sizes in the archive can lie, so inflating stops at the limit too
+    if (declaredSize(entry) > remaining) {
+      throw archiveTooLarge();
+    }
+    const content = await inflateEntry(entry, remaining);
+    unpackedBytes += content.length;
+    files.push({ path: entry.name, filename: path.posix.basename(entry.name), buffer: content });
+  }
+
+  return files;
+}
+
+export default { isZipFile, unpackZip };
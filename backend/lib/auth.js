@@ -0,0 +1,351 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import dotenv from 'dotenv';
+import { saveDocument, getDocument, searchDocuments, updateDocument, deleteDocument } from './documentStore.js';
+import { getUser, getWorkspace, toPublicUser } from './workspaces.js';
+import { handleRouteError, sendError } from './errors.js';
+
+dotenv.config();
+
+/**
+ * Request authentication
+ * - required: every /api route except sign-in and signed webhooks needs a
+ *             session token (JWT, HS256) or an API key
+ * - off:      no authentication and no workspaces; everyone sees everything
+ *
+ * Requests act in one workspace: the X-Workspace-Id header picks one of the
+ * caller's workspaces (default: their personal one); an API key is bound to
+ * the workspace it was created in.
+ */
+export const AUTH_MODES = ['required', 'off'];
+
+const AUTH_MODE = (process.env.AUTH_MODE || 'required').toLowerCase();
+const TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+const ALLOW_SIGNUP = process.env.AUTH_ALLOW_SIGNUP === 'true';
+const API_KEY_TYPE = 'apiKey';
+const API_KEY_PREFIX = 'maj_';
+// lastUsedAt is refreshed at most this often, so API key traffic does not write on every request
+const KEY_USAGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Without a configured secret, sessions end whenever the server restarts
+const JWT_SECRET = process.env.AUTH_JWT_SECRET || randomBytes(32).toString('hex');
+
+/**
+ * Configured authentication mode
+ */
+export function getAuthMode() {
+  if (!AUTH_MODES.includes(AUTH_MODE)) {
+    throw new Error(`Unknown AUTH_MODE "${AUTH_MODE}". Use one of: ${AUTH_MODES.join(', ')}`);
+  }
+  return AUTH_MODE;
+}
+
+export function isAuthEnabled() {
+  return getAuthMode() !== 'off';
+}
+
+/**
+ * Whether new accounts can register themselves (the first account always can)
+ */
+export function isSignupAllowed() {
+  return ALLOW_SIGNUP;
+}
+
+/**
+ * Whether sessions survive a restart (a secret is configured)
+ */
+export function hasJwtSecret() {
+  return Boolean(process.env.AUTH_JWT_SECRET);
+}
+
+function sign(unsigned) {
+  return createHmac('sha256', JWT_SECRET).update(unsigned).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Issue a session token for a user
+ * @returns {{token: string, expiresAt: string}}
+ */
+export function issueToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub: user._id, iat: now, exp: now + TOKEN_TTL_HOURS * 3600 };
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  return { token: `${unsigned}.${sign(unsigned)}`, expiresAt: new Date(payload.exp * 1000).toISOString() };
+}
+
+/**
+ * Check a session token's signature and expiry
+ * @returns {Object|null} Token payload ({ sub, iat, exp }), or null when invalid or expired
+ */
+export function verifyToken(token) {
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature || !safeEqual(signature, sign(`${header}.${payload}`))) {
+    return null;
+  }
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (alg !== 'HS256' || typeof claims.sub !== 'string' || !(claims.exp > Date.now() / 1000)) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * API key fields safe to return (only a prefix of the key is kept)
+ */
+function toPublicApiKey(doc) {
+  return {
+    id: doc._id,
+    name: doc.name,
+    prefix: doc.prefix,
+    workspaceId: doc.workspaceId,
+    createdAt: doc.createdAt,
+    lastUsedAt: doc.lastUsedAt ?? null,
+  };
+}
+
+/**
+ * Create an API key acting as a user in one workspace
+ * The key itself is only returned here; the store keeps its SHA-256.
+ *
+ * @param {Object} auth - Caller (req.auth)
+ * @param {string} name - Label to recognise the key by
+ * @returns {Promise<{apiKey: Object, key: string}>}
+ */
+export async function createApiKey(auth, name) {
+  try {
+    const key = `${API_KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+    const doc = await saveDocument({
+      _type: API_KEY_TYPE,
+      title: name,
+      name,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      keyHash: hashApiKey(key),
+      userId: auth.user.id,
+      workspaceId: auth.workspaceId,
+      lastUsedAt: null,
+    });
+    console.log(`🔑 Created API key "${name}" for ${auth.user.email}`);
+    return { apiKey: toPublicApiKey(doc), key };
+  } catch (error) {
+    console.error('API key create error:', error);
+    throw new Error(`Failed to create API key: ${error.message}`);
+  }
+}
+
+/**
+ * A user's API keys, without the keys themselves
+ */
+export async function listApiKeys(userId) {
+  const keys = await searchDocuments({ userId }, { type: API_KEY_TYPE });
+  return keys.map(toPublicApiKey);
+}
+
+/**
+ * Revoke one of a user's API keys
+ * @returns {Promise<boolean>} Whether the key existed
+ */
+export async function revokeApiKey(userId, keyId) {
+  const doc = await getDocument(keyId);
+  if (!doc || doc._type !== API_KEY_TYPE || doc.userId !== userId) {
+    return false;
+  }
+  await deleteDocument(keyId);
+  console.log(`🔑 Revoked API key "${doc.name}"`);
+  return true;
+}
+
+/**
+ * Read the credential sent with a request: Authorization: Bearer <token|key> or X-API-Key
+ */
+function readCredential(headers) {
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+  return match?.[1]?.trim() || headers['x-api-key'] || null;
+}
+
+/**
+ * Resolve who is calling and in which workspace
+ *
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{auth: Object}|{code: string, error: string}>} code is an error code (see errors.js)
+ *   auth: { user: { id, email, name, role }, workspace: { id, name, role }, workspaceId, via: 'token'|'apiKey', apiKeyId? }
+ */
+export async function authenticate(headers) {
+  const credential = readCredential(headers);
+  if (!credential) {
+    return { code: 'AUTH_REQUIRED', error: 'Authentication required' };
+  }
+
+  let userId;
+  let workspaceId = headers['x-workspace-id'] || null;
+  let via = 'token';
+  let apiKeyId;
+
+  if (credential.startsWith(API_KEY_PREFIX)) {
+    const [key] = await searchDocuments({ keyHash: hashApiKey(credential) }, { type: API_KEY_TYPE });
+    if (!key) {
+      return { code: 'INVALID_API_KEY', error: 'Invalid API key' };
+    }
+    if (workspaceId && workspaceId !== key.workspaceId) {
+      return { code: 'FORBIDDEN', error: 'This API key belongs to another workspace' };
+    }
+    ({ userId, workspaceId } = key);
+    via = 'apiKey';
+    apiKeyId = key._id;
+    if (!key.lastUsedAt || Date.now() - Date.parse(key.lastUsedAt) > KEY_USAGE_INTERVAL_MS) {
+      updateDocument(key._id, { lastUsedAt: new Date().toISOString() })
+        .catch(error => console.warn(`⚠️  Could not record API key use: ${error.message}`));
+    }
+  } else {
+    const claims = verifyToken(credential);
+    if (!claims) {
+      return { code: 'SESSION_EXPIRED', error: 'Session expired or invalid, please sign in again' };
+    }
+    userId = claims.sub;
+  }
+
+  const user = await getUser(userId);
+  if (!user) {
+    return { code: 'SESSION_EXPIRED', error: 'Account no longer exists' };
+  }
+
+  const workspace = await getWorkspace(workspaceId || user.defaultWorkspaceId);
+  const member = workspace?.members?.find(m => m.userId === user._id);
+  if (!member) {
+    return { code: 'FORBIDDEN', error: 'You are not a member of this workspace' };
+  }
+
+  return {
+    auth: {
+      user: toPublicUser(user),
+      workspace: { id: workspace._id, name: workspace.name, role: member.role },
+      workspaceId: workspace._id,
+      via,
+      ...(apiKeyId && { apiKeyId }),
+    },
+  };
+}
+
+/**
+ * Express middleware: authenticate the request and set req.auth
+ * With AUTH_MODE=off every request passes with req.auth.workspaceId = null.
+ */
+export async function requireAuth(req, res, next) {
+  try {
+    if (!isAuthEnabled()) {
+      req.auth = { user: null, workspace: null, workspaceId: null, via: 'none' };
+      return next();
+    }
+
+    const { auth, code, error } = await authenticate(req.headers);
+    if (error) {
+      return sendError(res, code, error);
+    }
+    req.auth = auth;
+    next();
+  } catch (error) {
+    handleRouteError(res, error, 'Authentication error', 'Failed to authenticate');
+  }
+}
+
+/**
+ * Express middleware: only admins (any caller when authentication is off)
+ */
+export function requireAdmin(req, res, next) {
+  if (req.auth?.workspaceId && req.auth.user?.role !== 'admin') {
+    return sendError(res, 'FORBIDDEN', 'Only admins can do this');
+  }
+  next();
+}
+
+/**
+ * Fields stamped on records created by the caller: { workspaceId, ownerId }, or nothing when authentication is off
+ */
+export function ownership(auth) {
+  return auth?.workspaceId ? { workspaceId: auth.workspaceId, ownerId: auth.user.id } : {};
+}
+
+/**
+ * Filter restricting a listing to the caller's workspace (empty when authentication is off)
+ */
+export function workspaceFilter(auth) {
+  return auth?.workspaceId ? { workspaceId: auth.workspaceId } : {};
+}
+
+/**
+ * Whether the caller may see a stored record
+ * Records belong to the workspace stamped on them; with `own`, only their
+ * creator may see them. Records from before authentication (no workspace)
+ * are visible to admins only.
+ *
+ * @param {Object} auth - Caller (req.auth)
+ * @param {Object|null} record - Stored document, run, conversation or job
+ * @param {Object} options - { own }
+ */
+export function canAccess(auth, record, { own = false } = {}) {
+  if (!record) return false;
+  if (!auth?.workspaceId) return true;
+  if (!record.workspaceId) return auth.user?.role === 'admin';
+  return record.workspaceId === auth.workspaceId && (!own || record.ownerId === auth.user.id);
+}
+
+/**
+ * Origins allowed to call the API from a browser
+ * CORS_ORIGINS is a comma-separated list of origins, or * to allow any origin.
+ */
+export function getCorsOrigins() {
+  return (process.env.CORS_ORIGINS || 'http://localhost:8080,http://localhost:5173')
+    .split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+}
+
+/**
+ * Options for the cors middleware from the configured allowlist
+ */
+export function getCorsOptions() {
+  const origins = getCorsOrigins();
+  // Lets the browser app read the file name of report exports
+  const exposedHeaders = ['Content-Disposition'];
+  if (origins.includes('*')) {
+    return { origin: true, exposedHeaders };
+  }
+  return {
+    // Requests without an Origin header (curl, server-to-server) are not subject to CORS
+    origin: (origin, callback) => callback(null, !origin || origins.includes(origin)),
+    exposedHeaders,
+  };
+}
+
+export default {
+  AUTH_MODES,
+  getAuthMode,
+  isAuthEnabled,
+  isSignupAllowed,
+  hasJwtSecret,
+  issueToken,
+  verifyToken,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticate,
+  requireAuth,
+  requireAdmin,
+  ownership,
+  workspaceFilter,
+  canAccess,
+  getCorsOrigins,
+  getCorsOptions,
+};
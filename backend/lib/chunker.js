@@ -0,0 +1,271 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE || '1000', 10);
+const CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP || '200', 10);
+
+const PARAGRAPH_BREAK = /\n[ \t]*\n+/g;
+const SENTENCE = /[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)\s*/g;
+
+/**
+ * Split text into overlapping chunks for embedding
+ * Packs whole paragraphs where possible, falls back to sentences for long
+ * paragraphs and to hard word/character cuts for very long sentences.
+ *
+ * @param {string} text - Document text content
+ * @param {Object} options - Chunking options
+ * @param {number} options.chunkSize - Maximum chunk length in characters
+ * @param {number} options.chunkOverlap - Characters repeated between neighbouring chunks
+ * @param {Array<{number: number, start: number, end: number}>} options.pages - Page offsets into text (PDF)
+ * @param {Array<{path: string[], start: number, end: number}>} options.sections - Heading sections (DOCX, Markdown, HTML)
+ * @returns {Array<Object>} Chunks with { index, text, start, end, pageStart, pageEnd, heading }
+ */
+export function chunkText(text, options = {}) {
+  const chunkSize = Math.max(1, options.chunkSize || CHUNK_SIZE);
+  const chunkOverlap = Math.min(
+    Math.max(0, options.chunkOverlap ?? CHUNK_OVERLAP),
+    Math.floor(chunkSize / 2)
+  );
+  const pages = options.pages || [];
+  const sections = options.sections || [];
+
+  const units = splitIntoUnits(text, chunkSize);
+  const chunks = [];
+  let current = [];
+
+  const flush = () => {
+    const start = current[0].start;
+    const end = current[current.length - 1].end;
+    chunks.push({ start, end });
+
+    // Carry trailing units into the next chunk as overlap
+    const carried = [];
+    let carriedLength = 0;
+    for (let i = current.length - 1; i > 0; i--) {
+      const length = current[i].end - current[i].start;
+      if (carriedLength + length > chunkOverlap) break;
+      carried.unshift(current[i]);
+      carriedLength += length;
+    }
+    current = carried;
+  };
+
+  for (const unit of units) {
+    if (current.length > 0 && unit.end - current[0].start > chunkSize) {
+      flush();
+
+      // Drop the overlap if it would still push this unit over the limit
+      if (current.length > 0 && unit.end - current[0].start > chunkSize) {
+        current = [];
+      }
+    }
+    current.push(unit);
+  }
+
+  // Skip a trailing chunk made only of carried-over overlap
+  const last = chunks[chunks.length - 1];
+  if (current.length > 0 && (!last || current[current.length - 1].end > last.end)) {
+    flush();
+  }
+
+  return chunks
+    .map(({ start, end }) => {
+      const raw = text.slice(start, end);
+      const leading = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      const trimmedStart = start + leading;
+      const trimmedEnd = trimmedStart + trimmed.length;
+
+      return {
+        text: trimmed,
+        start: trimmedStart,
+        end: trimmedEnd,
+        ...locatePages(pages, trimmedStart, trimmedEnd),
+        heading: locateSection(sections, trimmedStart),
+      };
+    })
+    .filter(chunk => chunk.text.length > 0)
+    .map((chunk, index) => ({ index, ...chunk }));
+}
+
+/**
+ * Build page offsets for text that was assembled from per-page strings
+ *
+ * @param {string[]} pageTexts - Text of each page in order
+ * @param {string} separator - String inserted between pages
+ * @returns {{text: string, pages: Array<{number: number, start: number, end: number}>}}
+ */
+export function joinPages(pageTexts, separator = '\n\n') {
+  const pages = [];
+  let text = '';
+
+  pageTexts.forEach((pageText, idx) => {
+    if (idx > 0) text += separator;
+    const start = text.length;
+    text += pageText;
+    pages.push({ number: idx + 1, start, end: text.length });
+  });
+
+  return { text, pages };
+}
+
+/**
+ * Build text and heading sections from structured blocks
+ * Headings open a section that runs until the next heading of the same or a
+ * higher level; each section records its heading path, e.g. ['Methods', 'Sampling'].
+ *
+ * @param {Array<{type: 'heading'|'text', text: string, level?: number}>} blocks - Blocks in document order
+ * @param {string} separator - String inserted between blocks
+ * @returns {{text: string, sections: Array<{heading: string, level: number, path: string[], start: number, end: number}>}}
+ */
+export function joinBlocks(blocks, separator = '\n\n') {
+  const sections = [];
+  const open = [];
+  let text = '';
+
+  for (const block of blocks) {
+    const blockText = block.text.trim();
+    if (!blockText) continue;
+
+    if (text) text += separator;
+    const start = text.length;
+    text += blockText;
+
+    if (block.type === 'heading') {
+      const level = block.level || 1;
+      while (open.length > 0 && open[open.length - 1].level >= level) {
+        open.pop().end = start;
+      }
+      const section = {
+        heading: blockText,
+        level,
+        path: [...open.map(parent => parent.heading), blockText],
+        start,
+        end: null,
+      };
+      open.push(section);
+      sections.push(section);
+    }
+  }
+
+  for (const section of open) {
+    section.end = text.length;
+  }
+
+  return { text, sections };
+}
+
+/**
+ * Split text into paragraph, sentence or word-level units no longer than maxLength
+ */
+function splitIntoUnits(text, maxLength) {
+  const units = [];
+
+  for (const paragraph of matchRanges(text, PARAGRAPH_BREAK, true)) {
+    if (paragraph.end - paragraph.start <= maxLength) {
+      units.push(paragraph);
+      continue;
+    }
+
+    const body = text.slice(paragraph.start, paragraph.end);
+    for (const sentence of matchRanges(body, SENTENCE, false)) {
+      const start = paragraph.start + sentence.start;
+      const end = paragraph.start + sentence.end;
+
+      if (end - start <= maxLength) {
+        units.push({ start, end });
+      } else {
+        units.push(...hardSplit(text, start, end, maxLength));
+      }
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Return ranges either matched by the pattern or, when splitting, between its matches
+ */
+function matchRanges(text, pattern, split) {
+  const ranges = [];
+  pattern.lastIndex = 0;
+
+  if (split) {
+    let start = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index > start) ranges.push({ start, end: match.index + match[0].length });
+      start = match.index + match[0].length;
+    }
+    if (start < text.length) ranges.push({ start, end: text.length });
+  } else {
+    let match;
+    let covered = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+      covered = match.index + match[0].length;
+    }
+    if (covered < text.length) ranges.push({ start: covered, end: text.length });
+  }
+
+  return ranges;
+}
+
+/**
+ * Cut an oversized range at word boundaries, or mid-word when there are none
+ */
+function hardSplit(text, start, end, maxLength) {
+  const pieces = [];
+  let cursor = start;
+
+  while (cursor < end) {
+    let cut = Math.min(cursor + maxLength, end);
+    if (cut < end) {
+      const space = text.lastIndexOf(' ', cut);
+      if (space > cursor) cut = space + 1;
+    }
+    pieces.push({ start: cursor, end: cut });
+    cursor = cut;
+  }
+
+  return pieces;
+}
+
+/**
+ * Find the first and last page a character range falls on
+ */
+function locatePages(pages, start, end) {
+  if (pages.length === 0) {
+    return { pageStart: null, pageEnd: null };
+  }
+
+  const pageAt = (offset) => {
+    const page = pages.find(p => offset < p.end) || pages[pages.length - 1];
+    return page.number;
+  };
+
+  return {
+    pageStart: pageAt(start),
+    pageEnd: pageAt(Math.max(start, end - 1)),
+  };
+}
+
+/**
+ * Heading path of the innermost section containing an offset, e.g. "Methods › Sampling"
+ */
+function locateSection(sections, offset) {
+  let match = null;
+  for (const section of sections) {
+    if (section.start <= offset && offset < section.end && (!match || section.level > match.level)) {
+      match = section;
+    }
+  }
+  return match ? match.path.join(' › ') : null;
+}
+
+export default { chunkText, joinPages, joinBlocks };
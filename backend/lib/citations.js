@@ -0,0 +1,62 @@
+// Bracketed 1–2 digit numbers such as [1], [2, 3] or [1-3]; longer numbers like [2024] are left alone
+const CITATION_PATTERN = /(\s?)\[(\d{1,2}(?:\s*[,;–-]\s*\d{1,2})*)\]/g;
+
+/**
+ * Expand the body of a citation marker ("1, 3-4") into indices
+ */
+function parseMarker(body) {
+  const indices = [];
+  for (const part of body.split(/\s*[,;]\s*/)) {
+    const range = part.split(/\s*[–-]\s*/).map(Number);
+    if (range.length === 2 && range[0] <= range[1]) {
+      for (let i = range[0]; i <= range[1]; i++) indices.push(i);
+    } else {
+      indices.push(...range);
+    }
+  }
+  return [...new Set(indices)];
+}
+
+/**
+ * Validate numbered citations in an answer against the retrieved contexts
+ * Markers pointing at contexts that do not exist are removed from the text.
+ *
+ * @param {string} answer - LLM answer containing [n] markers
+ * @param {Array<Object>} contexts - Contexts in prompt order (1-based in the answer)
+ * @returns {{answer: string, citations: Array<Object>, invalidCitations: number[]}}
+ */
+export function validateCitations(answer, contexts) {
+  const counts = new Map();
+  const invalid = new Set();
+
+  const cleaned = answer.replace(CITATION_PATTERN, (match, space, body) => {
+    const indices = parseMarker(body);
+    const valid = indices.filter(idx => idx >= 1 && idx <= contexts.length);
+
+    indices.filter(idx => !valid.includes(idx)).forEach(idx => invalid.add(idx));
+    valid.forEach(idx => counts.set(idx, (counts.get(idx) || 0) + 1));
+
+    return valid.length > 0 ? `${space}${valid.map(idx => `[${idx}]`).join('')}` : '';
+  });
+
+  if (invalid.size > 0) {
+    console.warn(`⚠️  Removed citations to missing contexts: ${[...invalid].join(', ')}`);
+  }
+
+  const citations = [...counts.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([index, occurrences]) => ({
+      index,
+      contextId: contexts[index - 1].id,
+      docId: contexts[index - 1].docId,
+      occurrences,
+    }));
+
+  return {
+    answer: cleaned,
+    citations,
+    invalidCitations: [...invalid].sort((a, b) => a - b),
+  };
+}
+
+export default { validateCitations };
@@ -0,0 +1,154 @@
+import { randomUUID } from 'crypto';
+import dotenv from 'dotenv';
+import {
+  saveDocument,
+  getDocument,
+  listDocuments,
+  updateDocument,
+  deleteDocument,
+} from './documentStore.js';
+
+dotenv.config();
+
+const CONVERSATION_TYPE = 'conversation';
+// Turns passed to the LLM; older messages stay stored but are not sent
+const HISTORY_TURNS = parseInt(process.env.CONVERSATION_HISTORY_TURNS || '6', 10);
+
+/**
+ * Build a stored message
+ * Sanity requires a `_key` on objects inside arrays.
+ */
+function toMessage(role, content, extra = {}) {
+  return {
+    _key: randomUUID().replace(/-/g, '').slice(0, 12),
+    role,
+    content,
+    createdAt: new Date().toISOString(),
+    ...extra,
+  };
+}
+
+/**
+ * Add `_key`s to array items for Sanity
+ */
+function withKeys(items = []) {
+  return items.map((item, idx) => ({ _key: String(idx), ...item }));
+}
+
+/**
+ * Create a conversation
+ * @param {Object} data
+ * @param {string} data.title - Conversation title (defaults to "New conversation")
+ * @param {string} data.workspaceId - Workspace the conversation belongs to
+ * @param {string} data.ownerId - User whose conversation it is
+ * @returns {Promise<Object>} Created conversation
+ */
+export async function createConversation({ title, workspaceId = null, ownerId = null } = {}) {
+  try {
+    return await saveDocument({
+      _type: CONVERSATION_TYPE,
+      title: title?.trim().substring(0, 100) || 'New conversation',
+      workspaceId,
+      ownerId,
+      messages: [],
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Conversation create error:', error);
+    throw new Error(`Failed to create conversation: ${error.message}`);
+  }
+}
+
+/**
+ * Get a conversation with its messages
+ * @returns {Promise<Object|null>} Conversation, or null if it does not exist
+ */
+export async function getConversation(conversationId) {
+  const doc = await getDocument(conversationId);
+  return doc && doc._type === CONVERSATION_TYPE ? doc : null;
+}
+
+/**
+ * List conversations, newest first, without their messages
+ * @param {Object} options - { offset, limit, workspaceId, ownerId } — only a user's conversations in a workspace when set
+ */
+export async function listConversations({ offset = 0, limit = 50, workspaceId, ownerId } = {}) {
+  const { documents, total } = await listDocuments({ type: CONVERSATION_TYPE, filter: { workspaceId, ownerId }, offset, limit });
+  return {
+    conversations: documents.map(({ messages = [], ...conversation }) => ({
+      ...conversation,
+      messageCount: messages.length,
+    })),
+    total,
+  };
+}
+
+/**
+ * Rename a conversation
+ */
+export async function renameConversation(conversationId, title) {
+  return updateDocument(conversationId, { title: title.trim().substring(0, 100) });
+}
+
+/**
+ * Delete a conversation and its history
+ */
+export async function deleteConversation(conversationId) {
+  return deleteDocument(conversationId);
+}
+
+/**
+ * Prior turns in the shape the LLM expects
+ * @param {Object} conversation - Stored conversation
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function getHistory(conversation) {
+  return (conversation?.messages || [])
+    .filter(message => message.content)
+    .slice(-HISTORY_TURNS * 2)
+    .map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Append a question/answer turn to a conversation
+ * The first question also becomes the title of an untitled conversation.
+ *
+ * @param {Object} conversation - Stored conversation
+ * @param {string} question - User's question
+ * @param {Object} result - Query result { answer, contexts, citations, retrievalQuery }
+ * @returns {Promise<Object>} Updated conversation
+ */
+export async function recordTurn(conversation, question, result) {
+  try {
+    const messages = [
+      ...(conversation.messages || []),
+      toMessage('user', question),
+      toMessage('assistant', result.answer, {
+        retrievalQuery: result.retrievalQuery,
+        mode: result.mode,
+        contexts: withKeys(result.contexts),
+        citations: withKeys(result.citations),
+      }),
+    ];
+
+    const fields = { messages, updatedAt: new Date().toISOString() };
+    if (!conversation.messages?.length && conversation.title === 'New conversation') {
+      fields.title = question.substring(0, 100);
+    }
+
+    return await updateDocument(conversation._id, fields);
+  } catch (error) {
+    console.error('Conversation update error:', error);
+    throw new Error(`Failed to save conversation turn: ${error.message}`);
+  }
+}
+
+export default {
+  createConversation,
+  getConversation,
+  listConversations,
+  renameConversation,
+  deleteConversation,
+  getHistory,
+  recordTurn,
+};
@@ -0,0 +1,130 @@
+import { createHash } from 'crypto';
+import dotenv from 'dotenv';
+import { getDocument, searchDocuments } from './documentStore.js';
+import { getActiveIndex, getVectorDimension, queryTopK } from './vectorStore.js';
+import { embedTexts } from './llmProvider.js';
+
+dotenv.config();
+
+/**
+ * What to do when an ingested document duplicates an existing one:
+ * - skip:    keep the existing document, store nothing
+ * - replace: overwrite the existing document's text and vectors in place
+ * - version: store a new document linked to the old one and retire the old one's vectors
+ */
+export const DUPLICATE_ACTIONS = ['skip', 'replace', 'version'];
+
+export const DEFAULT_DUPLICATE_ACTION = (process.env.DUPLICATE_ACTION || 'skip').toLowerCase();
+
+// Cosine similarity at or above which a document counts as a near-duplicate (unset: exact matches only)
+export const NEAR_DUPLICATE_THRESHOLD = process.env.NEAR_DUPLICATE_THRESHOLD
+  ? Number(process.env.NEAR_DUPLICATE_THRESHOLD)
+  : null;
+
+// Chunks embedded to compare a new document against stored vectors
+const NEAR_DUPLICATE_SAMPLES = Number(process.env.NEAR_DUPLICATE_SAMPLES) || 3;
+
+/**
+ * Normalize text so the same content hashes the same regardless of
+ * Unicode form, letter case, line endings or whitespace from extraction
+ */
+export function normalizeContent(text) {
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * SHA-256 of normalized text
+ */
+export function contentHash(text) {
+  return createHash('sha256').update(normalizeContent(text)).digest('hex');
+}
+
+/**
+ * Evenly spaced chunks, so a near-duplicate has to match throughout and not just at the start
+ */
+function sampleChunks(chunks) {
+  if (chunks.length <= NEAR_DUPLICATE_SAMPLES) {
+    return chunks;
+  }
+  const step = (chunks.length - 1) / Math.max(1, NEAR_DUPLICATE_SAMPLES - 1);
+  return Array.from({ length: NEAR_DUPLICATE_SAMPLES }, (_, i) => chunks[Math.round(i * step)]);
+}
+
+/**
+ * Find a stored document whose sampled chunks all have their best match in
+ * the same existing document, with mean similarity at or above the threshold
+ *
+ * @returns {Promise<{doc: Object, similarity: number}|null>}
+ */
+async function findNearDuplicate(chunks, threshold, workspaceId, onDegraded) {
+  const samples = sampleChunks(chunks);
+  if (samples.length === 0) {
+    return null;
+  }
+
+  const index = await getActiveIndex();
+  const embedded = await embedTexts(samples.map(chunk => chunk.text), {
+    ...index.embedding,
+    mockDimension: await getVectorDimension({ index: index.name }),
+    onDegraded,
+  });
+
+  let docId = null;
+  let total = 0;
+  for (const { embedding } of embedded) {
+    const [best] = await queryTopK(embedding, 1, { workspaceId }, { index: index.name });
+    if (!best?.metadata?.docId || best.score < threshold || (docId && best.metadata.docId !== docId)) {
+      return null;
+    }
+    docId = best.metadata.docId;
+    total += best.score;
+  }
+
+  const doc = await getDocument(docId);
+  if (!doc || doc.supersededBy) {
+    return null;
+  }
+  return { doc, similarity: total / samples.length };
+}
+
+/**
+ * Look for an existing document with the same content
+ *
+ * @param {string} hash - contentHash of the new document's text
+ * @param {Array<Object>} chunks - The new document's chunks (for near-duplicate search)
+ * @param {Object} options
+ * @param {number|null} options.nearDuplicateThreshold - Similarity threshold, or null to only match exact content
+ * @param {string} options.workspaceId - Only look in this workspace (unset: the whole library)
+ * @param {Function} options.onDegraded - Called with a reason when near-duplicate search uses mock embeddings
+ * @returns {Promise<{doc: Object, match: 'exact'|'near', similarity: number}|null>} Duplicate, or null
+ */
+export async function findDuplicate(hash, chunks, { nearDuplicateThreshold = NEAR_DUPLICATE_THRESHOLD, workspaceId, onDegraded } = {}) {
+  try {
+    const exact = (await searchDocuments({ contentHash: hash, workspaceId })).find(doc => !doc.supersededBy);
+    if (exact) {
+      return { doc: exact, match: 'exact', similarity: 1 };
+    }
+
+    if (nearDuplicateThreshold === null || nearDuplicateThreshold === undefined) {
+      return null;
+    }
+    const near = await findNearDuplicate(chunks, nearDuplicateThreshold, workspaceId, onDegraded);
+    return near ? { ...near, match: 'near' } : null;
+  } catch (error) {
+    console.error('Duplicate check error:', error);
+    throw new Error(`Failed to check for duplicates: ${error.message}`);
+  }
+}
+
+export default {
+  DUPLICATE_ACTIONS,
+  DEFAULT_DUPLICATE_ACTION,
+  NEAR_DUPLICATE_THRESHOLD,
+  normalizeContent,
+  contentHash,
+  findDuplicate,
+};
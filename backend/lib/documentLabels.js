@@ -0,0 +1,148 @@
+/**
+ * Labels set on documents at ingest time (collection, tags, author, date)
+ * and the query filters built from them. Labels are stored on the document
+ * and copied into every chunk's vector metadata, so retrieval can filter
+ * without looking documents up.
+ */
+
+const MAX_TAGS = 20;
+const MAX_LABEL_LENGTH = 100;
+const FILTER_KEYS = ['collection', 'tags', 'author', 'source', 'after', 'before'];
+
+/**
+ * Normalize a date to YYYY-MM-DD
+ * @returns {string|null|undefined} Date, undefined when absent, null when invalid
+ */
+function toDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Read a list from an array or a comma-separated string (multipart fields arrive as strings)
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+}
+
+function toLabel(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+/**
+ * Validate labels sent with an ingest request
+ *
+ * @param {Object} input - { collection, tags, author, date }
+ * @returns {{labels: {collection?, tags?, author?, publishedAt?}}|{error: string}}
+ */
+export function parseLabels({ collection, tags, author, date } = {}) {
+  const labels = {};
+
+  for (const [key, value] of Object.entries({ collection, author })) {
+    if (value === undefined || value === '') continue;
+    if (typeof value !== 'string') {
+      return { error: `${key} must be a string` };
+    }
+    if (value.trim().length > MAX_LABEL_LENGTH) {
+      return { error: `${key} must be at most ${MAX_LABEL_LENGTH} characters` };
+    }
+    labels[key] = toLabel(value);
+  }
+
+  if (tags !== undefined && tags !== '') {
+    labels.tags = toList(tags);
+    if (labels.tags.length > MAX_TAGS) {
+      return { error: `At most ${MAX_TAGS} tags per document` };
+    }
+    if (labels.tags.some(tag => tag.length > MAX_LABEL_LENGTH)) {
+      return { error: `Tags must be at most ${MAX_LABEL_LENGTH} characters` };
+    }
+  }
+
+  const publishedAt = toDate(date);
+  if (publishedAt === null) {
+    return { error: 'Invalid date. Use an ISO date such as 2024-01-31' };
+  }
+  if (publishedAt) {
+    labels.publishedAt = publishedAt;
+  }
+
+  return { labels };
+}
+
+/**
+ * Validate query filters and turn them into a metadata filter
+ * Collections, tags and authors match "any of" when given as lists; `after`
+ * and `before` bound the document date (inclusive), so undated documents are
+ * left out when either is set.
+ *
+ * @param {Object|string} filters - e.g. { collection: 'oncology', tags: ['2024'], after: '2024-01-01' }, or the same as JSON
+ * @returns {{filter: Object}|{error: string}} Filter for queryTopK / searchKeyword
+ */
+export function parseQueryFilters(filters) {
+  if (filters === undefined || filters === null || filters === '') {
+    return { filter: {} };
+  }
+
+  let parsed = filters;
+  if (typeof filters === 'string') {
+    try {
+      parsed = JSON.parse(filters);
+    } catch {
+      return { error: 'filters must be a JSON object' };
+    }
+  }
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { error: 'filters must be an object' };
+  }
+
+  const unknown = Object.keys(parsed).filter(key => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown filter "${unknown[0]}". Use: ${FILTER_KEYS.join(', ')}` };
+  }
+
+  const after = toDate(parsed.after);
+  const before = toDate(parsed.before);
+  if (after === null || before === null) {
+    return { error: 'Invalid date in filters. Use an ISO date such as 2024-01-31' };
+  }
+
+  const filter = {};
+  for (const key of ['collection', 'tags', 'author', 'source']) {
+    const value = parsed[key];
+    if (value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value) || key === 'tags') {
+      const list = toList(value);
+      if (list.length > 0) filter[key] = list;
+    } else if (typeof value === 'string') {
+      filter[key] = value.trim();
+    } else {
+      return { error: `Filter "${key}" must be a string or a list of strings` };
+    }
+  }
+  if (after || before) {
+    filter.publishedAt = { gte: after, lte: before };
+  }
+
+  return { filter };
+}
+
+/**
+ * Label fields of a stored document, for copying into vector metadata
+ * createdOn (the day the document was added) stands in for publishedAt in date filters.
+ */
+export function pickLabels(doc = {}) {
+  return {
+    collection: doc.collection ?? null,
+    tags: doc.tags ?? [],
+    author: doc.author ?? null,
+    publishedAt: doc.publishedAt ?? null,
+    createdOn: toDate(doc.createdAt) || null,
+  };
+}
+
+export default { parseLabels, parseQueryFilters, pickLabels };
@@ -0,0 +1,89 @@
+import dotenv from 'dotenv';
+import * as sanityStore from './sanityClient.js';
+import * as localStore from './localDocumentStore.js';
+
+dotenv.config();
+
+const adapters = {
+  sanity: sanityStore,
+  local: localStore,
+};
+
+// Default to Sanity when a project is configured, otherwise a local JSON file
+const DOC_STORE = (process.env.DOC_STORE || (process.env.SANITY_PROJECT_ID ? 'sanity' : 'local')).toLowerCase();
+
+/**
+ * Resolve the configured document store adapter
+ */
+function getAdapter() {
+  const adapter = adapters[DOC_STORE];
+  if (!adapter) {
+    throw new Error(`Unknown DOC_STORE "${DOC_STORE}". Use one of: ${Object.keys(adapters).join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Name of the active document store adapter
+ */
+export function getDocumentStoreName() {
+  return DOC_STORE;
+}
+
+/**
+ * Save a document
+ * @param {Object} doc - Document fields; `_type` defaults to researchDoc
+ * @returns {Promise<Object>} Created document with _id
+ */
+export function saveDocument(doc) {
+  return getAdapter().saveDocument(doc);
+}
+
+/**
+ * Get a document by ID
+ */
+export function getDocument(docId) {
+  return getAdapter().getDocument(docId);
+}
+
+/**
+ * List documents, newest first
+ * @param {Object} options - { type, filter, offset, limit }
+ * @returns {Promise<{documents: Array<Object>, total: number}>}
+ */
+export function listDocuments(options = {}) {
+  return getAdapter().listDocuments(options);
+}
+
+/**
+ * Find every document matching a metadata filter
+ * @param {Object} filter - e.g. { source: 'report.pdf' }
+ * @param {Object} options - { type }
+ */
+export function searchDocuments(filter = {}, options = {}) {
+  return getAdapter().searchDocuments(filter, options);
+}
+
+/**
+ * Update fields on an existing document
+ */
+export function updateDocument(docId, fields) {
+  return getAdapter().updateDocument(docId, fields);
+}
+
+/**
+ * Delete a document by ID
+ */
+export function deleteDocument(docId) {
+  return getAdapter().deleteDocument(docId);
+}
+
+export default {
+  getDocumentStoreName,
+  saveDocument,
+  getDocument,
+  listDocuments,
+  searchDocuments,
+  updateDocument,
+  deleteDocument,
+};
@@ -0,0 +1,33 @@
+import mammoth from 'mammoth';
+import { extractHtml } from './html.js';
+
+/**
+ * Extract text from a Word (.docx) document
+ * The document is converted to semantic HTML first so Word heading styles
+ * become section structure for chunking.
+ *
+ * @param {Buffer} buffer - DOCX file buffer
+ * @returns {Promise<{text: string, sections: Array<Object>, title: string|null, metadata: Object}>}
+ */
+export async function extractDocx(buffer) {
+  try {
+    const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+    const { text, sections, title, metadata } = extractHtml(html, { removeBoilerplate: false });
+
+    if (messages.length > 0) {
+      console.warn(`DOCX conversion produced ${messages.length} warnings`);
+    }
+
+    return {
+      text,
+      sections,
+      title,
+      metadata: { headings: metadata.headings, conversionWarnings: messages.length },
+    };
+  } catch (error) {
+    console.error('DOCX extraction error:', error);
+    throw new Error(`Failed to extract text from DOCX: ${error.message}`);
+  }
+}
+
+export default { extractDocx };
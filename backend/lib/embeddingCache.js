@@ -0,0 +1,155 @@
+import { createHash } from 'crypto';
+import { commandOptions } from 'redis';
+import dotenv from 'dotenv';
+import { getRedisClient } from './redisClient.js';
+
+dotenv.config();
+
+// redis: shared and persistent; memory: this process only; off: always embed
+export const EMBEDDING_CACHES = ['redis', 'memory', 'off'];
+
+const EMBEDDING_CACHE = (process.env.EMBEDDING_CACHE || (process.env.REDIS_URL ? 'redis' : 'memory')).toLowerCase();
+const CACHE_TTL_SECONDS = (Number(process.env.EMBEDDING_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60;
+const MEMORY_MAX_ENTRIES = Number(process.env.EMBEDDING_CACHE_MAX_ENTRIES) || 10000;
+
+const KEY_PREFIX = 'emb:';
+
+// key → Float32Array, oldest first (a hit moves the entry to the end)
+const memoryCache = new Map();
+
+const stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+
+/**
+ * Cache key: the embedding model plus a hash of the exact text
+ */
+function cacheKey(namespace, text) {
+  return `${KEY_PREFIX}${namespace}:${createHash('sha256').update(text).digest('hex')}`;
+}
+
+/**
+ * Read FLOAT32 blobs stored by writeRedis
+ */
+async function readRedis(keys) {
+  const client = await getRedisClient();
+  const values = await client.mGet(commandOptions({ returnBuffers: true }), keys);
+  return values.map(value => {
+    if (!value) return null;
+    // Copy first: Float32Array needs a 4-byte aligned offset
+    const bytes = new Uint8Array(value);
+    return Array.from(new Float32Array(bytes.buffer, 0, bytes.byteLength / 4));
+  });
+}
+
+/**
+ * Store embeddings as FLOAT32 blobs that expire after EMBEDDING_CACHE_TTL_DAYS
+ */
+async function writeRedis(entries) {
+  const client = await getRedisClient();
+  const multi = client.multi();
+  for (const [key, embedding] of entries) {
+    multi.set(key, Buffer.from(new Float32Array(embedding).buffer), { EX: CACHE_TTL_SECONDS });
+  }
+  await multi.exec();
+}
+
+/**
+ * Read from the in-process cache, marking hits as recently used
+ */
+function readMemory(keys) {
+  return keys.map(key => {
+    const value = memoryCache.get(key);
+    if (!value) return null;
+    memoryCache.delete(key);
+    memoryCache.set(key, value);
+    return Array.from(value);
+  });
+}
+
+/**
+ * Write to the in-process cache, evicting the least recently used entries past EMBEDDING_CACHE_MAX_ENTRIES
+ */
+function writeMemory(entries) {
+  for (const [key, embedding] of entries) {
+    memoryCache.delete(key);
+    memoryCache.set(key, new Float32Array(embedding));
+  }
+  while (memoryCache.size > MEMORY_MAX_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+/**
+ * Name of the active cache backend
+ */
+export function getEmbeddingCacheName() {
+  return EMBEDDING_CACHE;
+}
+
+/**
+ * Look up cached embeddings
+ * A cache that cannot be reached counts as a miss, so embedding still works without it.
+ *
+ * @param {string} namespace - Provider and model the embeddings came from, e.g. 'openai:nomic-embed-text'
+ * @param {string[]} texts - Texts to look up
+ * @returns {Promise<Array<number[]|null>>} Embedding per text, null where not cached
+ */
+export async function getCachedEmbeddings(namespace, texts) {
+  if (!EMBEDDING_CACHES.includes(EMBEDDING_CACHE)) {
+    throw new Error(`Unknown EMBEDDING_CACHE "${EMBEDDING_CACHE}". Use one of: ${EMBEDDING_CACHES.join(', ')}`);
+  }
+  if (EMBEDDING_CACHE === 'off' || texts.length === 0) {
+    return texts.map(() => null);
+  }
+
+  try {
+    const keys = texts.map(text => cacheKey(namespace, text));
+    const values = EMBEDDING_CACHE === 'redis' ? await readRedis(keys) : readMemory(keys);
+    const hits = values.filter(Boolean).length;
+    stats.hits += hits;
+    stats.misses += values.length - hits;
+    return values;
+  } catch (error) {
+    stats.errors++;
+    console.warn(`⚠️  Embedding cache read failed: ${error.message}`);
+    return texts.map(() => null);
+  }
+}
+
+/**
+ * Store embeddings so the same text is never embedded twice with the same model
+ *
+ * @param {string} namespace - Provider and model the embeddings came from
+ * @param {string[]} texts - Embedded texts
+ * @param {number[][]} embeddings - Embedding per text
+ */
+export async function cacheEmbeddings(namespace, texts, embeddings) {
+  if (EMBEDDING_CACHE === 'off' || texts.length === 0) return;
+
+  try {
+    const entries = texts.map((text, i) => [cacheKey(namespace, text), embeddings[i]]);
+    if (EMBEDDING_CACHE === 'redis') {
+      await writeRedis(entries);
+    } else {
+      writeMemory(entries);
+    }
+    stats.writes += entries.length;
+  } catch (error) {
+    stats.errors++;
+    console.warn(`⚠️  Embedding cache write failed: ${error.message}`);
+  }
+}
+
+/**
+ * Hit, miss and write counters, for observability
+ */
+export function getEmbeddingCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    backend: EMBEDDING_CACHE,
+    ...stats,
+    hitRate: lookups > 0 ? stats.hits / lookups : null,
+    ...(EMBEDDING_CACHE === 'memory' ? { entries: memoryCache.size } : {}),
+  };
+}
+
+export default { EMBEDDING_CACHES, getEmbeddingCacheName, getCachedEmbeddings, cacheEmbeddings, getEmbeddingCacheStats };
@@ -0,0 +1,135 @@
+/**
+ * API error responses
+ * Every error is sent as { error: message, code, details? }. `code` is stable
+ * and meant for clients to branch on; `error` is a readable message that may
+ * change; `details` carries structured extras (invalid fields, retry delay).
+ */
+
+// Stable error codes and their HTTP status. Clients depend on these, so add codes rather than renaming them.
+export const ERROR_CODES = {
+  VALIDATION_FAILED: 400,
+  INVALID_JSON: 400,
+  EMPTY_CONTENT: 400,
+  TOO_MANY_FILES: 400,
+  AUTH_DISABLED: 400,
+  AUTH_REQUIRED: 401,
+  SESSION_EXPIRED: 401,
+  INVALID_API_KEY: 401,
+  INVALID_CREDENTIALS: 401,
+  INVALID_SIGNATURE: 401,
+  FORBIDDEN: 403,
+  SIGNUP_CLOSED: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  EMAIL_TAKEN: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  FILE_TOO_LARGE: 413,
+  TEXT_TOO_LONG: 413,
+  UNSUPPORTED_FILE_TYPE: 415,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500,
+  NOT_CONFIGURED: 503,
+};
+
+/**
+ * An error with a stable code, answered with that code's status instead of 500
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Readable message
+   * @param {*} details - Structured extras sent with the error
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code] ?? 500;
+    this.details = details;
+  }
+}
+
+/**
+ * Body of an error response
+ */
+export function toErrorBody(code, message, details) {
+  return { error: message, code, ...(details !== undefined && { details }) };
+}
+
+/**
+ * Answer with an error code
+ *
+ * @param {Object} res - Express response
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Readable message
+ * @param {*} details - Structured extras
+ */
+export function sendError(res, code, message, details) {
+  return res.status(ERROR_CODES[code] ?? 500).json(toErrorBody(code, message, details));
+}
+
+/**
+ * Turn anything thrown while handling a request into { status, body }
+ * ApiErrors keep their code. Body parser failures (malformed or oversized JSON)
+ * get their own codes; everything else is an INTERNAL_ERROR whose stack stays in the server log.
+ *
+ * @param {Error} error - Thrown error
+ * @param {string} fallbackMessage - Message when the error has none
+ */
+export function describeError(error, fallbackMessage = 'Something went wrong') {
+  if (error instanceof ApiError) {
+    return { status: error.status, body: toErrorBody(error.code, error.message, error.details) };
+  }
+  if (error?.type === 'entity.parse.failed') {
+    return { status: 400, body: toErrorBody('INVALID_JSON', 'Request body is not valid JSON') };
+  }
+  if (error?.type === 'entity.too.large') {
+    return { status: 413, body: toErrorBody('PAYLOAD_TOO_LARGE', `Request body is larger than ${error.limit} bytes`) };
+  }
+  return { status: 500, body: toErrorBody('INTERNAL_ERROR', error?.message || fallbackMessage) };
+}
+
+/**
+ * Answer a route's caught error, logging unexpected ones
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @param {string} label - Log prefix, e.g. 'Ingest error'
+ * @param {string} fallbackMessage - Message when the error has none
+ */
+export function handleRouteError(res, error, label, fallbackMessage) {
+  const { status, body } = describeError(error, fallbackMessage);
+  if (status >= 500) {
+    console.error(`${label}:`, error);
+  }
+  return res.status(status).json(body);
+}
+
+/**
+ * Express 404 handler for unknown API routes
+ */
+export function notFoundHandler(req, res) {
+  sendError(res, 'NOT_FOUND', `No route for ${req.method} ${req.originalUrl.split('?')[0]}`);
+}
+
+/**
+ * Express error handler: errors passed to next() (body parsing, uploads, validation)
+ * Express recognizes error handlers by their four parameters, so `next` stays even when unused.
+ */
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  handleRouteError(res, error, `${req.method} ${req.path} error`, 'Request failed');
+}
+
+export default {
+  ERROR_CODES,
+  ApiError,
+  toErrorBody,
+  sendError,
+  describeError,
+  handleRouteError,
+  notFoundHandler,
+  errorHandler,
+};
@@ -0,0 +1,429 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { extractFile, findExtractor } from './extractors.js';
+import { ingestDocument } from './ingest.js';
+import { DEFAULT_TOP_K, queryKnowledge } from './query.js';
+import { tokenize } from './lexicalIndex.js';
+import { getProviderInfo } from './llmProvider.js';
+
+// Summary metrics, in report order
+export const METRICS = ['recall', 'mrr', 'ndcg', 'faithfulness', 'answerRecall'];
+
+const METRIC_LABELS = {
+  recall: 'Recall@k',
+  mrr: 'MRR',
+  ndcg: 'nDCG@k',
+  faithfulness: 'Faithfulness',
+  answerRecall: 'Answer recall',
+};
+
+// Settings that change retrieval or answers, recorded with each run so diffs can explain themselves
+const SETTING_KEYS = [
+  'CHUNK_SIZE', 'CHUNK_OVERLAP', 'RETRIEVAL_MODE', 'HYBRID_VECTOR_WEIGHT', 'HYBRID_KEYWORD_WEIGHT',
+  'HYBRID_CANDIDATES', 'RRF_K', 'BM25_K1', 'BM25_B', 'RERANKER', 'RERANK_CANDIDATES', 'MMR_LAMBDA',
+  'MAX_CONTEXTS_PER_DOC', 'CONTEXT_TOKEN_BUDGET', 'EMBEDDING_MODEL', 'LLM_MODEL',
+];
+
+/**
+ * Read and check a dataset file
+ * The corpus path is resolved relative to the dataset file.
+ *
+ * @param {string} file - Path to a dataset JSON file: { name, description?, corpus, questions: [{ id?, question, expectedSources, expectedAnswer? }] }
+ * @returns {Promise<Object>} Dataset with an absolute corpus path and an id for every question
+ */
+export async function loadDataset(file) {
+  let dataset;
+  try {
+    dataset = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read dataset ${file}: ${error.message}`);
+  }
+
+  const invalid = (reason) => new Error(`Invalid dataset ${file}: ${reason}`);
+  if (typeof dataset.corpus !== 'string' || !dataset.corpus) {
+    throw invalid('"corpus" must name the directory of documents to ingest');
+  }
+  if (!Array.isArray(dataset.questions) || dataset.questions.length === 0) {
+    throw invalid('"questions" must be a non-empty list');
+  }
+
+  const ids = new Set();
+  const questions = dataset.questions.map((entry, idx) => {
+    const id = entry.id ?? `q${idx + 1}`;
+    if (typeof entry.question !== 'string' || !entry.question.trim()) {
+      throw invalid(`question ${id} has no "question" text`);
+    }
+    if (!Array.isArray(entry.expectedSources) || entry.expectedSources.length === 0
+      || !entry.expectedSources.every(source => typeof source === 'string' && source)) {
+      throw invalid(`question ${id} needs "expectedSources", a list of corpus file paths`);
+    }
+    if (ids.has(id)) {
+      throw invalid(`question id ${id} is used twice`);
+    }
+    ids.add(id);
+    return {
+      id,
+      question: entry.question.trim(),
+      expectedSources: entry.expectedSources,
+      expectedAnswer: typeof entry.expectedAnswer === 'string' ? entry.expectedAnswer : null,
+    };
+  });
+
+  return {
+    name: dataset.name || path.basename(file, path.extname(file)),
+    description: dataset.description || null,
+    file,
+    corpus: path.resolve(path.dirname(file), dataset.corpus),
+    questions,
+  };
+}
+
+/**
+ * Files under a directory, as sorted paths relative to it
+ */
+async function listCorpusFiles(dir) {
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .map(entry => path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name)).split(path.sep).join('/'))
+    .sort();
+}
+
+/**
+ * Ingest every supported file in the corpus directory, with its relative path as the source
+ *
+ * @param {string} dir - Corpus directory
+ * @returns {Promise<{documents: number, chunks: number, skipped: string[]}>}
+ */
+export async function ingestCorpus(dir) {
+  const files = await listCorpusFiles(dir);
+  let documents = 0;
+  let chunks = 0;
+  const skipped = [];
+
+  for (const file of files) {
+    if (!findExtractor({ filename: file })) {
+      skipped.push(file);
+      continue;
+    }
+    const extracted = await extractFile({ buffer: await fs.readFile(path.join(dir, file)), filename: file });
+    const result = await ingestDocument(extracted.text, file, {
+      title: extracted.title,
+      format: extracted.format,
+      pages: extracted.pages,
+      sections: extracted.sections,
+      metadata: extracted.metadata,
+      nearDuplicateThreshold: null,
+    });
+    documents++;
+    chunks += result.chunkCount ?? 0;
+  }
+
+  if (documents === 0) {
+    throw new Error(`No supported documents in ${dir}`);
+  }
+  return { documents, chunks, skipped };
+}
+
+/**
+ * Share of the expected documents found in the first k ranked documents
+ */
+export function recallAtK(ranked, expected, k) {
+  const hits = ranked.slice(0, k).filter(source => expected.has(source)).length;
+  return hits / expected.size;
+}
+
+/**
+ * 1 / rank of the first expected document (0 when none was retrieved)
+ */
+export function reciprocalRank(ranked, expected) {
+  const rank = ranked.findIndex(source => expected.has(source));
+  return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+/**
+ * Normalized discounted cumulative gain over the first k ranked documents, with binary relevance
+ */
+export function ndcgAtK(ranked, expected, k) {
+  const dcg = ranked.slice(0, k)
+    .reduce((sum, source, idx) => sum + (expected.has(source) ? 1 / Math.log2(idx + 2) : 0), 0);
+  let ideal = 0;
+  for (let idx = 0; idx < Math.min(expected.size, k); idx++) {
+    ideal += 1 / Math.log2(idx + 2);
+  }
+  return dcg / ideal;
+}
+
+/**
+ * Share of an answer's citations that point at an expected document
+ * Invalid citations count against it, and an answer that cites nothing scores 0.
+ *
+ * @param {string[]} citedSources - Source of each distinct cited context
+ * @param {number} invalidCount - Citations that matched no context
+ * @param {Set<string>} expected - Expected sources
+ */
+export function citationFaithfulness(citedSources, invalidCount, expected) {
+  const total = citedSources.length + invalidCount;
+  if (total === 0) return 0;
+  return citedSources.filter(source => expected.has(source)).length / total;
+}
+
+/**
+ * Share of the expected answer's terms that appear in the answer
+ */
+export function answerTermRecall(answer, expectedAnswer) {
+  const expectedTerms = new Set(tokenize(expectedAnswer));
+  if (expectedTerms.size === 0) return null;
+  const answerTerms = new Set(tokenize(answer));
+  return [...expectedTerms].filter(term => answerTerms.has(term)).length / expectedTerms.size;
+}
+
+/**
+ * Mean of the values that are set
+ */
+function mean(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
+
+/**
+ * Ask one dataset question and score the result
+ */
+async function evaluateQuestion(entry, { k, mode, reranker }) {
+  const startedAt = Date.now();
+  const result = await queryKnowledge(entry.question, k, { mode, reranker });
+  const latencyMs = Date.now() - startedAt;
+
+  const expected = new Set(entry.expectedSources);
+  const retrievedSources = [...new Set(result.contexts.map(context => context.source))];
+  const sourceByContext = new Map(result.contexts.map(context => [context.id, context.source]));
+  const citedSources = result.citations.map(citation => sourceByContext.get(citation.contextId));
+
+  return {
+    id: entry.id,
+    question: entry.question,
+    expectedSources: entry.expectedSources,
+    retrievedSources,
+    citedSources: [...new Set(citedSources)],
+    recall: recallAtK(retrievedSources, expected, k),
+    mrr: reciprocalRank(retrievedSources, expected),
+    ndcg: ndcgAtK(retrievedSources, expected, k),
+    faithfulness: citationFaithfulness(citedSources, result.invalidCitations.length, expected),
+    answerRecall: entry.expectedAnswer ? answerTermRecall(result.answer, entry.expectedAnswer) : null,
+    answer: result.answer,
+    contexts: result.contexts.length,
+    latencyMs,
+    degraded: result.degraded,
+  };
+}
+
+/**
+ * Ingest a dataset's corpus and run every question through queryKnowledge
+ * Ranking metrics are over the documents of the contexts passed to the LLM,
+ * in order, each document counted once.
+ *
+ * Stores are whatever the environment selects, so callers should point
+ * DATA_DIR, VECTOR_STORE and DOC_STORE at an empty scratch store before this
+ * module is loaded (scripts/eval.js does).
+ *
+ * @param {Object} dataset - From loadDataset
+ * @param {Object} options
+ * @param {number} options.k - Contexts per question, and the cut-off for recall and nDCG (default DEFAULT_TOP_K)
+ * @param {'vector'|'keyword'|'hybrid'} options.mode - Retrieval mode (default RETRIEVAL_MODE)
+ * @param {'none'|'local'|'llm'} options.reranker - Reranker (default RERANKER)
+ * @param {Function} options.onProgress - Called with (done, total) after each question
+ * @returns {Promise<Object>} Report: { dataset, config, corpus, summary, questions, startedAt, durationMs }
+ */
+export async function runEvaluation(dataset, { k = DEFAULT_TOP_K, mode, reranker, onProgress } = {}) {
+  try {
+    const startedAt = new Date();
+    console.log(`📥 Ingesting corpus from ${dataset.corpus}...`);
+    const corpus = await ingestCorpus(dataset.corpus);
+
+    const questions = [];
+    for (const entry of dataset.questions) {
+      questions.push(await evaluateQuestion(entry, { k, mode, reranker }));
+      await onProgress?.(questions.length, dataset.questions.length);
+    }
+
+    return {
+      dataset: { name: dataset.name, description: dataset.description, file: dataset.file, questions: questions.length },
+      config: {
+        k,
+        mode: mode ?? (process.env.RETRIEVAL_MODE || 'hybrid'),
+        reranker: reranker ?? getProviderInfo().reranker,
+        providers: getProviderInfo(),
+        settings: Object.fromEntries(SETTING_KEYS.filter(key => process.env[key] !== undefined).map(key => [key, process.env[key]])),
+      },
+      corpus,
+      summary: {
+        ...Object.fromEntries(METRICS.map(metric => [metric, mean(questions.map(q => q[metric]))])),
+        meanLatencyMs: Math.round(mean(questions.map(q => q.latencyMs))),
+        degraded: questions.filter(q => q.degraded).length,
+      },
+      questions,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+    };
+  } catch (error) {
+    console.error('Evaluation error:', error);
+    throw new Error(`Failed to run evaluation: ${error.message}`);
+  }
+}
+
+const formatMetric = value => (value === null || value === undefined ? '–' : value.toFixed(3));
+
+const formatDelta = (delta) => {
+  if (delta === null) return '–';
+  if (Math.abs(delta) < 0.0005) return '0.000';
+  return `${delta > 0 ? '+' : ''}${delta.toFixed(3)}`;
+};
+
+// Keeps questions and answers from breaking a Markdown table row
+const cell = text => String(text ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+
+/**
+ * Render a report as Markdown: configuration, summary metrics and one row per question
+ */
+export function renderMarkdownReport(report) {
+  const { dataset, config, corpus, summary } = report;
+  const lines = [
+    `# Evaluation: ${dataset.name}`,
+    '',
+    `- Run: ${report.startedAt} (${(report.durationMs / 1000).toFixed(1)}s)`,
+    `- Questions: ${dataset.questions}; corpus: ${corpus.documents} documents, ${corpus.chunks} chunks`,
+    `- k: ${config.k}, mode: ${config.mode}, reranker: ${config.reranker}`,
+    `- LLM: ${config.providers.llm.provider}${config.providers.llm.model ? ` (${config.providers.llm.model})` : ''}; embeddings: ${config.providers.embeddings.provider}${config.providers.embeddings.model ? ` (${config.providers.embeddings.model})` : ''}`,
+    ...(Object.keys(config.settings).length > 0
+      ? [`- Settings: ${Object.entries(config.settings).map(([key, value]) => `${key}=${value}`).join(', ')}`]
+      : []),
+    ...(summary.degraded > 0 ? [`- ⚠️ ${summary.degraded} answers used mock output`] : []),
+    '',
+    '## Summary',
+    '',
+    '| Metric | Score |',
+    '| --- | --- |',
+    ...METRICS.map(metric => `| ${METRIC_LABELS[metric]} | ${formatMetric(summary[metric])} |`),
+    `| Mean latency | ${summary.meanLatencyMs} ms |`,
+    '',
+    '## Questions',
+    '',
+    '| ID | Recall | RR | nDCG | Faithful | Answer | Expected | Retrieved |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- |',
+    ...report.questions.map(q => `| ${cell(q.id)} | ${formatMetric(q.recall)} | ${formatMetric(q.mrr)} | ${formatMetric(q.ndcg)} | ${formatMetric(q.faithfulness)} | ${formatMetric(q.answerRecall)} | ${cell(q.expectedSources.join(', '))} | ${cell(q.retrievedSources.join(', ') || 'none')} |`),
+    '',
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Compare two reports of the same dataset
+ * Questions are matched by ID; only questions whose scores moved are listed.
+ *
+ * @param {Object} base - Earlier report
+ * @param {Object} candidate - Later report
+ * @returns {Object} { base, candidate, summary: { metric: { base, candidate, delta } }, questions: [...], added, removed, settings }
+ */
+export function diffReports(base, candidate) {
+  const delta = (a, b) => (a === null || a === undefined || b === null || b === undefined ? null : b - a);
+  const describe = report => ({ dataset: report.dataset.name, startedAt: report.startedAt, config: report.config });
+
+  const baseQuestions = new Map(base.questions.map(q => [q.id, q]));
+  const candidateIds = new Set(candidate.questions.map(q => q.id));
+
+  const questions = candidate.questions
+    .filter(q => baseQuestions.has(q.id))
+    .map((q) => {
+      const before = baseQuestions.get(q.id);
+      const changes = Object.fromEntries(METRICS
+        .map(metric => [metric, { base: before[metric], candidate: q[metric], delta: delta(before[metric], q[metric]) }])
+        .filter(([, change]) => change.delta !== null && Math.abs(change.delta) >= 0.0005));
+      return { id: q.id, question: q.question, changes, retrieved: { base: before.retrievedSources, candidate: q.retrievedSources } };
+    })
+    .filter(q => Object.keys(q.changes).length > 0);
+
+  const settingKeys = new Set([...Object.keys(base.config.settings || {}), ...Object.keys(candidate.config.settings || {})]);
+  const settings = Object.fromEntries([...settingKeys]
+    .filter(key => base.config.settings?.[key] !== candidate.config.settings?.[key])
+    .map(key => [key, { base: base.config.settings?.[key] ?? null, candidate: candidate.config.settings?.[key] ?? null }]));
+  for (const key of ['k', 'mode', 'reranker']) {
+    if (base.config[key] !== candidate.config[key]) {
+      settings[key] = { base: base.config[key], candidate: candidate.config[key] };
+    }
+  }
+
+  return {
+    base: describe(base),
+    candidate: describe(candidate),
+    settings,
+    summary: Object.fromEntries(METRICS.map(metric => [metric, {
+      base: base.summary[metric],
+      candidate: candidate.summary[metric],
+      delta: delta(base.summary[metric], candidate.summary[metric]),
+    }])),
+    questions,
+    added: candidate.questions.filter(q => !baseQuestions.has(q.id)).map(q => q.id),
+    removed: base.questions.filter(q => !candidateIds.has(q.id)).map(q => q.id),
+  };
+}
+
+/**
+ * Largest drop of any summary metric between two runs (0 when nothing got worse)
+ */
+export function largestDrop(diff) {
+  return Math.max(0, ...Object.values(diff.summary).map(({ delta }) => (delta === null ? 0 : -delta)));
+}
+
+/**
+ * Render a diff as Markdown
+ */
+export function renderMarkdownDiff(diff) {
+  const lines = [
+    `# Evaluation diff: ${diff.candidate.dataset}`,
+    '',
+    `- Base: ${diff.base.startedAt}`,
+    `- Candidate: ${diff.candidate.startedAt}`,
+    ...Object.entries(diff.settings).map(([key, { base, candidate }]) => `- ${key}: ${base ?? 'unset'} → ${candidate ?? 'unset'}`),
+    '',
+    '| Metric | Base | Candidate | Δ |',
+    '| --- | --- | --- | --- |',
+    ...METRICS.map((metric) => {
+      const { base, candidate, delta } = diff.summary[metric];
+      return `| ${METRIC_LABELS[metric]} | ${formatMetric(base)} | ${formatMetric(candidate)} | ${formatDelta(delta)} |`;
+    }),
+    '',
+  ];
+
+  if (diff.questions.length > 0) {
+    lines.push('## Changed questions', '', '| ID | Changes | Retrieved (base → candidate) |', '| --- | --- | --- |');
+    for (const q of diff.questions) {
+      const changes = Object.entries(q.changes)
+        .map(([metric, { delta }]) => `${METRIC_LABELS[metric]} ${formatDelta(delta)}`)
+        .join(', ');
+      lines.push(`| ${cell(q.id)} | ${cell(changes)} | ${cell(q.retrieved.base.join(', ') || 'none')} → ${cell(q.retrieved.candidate.join(', ') || 'none')} |`);
+    }
+    lines.push('');
+  } else {
+    lines.push('No question changed.', '');
+  }
+
+  if (diff.added.length > 0) lines.push(`Only in candidate: ${diff.added.join(', ')}`, '');
+  if (diff.removed.length > 0) lines.push(`Only in base: ${diff.removed.join(', ')}`, '');
+  return lines.join('\n');
+}
+
+export default {
+  METRICS,
+  loadDataset,
+  ingestCorpus,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  citationFaithfulness,
+  answerTermRecall,
+  runEvaluation,
+  renderMarkdownReport,
+  diffReports,
+  largestDrop,
+  renderMarkdownDiff,
+};
@@ -0,0 +1,209 @@
+import path from 'path';
+import { extractPdfPages } from './pdf.js';
+import { extractDocx } from './docx.js';
+import { extractMarkdown } from './markdown.js';
+import { extractHtml } from './html.js';
+import { extractCsv, extractJson } from './tabular.js';
+
+/**
+ * Decode a text file, dropping a UTF-8 byte order mark
+ */
+function decodeText(buffer) {
+  return buffer.toString('utf-8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Extractors by format
+ * Each turns a file buffer into { text, pages?, sections?, title?, metadata }.
+ * Extensions are checked before MIME types because browsers report many of
+ * these formats inconsistently (e.g. .md as text/plain or application/octet-stream).
+ * Binary formats name the signature their content must start with (see identifyFile).
+ */
+const EXTRACTORS = [
+  {
+    format: 'pdf',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    signature: 'pdf',
+    extract: async (buffer) => {
+      const { text, pages } = await extractPdfPages(buffer);
+      return { text, pages, metadata: { pageCount: pages.length } };
+    },
+  },
+  {
+    format: 'docx',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    // DOCX is a ZIP container
+    signature: 'zip',
+    extract: extractDocx,
+  },
+  {
+    format: 'markdown',
+    extensions: ['.md', '.markdown', '.mdx'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extract: async (buffer) => extractMarkdown(decodeText(buffer)),
+  },
+  {
+    format: 'html',
+    extensions: ['.html', '.htm', '.xhtml'],
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extract: async (buffer) => extractHtml(decodeText(buffer)),
+  },
+  {
+    format: 'csv',
+    extensions: ['.csv', '.tsv'],
+    mimeTypes: ['text/csv', 'application/csv', 'text/tab-separated-values'],
+    // Rows have no natural title line, so the file name is used
+    titleFromFilename: true,
+    extract: async (buffer, { extension }) => extractCsv(decodeText(buffer), { delimiter: extension === '.tsv' ? '\t' : undefined }),
+  },
+  {
+    format: 'json',
+    extensions: ['.json', '.jsonl', '.ndjson'],
+    mimeTypes: ['application/json', 'application/x-ndjson', 'application/ld+json'],
+    titleFromFilename: true,
+    extract: async (buffer) => extractJson(decodeText(buffer)),
+  },
+  {
+    format: 'text',
+    extensions: ['.txt', '.text', '.log'],
+    mimeTypes: ['text/plain'],
+    extract: async (buffer) => ({ text: decodeText(buffer), metadata: {} }),
+  },
+];
+
+// Leading bytes of the binary formats we extract
+const SIGNATURES = {
+  pdf: Buffer.from('%PDF-'),
+  zip: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+};
+
+// Other common binary formats, recognized only to name them when refusing them
+const FOREIGN_SIGNATURES = [
+  { name: 'a PNG image', bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+  { name: 'a JPEG image', bytes: Buffer.from([0xff, 0xd8, 0xff]) },
+  { name: 'a GIF image', bytes: Buffer.from('GIF8') },
+  { name: 'a gzip archive', bytes: Buffer.from([0x1f, 0x8b]) },
+  { name: 'a RAR archive', bytes: Buffer.from('Rar!') },
+  { name: 'a 7-Zip archive', bytes: Buffer.from([0x37, 0x7a, 0xbc, 0xaf]) },
+  { name: 'a legacy Office document (.doc, .xls)', bytes: Buffer.from([0xd0, 0xcf, 0x11, 0xe0]) },
+];
+
+// Text files never contain NUL bytes; looking at the start is enough to tell
+const TEXT_SNIFF_BYTES = 8192;
+
+/**
+ * What a file's bytes are, regardless of its name or reported MIME type
+ * @returns {{kind: 'pdf'|'zip'|'text'|'binary', name?: string}}
+ */
+function sniffContent(buffer) {
+  for (const [kind, signature] of Object.entries(SIGNATURES)) {
+    if (buffer.subarray(0, signature.length).equals(signature)) {
+      return { kind };
+    }
+  }
+  const foreign = FOREIGN_SIGNATURES.find(({ bytes }) => buffer.subarray(0, bytes.length).equals(bytes));
+  if (foreign) {
+    return { kind: 'binary', name: foreign.name };
+  }
+  return { kind: buffer.subarray(0, TEXT_SNIFF_BYTES).includes(0) ? 'binary' : 'text' };
+}
+
+/**
+ * Extractor matching a file name, then MIME type
+ */
+function findClaimedExtractor({ filename = '', mimetype = '' }) {
+  const extension = path.extname(filename).toLowerCase();
+  const mime = mimetype.split(';')[0].trim().toLowerCase();
+
+  return EXTRACTORS.find(extractor => extension && extractor.extensions.includes(extension))
+    || EXTRACTORS.find(extractor => extractor.mimeTypes.includes(mime))
+    || null;
+}
+
+/**
+ * Decide how to extract a file, checking its content against its name
+ * The extension and MIME type come from the client, so the leading bytes have
+ * the last word: a PDF is read as a PDF whatever it is called, a .docx must be
+ * a ZIP container, and text formats must not contain binary data.
+ *
+ * @param {Object} file
+ * @param {Buffer} file.buffer - File contents (without it, only the name and MIME type are used)
+ * @param {string} file.filename - Original file name
+ * @param {string} file.mimetype - Reported MIME type
+ * @returns {{extractor: Object}|{error: string}}
+ */
+export function identifyFile({ buffer, filename = '', mimetype = '' }) {
+  const claimed = findClaimedExtractor({ filename, mimetype });
+  const unsupported = `Unsupported file type. Use one of: ${getSupportedExtensions().join(', ')}`;
+  if (!buffer) {
+    return claimed ? { extractor: claimed } : { error: unsupported };
+  }
+
+  const content = sniffContent(buffer);
+  if (content.kind === 'pdf') {
+    return { extractor: EXTRACTORS.find(extractor => extractor.signature === 'pdf') };
+  }
+  if (!claimed) {
+    return { error: content.name ? `File is ${content.name}, which cannot be ingested` : unsupported };
+  }
+  if (claimed.signature && claimed.signature !== content.kind) {
+    return { error: `File content does not look like ${claimed.format.toUpperCase()}` };
+  }
+  if (!claimed.signature && content.kind !== 'text') {
+    return { error: content.name ? `File is ${content.name}, which cannot be ingested` : `File content is binary, not ${claimed.format} text` };
+  }
+  return { extractor: claimed };
+}
+
+/**
+ * Find the extractor for a file by extension, then MIME type, checked against its content when given
+ *
+ * @param {Object} file
+ * @param {Buffer} file.buffer - File contents (optional)
+ * @param {string} file.filename - Original file name
+ * @param {string} file.mimetype - Reported MIME type
+ * @returns {Object|null} Extractor, or null when the format is not supported or the content does not match
+ */
+export function findExtractor(file) {
+  return identifyFile(file).extractor ?? null;
+}
+
+/**
+ * File extensions accepted for ingest
+ */
+export function getSupportedExtensions() {
+  return EXTRACTORS.flatMap(extractor => extractor.extensions);
+}
+
+/**
+ * Extract text and structure from an uploaded file
+ *
+ * @param {Object} file
+ * @param {Buffer} file.buffer - File contents
+ * @param {string} file.filename - Original file name
+ * @param {string} file.mimetype - Reported MIME type
+ * @returns {Promise<{format: string, text: string, pages: Array|undefined, sections: Array|undefined, title: string|null, metadata: Object}>}
+ */
+export async function extractFile({ buffer, filename = '', mimetype = '' }) {
+  const { extractor, error } = identifyFile({ buffer, filename, mimetype });
+  if (error) {
+    throw new Error(`${error} (${filename || mimetype})`);
+  }
+
+  const extension = path.extname(filename).toLowerCase();
+  const result = await extractor.extract(buffer, { extension });
+  const fallbackTitle = extractor.titleFromFilename && filename ? path.basename(filename, path.extname(filename)) : null;
+
+  return {
+    format: extractor.format,
+    text: result.text,
+    pages: result.pages,
+    sections: result.sections,
+    title: result.title || fallbackTitle,
+    metadata: result.metadata || {},
+  };
+}
+
+export default { identifyFile, findExtractor, getSupportedExtensions, extractFile };
@@ -0,0 +1,59 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const DATA_DIR = path.resolve(BACKEND_DIR, process.env.DATA_DIR || 'data');
+
+/**
+ * Resolve a file path, relative paths are placed under DATA_DIR
+ *
+ * @param {string} file - File name or path
+ * @returns {string} Absolute path
+ */
+export function dataPath(file) {
+  return path.resolve(DATA_DIR, file);
+}
+
+/**
+ * Read and parse a JSON file
+ *
+ * @param {string} file - Absolute file path
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {Promise<*>} Parsed contents
+ */
+export async function readJsonFile(file, fallback = null) {
+  try {
+    const data = await fs.readFile(file, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a JSON file atomically (write to temp file, then rename)
+ *
+ * @param {string} file - Absolute file path
+ * @param {*} data - Serializable contents
+ */
+export async function writeJsonFile(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  } catch (error) {
+    await fs.rm(tmp, { force: true });
+    throw new Error(`Failed to write ${file}: ${error.message}`);
+  }
+}
+
+export default { DATA_DIR, dataPath, readJsonFile, writeJsonFile };
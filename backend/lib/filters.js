@@ -0,0 +1,58 @@
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+// Ranges on these fields compare the fallback field when the metadata has no value
+// (undated documents are matched on the day they were added)
+const RANGE_FALLBACKS = { publishedAt: 'createdOn' };
+
+/**
+ * Whether a filter value is a range such as { gte: '2024-01-01', lt: '2024-02-01' }
+ */
+export function isRange(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(op => RANGE_OPERATORS.includes(op));
+}
+
+function inRange(actual, range) {
+  if (actual === undefined || actual === null) return false;
+  return Object.entries(range).every(([op, bound]) => {
+    if (bound === undefined || bound === null) return true;
+    if (op === 'gt') return actual > bound;
+    if (op === 'gte') return actual >= bound;
+    if (op === 'lt') return actual < bound;
+    return actual <= bound;
+  });
+}
+
+/**
+ * Check vector/document metadata against a simple filter
+ * Each filter key must match: scalar values by equality, arrays as "any of",
+ * ranges ({ gt, gte, lt, lte }) by comparison. ISO date strings compare correctly.
+ * A range on publishedAt uses createdOn for metadata without a publishedAt.
+ * Undefined or null filter values are ignored.
+ *
+ * @param {Object} metadata - Stored metadata
+ * @param {Object} filter - e.g. { docId: 'abc' }, { source: ['a.pdf', 'b.pdf'] } or { createdAt: { gte: '2024-01-01' } }
+ * @returns {boolean} Whether the metadata matches
+ */
+export function matchesFilter(metadata = {}, filter = {}) {
+  return Object.entries(filter || {}).every(([key, expected]) => {
+    if (expected === undefined || expected === null) return true;
+    if (isRange(expected)) return inRange(metadata[key] ?? metadata[RANGE_FALLBACKS[key]], expected);
+
+    const actual = metadata[key];
+    const allowed = Array.isArray(expected) ? expected : [expected];
+
+    if (Array.isArray(actual)) {
+      return actual.some(value => allowed.includes(value));
+    }
+    return allowed.includes(actual);
+  });
+}
+
+/**
+ * Whether a filter has any active constraints
+ */
+export function hasFilter(filter) {
+  return Object.values(filter || {}).some(value => value !== undefined && value !== null);
+}
+
+export default { isRange, matchesFilter, hasFilter };
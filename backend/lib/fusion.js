@@ -0,0 +1,54 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Rank constant from the original RRF paper; larger values flatten the curve
+export const RRF_K = Number(process.env.RRF_K) || 60;
+
+/**
+ * Merge ranked result lists with weighted reciprocal rank fusion
+ * Each result scores sum(weight / (RRF_K + rank)) over the lists it appears in.
+ * The fused score is normalized to 0-1 by the best score a result could reach,
+ * so it is comparable across queries.
+ *
+ * @param {Object<string, Array<{id: string, score: number, metadata: Object}>>} lists - Ranked results keyed by component, e.g. { vector, keyword }
+ * @param {Object} options
+ * @param {Object<string, number>} options.weights - Weight per component (default 1)
+ * @param {number} options.k - Number of results to return
+ * @param {number} options.rankConstant - RRF rank constant
+ * @returns {Array<{id: string, score: number, metadata: Object, scores: Object, ranks: Object}>}
+ */
+export function reciprocalRankFusion(lists, { weights = {}, k = 3, rankConstant = RRF_K } = {}) {
+  const components = Object.keys(lists);
+  const fused = new Map();
+  let maxScore = 0;
+
+  for (const component of components) {
+    const weight = weights[component] ?? 1;
+    maxScore += weight / (rankConstant + 1);
+
+    lists[component].forEach((result, idx) => {
+      if (!fused.has(result.id)) {
+        fused.set(result.id, {
+          id: result.id,
+          score: 0,
+          metadata: result.metadata,
+          scores: Object.fromEntries(components.map(name => [name, null])),
+          ranks: Object.fromEntries(components.map(name => [name, null])),
+        });
+      }
+
+      const entry = fused.get(result.id);
+      entry.score += weight / (rankConstant + idx + 1);
+      entry.scores[component] = result.score;
+      entry.ranks[component] = idx + 1;
+    });
+  }
+
+  return [...fused.values()]
+    .map(entry => ({ ...entry, score: maxScore > 0 ? entry.score / maxScore : 0 }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+export default { RRF_K, reciprocalRankFusion };
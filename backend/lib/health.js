@@ -0,0 +1,102 @@
+import dotenv from 'dotenv';
+import { getDocumentStoreName, listDocuments } from './documentStore.js';
+import { getActiveIndex, getVectorDimension, getVectorStoreName } from './vectorStore.js';
+import { getDegradedReasons, getProviderInfo, probeEmbeddings, probeLlm } from './llmProvider.js';
+
+dotenv.config();
+
+// Time allowed for each dependency to answer
+const HEALTH_PROBE_TIMEOUT_MS = Number(process.env.HEALTH_PROBE_TIMEOUT_MS) || 5000;
+// Probes call paid provider APIs, so results are reused for a while (0 to probe every time)
+const HEALTH_CACHE_SECONDS = Number(process.env.HEALTH_CACHE_SECONDS ?? 30) || 0;
+
+// Last health check: { promise, at }, shared by concurrent callers
+let cached = null;
+
+/**
+ * Run a probe with a timeout
+ *
+ * @param {Function} probe - Resolves with details, or throws when the dependency is unavailable
+ * @returns {Promise<{status: 'ok'|'mock'|'error', latencyMs: number, error?: string}>} Check result with the probe's details
+ */
+async function runCheck(probe) {
+  const startedAt = Date.now();
+  let timer;
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`No response within ${HEALTH_PROBE_TIMEOUT_MS}ms`)), HEALTH_PROBE_TIMEOUT_MS);
+    });
+    const { mock, ...details } = await Promise.race([probe(), timeout]);
+    return { status: mock ? 'mock' : 'ok', latencyMs: Date.now() - startedAt, ...details };
+  } catch (error) {
+    return { status: 'error', latencyMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Probe the document store, vector store and LLM / embedding providers
+ * The service is `down` when a store fails, or a provider fails without a
+ * mock fallback; `degraded` when output would be mock. A check made in the
+ * last HEALTH_CACHE_SECONDS is returned instead of probing again.
+ *
+ * @returns {Promise<{status: 'ok'|'degraded'|'down', checks: Object, degradedReasons: string[], checkedAt: string}>}
+ */
+export async function checkHealth() {
+  if (!cached || Date.now() - cached.at > HEALTH_CACHE_SECONDS * 1000) {
+    const promise = probeAll();
+    cached = { promise, at: Date.now() };
+    // A check that throws is not reused
+    promise.catch(() => {
+      if (cached?.promise === promise) cached = null;
+    });
+  }
+  return cached.promise;
+}
+
+async function probeAll() {
+  // Queries embed with the settings the active index was built with
+  const index = await getActiveIndex().catch(() => ({ name: null, embedding: null }));
+
+  const [documentStore, vectorStore, embeddings, llm] = await Promise.all([
+    runCheck(async () => {
+      const { total } = await listDocuments({ limit: 1 });
+      return { adapter: getDocumentStoreName(), documents: total };
+    }),
+    runCheck(async () => ({
+      adapter: getVectorStoreName(),
+      index: index.name,
+      dimension: await getVectorDimension({ index: index.name ?? undefined }),
+    })),
+    runCheck(() => probeEmbeddings(index.embedding ?? {})),
+    runCheck(probeLlm),
+  ]);
+
+  // New embeddings would be rejected by an index built with a different model
+  if (embeddings.dimension && vectorStore.dimension && embeddings.dimension !== vectorStore.dimension) {
+    embeddings.status = 'error';
+    embeddings.error = `Provider returns ${embeddings.dimension}-dimension embeddings but the vector store holds ${vectorStore.dimension}`;
+  }
+
+  const checks = { documentStore, vectorStore, embeddings, llm };
+  const { fallback } = getProviderInfo();
+  const degradedReasons = getDegradedReasons();
+
+  let status = 'ok';
+  if (documentStore.status === 'error' || vectorStore.status === 'error') {
+    status = 'down';
+  } else if ([embeddings, llm].some(check => check.status === 'error')) {
+    status = fallback === 'mock' ? 'degraded' : 'down';
+  } else if (degradedReasons.length > 0) {
+    status = 'degraded';
+  }
+
+  for (const [name, check] of Object.entries(checks)) {
+    if (check.status === 'error') degradedReasons.push(`${name}: ${check.error}`);
+  }
+
+  return { status, checks, degradedReasons, checkedAt: new Date().toISOString() };
+}
+
+export default { checkHealth };
@@ -0,0 +1,137 @@
+import * as cheerio from 'cheerio';
+import { joinBlocks } from './chunker.js';
+
+// Elements that never hold article content
+const BOILERPLATE_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button', 'select',
+  'nav', 'header', 'footer', 'aside', '[hidden]', '[aria-hidden="true"]',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+].join(', ');
+
+// Class/id names of page furniture: menus, cookie banners, share bars, comment threads...
+const BOILERPLATE_NAME = /(^|[\s_-])(nav|navbar|menu|sidebar|footer|header|masthead|breadcrumbs?|cookie|consent|banner|advert|ads?|promo|share|social|comments?|related|subscribe|newsletter|popup|modal)($|[\s_-])/i;
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'li', 'main',
+  'ol', 'p', 'section', 'table', 'tbody', 'thead', 'tfoot', 'ul', 'body', 'details', 'summary', 'caption',
+]);
+
+const MIN_CONTENT_LENGTH = 200;
+
+/**
+ * Pick the element holding the main content
+ * Prefers the longest <article>, then <main>, falling back to <body> when they are nearly empty.
+ */
+function findContentRoot($) {
+  const textLength = (el) => $(el).text().replace(/\s+/g, ' ').trim().length;
+  const body = $('body').length > 0 ? $('body') : $.root();
+
+  const articles = $('article').toArray().sort((a, b) => textLength(b) - textLength(a));
+  const candidates = [articles[0], $('main').get(0), $('[role="main"]').get(0)].filter(Boolean);
+
+  for (const candidate of candidates) {
+    if (textLength(candidate) >= MIN_CONTENT_LENGTH) return $(candidate);
+  }
+  return body;
+}
+
+/**
+ * Walk the content tree collecting heading and text blocks
+ */
+function collectBlocks($, root) {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = inline.replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n').trim();
+    if (text) blocks.push({ type: 'text', text });
+    inline = '';
+  };
+
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (child.type === 'text') {
+        inline += child.data.replace(/\s+/g, ' ');
+        continue;
+      }
+      if (child.type !== 'tag') continue;
+
+      const tag = child.name.toLowerCase();
+      const heading = /^h([1-6])$/.exec(tag);
+
+      if (heading) {
+        flush();
+        blocks.push({ type: 'heading', level: Number(heading[1]), text: $(child).text().replace(/\s+/g, ' ') });
+      } else if (tag === 'br') {
+        inline += '\n';
+      } else if (tag === 'pre') {
+        flush();
+        blocks.push({ type: 'text', text: $(child).text() });
+      } else if (tag === 'tr') {
+        flush();
+        const cells = $(child).children('th, td').toArray().map(cell => $(cell).text().replace(/\s+/g, ' ').trim());
+        blocks.push({ type: 'text', text: cells.filter(Boolean).join(' | ') });
+      } else if (tag === 'img') {
+        const alt = $(child).attr('alt');
+        if (alt) inline += ` ${alt} `;
+      } else if (BLOCK_TAGS.has(tag)) {
+        flush();
+        walk(child);
+        flush();
+      } else {
+        walk(child);
+      }
+    }
+  };
+
+  walk(root.get(0));
+  flush();
+  return blocks;
+}
+
+/**
+ * Extract readable text from an HTML page
+ * Strips scripts, navigation, headers/footers and other page furniture, keeps
+ * headings as section structure and table rows as single lines.
+ *
+ * @param {string} html - HTML source
+ * @param {Object} options
+ * @param {boolean} options.removeBoilerplate - Strip page furniture (default true; off for converted documents)
+ * @returns {{text: string, sections: Array<Object>, title: string|null, metadata: Object}}
+ */
+export function extractHtml(html, { removeBoilerplate = true } = {}) {
+  try {
+    const $ = cheerio.load(html);
+
+    const metadata = {
+      title: $('meta[property="og:title"]').attr('content')?.trim() || $('title').first().text().trim() || null,
+      description: $('meta[name="description"]').attr('content')?.trim()
+        || $('meta[property="og:description"]').attr('content')?.trim() || null,
+      canonicalUrl: $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content') || null,
+      language: $('html').attr('lang') || null,
+      author: $('meta[name="author"]').attr('content')?.trim() || null,
+    };
+
+    $('script, style, noscript, template').remove();
+    if (removeBoilerplate) {
+      $(BOILERPLATE_SELECTOR).remove();
+      $('div, section, ul, ol, p, span').filter((_, el) => BOILERPLATE_NAME.test(`${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`)).remove();
+    }
+
+    const blocks = collectBlocks($, removeBoilerplate ? findContentRoot($) : ($('body').length > 0 ? $('body') : $.root()));
+    const { text, sections } = joinBlocks(blocks);
+    const firstHeading = blocks.find(block => block.type === 'heading')?.text.trim();
+
+    return {
+      text,
+      sections,
+      title: metadata.title || firstHeading || null,
+      metadata: { ...metadata, headings: sections.map(section => section.heading) },
+    };
+  } catch (error) {
+    console.error('HTML extraction error:', error);
+    throw new Error(`Failed to extract text from HTML: ${error.message}`);
+  }
+}
+
+export default { extractHtml };
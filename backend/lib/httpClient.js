@@ -0,0 +1,331 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Statuses worth retrying: request timeout, rate limit and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+// Failures before the request reached the server, so even a call that must not run twice can be retried
+const UNSENT_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// Every client created, by name, for getHttpStats
+const clients = new Map();
+
+/**
+ * Read a numeric setting for a client: <PREFIX>_HTTP_<KEY>, then HTTP_<KEY>, then the default
+ * e.g. LIGHTNING_HTTP_TIMEOUT_MS overrides HTTP_TIMEOUT_MS for the Lightning client
+ */
+function setting(name, key, fallback) {
+  const prefix = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  const value = process.env[`${prefix}_HTTP_${key}`] ?? process.env[`HTTP_${key}`];
+  return value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback;
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Read a header from a fetch Headers object or a plain header map
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+/**
+ * Whether a response or thrown error is worth retrying, and how long the server asked us to wait
+ * Works for fetch Responses and for errors from SDKs that carry a status code
+ * (e.g. @sanity/client's `statusCode` and `response.headers`).
+ *
+ * @returns {{retryable: boolean, status: number|null, retryAfterMs: number|null}}
+ */
+function classify({ response, error }) {
+  const status = response?.status ?? error?.status ?? error?.statusCode ?? error?.response?.statusCode ?? null;
+  const headers = response?.headers ?? error?.response?.headers;
+
+  if (status !== null) {
+    return {
+      retryable: RETRYABLE_STATUSES.includes(status),
+      status,
+      retryAfterMs: parseRetryAfter(getHeader(headers, 'retry-after')),
+    };
+  }
+
+  // Marked as something retrying cannot fix (see jobQueue.isTransientError)
+  if (error?.permanent || error?.cause?.permanent) {
+    return { retryable: false, status: null, retryAfterMs: null };
+  }
+
+  // No status: a network failure or timeout, unless the error is a programming error
+  const code = error?.code ?? error?.cause?.code;
+  const retryable = Boolean(error?.timedOut) || RETRYABLE_CODES.includes(code) || /fetch failed|socket hang up|network/i.test(error?.message || '');
+  return { retryable, status: null, retryAfterMs: null };
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Create a resilient client for one upstream service
+ * Every call gets a timeout, retries with exponential backoff and full jitter
+ * (honoring Retry-After), a concurrency limit, and a circuit breaker that
+ * fails fast after repeated transient failures. Settings come from
+ * <NAME>_HTTP_* or HTTP_* environment variables, then `defaults`.
+ *
+ * @param {string} name - Service name, e.g. 'lightning'; used in errors, stats and setting names
+ * @param {Object} defaults - { timeoutMs, retries, retryBaseMs, retryMaxMs, concurrency, breakerThreshold, breakerCooldownMs }
+ * @returns {{request: Function, run: Function, getStats: Function, timeoutMs: number}}
+ */
+export function createHttpClient(name, defaults = {}) {
+  const config = {
+    timeoutMs: setting(name, 'TIMEOUT_MS', defaults.timeoutMs ?? 30000),
+    retries: setting(name, 'RETRIES', defaults.retries ?? 3),
+    retryBaseMs: setting(name, 'RETRY_BASE_MS', defaults.retryBaseMs ?? 250),
+    retryMaxMs: setting(name, 'RETRY_MAX_MS', defaults.retryMaxMs ?? 10000),
+    concurrency: Math.max(1, setting(name, 'CONCURRENCY', defaults.concurrency ?? 4)),
+    breakerThreshold: setting(name, 'BREAKER_THRESHOLD', defaults.breakerThreshold ?? 5),
+    breakerCooldownMs: setting(name, 'BREAKER_COOLDOWN_MS', defaults.breakerCooldownMs ?? 30000),
+  };
+
+  const stats = {
+    requests: 0,
+    attempts: 0,
+    succeeded: 0,
+    failed: 0,
+    retries: 0,
+    timeouts: 0,
+    rateLimited: 0,
+    rejectedOpenCircuit: 0,
+    lastError: null,
+  };
+
+  // Circuit breaker: closed → open after breakerThreshold consecutive failures →
+  // half-open after the cooldown (one trial call) → closed on success
+  const breaker = { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false };
+
+  // Concurrency limiter
+  let active = 0;
+  const waiting = [];
+
+  async function acquire() {
+    if (active < config.concurrency) {
+      active++;
+      return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  function enterCircuit() {
+    if (breaker.state === 'open') {
+      const remaining = breaker.openedAt + config.breakerCooldownMs - Date.now();
+      if (remaining > 0) {
+        stats.rejectedOpenCircuit++;
+        throw new Error(`${name} is unavailable (circuit open after ${breaker.consecutiveFailures} failures), retry in ${Math.ceil(remaining / 1000)}s`);
+      }
+      breaker.state = 'half-open';
+    }
+    if (breaker.state === 'half-open') {
+      if (breaker.trialInFlight) {
+        stats.rejectedOpenCircuit++;
+        throw new Error(`${name} is unavailable (circuit open, trial request in flight)`);
+      }
+      breaker.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  function recordOutcome(healthy, isTrial) {
+    if (isTrial) breaker.trialInFlight = false;
+    if (healthy) {
+      if (breaker.state !== 'closed') console.log(`✓ ${name} circuit closed`);
+      breaker.state = 'closed';
+      breaker.consecutiveFailures = 0;
+      breaker.openedAt = null;
+      return;
+    }
+    breaker.consecutiveFailures++;
+    if (isTrial || breaker.consecutiveFailures >= config.breakerThreshold) {
+      if (breaker.state !== 'open') console.warn(`⚠️  ${name} circuit opened after ${breaker.consecutiveFailures} failures`);
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Delay before the next attempt: the server's Retry-After, or capped exponential backoff with full jitter
+   */
+  function backoff(attempt, retryAfterMs, retryBaseMs) {
+    if (retryAfterMs !== null) {
+      return retryAfterMs + Math.random() * retryBaseMs;
+    }
+    return Math.random() * Math.min(config.retryMaxMs, retryBaseMs * 2 ** attempt);
+  }
+
+  /**
+   * Run one attempt with a timeout; the operation receives a signal aborted on timeout or by the caller
+   */
+  async function attemptOnce(operation, signal) {
+    const timeoutController = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${name} request timed out after ${config.timeoutMs}ms`);
+        error.timedOut = true;
+        timeoutController.abort(error);
+        reject(error);
+      }, config.timeoutMs);
+    });
+
+    // The caller's signal stays linked after we return, so it can still cancel a streamed body
+    const attemptSignal = signal ? AbortSignal.any([signal, timeoutController.signal]) : timeoutController.signal;
+    try {
+      return await Promise.race([operation(attemptSignal), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run an operation against the service with timeout, retries, breaker and limiter
+   * A fetch Response with a retryable status is retried; once retries run out
+   * it is returned as-is so the caller can report the upstream error.
+   *
+   * @param {(signal: AbortSignal) => Promise<*>} operation - Performs one attempt
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Cancels the call (not retried, not counted as a failure)
+   * @param {number} options.retries - Retries for this call instead of the service's setting
+   * @param {number} options.retryBaseMs - Backoff base for this call instead of the service's setting
+   * @param {boolean} options.idempotent - false for calls that must not run twice (e.g. creating a record):
+   *   a timeout or 5xx may mean the server acted, so only 429 and failures to connect are retried
+   * @returns {Promise<*>} The operation's result
+   */
+  async function run(operation, { signal, retries = config.retries, retryBaseMs = config.retryBaseMs, idempotent = true } = {}) {
+    stats.requests++;
+    const isTrial = enterCircuit();
+    let settled = false;
+
+    await acquire();
+    try {
+      for (let attempt = 0; ; attempt++) {
+        stats.attempts++;
+        let outcome;
+        let result;
+        let failure;
+
+        try {
+          result = await attemptOnce(operation, signal);
+          outcome = result instanceof Response ? classify({ response: result }) : { retryable: false, status: null, retryAfterMs: null };
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          if (error.timedOut) stats.timeouts++;
+          failure = error;
+          outcome = classify({ error });
+        }
+
+        if (outcome.status === 429) stats.rateLimited++;
+
+        const delay = outcome.retryable ? backoff(attempt, outcome.retryAfterMs, retryBaseMs) : null;
+        const repeatable = idempotent || outcome.status === 429 || UNSENT_CODES.includes(failure?.code ?? failure?.cause?.code);
+        // Give up when out of retries, or when the server asks us to wait longer than we ever would
+        const canRetry = outcome.retryable && repeatable && attempt < retries &&
+          (outcome.retryAfterMs === null || outcome.retryAfterMs <= config.retryMaxMs);
+
+        if (canRetry) {
+          stats.retries++;
+          await result?.body?.cancel?.();
+          console.warn(`⚠️  ${failure ? failure.message : `${name} returned ${outcome.status}`}, retrying in ${Math.round(delay)}ms`);
+          await sleep(delay, signal);
+          continue;
+        }
+
+        // Transient failures count against the breaker; other errors mean the service answered
+        recordOutcome(!outcome.retryable, isTrial);
+        settled = true;
+
+        if (failure || outcome.retryable || (result instanceof Response && !result.ok)) {
+          stats.failed++;
+          stats.lastError = { message: failure?.message || `HTTP ${outcome.status}`, at: new Date().toISOString() };
+        } else {
+          stats.succeeded++;
+        }
+
+        if (failure) throw failure;
+        return result;
+      }
+    } finally {
+      // A cancelled trial must not leave the breaker waiting forever
+      if (!settled && isTrial) breaker.trialInFlight = false;
+      release();
+    }
+  }
+
+  /**
+   * fetch() through the client
+   * The timeout covers the response headers, so streamed bodies can take longer.
+   *
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch options; `signal` cancels the request, `retries`, `retryBaseMs` and `idempotent` are passed to run
+   * @returns {Promise<Response>}
+   */
+  function request(url, { signal, retries, retryBaseMs, idempotent, ...init } = {}) {
+    return run(attemptSignal => fetch(url, { ...init, signal: attemptSignal }), { signal, retries, retryBaseMs, idempotent });
+  }
+
+  /**
+   * Counters and current state, for observability
+   */
+  function getStats() {
+    return {
+      ...stats,
+      inFlight: active,
+      queued: waiting.length,
+      circuit: {
+        state: breaker.state,
+        consecutiveFailures: breaker.consecutiveFailures,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      },
+      config,
+    };
+  }
+
+  const client = { request, run, getStats, timeoutMs: config.timeoutMs };
+  clients.set(name, client);
+  return client;
+}
+
+/**
+ * Counters for every outbound client, keyed by service name
+ */
+export function getHttpStats() {
+  return Object.fromEntries([...clients].map(([name, client]) => [name, client.getStats()]));
+}
+
+export default { createHttpClient, getHttpStats };
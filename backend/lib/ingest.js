@@ -1,55 +1,264 @@
-import { createEmbedding } from './lightningClient.js';
-import { saveDocument } from './sanityClient.js';
-import { upsertVector } from './redisClient.js';
+import { embedTexts } from './llmProvider.js';
+import { saveDocument, updateDocument } from './documentStore.js';
+import { getWriteIndexes, getVectorDimension, upsertVectors, listVectors, deleteVector, deleteVectors } from './vectorStore.js';
+import { chunkText } from './chunker.js';
+import { indexChunks, removeChunks } from './lexicalIndex.js';
+import { pickLabels } from './documentLabels.js';
+import { DEFAULT_DUPLICATE_ACTION, DUPLICATE_ACTIONS, contentHash, findDuplicate } from './dedupe.js';
 
 /**
- * Ingest a document: extract → embed → store
- * 
+ * Embed a document's chunks for one vector index and store them
+ * Chunks are embedded in batches with the settings the index was built with,
+ * and vectors left over from a previous, longer chunking are removed afterwards.
+ *
+ * @param {Object} doc - Stored document with _id, title, source, labels (collection, tags, author, publishedAt)
+ *   and owner (workspaceId, ownerId)
+ * @param {Array<Object>} chunks - Chunks from chunkText
+ * @param {{name: string, embedding: Object|null}} index - Target index (see vectorStore.getIndexRegistry)
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with (embedded, total) after each embedding batch
+ * @param {Function} options.onDegraded - Called with a reason when chunks get mock embeddings
+ * @returns {Promise<Array<{id: string, vector: number[], metadata: Object}>>} Stored items
+ */
+export async function writeDocumentVectors(doc, chunks, index, { onProgress, onDegraded } = {}) {
+  const { _id: docId, title, source } = doc;
+
+  const embedded = await embedTexts(chunks.map(chunk => chunk.text), {
+    ...index.embedding,
+    mockDimension: await getVectorDimension({ index: index.name }),
+    onDegraded,
+    onProgress,
+  });
+
+  const items = chunks.map((chunk, i) => ({
+    id: `${docId}:${chunk.index}`,
+    vector: embedded[i].embedding,
+    metadata: {
+      docId,
+      title,
+      source,
+      text: chunk.text,
+      chunkIndex: chunk.index,
+      chunkCount: chunks.length,
+      start: chunk.start,
+      end: chunk.end,
+      pageStart: chunk.pageStart,
+      pageEnd: chunk.pageEnd,
+      heading: chunk.heading,
+      embeddingProvider: embedded[i].provider,
+      ...pickLabels(doc),
+      workspaceId: doc.workspaceId ?? null,
+      ownerId: doc.ownerId ?? null,
+    },
+  }));
+
+  await upsertVectors(items, { index: index.name });
+
+  const currentIds = new Set(items.map(item => item.id));
+  const existing = await listVectors({ filter: { docId }, index: index.name });
+  for (const { id } of existing) {
+    if (!currentIds.has(id)) await deleteVector(id, { index: index.name });
+  }
+
+  return items;
+}
+
+/**
+ * Embed a stored document's chunks and write its vectors and keyword index entries
+ * Vectors go to the active index and, while a re-index runs, to the index
+ * being built. The document stays searchable while it is being re-indexed.
+ *
+ * @param {Object} doc - Stored document with _id, title, source and labels (collection, tags, author, publishedAt)
+ * @param {Array<Object>} chunks - Chunks from chunkText
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { stage, percent } as chunks are embedded
+ * @param {Function} options.onDegraded - Called with a reason when chunks get mock embeddings
+ * @returns {Promise<{vectorIds: string[], chunkCount: number}>}
+ */
+export async function indexDocument(doc, chunks, { onProgress = () => {}, onDegraded } = {}) {
+  const { _id: docId } = doc;
+  const indexes = await getWriteIndexes();
+
+  console.log(`🧠 Embedding ${chunks.length} chunks...`);
+  await onProgress({ stage: 'embedding', percent: 20 });
+
+  let items = [];
+  for (const [position, index] of indexes.entries()) {
+    const share = 70 / indexes.length;
+    const stored = await writeDocumentVectors(doc, chunks, index, {
+      onDegraded,
+      onProgress: (embedded, total) => onProgress({ stage: 'embedding', percent: 20 + share * (position + embedded / total) }),
+    });
+    if (position === 0) items = stored;
+  }
+
+  console.log('🔤 Indexing chunks for keyword search...');
+  await onProgress({ stage: 'indexing', percent: 90 });
+  await removeChunks({ docId });
+  await indexChunks(items);
+
+  return {
+    vectorIds: items.map(item => item.id),
+    chunkCount: chunks.length,
+  };
+}
+
+/**
+ * Take a superseded document out of search; the record itself is kept as history
+ */
+async function retireDocument(docId, supersededBy) {
+  await deleteVectors({ docId });
+  await deleteVector(docId);
+  await removeChunks({ docId });
+  await updateDocument(docId, { supersededBy });
+}
+
+/**
+ * Ingest a document: extract → chunk → embed → store vectors and keyword index
+ *
  * @param {string} text - Document text content
  * @param {string} source - Source identifier
- * @returns {Promise<Object>} Result with sanityId and redisId
+ * @param {Object} options - Ingest options
+ * @param {Array<Object>} options.pages - Page offsets into text (PDF), used to locate chunks
+ * @param {Array<Object>} options.sections - Heading sections (DOCX, Markdown, HTML), used to label chunks
+ * @param {string} options.title - Title from the file; defaults to the first line of text
+ * @param {string} options.format - Source format from the extractor, e.g. 'pdf' or 'markdown'
+ * @param {Object} options.metadata - Format-specific metadata (headings, columns, page count...)
+ * @param {string} options.collection - Collection (project) the document belongs to
+ * @param {string[]} options.tags - Free-form tags
+ * @param {string} options.author - Author; defaults to the author found in the file (e.g. Markdown front matter)
+ * @param {string} options.publishedAt - Document date (YYYY-MM-DD)
+ * @param {string} options.workspaceId - Workspace the document belongs to; duplicates are only looked for there
+ * @param {string} options.ownerId - User who ingested the document
+ * @param {string} options.fileHash - SHA-256 of the uploaded file, used to spot repeat uploads
+ * @param {string} options.onDuplicate - 'skip', 'replace' or 'version' when the content is already ingested (default DUPLICATE_ACTION)
+ * @param {number|null} options.nearDuplicateThreshold - Embedding similarity for near-duplicates (default NEAR_DUPLICATE_THRESHOLD; null for exact only)
+ * @param {Function} options.onProgress - Called with { stage: 'saving'|'embedding'|'indexing', percent }
+ * @param {Function} options.onSaved - Called with a newly created document before its chunks are embedded
+ * @param {number} options.chunkSize - Override the configured chunk size
+ * @param {number} options.chunkOverlap - Override the configured chunk overlap
+ * @returns {Promise<Object>} Result with action ('created'|'skipped'|'replaced'|'versioned'), sanityId, vectorIds,
+ *   chunk count, degraded and degradedReasons (mock embeddings were stored) and, for duplicates,
+ *   duplicateOf: { docId, title, source, match: 'exact'|'near', similarity }
  */
-export async function ingestDocument(text, source = 'unknown') {
+export async function ingestDocument(text, source = 'unknown', options = {}) {
   try {
     console.log(`📄 Ingesting document from: ${source}`);
-    
+    const degradedReasons = new Set();
+    const onDegraded = reason => degradedReasons.add(reason);
+
     // 1. Create title and snippet
-    const title = text.split('\n')[0].substring(0, 100) || 'Untitled';
+    const title = (options.title || text.trim().split('\n')[0]).substring(0, 100) || 'Untitled';
     const contentSnippet = text.substring(0, 200) + (text.length > 200 ? '...' : '');
-    
-    // 2. Save to Sanity
-    console.log('💾 Saving to Sanity...');
-    const sanityDoc = await saveDocument({
+
+    // 2. Split into chunks
+    console.log('✂️  Chunking document...');
+    const chunks = chunkText(text, {
+      pages: options.pages,
+      sections: options.sections,
+      chunkSize: options.chunkSize,
+      chunkOverlap: options.chunkOverlap,
+    });
+
+    // 3. Look for the same content already in the library
+    const onDuplicate = options.onDuplicate || DEFAULT_DUPLICATE_ACTION;
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      throw new Error(`Unknown duplicate action "${onDuplicate}". Use one of: ${DUPLICATE_ACTIONS.join(', ')}`);
+    }
+
+    const hash = contentHash(text);
+    const duplicate = await findDuplicate(hash, chunks, {
+      nearDuplicateThreshold: options.nearDuplicateThreshold,
+      workspaceId: options.workspaceId,
+      onDegraded,
+    });
+    const duplicateOf = duplicate && {
+      docId: duplicate.doc._id,
+      title: duplicate.doc.title,
+      source: duplicate.doc.source,
+      match: duplicate.match,
+      similarity: duplicate.similarity,
+    };
+
+    if (duplicate && onDuplicate === 'skip') {
+      console.log(`⏭️  Skipping ${duplicate.match} duplicate of ${duplicate.doc._id}`);
+      return {
+        action: 'skipped',
+        sanityId: duplicate.doc._id,
+        vectorIds: [],
+        chunkCount: duplicate.doc.chunkCount,
+        title: duplicate.doc.title,
+        duplicateOf,
+        degraded: degradedReasons.size > 0,
+        degradedReasons: [...degradedReasons],
+      };
+    }
+
+    // 4. Save to the document store (page and section offsets are kept so the document can be re-indexed)
+    console.log('💾 Saving document...');
+    await options.onProgress?.({ stage: 'saving', percent: 10 });
+    const fields = {
       title,
       contentSnippet,
       fullText: text,
       source,
-    });
-    
-    // 3. Create embedding
-    console.log('🧠 Creating embedding...');
-    const embedding = await createEmbedding(text);
-    
-    // 4. Store vector in Redis
-    console.log('🔍 Storing vector in Redis...');
-    const redisResult = await upsertVector(sanityDoc._id, embedding, {
-      title,
-      source,
-      snippet: contentSnippet,
-    });
-    
+      chunkCount: chunks.length,
+      pageCount: options.pages?.length || null,
+      format: options.format || 'text',
+      metadata: options.metadata || {},
+      collection: options.collection || null,
+      tags: options.tags || [],
+      author: options.author || options.metadata?.author || null,
+      publishedAt: options.publishedAt || null,
+      workspaceId: options.workspaceId || null,
+      ownerId: options.ownerId || null,
+      contentHash: hash,
+      fileHash: options.fileHash || null,
+      pages: options.pages?.map(page => ({ _key: `page-${page.number}`, ...page })),
+      sections: options.sections?.map((section, idx) => ({ _key: `section-${idx}`, ...section })),
+    };
+
+    let action = 'created';
+    let sanityDoc;
+    if (duplicate && onDuplicate === 'replace') {
+      // Same document ID, so stale chunk vectors are cleaned up by indexDocument
+      console.log(`♻️  Replacing ${duplicate.match} duplicate ${duplicate.doc._id}`);
+      action = 'replaced';
+      sanityDoc = await updateDocument(duplicate.doc._id, { ...fields, replacedAt: new Date().toISOString() });
+    } else if (duplicate) {
+      console.log(`🆕 Storing new version of ${duplicate.doc._id}`);
+      action = 'versioned';
+      sanityDoc = await saveDocument({ ...fields, version: (duplicate.doc.version || 1) + 1, previousVersion: duplicate.doc._id });
+      await options.onSaved?.(sanityDoc);
+    } else {
+      sanityDoc = await saveDocument(fields);
+      await options.onSaved?.(sanityDoc);
+    }
+
+    // 5. Embed each chunk and index it
+    const { vectorIds } = await indexDocument(sanityDoc, chunks, { onProgress: options.onProgress, onDegraded });
+
+    if (action === 'versioned') {
+      await retireDocument(duplicate.doc._id, sanityDoc._id);
+    }
+
     console.log('✅ Document ingested successfully');
-    
+
     return {
+      action,
       sanityId: sanityDoc._id,
-      redisId: redisResult.id,
+      vectorIds,
+      chunkCount: chunks.length,
       title,
+      ...(duplicateOf && { duplicateOf }),
+      degraded: degradedReasons.size > 0,
+      degradedReasons: [...degradedReasons],
     };
-    
+
   } catch (error) {
     console.error('Ingest pipeline error:', error);
     throw new Error(`Failed to ingest document: ${error.message}`);
   }
 }
 
-export default { ingestDocument };
+export default { ingestDocument, indexDocument, writeDocumentVectors };
@@ -0,0 +1,234 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { dataPath } from './fileStore.js';
+import { enqueueJob, getJob, updateJob } from './jobQueue.js';
+import { extractFile, identifyFile } from './extractors.js';
+import { isZipFile, unpackZip } from './archive.js';
+import { searchDocuments } from './documentStore.js';
+import { DEFAULT_DUPLICATE_ACTION } from './dedupe.js';
+import { ingestDocument } from './ingest.js';
+import { deleteLibraryDocument } from './library.js';
+
+// Uploaded files wait here until a worker picks up their job
+const UPLOAD_DIR = dataPath(process.env.UPLOAD_DIR || 'uploads');
+
+/**
+ * SHA-256 of a file's bytes
+ */
+export function hashFile(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Queue a file or pasted text for ingestion
+ * Files are spooled to disk so large uploads are not kept in the queue itself.
+ *
+ * @param {Object} request
+ * @param {Object} request.file - { buffer, filename, mimetype }
+ * @param {string} request.text - Pasted text (when no file)
+ * @param {string} request.source - Source identifier
+ * @param {Object} request.options - Duplicate handling ({ onDuplicate, nearDuplicateThreshold }), labels ({ collection, tags, author, publishedAt })
+ *   and owner ({ workspaceId, ownerId })
+ * @returns {Promise<Object>} Queued job
+ */
+export async function enqueueIngest({ file, text, source, options = {} }) {
+  try {
+    if (!file) {
+      return await enqueueJob('ingest', { source, text, options }, { workspaceId: options.workspaceId });
+    }
+
+    await fs.mkdir(UPLOAD_DIR, { recursive: true });
+    const filePath = path.join(UPLOAD_DIR, `${randomUUID()}${path.extname(file.filename).toLowerCase()}`);
+    await fs.writeFile(filePath, file.buffer);
+
+    return await enqueueJob('ingest', {
+      source,
+      filename: file.filename,
+      mimetype: file.mimetype,
+      filePath,
+      fileHash: file.hash || hashFile(file.buffer),
+      options,
+    }, { workspaceId: options.workspaceId });
+  } catch (error) {
+    console.error('Ingest enqueue error:', error);
+    throw new Error(`Failed to queue document: ${error.message}`);
+  }
+}
+
+/**
+ * Expand uploads into the files to ingest, unpacking ZIP archives
+ * Files inside an archive keep their path as the source, e.g. "papers.zip/2023/study.pdf".
+ *
+ * @returns {Promise<Array<Object>>} Files ({ buffer, filename, mimetype, source }), or { source, error } for archives that could not be read
+ */
+async function expandUploads(files) {
+  const expanded = [];
+
+  for (const file of files) {
+    if (!isZipFile(file)) {
+      expanded.push({ ...file, source: file.filename });
+      continue;
+    }
+
+    try {
+      const entries = await unpackZip(file.buffer);
+      if (entries.length === 0) {
+        expanded.push({ source: file.filename, error: 'ZIP archive is empty' });
+      }
+      for (const entry of entries) {
+        expanded.push({
+          buffer: entry.buffer,
+          filename: entry.filename,
+          mimetype: 'application/octet-stream',
+          source: `${file.filename}/${entry.path}`,
+        });
+      }
+    } catch (error) {
+      expanded.push({ source: file.filename, error: error.message });
+    }
+  }
+
+  return expanded;
+}
+
+/**
+ * Queue many uploaded files at once
+ * Each file (or file inside a ZIP archive) is validated, checked against
+ * earlier files in the batch by file hash, and queued as its own job. When
+ * duplicates are skipped, files already ingested byte-for-byte are skipped
+ * here too; other duplicates are resolved by the job (see ingestDocument).
+ *
+ * @param {Array<Object>} files - Uploads ({ buffer, filename, mimetype })
+ * @param {Object} options - Duplicate handling and labels, applied to every file (see enqueueIngest)
+ * @returns {Promise<Array<Object>>} One result per file, in upload order:
+ *   { source, filename, status: 'queued', jobId } |
+ *   { source, filename, status: 'skipped', reason, duplicateOf: { docId?, source } } |
+ *   { source, filename, status: 'failed', reason }
+ */
+export async function enqueueBatch(files, options = {}) {
+  const results = [];
+  const seen = new Map();
+  const skipExisting = (options.onDuplicate || DEFAULT_DUPLICATE_ACTION) === 'skip';
+
+  for (const file of await expandUploads(files)) {
+    const result = { source: file.source, filename: file.filename || file.source };
+
+    if (file.error) {
+      results.push({ ...result, status: 'failed', reason: file.error });
+      continue;
+    }
+    if (isZipFile(file)) {
+      results.push({ ...result, status: 'failed', reason: 'Nested archives are not supported' });
+      continue;
+    }
+    if (file.buffer.length === 0) {
+      results.push({ ...result, status: 'failed', reason: 'Empty content' });
+      continue;
+    }
+    const { error: typeError } = identifyFile(file);
+    if (typeError) {
+      results.push({ ...result, status: 'failed', reason: typeError });
+      continue;
+    }
+
+    const hash = hashFile(file.buffer);
+    if (seen.has(hash)) {
+      results.push({ ...result, status: 'skipped', reason: 'duplicate', duplicateOf: { source: seen.get(hash) } });
+      continue;
+    }
+    seen.set(hash, file.source);
+
+    try {
+      const [existing] = skipExisting
+        ? (await searchDocuments({ fileHash: hash, workspaceId: options.workspaceId })).filter(doc => !doc.supersededBy)
+        : [];
+      if (existing) {
+        results.push({
+          ...result,
+          status: 'skipped',
+          reason: 'duplicate',
+          duplicateOf: { docId: existing._id, title: existing.title, source: existing.source, match: 'exact', similarity: 1 },
+        });
+        continue;
+      }
+
+      const job = await enqueueIngest({ file: { ...file, hash }, source: file.source, options });
+      results.push({ ...result, status: 'queued', jobId: job.id, statusUrl: `/api/jobs/${job.id}` });
+    } catch (error) {
+      results.push({ ...result, status: 'failed', reason: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Remove a document left half-ingested by a failed attempt
+ */
+async function discardPartialDocument(docId) {
+  console.log(`🧹 Discarding partially ingested document ${docId}`);
+  await deleteLibraryDocument(docId);
+}
+
+/**
+ * Job handler: extract → chunk → save → embed → index, reporting each stage
+ */
+export const ingestJobHandler = {
+  async run(job, reportProgress) {
+    const { input } = job;
+
+    // A retry starts over, so drop whatever the previous attempt stored
+    if (job.savedDocId) {
+      await discardPartialDocument(job.savedDocId);
+      await updateJob(job.id, { savedDocId: null });
+    }
+
+    await reportProgress({ stage: 'extracting', percent: 0 });
+    let extracted = { format: 'text', text: input.text || '' };
+    if (input.filePath) {
+      const buffer = await fs.readFile(input.filePath);
+      extracted = await extractFile({ buffer, filename: input.filename, mimetype: input.mimetype });
+    }
+
+    if (!extracted.text.trim()) {
+      throw new Error('Empty content');
+    }
+
+    const result = await ingestDocument(extracted.text, input.source, {
+      pages: extracted.pages,
+      sections: extracted.sections,
+      title: extracted.title,
+      format: extracted.format,
+      metadata: extracted.metadata,
+      fileHash: input.fileHash,
+      ...input.options,
+      onProgress: reportProgress,
+      onSaved: (doc) => updateJob(job.id, { savedDocId: doc._id }),
+    });
+
+    return {
+      action: result.action,
+      duplicateOf: result.duplicateOf ?? null,
+      sanityId: result.sanityId,
+      vectorIds: result.vectorIds,
+      chunkCount: result.chunkCount,
+      title: result.title,
+      format: extracted.format,
+      degraded: result.degraded,
+      degradedReasons: result.degradedReasons,
+    };
+  },
+
+  async cleanup(job) {
+    const finished = await getJob(job.id);
+    if (finished?.status === 'failed' && finished.savedDocId) {
+      await discardPartialDocument(finished.savedDocId);
+    }
+    if (job.input.filePath) {
+      await fs.rm(job.input.filePath, { force: true });
+    }
+  },
+};
+
+export default { hashFile, enqueueIngest, enqueueBatch, ingestJobHandler };
@@ -0,0 +1,181 @@
+import { randomUUID } from 'crypto';
+import dotenv from 'dotenv';
+import * as redisStore from './redisJobStore.js';
+import * as memoryStore from './memoryJobStore.js';
+
+dotenv.config();
+
+const adapters = {
+  redis: redisStore,
+  memory: memoryStore,
+};
+
+// Default to Redis when it is configured, otherwise keep jobs in-process
+const JOB_QUEUE = (process.env.JOB_QUEUE || (process.env.REDIS_URL ? 'redis' : 'memory')).toLowerCase();
+
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = Number(process.env.JOB_RETRY_DELAY_MS) || 2000;
+
+// Network failures, timeouts, rate limits and 5xx responses are worth retrying
+const TRANSIENT_ERROR = /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|EPIPE|socket hang up|fetch failed|network|timed? ?out|rate limit|too many requests|circuit open|\b(429|502|503|504)\b/i;
+
+/**
+ * Resolve the configured job store adapter
+ */
+function getAdapter() {
+  const adapter = adapters[JOB_QUEUE];
+  if (!adapter) {
+    throw new Error(`Unknown JOB_QUEUE "${JOB_QUEUE}". Use one of: ${Object.keys(adapters).join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Name of the active job store adapter
+ */
+export function getJobQueueName() {
+  return JOB_QUEUE;
+}
+
+/**
+ * Whether an error is likely to succeed on retry
+ * Errors flagged `permanent` (e.g. a refused URL) never are, whatever their message says.
+ */
+export function isTransientError(error) {
+  if (error?.permanent) return false;
+  return TRANSIENT_ERROR.test(error?.message || '') || TRANSIENT_ERROR.test(error?.code || '');
+}
+
+/**
+ * Create a job and put it on the queue
+ *
+ * @param {string} type - Job type, selects the handler (e.g. 'ingest')
+ * @param {Object} input - Handler input, stored with the job
+ * @param {Object} options - { maxAttempts, workspaceId } — the workspace whose members may see the job
+ * @returns {Promise<Object>} Created job
+ */
+export async function enqueueJob(type, input, { maxAttempts = MAX_ATTEMPTS, workspaceId = null } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    type,
+    status: 'queued',
+    stage: 'queued',
+    percent: 0,
+    attempts: 0,
+    maxAttempts,
+    workspaceId,
+    errors: [],
+    input,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await getAdapter().saveJob(job);
+  await getAdapter().enqueue(job.id);
+  console.log(`📥 Queued ${type} job ${job.id}`);
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @returns {Promise<Object|null>} Job, or null if it does not exist
+ */
+export function getJob(id) {
+  return getAdapter().getJob(id);
+}
+
+/**
+ * Merge fields into a stored job
+ * @returns {Promise<Object|null>} Updated job, or null if it no longer exists
+ */
+export async function updateJob(id, fields) {
+  const job = await getAdapter().getJob(id);
+  if (!job) {
+    return null;
+  }
+  return getAdapter().saveJob({ ...job, ...fields, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Claim the next due job and mark it running
+ * @returns {Promise<Object|null>} Job, or null when the queue is empty
+ */
+export async function claimNextJob() {
+  const job = await getAdapter().claimNext();
+  if (!job) {
+    return null;
+  }
+  return updateJob(job.id, {
+    status: 'running',
+    attempts: job.attempts + 1,
+    startedAt: job.startedAt || new Date().toISOString(),
+  });
+}
+
+/**
+ * Record a job's result
+ */
+export async function completeJob(id, result) {
+  const job = await updateJob(id, {
+    status: 'completed',
+    stage: 'done',
+    percent: 100,
+    result,
+    finishedAt: new Date().toISOString(),
+  });
+  await getAdapter().release(id);
+  return job;
+}
+
+/**
+ * Record a failed attempt, scheduling a retry with exponential backoff when
+ * the error is transient and attempts remain
+ *
+ * @returns {Promise<{job: Object, willRetry: boolean}>}
+ */
+export async function failJob(job, error) {
+  const willRetry = isTransientError(error) && job.attempts < job.maxAttempts;
+  const errors = [...job.errors, { attempt: job.attempts, message: error.message, at: new Date().toISOString() }];
+
+  let updated;
+  if (willRetry) {
+    const runAt = Date.now() + RETRY_DELAY_MS * 2 ** (job.attempts - 1);
+    updated = await updateJob(job.id, { status: 'queued', errors, retryAt: new Date(runAt).toISOString() });
+    await getAdapter().enqueue(job.id, runAt);
+  } else {
+    updated = await updateJob(job.id, { status: 'failed', errors, error: error.message, finishedAt: new Date().toISOString() });
+  }
+
+  await getAdapter().release(job.id);
+  return { job: updated, willRetry };
+}
+
+/**
+ * Requeue jobs left running by a previous process
+ */
+export function recoverJobs() {
+  return getAdapter().recover();
+}
+
+/**
+ * Job fields safe to return from the API (input payloads stay server-side)
+ */
+export function toPublicJob(job) {
+  const { input, ...fields } = job;
+  return { ...fields, source: input?.source ?? null };
+}
+
+export default {
+  getJobQueueName,
+  isTransientError,
+  enqueueJob,
+  getJob,
+  updateJob,
+  claimNextJob,
+  completeJob,
+  failJob,
+  recoverJobs,
+  toPublicJob,
+};
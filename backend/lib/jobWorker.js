@@ -0,0 +1,110 @@
+import dotenv from 'dotenv';
+import { claimNextJob, completeJob, failJob, recoverJobs, updateJob } from './jobQueue.js';
+
+dotenv.config();
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+const CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 1);
+
+const handlers = {};
+let running = false;
+let loops = [];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Register the handler for a job type
+ *
+ * @param {string} type - Job type
+ * @param {Object} handler
+ * @param {(job: Object, reportProgress: Function) => Promise<Object>} handler.run - Does the work, returns the job result
+ * @param {(job: Object) => Promise<void>} handler.cleanup - Called once the job completes or fails for good
+ */
+export function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Progress reporter that only writes when the stage or whole percent changes
+ */
+function createProgressReporter(job) {
+  let last = { stage: job.stage, percent: job.percent };
+
+  return async ({ stage = last.stage, percent = last.percent }) => {
+    const rounded = Math.min(100, Math.max(0, Math.round(percent)));
+    if (stage === last.stage && rounded === last.percent) return;
+    last = { stage, percent: rounded };
+    await updateJob(job.id, last);
+  };
+}
+
+/**
+ * Run one claimed job through its handler
+ */
+async function runJob(job) {
+  const handler = handlers[job.type];
+  console.log(`⚙️  Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    const result = await handler.run(job, createProgressReporter(job));
+    await completeJob(job.id, result);
+    console.log(`✅ Job ${job.id} completed`);
+    await handler.cleanup?.(job);
+  } catch (error) {
+    const { willRetry } = await failJob(job, error);
+    console.error(`❌ Job ${job.id} failed${willRetry ? ', will retry' : ''}:`, error.message);
+    if (!willRetry) await handler?.cleanup?.(job);
+  }
+}
+
+/**
+ * Poll for due jobs until the worker is stopped
+ */
+async function workLoop() {
+  while (running) {
+    try {
+      const job = await claimNextJob();
+      if (job) {
+        await runJob(job);
+      } else {
+        await sleep(POLL_INTERVAL_MS);
+      }
+    } catch (error) {
+      console.error('Job worker error:', error);
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Start processing queued jobs in this process
+ */
+export async function startJobWorker() {
+  if (running) return;
+  running = true;
+
+  try {
+    const recovered = await recoverJobs();
+    if (recovered > 0) console.log(`♻️  Requeued ${recovered} interrupted jobs`);
+  } catch (error) {
+    console.error('Job recovery error:', error);
+  }
+
+  loops = Array.from({ length: CONCURRENCY }, () => workLoop());
+  console.log(`👷 Job worker started (concurrency ${CONCURRENCY})`);
+}
+
+/**
+ * Stop polling and wait for running jobs to finish
+ */
+export async function stopJobWorker() {
+  running = false;
+  await Promise.all(loops);
+  loops = [];
+}
+
+export default { registerJobHandler, startJobWorker, stopJobWorker };
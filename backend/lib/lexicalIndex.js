@@ -0,0 +1,342 @@
+import dotenv from 'dotenv';
+import * as redisStore from './redisLexicalStore.js';
+import * as memoryStore from './memoryLexicalStore.js';
+import { matchesFilter } from './filters.js';
+import { getVectorStoreName, listVectors } from './vectorStore.js';
+
+dotenv.config();
+
+// The index is kept next to the vectors, so processes sharing a Redis vector store share it too
+const adapters = {
+  redis: redisStore,
+  memory: memoryStore,
+};
+
+// BM25 parameters: k1 controls term-frequency saturation, b length normalization
+const BM25_K1 = Number(process.env.BM25_K1) || 1.2;
+const BM25_B = Number(process.env.BM25_B ?? 0.75);
+
+// Changes are appended to a log; once it holds this many (and at least one per
+// indexed chunk) a new snapshot is written and the log emptied
+const COMPACT_AFTER = Number(process.env.LEXICAL_COMPACT_AFTER) || 1000;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'what', 'which', 'with',
+]);
+
+// id → { length, terms: { term: frequency }, metadata }
+let entries = null;
+// term → Set of ids
+let postings = null;
+let totalLength = 0;
+// Position in the change log the in-memory index is up to
+let cursor = null;
+// Changes applied since the snapshot was read or written
+let pendingChanges = 0;
+let loading = null;
+let writeChain = Promise.resolve();
+
+/**
+ * Resolve the change log adapter for the configured vector store
+ */
+function getAdapter() {
+  const adapter = adapters[getVectorStoreName()];
+  if (!adapter) {
+    throw new Error(`Unknown VECTOR_STORE "${getVectorStoreName()}". Use one of: ${Object.keys(adapters).join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Split text into lowercase search terms
+ * Keeps identifiers such as "BRCA1", "E_ACCESS" or "0x80070005" intact.
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms, in order, stop words removed
+ */
+export function tokenize(text = '') {
+  const tokens = text.toLowerCase().match(/[\p{L}\p{N}]+(?:[_.-][\p{L}\p{N}]+)*/gu) || [];
+  const terms = [];
+
+  for (const token of tokens) {
+    if (STOP_WORDS.has(token)) continue;
+    terms.push(token);
+
+    // Also index the parts of compound tokens so "covid-19" matches "covid"
+    if (/[_.-]/.test(token)) {
+      terms.push(...token.split(/[_.-]/).filter(part => part && !STOP_WORDS.has(part)));
+    }
+  }
+
+  return terms;
+}
+
+function addPostings(id, entry) {
+  for (const term of Object.keys(entry.terms)) {
+    if (!postings.has(term)) postings.set(term, new Set());
+    postings.get(term).add(id);
+  }
+  totalLength += entry.length;
+}
+
+function removePostings(id, entry) {
+  for (const term of Object.keys(entry.terms)) {
+    const ids = postings.get(term);
+    if (!ids) continue;
+    ids.delete(id);
+    if (ids.size === 0) postings.delete(term);
+  }
+  totalLength -= entry.length;
+}
+
+/**
+ * Build an index entry from chunk text
+ */
+function toEntry(text, metadata) {
+  const terms = {};
+  const tokens = tokenize(text);
+  for (const term of tokens) {
+    terms[term] = (terms[term] || 0) + 1;
+  }
+  return { length: tokens.length, terms, metadata };
+}
+
+/**
+ * Replace the in-memory index with a set of entries
+ */
+function resetIndex(stored = {}) {
+  entries = new Map();
+  postings = new Map();
+  totalLength = 0;
+  pendingChanges = 0;
+  for (const [id, entry] of Object.entries(stored)) {
+    entries.set(id, entry);
+    addPostings(id, entry);
+  }
+}
+
+/**
+ * Apply a logged change: { set?: { id: entry }, remove?: [id] }
+ * Setting or removing an ID twice gives the same result, so replaying a change is safe.
+ */
+function applyChange(change) {
+  for (const [id, entry] of Object.entries(change.set || {})) {
+    if (entries.has(id)) removePostings(id, entries.get(id));
+    entries.set(id, entry);
+    addPostings(id, entry);
+    pendingChanges++;
+  }
+  for (const id of change.remove || []) {
+    const entry = entries.get(id);
+    if (!entry) continue;
+    removePostings(id, entry);
+    entries.delete(id);
+    pendingChanges++;
+  }
+}
+
+/**
+ * Run index updates one at a time, so log writes never interleave
+ */
+function serialize(task) {
+  const run = writeChain.catch(() => {}).then(task);
+  writeChain = run;
+  return run;
+}
+
+/**
+ * Load the snapshot into memory
+ * @returns {Promise<boolean>} Whether a snapshot exists
+ */
+async function loadSnapshot() {
+  const snapshot = await getAdapter().readSnapshot();
+  if (!snapshot) return false;
+  resetIndex(snapshot.entries);
+  cursor = snapshot.cursor;
+  return true;
+}
+
+/**
+ * Apply changes logged since the cursor, including those made by other processes
+ */
+async function catchUp() {
+  const { changes, cursor: next, stale } = await getAdapter().readChanges(cursor);
+  if (stale) {
+    await loadSnapshot();
+    return catchUp();
+  }
+  changes.forEach(applyChange);
+  cursor = next;
+}
+
+/**
+ * Write a snapshot once the log has grown past COMPACT_AFTER changes and the index size,
+ * so rewriting the index costs at most one write per logged change
+ */
+async function compactIfNeeded() {
+  if (pendingChanges < Math.max(COMPACT_AFTER, entries.size)) return;
+  await catchUp();
+  if (await getAdapter().writeSnapshot(Object.fromEntries(entries), cursor)) {
+    pendingChanges = 0;
+    console.log(`✓ Compacted keyword index (${entries.size} chunks)`);
+  }
+}
+
+/**
+ * Log a change and apply it, after any changes other processes logged before it
+ */
+function commit(change) {
+  return serialize(async () => {
+    const { changes, cursor: next, stale } = await getAdapter().appendChange(change, cursor);
+    if (stale) {
+      // A newer snapshot was written; reload it and replay the log, this change included
+      await loadSnapshot();
+      await catchUp();
+    } else {
+      changes.forEach(applyChange);
+      applyChange(change);
+      cursor = next;
+    }
+    await compactIfNeeded();
+  });
+}
+
+/**
+ * Load the index: the latest snapshot plus the changes logged after it
+ * When there is no snapshot yet it is built from the chunk text already in the vector store.
+ */
+async function loadIndex() {
+  if (!(await loadSnapshot())) {
+    await rebuildLexicalIndex();
+    return;
+  }
+  await catchUp();
+  console.log(`✓ Loaded ${entries.size} chunks into the keyword index`);
+}
+
+/**
+ * Load the index on first use, sharing one load between concurrent callers,
+ * then apply any changes logged since
+ */
+async function getEntries() {
+  if (!loading) {
+    loading = loadIndex().catch(error => {
+      loading = null;
+      throw error;
+    });
+  }
+  await loading;
+  await serialize(catchUp);
+  return entries;
+}
+
+/**
+ * Rebuild the keyword index from the chunks stored in the vector store
+ * @returns {Promise<number>} Number of chunks indexed
+ */
+export function rebuildLexicalIndex() {
+  return serialize(async () => {
+    console.log('🔤 Building keyword index from stored vectors...');
+    // Changes logged while the vectors are read are replayed on top of the snapshot
+    const from = await getAdapter().getCursor();
+    const vectors = await listVectors();
+
+    const rebuilt = {};
+    for (const { id, metadata } of vectors) {
+      if (!metadata?.text) continue;
+      rebuilt[id] = toEntry(metadata.text, metadata);
+    }
+
+    resetIndex(rebuilt);
+    cursor = from;
+    await getAdapter().writeSnapshot(rebuilt, cursor);
+    console.log(`✓ Indexed ${entries.size} chunks for keyword search`);
+    return entries.size;
+  }).catch(error => {
+    console.error('Keyword index rebuild error:', error);
+    throw new Error(`Failed to rebuild keyword index: ${error.message}`);
+  });
+}
+
+/**
+ * Add or replace chunks in the keyword index
+ * @param {Array<{id: string, metadata: Object}>} items - Chunks; text is read from metadata.text
+ */
+export async function indexChunks(items) {
+  try {
+    await getEntries();
+    const set = Object.fromEntries(items.map(({ id, metadata = {} }) => [id, toEntry(metadata.text || '', metadata)]));
+    await commit({ set });
+    console.log(`✓ Indexed ${items.length} chunks for keyword search`);
+  } catch (error) {
+    console.error('Keyword index error:', error);
+    throw new Error(`Failed to index chunks: ${error.message}`);
+  }
+}
+
+/**
+ * Remove every chunk matching a metadata filter from the keyword index
+ * @returns {Promise<number>} Number of chunks removed
+ */
+export async function removeChunks(filter = {}) {
+  try {
+    const store = await getEntries();
+    const ids = [...store].filter(([, entry]) => matchesFilter(entry.metadata, filter)).map(([id]) => id);
+
+    if (ids.length > 0) await commit({ remove: ids });
+    return ids.length;
+  } catch (error) {
+    console.error('Keyword index delete error:', error);
+    throw new Error(`Failed to remove chunks from keyword index: ${error.message}`);
+  }
+}
+
+/**
+ * Rank chunks against a query with BM25
+ *
+ * @param {string} query - Search text
+ * @param {number} k - Number of results to return
+ * @param {Object} filter - Metadata filter
+ * @returns {Promise<Array>} Results with { id, score, metadata, matchedTerms }
+ */
+export async function searchKeyword(query, k = 3, filter = {}) {
+  try {
+    const store = await getEntries();
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || store.size === 0) {
+      return [];
+    }
+
+    const averageLength = totalLength / store.size || 1;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const ids = postings.get(term);
+      if (!ids) continue;
+
+      const idf = Math.log(1 + (store.size - ids.size + 0.5) / (ids.size + 0.5));
+
+      for (const id of ids) {
+        const entry = store.get(id);
+        if (!matchesFilter(entry.metadata, filter)) continue;
+
+        const tf = entry.terms[term];
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (entry.length / averageLength));
+        const result = scores.get(id) || { id, score: 0, metadata: entry.metadata, matchedTerms: [] };
+        result.score += idf * ((tf * (BM25_K1 + 1)) / norm);
+        result.matchedTerms.push(term);
+        scores.set(id, result);
+      }
+    }
+
+    return [...scores.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  } catch (error) {
+    console.error('Keyword search error:', error);
+    throw new Error(`Failed to search keyword index: ${error.message}`);
+  }
+}
+
+export default { tokenize, indexChunks, removeChunks, searchKeyword, rebuildLexicalIndex };
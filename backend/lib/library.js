@@ -0,0 +1,176 @@
+import { getDocument, listDocuments, updateDocument, deleteDocument } from './documentStore.js';
+import { countVectors, deleteVector, deleteVectors } from './vectorStore.js';
+import { removeChunks } from './lexicalIndex.js';
+import { chunkText } from './chunker.js';
+import { indexDocument } from './ingest.js';
+import { contentHash } from './dedupe.js';
+
+const DOC_TYPE = 'researchDoc';
+
+/**
+ * Summary fields for listings (full text is only returned for a single document)
+ */
+function toSummary(doc) {
+  const { fullText, pages, sections, ...summary } = doc;
+  return summary;
+}
+
+/**
+ * List ingested documents, newest first
+ *
+ * @param {Object} options
+ * @param {string} options.source - Only documents from this source
+ * @param {string} options.collection - Only documents in this collection
+ * @param {string} options.tag - Only documents with this tag
+ * @param {string} options.from - Only documents created at or after this ISO date
+ * @param {string} options.to - Only documents created at or before this ISO date
+ * @param {string} options.workspaceId - Only documents in this workspace
+ * @param {number} options.offset - Documents to skip
+ * @param {number} options.limit - Maximum documents to return
+ * @returns {Promise<{documents: Array<Object>, total: number}>}
+ */
+export async function listLibrary({ source, collection, tag, from, to, workspaceId, offset = 0, limit = 20 } = {}) {
+  try {
+    const filter = { source, collection, tags: tag ? [tag] : undefined, workspaceId };
+    if (from || to) {
+      filter.createdAt = { gte: from, lte: to };
+    }
+
+    const { documents, total } = await listDocuments({ type: DOC_TYPE, filter, offset, limit });
+    return { documents: documents.map(toSummary), total };
+  } catch (error) {
+    console.error('Document library list error:', error);
+    throw new Error(`Failed to list documents: ${error.message}`);
+  }
+}
+
+/**
+ * Collections, tags and authors in use, with document counts, for filter pickers
+ * Superseded versions are not counted since they are no longer searchable.
+ *
+ * @param {Object} options - { workspaceId } to only count documents in that workspace
+ * @returns {Promise<{collections: Array<{name: string, count: number}>, tags: Array<{name: string, count: number}>, authors: Array<{name: string, count: number}>}>}
+ */
+export async function getLibraryFacets({ workspaceId } = {}) {
+  try {
+    const counts = { collections: new Map(), tags: new Map(), authors: new Map() };
+    const increment = (map, name) => name && map.set(name, (map.get(name) || 0) + 1);
+    const pageSize = 200;
+
+    for (let offset = 0; ; offset += pageSize) {
+      const { documents } = await listDocuments({ type: DOC_TYPE, filter: { workspaceId }, offset, limit: pageSize });
+      for (const doc of documents) {
+        if (doc.supersededBy) continue;
+        increment(counts.collections, doc.collection);
+        (doc.tags || []).forEach(tag => increment(counts.tags, tag));
+        increment(counts.authors, doc.author);
+      }
+      if (documents.length < pageSize) break;
+    }
+
+    const toList = (map) => [...map]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+    return {
+      collections: toList(counts.collections),
+      tags: toList(counts.tags),
+      authors: toList(counts.authors),
+    };
+  } catch (error) {
+    console.error('Document library facets error:', error);
+    throw new Error(`Failed to list collections and tags: ${error.message}`);
+  }
+}
+
+/**
+ * Get an ingested document with its full text and indexed chunk count
+ * @returns {Promise<Object|null>} Document, or null if it does not exist
+ */
+export async function getLibraryDocument(docId) {
+  try {
+    const doc = await getDocument(docId);
+    if (!doc || doc._type !== DOC_TYPE) {
+      return null;
+    }
+
+    const { pages, sections, ...fields } = doc;
+    return { ...fields, vectorCount: await countVectors({ docId }) };
+  } catch (error) {
+    console.error('Document library fetch error:', error);
+    throw new Error(`Failed to fetch document: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a document together with its vectors and keyword index entries
+ * The index is cleared first, so a failure never leaves vectors pointing at a
+ * deleted document; retrying the delete finishes the job.
+ *
+ * @returns {Promise<{vectorsDeleted: number}>}
+ */
+export async function deleteLibraryDocument(docId) {
+  try {
+    const vectorsDeleted = await deleteVectors({ docId });
+    // Documents ingested before chunking stored one vector under the document ID
+    await deleteVector(docId);
+    await removeChunks({ docId });
+    await deleteDocument(docId);
+
+    console.log(`🗑️  Deleted document ${docId} and ${vectorsDeleted} vectors`);
+    return { vectorsDeleted };
+  } catch (error) {
+    console.error('Document library delete error:', error);
+    throw new Error(`Failed to delete document: ${error.message}`);
+  }
+}
+
+/**
+ * Re-chunk and re-embed a stored document with the current settings
+ *
+ * @param {string} docId - Document ID
+ * @param {Object} options - { chunkSize, chunkOverlap }
+ * @returns {Promise<{vectorIds: string[], chunkCount: number, degraded: boolean, degradedReasons: string[]}|null>}
+ *   Result, or null if the document does not exist
+ */
+export async function reindexLibraryDocument(docId, options = {}) {
+  try {
+    const doc = await getDocument(docId);
+    if (!doc || doc._type !== DOC_TYPE) {
+      return null;
+    }
+
+    console.log(`♻️  Re-indexing document ${docId}`);
+    const chunks = chunkText(doc.fullText || '', {
+      pages: doc.pages,
+      sections: doc.sections,
+      chunkSize: options.chunkSize,
+      chunkOverlap: options.chunkOverlap,
+    });
+
+    const degradedReasons = new Set();
+    const result = await indexDocument(doc, chunks, { onDegraded: reason => degradedReasons.add(reason) });
+    // Drop a legacy whole-document vector now that chunk vectors exist
+    await deleteVector(doc._id);
+    await updateDocument(doc._id, {
+      chunkCount: result.chunkCount,
+      // Backfills the hash for documents ingested before duplicate detection
+      contentHash: contentHash(doc.fullText || ''),
+      reindexedAt: new Date().toISOString(),
+    });
+
+    console.log('✅ Document re-indexed successfully');
+    return { ...result, degraded: degradedReasons.size > 0, degradedReasons: [...degradedReasons] };
+  } catch (error) {
+    console.error('Document library reindex error:', error);
+    throw new Error(`Failed to re-index document: ${error.message}`);
+  }
+}
+
+export default {
+  listLibrary,
+  getLibraryFacets,
+  getLibraryDocument,
+  deleteLibraryDocument,
+  reindexLibraryDocument,
+};
@@ -0,0 +1,489 @@
+import dotenv from 'dotenv';
+import * as lightningProvider from './lightningClient.js';
+import * as openaiProvider from './openaiClient.js';
+import * as mockProvider from './mockLlm.js';
+import { getModelSettings } from './openaiCompatible.js';
+import { cacheEmbeddings, getCachedEmbeddings } from './embeddingCache.js';
+import { scorePassages } from './localReranker.js';
+
+dotenv.config();
+
+const adapters = {
+  lightning: lightningProvider,
+  openai: openaiProvider,
+  mock: mockProvider,
+};
+
+export const PROVIDERS = Object.keys(adapters);
+
+// Default to Lightning when it has a key, then a configured OpenAI-compatible endpoint, otherwise mock output
+const LLM_PROVIDER = (
+  process.env.LLM_PROVIDER
+  || (process.env.LIGHTNING_API_KEY ? 'lightning' : process.env.OPENAI_BASE_URL ? 'openai' : 'mock')
+).toLowerCase();
+
+// Embeddings can come from a different provider than answers (e.g. a local embedding model)
+const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || LLM_PROVIDER).toLowerCase();
+
+// Expected embedding length; mock embeddings are generated at this size
+const EMBEDDING_DIMENSION = Number(process.env.EMBEDDING_DIMENSION) || null;
+
+// Limits for one embeddings request: number of inputs, and estimated tokens across them
+const EMBEDDING_BATCH_SIZE = Number(process.env.EMBEDDING_BATCH_SIZE) || 64;
+const EMBEDDING_BATCH_TOKENS = Number(process.env.EMBEDDING_BATCH_TOKENS) || 8000;
+
+/**
+ * How retrieved passages are re-scored against the question:
+ * - none:  keep the retrieval scores
+ * - local: cross-encoder-style term matching, no model calls (see localReranker.js)
+ * - llm:   the answer LLM rates each passage
+ */
+export const RERANKERS = ['none', 'local', 'llm'];
+
+const RERANKER = (process.env.RERANKER || 'none').toLowerCase();
+
+// Characters of each passage shown to the LLM reranker
+const RERANK_PASSAGE_CHARS = Number(process.env.RERANK_PASSAGE_CHARS) || 600;
+
+/**
+ * What happens when a provider call fails:
+ * - fail:  return the error
+ * - mock:  answer with mock output and report the response as degraded
+ * - retry: retry transient failures with exponential backoff, then return the error
+ *          (through the HTTP client, in place of its own HTTP_RETRIES)
+ */
+export const FALLBACK_POLICIES = ['fail', 'mock', 'retry'];
+
+const LLM_FALLBACK = (process.env.LLM_FALLBACK || 'fail').toLowerCase();
+const LLM_RETRIES = Number(process.env.LLM_RETRIES ?? 2);
+const LLM_RETRY_DELAY_MS = Number(process.env.LLM_RETRY_DELAY_MS) || 500;
+
+// How long a fallback to mock output keeps the provider reported as degraded
+const DEGRADED_WINDOW_MS = 5 * 60 * 1000;
+
+// Most recent fallback per component: { at, reason }
+const recentFallbacks = {};
+
+/**
+ * Resolve a configured provider adapter
+ */
+function getAdapter(name, setting) {
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown ${setting} "${name}". Use one of: ${Object.keys(adapters).join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Describe output that did not come from a real provider
+ */
+function mockReason(component) {
+  return component === 'embeddings'
+    ? 'Embeddings are generated by the mock provider, so vector search does not reflect meaning'
+    : 'Answers are generated by the mock provider, not an LLM';
+}
+
+/**
+ * Call a provider, applying LLM_FALLBACK when it fails
+ *
+ * @param {'llm'|'embeddings'} component - Which provider is called
+ * @param {string} provider - Configured provider name
+ * @param {Function} call - Calls the configured provider with the HTTP retry settings to use ({ retries, retryBaseMs },
+ *   or undefined for the service's own)
+ * @param {Function} mockCall - Produces mock output instead
+ * @param {Function} onDegraded - Called with a reason when mock output is returned
+ */
+async function callWithFallback(component, provider, call, mockCall, onDegraded) {
+  if (!FALLBACK_POLICIES.includes(LLM_FALLBACK)) {
+    throw new Error(`Unknown LLM_FALLBACK "${LLM_FALLBACK}". Use one of: ${FALLBACK_POLICIES.join(', ')}`);
+  }
+  if (provider === 'mock') {
+    onDegraded?.(mockReason(component));
+    return mockCall();
+  }
+
+  // Retrying here as well as in the HTTP client would multiply the attempts, so the policy sets the client's budget
+  const retry = LLM_FALLBACK === 'retry' ? { retries: LLM_RETRIES, retryBaseMs: LLM_RETRY_DELAY_MS } : undefined;
+  try {
+    return await call(retry);
+  } catch (error) {
+    if (LLM_FALLBACK !== 'mock') {
+      throw error;
+    }
+
+    const reason = `${component === 'llm' ? 'LLM' : 'Embedding'} provider "${provider}" failed, used mock output instead: ${error.message}`;
+    console.warn(`⚠️  ${reason}`);
+    recentFallbacks[component] = { at: Date.now(), reason };
+    onDegraded?.(reason);
+    return mockCall();
+  }
+}
+
+/**
+ * Reasons output would currently be degraded: mock providers configured, or
+ * a fallback to mock output within the last few minutes
+ *
+ * @returns {string[]} Reasons (empty when providers are healthy)
+ */
+export function getDegradedReasons() {
+  const reasons = [];
+  for (const [component, provider] of [['embeddings', EMBEDDING_PROVIDER], ['llm', LLM_PROVIDER]]) {
+    const fallback = recentFallbacks[component];
+    if (provider === 'mock') {
+      reasons.push(mockReason(component));
+    } else if (fallback && Date.now() - fallback.at < DEGRADED_WINDOW_MS) {
+      reasons.push(fallback.reason);
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Names of the active answer and embedding providers
+ */
+export function getProviderNames() {
+  return { llm: LLM_PROVIDER, embeddings: EMBEDDING_PROVIDER };
+}
+
+/**
+ * Active providers with their model settings, for logs and health checks
+ */
+export function getProviderInfo() {
+  const { model, temperature, maxTokens, embeddingModel } = getModelSettings();
+  return {
+    fallback: LLM_FALLBACK,
+    reranker: RERANKER,
+    llm: LLM_PROVIDER === 'mock'
+      ? { provider: 'mock' }
+      : { provider: LLM_PROVIDER, model, temperature, maxTokens },
+    embeddings: {
+      provider: EMBEDDING_PROVIDER,
+      ...(EMBEDDING_PROVIDER === 'mock' ? {} : { model: embeddingModel }),
+      dimension: EMBEDDING_PROVIDER === 'mock' ? EMBEDDING_DIMENSION || 384 : EMBEDDING_DIMENSION,
+    },
+  };
+}
+
+/**
+ * Provider, model and expected dimension new embeddings are created with
+ */
+export function getEmbeddingSettings() {
+  return {
+    provider: EMBEDDING_PROVIDER,
+    model: EMBEDDING_PROVIDER === 'mock' ? null : getModelSettings().embeddingModel,
+    dimension: EMBEDDING_PROVIDER === 'mock' ? EMBEDDING_DIMENSION || 384 : EMBEDDING_DIMENSION,
+  };
+}
+
+/**
+ * Rough token count: about four characters per token for English text
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Split texts into request-sized batches, keeping their order
+ * A batch ends at EMBEDDING_BATCH_SIZE inputs or EMBEDDING_BATCH_TOKENS
+ * estimated tokens; a text longer than that is sent on its own.
+ *
+ * @returns {number[][]} Positions of the texts in each batch
+ */
+function planBatches(texts) {
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+
+  texts.forEach((text, i) => {
+    const size = estimateTokens(text);
+    if (current.length > 0 && (current.length >= EMBEDDING_BATCH_SIZE || tokens + size > EMBEDDING_BATCH_TOKENS)) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(i);
+    tokens += size;
+  });
+
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * Embed texts in one request with a provider, checking the results against the expected dimension
+ */
+async function embedWith(provider, texts, { model, dimension = EMBEDDING_DIMENSION, retry } = {}) {
+  const adapter = getAdapter(provider, 'EMBEDDING_PROVIDER');
+  // The mock provider generates vectors of the expected length; real providers ignore it
+  const embeddings = adapter.createEmbeddings
+    ? await adapter.createEmbeddings(texts, { model, dimension, retry })
+    : await Promise.all(texts.map(text => adapter.createEmbedding(text, { model, dimension, retry })));
+
+  const mismatch = dimension && embeddings.find(embedding => embedding.length !== dimension);
+  if (mismatch) {
+    throw new Error(
+      `Embedding provider "${provider}" returned ${mismatch.length} dimensions, expected ${dimension}` +
+      (dimension === EMBEDDING_DIMENSION ? ' (EMBEDDING_DIMENSION)' : '')
+    );
+  }
+  return embeddings;
+}
+
+/**
+ * Embed many texts, reusing cached embeddings and batching the rest
+ * Text already embedded with the same provider and model comes from the
+ * embedding cache and is never sent again. LLM_FALLBACK applies per batch;
+ * mock embeddings are not cached.
+ *
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} options
+ * @param {string} options.provider - Embedding provider (default EMBEDDING_PROVIDER)
+ * @param {string} options.model - Embedding model (default EMBEDDING_MODEL)
+ * @param {number} options.dimension - Expected embedding length (default EMBEDDING_DIMENSION)
+ * @param {number} options.mockDimension - Length of mock embeddings when no dimension is expected: pass the
+ *   dimension of the index they will be compared with, so a fallback to mock output still fits it
+ * @param {Function} options.onDegraded - Called with a reason when a batch gets mock embeddings
+ * @param {Function} options.onProgress - Called with (embedded, total) after each batch
+ * @returns {Promise<Array<{embedding: number[], provider: string}>>} One result per text, in input order
+ */
+export async function embedTexts(texts, { provider = EMBEDDING_PROVIDER, model, dimension, mockDimension, onDegraded, onProgress } = {}) {
+  const settings = {
+    model: model || getModelSettings().embeddingModel,
+    dimension: dimension ?? EMBEDDING_DIMENSION,
+  };
+  const mockSettings = { ...settings, dimension: settings.dimension ?? mockDimension };
+  const namespace = `${provider}:${settings.model}`;
+  const results = new Array(texts.length);
+
+  const cached = provider === 'mock' ? texts.map(() => null) : await getCachedEmbeddings(namespace, texts);
+  const pending = [];
+  cached.forEach((embedding, i) => {
+    if (embedding) {
+      results[i] = { embedding, provider };
+    } else {
+      pending.push(i);
+    }
+  });
+
+  let embedded = texts.length - pending.length;
+  for (const batch of planBatches(pending.map(i => texts[i]))) {
+    const positions = batch.map(j => pending[j]);
+    const batchTexts = positions.map(i => texts[i]);
+    let batchProvider = provider;
+
+    const embeddings = await callWithFallback(
+      'embeddings',
+      provider,
+      retry => embedWith(provider, batchTexts, { ...settings, retry }),
+      () => {
+        batchProvider = 'mock';
+        return embedWith('mock', batchTexts, mockSettings);
+      },
+      onDegraded,
+    );
+
+    if (batchProvider !== 'mock') {
+      await cacheEmbeddings(namespace, batchTexts, embeddings);
+    }
+    positions.forEach((position, j) => {
+      results[position] = { embedding: embeddings[j], provider: batchProvider };
+    });
+
+    embedded += positions.length;
+    await onProgress?.(embedded, texts.length);
+  }
+
+  return results;
+}
+
+/**
+ * Embed text and report which provider produced the embedding
+ * Stored with each vector, so embeddings from different providers are never compared.
+ *
+ * @param {string} text - Text to embed
+ * @param {Object} options - { provider, model, dimension, mockDimension, onDegraded } (see embedTexts)
+ * @returns {Promise<{embedding: number[], provider: string}>}
+ */
+export async function embedText(text, options = {}) {
+  return (await embedTexts([text], options))[0];
+}
+
+/**
+ * Create an embedding with the configured provider
+ * When EMBEDDING_DIMENSION is set, embeddings of any other length are rejected.
+ *
+ * @param {string} text - Text to embed
+ * @param {Object} options - { provider, model, dimension, onDegraded }
+ * @returns {Promise<number[]>} Embedding vector
+ */
+export async function createEmbedding(text, options = {}) {
+  return (await embedText(text, options)).embedding;
+}
+
+/**
+ * Generate an answer with the configured provider
+ *
+ * @param {string} prompt - Prompt with context and question
+ * @param {Object} options
+ * @param {Array<{role: string, content: string}>} options.history - Prior conversation turns
+ * @param {Function} options.mockAnswer - Response for this prompt from the mock provider (default: mock research answer)
+ * @param {Function} options.onDegraded - Called with a reason when the answer is mock output
+ * @returns {Promise<string>} Generated answer
+ */
+export function generateAnswer(prompt, { onDegraded, ...options } = {}) {
+  return callWithFallback(
+    'llm',
+    LLM_PROVIDER,
+    retry => getAdapter(LLM_PROVIDER, 'LLM_PROVIDER').generateAnswer(prompt, { ...options, retry }),
+    () => mockProvider.generateAnswer(prompt, options),
+    onDegraded,
+  );
+}
+
+/**
+ * Stream an answer token by token with the configured provider
+ * LLM_FALLBACK applies until the first token arrives; a stream that breaks
+ * after that returns the error.
+ *
+ * @param {string} prompt - Prompt with context and question
+ * @param {Object} options - { signal, history, onDegraded }
+ * @yields {{type: 'token', text: string} | {type: 'usage', usage: Object}}
+ */
+export async function* streamAnswer(prompt, { onDegraded, ...options } = {}) {
+  const adapter = getAdapter(LLM_PROVIDER, 'LLM_PROVIDER');
+
+  // Start the stream and wait for its first part, so a failed request can still fall back
+  const open = async (retry) => {
+    const stream = adapter.streamAnswer(prompt, { ...options, retry });
+    const first = await stream.next();
+    return { stream, first };
+  };
+
+  const { stream, first } = await callWithFallback(
+    'llm',
+    LLM_PROVIDER,
+    open,
+    async () => {
+      const mockStream = mockProvider.streamAnswer(prompt, options);
+      return { stream: mockStream, first: await mockStream.next() };
+    },
+    onDegraded,
+  );
+
+  if (first.done) return;
+  yield first.value;
+  yield* stream;
+}
+
+/**
+ * Read the scores from an LLM reranker reply: a JSON array with one number per passage
+ * @returns {number[]|null} Scores, or null when the reply is not usable
+ */
+function parseRerankScores(reply, count) {
+  const match = reply.match(/\[[\s\S]*?\]/);
+  if (!match) return null;
+  try {
+    const scores = JSON.parse(match[0]);
+    return Array.isArray(scores) && scores.length === count && scores.every(Number.isFinite) ? scores : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Score passages for how well they answer a query with the configured reranker
+ * The LLM reranker falls back to local scores when its reply cannot be read;
+ * LLM_FALLBACK applies to the call itself.
+ *
+ * @param {string} query - Question or search query
+ * @param {string[]} passages - Passage texts
+ * @param {Object} options
+ * @param {'none'|'local'|'llm'} options.reranker - Reranker to use (default RERANKER)
+ * @param {Function} options.onDegraded - Called with a reason when the scores are not from the requested reranker
+ * @returns {Promise<number[]|null>} Score from 0 to 1 per passage, or null when reranking is off
+ */
+export async function rerankPassages(query, passages, { reranker = RERANKER, onDegraded } = {}) {
+  if (!RERANKERS.includes(reranker)) {
+    throw new Error(`Unknown reranker "${reranker}". Use one of: ${RERANKERS.join(', ')}`);
+  }
+  if (reranker === 'none' || passages.length === 0) {
+    return null;
+  }
+
+  const localScores = scorePassages(query, passages);
+  if (reranker === 'local') {
+    return localScores;
+  }
+
+  const prompt = `Rate how well each passage helps answer the question, from 0 (irrelevant) to 10 (answers it directly). Reply with a JSON array of ${passages.length} numbers, one per passage in the order given, and nothing else.
+
+Question: ${query}
+
+Passages:
+${passages.map((text, idx) => `[${idx + 1}] ${text.substring(0, RERANK_PASSAGE_CHARS)}`).join('\n\n')}
+
+Scores:`;
+
+  const reply = await generateAnswer(prompt, {
+    maxTokens: passages.length * 4 + 16,
+    mockAnswer: () => JSON.stringify(localScores.map(score => Math.round(score * 100) / 10)),
+    onDegraded,
+  });
+
+  const scores = parseRerankScores(reply, passages.length);
+  if (!scores) {
+    const reason = 'LLM reranker reply could not be read, passages were scored by the local reranker';
+    console.warn(`⚠️  ${reason}`);
+    onDegraded?.(reason);
+    return localScores;
+  }
+  return scores.map(score => Math.min(10, Math.max(0, score)) / 10);
+}
+
+/**
+ * Embed a short text with the configured provider directly (no fallback)
+ *
+ * @param {Object} settings - { provider, model, dimension } to probe instead of the EMBEDDING_* settings
+ * @returns {Promise<{provider: string, model?: string, dimension?: number}>} Details, or throws when the provider fails
+ */
+export async function probeEmbeddings({ provider = EMBEDDING_PROVIDER, model, dimension } = {}) {
+  if (provider === 'mock') {
+    return { provider: 'mock', mock: true };
+  }
+  const settings = { model: model || getModelSettings().embeddingModel, dimension: dimension ?? EMBEDDING_DIMENSION };
+  const [embedding] = await embedWith(provider, ['health check'], settings);
+  return { provider, model: settings.model, dimension: embedding.length };
+}
+
+/**
+ * Request a one-token answer from the configured LLM directly (no fallback)
+ *
+ * @returns {Promise<{provider: string, model?: string}>} Details, or throws when the provider fails
+ */
+export async function probeLlm() {
+  if (LLM_PROVIDER === 'mock') {
+    return { provider: 'mock', mock: true };
+  }
+  await getAdapter(LLM_PROVIDER, 'LLM_PROVIDER').generateAnswer('Reply with OK.', { maxTokens: 1 });
+  return { provider: LLM_PROVIDER, model: getModelSettings().model };
+}
+
+export default {
+  PROVIDERS,
+  RERANKERS,
+  FALLBACK_POLICIES,
+  getProviderNames,
+  getProviderInfo,
+  getDegradedReasons,
+  getEmbeddingSettings,
+  embedTexts,
+  embedText,
+  createEmbedding,
+  generateAnswer,
+  streamAnswer,
+  rerankPassages,
+  estimateTokens,
+  probeEmbeddings,
+  probeLlm,
+};
@@ -0,0 +1,151 @@
+import { randomUUID } from 'crypto';
+import dotenv from 'dotenv';
+import { dataPath, readJsonFile, writeJsonFile } from './fileStore.js';
+import { matchesFilter } from './filters.js';
+
+dotenv.config();
+
+const STORE_PATH = dataPath(process.env.DOC_STORE_PATH || 'documents.json');
+
+let documents = null;
+let saveChain = Promise.resolve();
+
+/**
+ * Load documents from disk on first use
+ */
+async function getDocuments() {
+  if (!documents) {
+    const stored = await readJsonFile(STORE_PATH, {});
+    documents = new Map(Object.entries(stored));
+    console.log(`✓ Loaded ${documents.size} documents from ${STORE_PATH}`);
+  }
+  return documents;
+}
+
+/**
+ * Persist the current documents, serialized so writes never interleave
+ */
+function persist() {
+  saveChain = saveChain
+    .catch(() => {})
+    .then(() => writeJsonFile(STORE_PATH, Object.fromEntries(documents)));
+  return saveChain;
+}
+
+/**
+ * Documents of a type matching a filter, newest first
+ */
+async function findDocuments(type, filter) {
+  const store = await getDocuments();
+  return [...store.values()]
+    .filter(doc => doc._type === type && matchesFilter(doc, filter))
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Save a research document to the local store
+ * @param {Object} doc - Document data (same fields as the Sanity adapter)
+ * @returns {Promise<Object>} Created document with _id
+ */
+export async function saveDocument(doc) {
+  try {
+    const store = await getDocuments();
+    const { _type = 'researchDoc', ...fields } = doc;
+    const now = new Date().toISOString();
+    const document = {
+      ...fields,
+      _id: randomUUID(),
+      _type,
+      title: doc.title || 'Untitled Document',
+      createdAt: doc.createdAt || now,
+      _createdAt: now,
+      _updatedAt: now,
+    };
+
+    store.set(document._id, document);
+    await persist();
+    console.log(`✓ Saved document locally: ${document._id}`);
+    return document;
+  } catch (error) {
+    console.error('Document save error:', error);
+    throw new Error(`Failed to save document: ${error.message}`);
+  }
+}
+
+/**
+ * Get a document by ID
+ * @returns {Promise<Object|null>} Document, or null if it does not exist
+ */
+export async function getDocument(docId) {
+  const store = await getDocuments();
+  return store.get(docId) || null;
+}
+
+/**
+ * List documents of a type, newest first
+ * @param {Object} options - { type, filter, offset, limit }
+ * @returns {Promise<{documents: Array<Object>, total: number}>}
+ */
+export async function listDocuments({ type = 'researchDoc', filter = {}, offset = 0, limit = 20 } = {}) {
+  const matches = await findDocuments(type, filter);
+  return {
+    documents: matches.slice(offset, offset + limit),
+    total: matches.length,
+  };
+}
+
+/**
+ * Find every document of a type matching a metadata filter
+ */
+export async function searchDocuments(filter = {}, { type = 'researchDoc' } = {}) {
+  return findDocuments(type, filter);
+}
+
+/**
+ * Update fields on an existing document
+ * @returns {Promise<Object>} Updated document
+ */
+export async function updateDocument(docId, fields) {
+  try {
+    const store = await getDocuments();
+    const existing = store.get(docId);
+    if (!existing) {
+      throw new Error(`Document ${docId} not found`);
+    }
+
+    const now = new Date().toISOString();
+    const updated = { ...existing, ...fields, _id: docId, updatedAt: now, _updatedAt: now };
+    store.set(docId, updated);
+    await persist();
+    console.log(`✓ Updated document locally: ${docId}`);
+    return updated;
+  } catch (error) {
+    console.error('Document update error:', error);
+    throw new Error(`Failed to update document: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a document by ID
+ */
+export async function deleteDocument(docId) {
+  try {
+    const store = await getDocuments();
+    if (store.delete(docId)) {
+      await persist();
+    }
+    console.log(`✓ Deleted document locally: ${docId}`);
+  } catch (error) {
+    console.error('Document delete error:', error);
+    throw new Error(`Failed to delete document: ${error.message}`);
+  }
+}
+
+export default {
+  saveDocument,
+  getDocument,
+  listDocuments,
+  searchDocuments,
+  updateDocument,
+  deleteDocument,
+};
@@ -0,0 +1,95 @@
+import { tokenize } from './lexicalIndex.js';
+
+// Weight of each feature in the combined score
+const FEATURE_WEIGHTS = { coverage: 0.6, phrase: 0.25, proximity: 0.15 };
+
+/**
+ * Inverse document frequency of each term across the passages being scored
+ */
+function passageIdf(termLists) {
+  const df = new Map();
+  for (const terms of termLists) {
+    for (const term of new Set(terms)) {
+      df.set(term, (df.get(term) || 0) + 1);
+    }
+  }
+  const n = termLists.length;
+  return term => Math.log(1 + (n - (df.get(term) || 0) + 0.5) / ((df.get(term) || 0) + 0.5));
+}
+
+/**
+ * Length of the shortest run of terms containing every matched query term once
+ */
+function shortestSpan(terms, matched) {
+  const counts = new Map();
+  let covered = 0;
+  let best = Infinity;
+  let start = 0;
+
+  for (let end = 0; end < terms.length; end++) {
+    if (!matched.has(terms[end])) continue;
+    counts.set(terms[end], (counts.get(terms[end]) || 0) + 1);
+    if (counts.get(terms[end]) === 1) covered++;
+
+    while (covered === matched.size) {
+      if (matched.has(terms[start])) {
+        best = Math.min(best, end - start + 1);
+        counts.set(terms[start], counts.get(terms[start]) - 1);
+        if (counts.get(terms[start]) === 0) covered--;
+      }
+      start++;
+    }
+  }
+  return best;
+}
+
+/**
+ * Score how well each passage matches a query, reading both together
+ * A cross-encoder-style stand-in that needs no model: each (query, passage)
+ * pair is scored on
+ * - coverage:  share of the query's terms found in the passage, weighted by rarity among the passages,
+ *              with repeated mentions counting more up to a limit
+ * - phrase:    share of the query's adjacent term pairs that also appear side by side
+ * - proximity: how tightly the matched terms cluster in the passage, scaled by coverage
+ *
+ * @param {string} query - Question or search query
+ * @param {string[]} passages - Passage texts
+ * @returns {number[]} Score from 0 to 1 per passage, in input order
+ */
+export function scorePassages(query, passages) {
+  const queryTerms = tokenize(query);
+  const uniqueTerms = [...new Set(queryTerms)];
+  if (uniqueTerms.length === 0) {
+    return passages.map(() => 0);
+  }
+
+  const termLists = passages.map(text => tokenize(text));
+  const idf = passageIdf(termLists);
+  const totalWeight = uniqueTerms.reduce((sum, term) => sum + idf(term), 0);
+  const queryPairs = queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`);
+
+  return termLists.map((terms) => {
+    const frequency = new Map();
+    for (const term of terms) frequency.set(term, (frequency.get(term) || 0) + 1);
+    const matched = new Set(uniqueTerms.filter(term => frequency.has(term)));
+    if (matched.size === 0) return 0;
+
+    // One mention counts half, approaching the full weight as mentions repeat
+    const coverage = [...matched]
+      .reduce((sum, term) => sum + idf(term) * (frequency.get(term) / (frequency.get(term) + 1)), 0) / totalWeight;
+
+    let phrase = coverage;
+    if (queryPairs.length > 0) {
+      const pairs = new Set(terms.slice(1).map((term, i) => `${terms[i]} ${term}`));
+      phrase = queryPairs.filter(pair => pairs.has(pair)).length / queryPairs.length;
+    }
+
+    const proximity = matched.size > 1 ? coverage * (matched.size / shortestSpan(terms, matched)) : coverage;
+
+    return FEATURE_WEIGHTS.coverage * coverage
+      + FEATURE_WEIGHTS.phrase * phrase
+      + FEATURE_WEIGHTS.proximity * proximity;
+  });
+}
+
+export default { scorePassages };
@@ -0,0 +1,151 @@
+import { joinBlocks } from './chunker.js';
+
+const ATX_HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)\s*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const HORIZONTAL_RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const REFERENCE_DEFINITION = /^ {0,3}\[[^\]]+\]:\s+\S+/;
+
+/**
+ * Strip inline Markdown syntax, keeping the readable text
+ */
+function stripInline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')            // images → alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')             // links → link text
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')            // reference links
+    .replace(/<(https?:\/\/[^>]+)>/g, '$1')              // autolinks
+    .replace(/<\/?[a-zA-Z][^>]*>/g, '')                  // inline HTML
+    .replace(/(`+)(.+?)\1/g, '$2')                       // inline code
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')     // bold
+    .replace(/(\*|_)(?=\S)(.+?)(?<=\S)\1/g, '$2')        // italic
+    .replace(/~~(.+?)~~/g, '$1')                         // strikethrough
+    .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, '$1');      // escapes
+}
+
+/**
+ * Convert table and list lines to plain text
+ */
+function stripLine(line) {
+  const trimmed = line.trim();
+  if (trimmed.startsWith('|') || (trimmed.includes(' | ') && trimmed.split('|').length > 2)) {
+    return stripInline(trimmed.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()).join(' | '));
+  }
+  return stripInline(line.replace(/^\s*>+\s?/, '').replace(LIST_ITEM, '').trim());
+}
+
+/**
+ * Read YAML front matter title, if any, and return the remaining lines
+ */
+function readFrontMatter(lines) {
+  if (lines[0]?.trim() !== '---') {
+    return { frontMatter: {}, body: lines };
+  }
+
+  const end = lines.findIndex((line, idx) => idx > 0 && /^(---|\.\.\.)\s*$/.test(line));
+  if (end === -1) {
+    return { frontMatter: {}, body: lines };
+  }
+
+  const frontMatter = {};
+  for (const line of lines.slice(1, end)) {
+    const match = /^([A-Za-z_][\w-]*):\s*["']?(.*?)["']?\s*$/.exec(line);
+    if (match && match[2]) frontMatter[match[1]] = match[2];
+  }
+  return { frontMatter, body: lines.slice(end + 1) };
+}
+
+/**
+ * Extract text from Markdown
+ * Syntax is stripped, headings (ATX and setext) become section structure,
+ * fenced code is kept verbatim and YAML front matter supplies title/author.
+ *
+ * @param {string} markdown - Markdown source
+ * @returns {{text: string, sections: Array<Object>, title: string|null, metadata: Object}}
+ */
+export function extractMarkdown(markdown) {
+  try {
+    const { frontMatter, body } = readFrontMatter(markdown.replace(/\r\n?/g, '\n').split('\n'));
+    const blocks = [];
+    let paragraph = [];
+    let fence = null;
+
+    const flush = () => {
+      const text = paragraph.map(stripLine).filter(Boolean).join('\n');
+      if (text) blocks.push({ type: 'text', text });
+      paragraph = [];
+    };
+
+    for (const line of body) {
+      if (fence) {
+        if (line.trim().startsWith(fence)) {
+          blocks.push({ type: 'text', text: paragraph.join('\n') });
+          paragraph = [];
+          fence = null;
+        } else {
+          paragraph.push(line);
+        }
+        continue;
+      }
+
+      const fenceMatch = FENCE.exec(line);
+      if (fenceMatch) {
+        flush();
+        fence = fenceMatch[1];
+        continue;
+      }
+
+      const heading = ATX_HEADING.exec(line);
+      if (heading) {
+        flush();
+        blocks.push({ type: 'heading', level: heading[1].length, text: stripInline(heading[2]) });
+        continue;
+      }
+
+      // Setext heading: a single paragraph line underlined with === or ---
+      if (paragraph.length === 1 && SETEXT_UNDERLINE.test(line) && !LIST_ITEM.test(paragraph[0])) {
+        blocks.push({ type: 'heading', level: line.trim().startsWith('=') ? 1 : 2, text: stripInline(paragraph[0].trim()) });
+        paragraph = [];
+        continue;
+      }
+
+      if (!line.trim() || HORIZONTAL_RULE.test(line)) {
+        flush();
+        continue;
+      }
+
+      if ((TABLE_DIVIDER.test(line) && line.includes('-')) || REFERENCE_DEFINITION.test(line)) {
+        continue;
+      }
+
+      paragraph.push(line);
+    }
+
+    // An unclosed fence keeps its content
+    if (fence) {
+      blocks.push({ type: 'text', text: paragraph.join('\n') });
+    } else {
+      flush();
+    }
+
+    const { text, sections } = joinBlocks(blocks);
+    const firstHeading = sections.find(section => section.level === 1) || sections[0];
+
+    return {
+      text,
+      sections,
+      title: frontMatter.title || firstHeading?.heading || null,
+      metadata: {
+        headings: sections.map(section => section.heading),
+        author: frontMatter.author || null,
+      },
+    };
+  } catch (error) {
+    console.error('Markdown extraction error:', error);
+    throw new Error(`Failed to extract text from Markdown: ${error.message}`);
+  }
+}
+
+export default { extractMarkdown };
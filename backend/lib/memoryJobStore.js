@@ -0,0 +1,127 @@
+import dotenv from 'dotenv';
+import { dataPath, readJsonFile, writeJsonFile } from './fileStore.js';
+
+dotenv.config();
+
+const STORE_PATH = dataPath(process.env.JOB_STORE_PATH || 'jobs.json');
+// Finished jobs are kept this long for status polling
+const FINISHED_TTL_MS = (Number(process.env.JOB_TTL_SECONDS) || 7 * 24 * 60 * 60) * 1000;
+
+let state = null;
+let saveChain = Promise.resolve();
+
+/**
+ * Load jobs from disk on first use, dropping expired finished jobs
+ */
+async function getState() {
+  if (!state) {
+    const stored = await readJsonFile(STORE_PATH, { jobs: {}, queue: [], running: [] });
+    const cutoff = new Date(Date.now() - FINISHED_TTL_MS).toISOString();
+    const jobs = Object.entries(stored.jobs).filter(([, job]) =>
+      !(job.status === 'completed' || job.status === 'failed') || job.updatedAt > cutoff
+    );
+
+    state = {
+      jobs: new Map(jobs),
+      queue: stored.queue,
+      running: new Set(stored.running),
+    };
+  }
+  return state;
+}
+
+/**
+ * Persist jobs, serialized so writes never interleave
+ */
+function persist() {
+  saveChain = saveChain
+    .catch(() => {})
+    .then(() => writeJsonFile(STORE_PATH, {
+      jobs: Object.fromEntries(state.jobs),
+      queue: state.queue,
+      running: [...state.running],
+    }));
+  return saveChain;
+}
+
+/**
+ * Store a job record
+ * @param {Object} job - Job with id and status
+ */
+export async function saveJob(job) {
+  try {
+    const { jobs } = await getState();
+    jobs.set(job.id, job);
+    await persist();
+    return job;
+  } catch (error) {
+    console.error('Job save error:', error);
+    throw new Error(`Failed to save job: ${error.message}`);
+  }
+}
+
+/**
+ * Get a job by ID
+ * @returns {Promise<Object|null>} Job, or null if it does not exist
+ */
+export async function getJob(id) {
+  const { jobs } = await getState();
+  return jobs.get(id) || null;
+}
+
+/**
+ * Queue a job to run at or after a time
+ * @param {string} id - Job ID
+ * @param {number} runAt - Epoch milliseconds
+ */
+export async function enqueue(id, runAt = Date.now()) {
+  const current = await getState();
+  current.queue = current.queue.filter(entry => entry.id !== id);
+  current.queue.push({ id, runAt });
+  current.queue.sort((a, b) => a.runAt - b.runAt);
+  await persist();
+}
+
+/**
+ * Claim the next job that is due
+ * @returns {Promise<Object|null>} Claimed job, or null when nothing is due
+ */
+export async function claimNext() {
+  const current = await getState();
+  const idx = current.queue.findIndex(entry => entry.runAt <= Date.now());
+  if (idx === -1) {
+    return null;
+  }
+
+  const [{ id }] = current.queue.splice(idx, 1);
+  current.running.add(id);
+  await persist();
+  return current.jobs.get(id) || null;
+}
+
+/**
+ * Mark a claimed job as no longer running
+ */
+export async function release(id) {
+  const current = await getState();
+  if (current.running.delete(id)) {
+    await persist();
+  }
+}
+
+/**
+ * Put jobs that were running when the process stopped back on the queue
+ * @returns {Promise<number>} Number of jobs recovered
+ */
+export async function recover() {
+  const current = await getState();
+  const ids = [...current.running];
+  for (const id of ids) {
+    current.queue.unshift({ id, runAt: Date.now() });
+  }
+  current.running.clear();
+  if (ids.length > 0) await persist();
+  return ids.length;
+}
+
+export default { saveJob, getJob, enqueue, claimNext, release, recover };
@@ -0,0 +1,108 @@
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import { dataPath, readJsonFile, writeJsonFile } from './fileStore.js';
+
+dotenv.config();
+
+/**
+ * Keyword index changes kept on disk: a snapshot of every entry plus an
+ * append-only log of the changes made since it was written. Like the memory
+ * vector store, it serves a single process, so the log is only read on startup.
+ */
+
+const INDEX_PATH = dataPath(process.env.LEXICAL_INDEX_PATH || 'lexical-index.json');
+// One JSON line per change: { seq, set?: { id: entry }, remove?: [id] }
+const LOG_PATH = `${INDEX_PATH.replace(/\.json$/, '')}.log`;
+
+// Sequence number of the last change written or read
+let lastSeq = 0;
+let logRead = false;
+
+/**
+ * Read the snapshot
+ * @returns {Promise<{entries: Object, cursor: number}|null>} Entries by chunk ID and the last change they include, or null when none has been written
+ */
+export async function readSnapshot() {
+  const stored = await readJsonFile(INDEX_PATH, null);
+  if (!stored) return null;
+
+  // Index files written before the change log hold the entries alone
+  const snapshot = Number.isInteger(stored.seq) && stored.entries ? stored : { seq: 0, entries: stored };
+  lastSeq = Math.max(lastSeq, snapshot.seq);
+  return { entries: snapshot.entries, cursor: snapshot.seq };
+}
+
+/**
+ * Changes made after a cursor
+ * @param {number} cursor - Last change already applied
+ * @returns {Promise<{changes: Array<Object>, cursor: number, stale: boolean}>} stale is always false: nothing else compacts the log
+ */
+export async function readChanges(cursor) {
+  if (logRead) {
+    return { changes: [], cursor, stale: false };
+  }
+
+  let data = '';
+  try {
+    data = await fs.readFile(LOG_PATH, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${LOG_PATH}: ${error.message}`);
+    }
+  }
+
+  const changes = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const change = JSON.parse(line);
+      if (change.seq > cursor) changes.push(change);
+    } catch {
+      // A write cut short by a crash leaves a partial last line
+      console.warn(`⚠️  Skipping unreadable line in ${LOG_PATH}`);
+    }
+  }
+
+  logRead = true;
+  const next = changes.at(-1)?.seq ?? cursor;
+  lastSeq = Math.max(lastSeq, next);
+  return { changes, cursor: next, stale: false };
+}
+
+/**
+ * Append a change to the log
+ * @param {Object} change - { set?: { id: entry }, remove?: [id] }
+ * @returns {Promise<{changes: Array<Object>, cursor: number, stale: boolean}>} The cursor of the change just written;
+ *   changes logged before it are always empty, since no other process writes the log
+ */
+export async function appendChange(change) {
+  const seq = lastSeq + 1;
+  await fs.mkdir(path.dirname(LOG_PATH), { recursive: true });
+  await fs.appendFile(LOG_PATH, `${JSON.stringify({ seq, ...change })}\n`);
+  lastSeq = seq;
+  return { changes: [], cursor: seq, stale: false };
+}
+
+/**
+ * Cursor of the last change written
+ */
+export async function getCursor() {
+  return lastSeq;
+}
+
+/**
+ * Replace the snapshot and empty the log
+ * @param {Object} entries - Every entry by chunk ID
+ * @param {number} cursor - Last change the entries include
+ * @returns {Promise<boolean>} Whether the snapshot was written
+ */
+export async function writeSnapshot(entries, cursor) {
+  await writeJsonFile(INDEX_PATH, { seq: cursor, entries });
+  // A crash before this leaves changes the snapshot already includes; their seq skips them on load
+  await fs.rm(LOG_PATH, { force: true });
+  logRead = true;
+  return true;
+}
+
+export default { readSnapshot, readChanges, appendChange, getCursor, writeSnapshot };
@@ -0,0 +1,257 @@
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+import { dataPath, readJsonFile, writeJsonFile } from './fileStore.js';
+import { matchesFilter } from './filters.js';
+import { cosineSimilarity } from './vectorMath.js';
+
+dotenv.config();
+
+const STORE_PATH = dataPath(process.env.VECTOR_STORE_PATH || 'vectors.json');
+// Which index is live and which is being built (see vectorStore.js)
+const REGISTRY_PATH = STORE_PATH.replace(/\.json$/, '') + '.indexes.json';
+
+const DEFAULT_INDEX = 'default';
+
+// Open indexes by name
+const indexes = new Map();
+
+/**
+ * File an index is kept in: the default index keeps VECTOR_STORE_PATH, others sit next to it
+ */
+function indexPath(name) {
+  return name === DEFAULT_INDEX ? STORE_PATH : `${STORE_PATH.replace(/\.json$/, '')}.${name}.json`;
+}
+
+/**
+ * Create the operations for one file-backed index
+ */
+function createIndex(name) {
+  const file = indexPath(name);
+  let entries = null;
+  let saveChain = Promise.resolve();
+
+  /**
+   * Load vectors from disk on first use
+   */
+  async function getEntries() {
+    if (!entries) {
+      const stored = await readJsonFile(file, {});
+      entries = new Map(Object.entries(stored));
+      console.log(`✓ Loaded ${entries.size} vectors from ${file}`);
+    }
+    return entries;
+  }
+
+  /**
+   * Persist the current vectors, serialized so writes never interleave
+   */
+  function persist() {
+    saveChain = saveChain
+      .catch(() => {})
+      .then(() => writeJsonFile(file, Object.fromEntries(entries)));
+    return saveChain;
+  }
+
+  /**
+   * Store several vectors with a single write to disk
+   * @param {Array<{id: string, vector: number[], metadata: Object}>} items
+   */
+  async function upsertVectors(items) {
+    try {
+      const store = await getEntries();
+      for (const { id, vector, metadata = {} } of items) {
+        store.set(id, { vector, metadata, timestamp: Date.now() });
+      }
+      await persist();
+      console.log(`✓ Stored ${items.length} vectors`);
+      return items.map(({ id }) => ({ id, key: id }));
+    } catch (error) {
+      console.error('Vector store upsert error:', error);
+      throw new Error(`Failed to store vector: ${error.message}`);
+    }
+  }
+
+  /**
+   * Query top K similar vectors
+   *
+   * @param {number[]} queryVector - Query embedding
+   * @param {number} k - Number of results to return
+   * @param {Object} filter - Metadata filter
+   * @returns {Promise<Array>} Top K results with scores
+   */
+  async function queryTopK(queryVector, k = 3, filter = {}) {
+    try {
+      const store = await getEntries();
+      const similarities = [];
+
+      for (const [id, entry] of store) {
+        if (!matchesFilter(entry.metadata, filter)) continue;
+        similarities.push({
+          id,
+          score: cosineSimilarity(queryVector, entry.vector),
+          metadata: entry.metadata,
+        });
+      }
+
+      similarities.sort((a, b) => b.score - a.score);
+      const topK = similarities.slice(0, k);
+
+      console.log(`✓ Found ${topK.length} similar documents`);
+      return topK;
+    } catch (error) {
+      console.error('Vector store query error:', error);
+      throw new Error(`Failed to query vectors: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a vector
+   */
+  async function deleteVector(id) {
+    await deleteVectors({ id });
+  }
+
+  /**
+   * Delete every vector matching a metadata filter (or `{ id }`)
+   * @returns {Promise<number>} Number of vectors removed
+   */
+  async function deleteVectors(filter = {}) {
+    try {
+      const store = await getEntries();
+      let deleted = 0;
+
+      for (const [id, entry] of store) {
+        if (matchesFilter({ ...entry.metadata, id }, filter)) {
+          store.delete(id);
+          deleted++;
+        }
+      }
+
+      if (deleted > 0) await persist();
+      console.log(`✓ Deleted ${deleted} vectors`);
+      return deleted;
+    } catch (error) {
+      console.error('Vector store delete error:', error);
+      throw new Error(`Failed to delete vector: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count vectors, optionally matching a metadata filter
+   */
+  async function countVectors(filter = {}) {
+    const store = await getEntries();
+    let count = 0;
+    for (const entry of store.values()) {
+      if (matchesFilter(entry.metadata, filter)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * List stored vectors ordered by ID
+   *
+   * @param {Object} options
+   * @param {Object} options.filter - Metadata filter
+   * @param {number} options.offset - Entries to skip
+   * @param {number} options.limit - Maximum entries to return
+   * @param {boolean} options.includeVectors - Include the raw embedding
+   * @returns {Promise<Array>} Entries with { id, metadata, vector? }
+   */
+  async function listVectors({ filter = {}, offset = 0, limit = Infinity, includeVectors = false } = {}) {
+    const store = await getEntries();
+    return [...store.entries()]
+      .filter(([, entry]) => matchesFilter(entry.metadata, filter))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .slice(offset, offset + limit)
+      .map(([id, entry]) => ({
+        id,
+        metadata: entry.metadata,
+        ...(includeVectors ? { vector: entry.vector } : {}),
+      }));
+  }
+
+  /**
+   * Dimension of the stored vectors, or null while the store is empty
+   */
+  async function getVectorDimension() {
+    const store = await getEntries();
+    const first = store.values().next().value;
+    return first ? first.vector.length : null;
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  function flush() {
+    return saveChain;
+  }
+
+  return {
+    upsertVectors,
+    queryTopK,
+    deleteVector,
+    deleteVectors,
+    countVectors,
+    listVectors,
+    getVectorDimension,
+    flush,
+  };
+}
+
+/**
+ * Open a named index (the same instance is returned for the same name)
+ *
+ * @param {string} name - Index name; 'default' is the original vectors file
+ * @returns {Object} Index operations: upsertVectors, queryTopK, deleteVector, deleteVectors, countVectors, listVectors, getVectorDimension
+ */
+export function openVectorIndex(name = DEFAULT_INDEX) {
+  if (!indexes.has(name)) {
+    indexes.set(name, createIndex(name));
+  }
+  return indexes.get(name);
+}
+
+/**
+ * Remove an index and its file
+ */
+export async function dropVectorIndex(name) {
+  try {
+    await indexes.get(name)?.flush();
+    indexes.delete(name);
+    await fs.rm(indexPath(name), { force: true });
+    console.log(`🗑️  Dropped vector index ${name}`);
+  } catch (error) {
+    console.error('Vector store drop error:', error);
+    throw new Error(`Failed to drop vector index: ${error.message}`);
+  }
+}
+
+/**
+ * Read the index registry, or null when none has been written
+ */
+export function readIndexRegistry() {
+  return readJsonFile(REGISTRY_PATH, null);
+}
+
+/**
+ * Write the index registry
+ */
+export function writeIndexRegistry(registry) {
+  return writeJsonFile(REGISTRY_PATH, registry);
+}
+
+/**
+ * Flush pending writes
+ */
+export async function closeVectorStore() {
+  await Promise.all([...indexes.values()].map(index => index.flush()));
+}
+
+export default {
+  openVectorIndex,
+  dropVectorIndex,
+  readIndexRegistry,
+  writeIndexRegistry,
+  closeVectorStore,
+};
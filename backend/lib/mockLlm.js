@@ -0,0 +1,94 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const EMBEDDING_DIMENSION = Number(process.env.EMBEDDING_DIMENSION) || 384;
+
+/**
+ * Generate mock embedding (for demo purposes)
+ * Uses simple hash-based approach for consistent vectors
+ *
+ * @param {string} text - Text to embed
+ * @param {Object} options
+ * @param {number} options.dimension - Vector length (default EMBEDDING_DIMENSION or 384), e.g. the index's when standing in for a failed provider
+ * @returns {Promise<number[]>} Unit vector
+ */
+export async function createEmbedding(text, { dimension } = {}) {
+  const size = dimension || EMBEDDING_DIMENSION;
+  const vector = new Array(size);
+
+  // Simple deterministic "hash" for consistent embeddings
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash) + text.charCodeAt(i);
+    hash = hash & hash; // Convert to 32bit integer
+  }
+
+  // Generate pseudo-random but deterministic vector
+  for (let i = 0; i < size; i++) {
+    const seed = hash + i;
+    // Simple pseudo-random that's deterministic
+    vector[i] = Math.sin(seed) * 0.5 + Math.cos(seed * 0.7) * 0.5;
+  }
+
+  // Normalize to unit vector
+  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+  return vector.map(val => val / magnitude);
+}
+
+/**
+ * Generate mock embeddings for several texts
+ *
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} options - { dimension } (see createEmbedding)
+ * @returns {Promise<number[][]>} One embedding per text, in input order
+ */
+export function createEmbeddings(texts, options) {
+  return Promise.all(texts.map(text => createEmbedding(text, options)));
+}
+
+/**
+ * Generate mock answer (for demo purposes)
+ */
+export function generateMockAnswer(prompt) {
+  const contextMatch = prompt.match(/Context:[\s\S]*?(?=\n\nQuestion:|$)/);
+  const questionMatch = prompt.match(/Question:\s*(.+?)(?:\n|$)/);
+
+  const contexts = contextMatch ? contextMatch[0] : 'No context provided';
+  const question = questionMatch ? questionMatch[1] : 'Unknown question';
+  const citations = [...contexts.matchAll(/^\[(\d+)\]/gm)].map(match => `[${match[1]}]`).join('');
+
+  return `Based on the provided contexts, I can answer your question about "${question}". ` +
+         `[MOCK ANSWER] This is a demonstration response. In production, this would be generated by the configured LLM provider. ` +
+         `The system has successfully retrieved relevant context from the vector database and would use it to generate an accurate answer${citations ? ` ${citations}` : ''}.`;
+}
+
+/**
+ * Answer without an LLM
+ *
+ * @param {string} prompt - Prompt with context and question
+ * @param {Object} options
+ * @param {Function} options.mockAnswer - Produces the response for this kind of prompt (default: mock research answer)
+ * @returns {Promise<string>} Mock answer
+ */
+export async function generateAnswer(prompt, { mockAnswer = generateMockAnswer } = {}) {
+  return mockAnswer(prompt);
+}
+
+/**
+ * Stream the mock answer word by word so the UI behaves like a real stream
+ *
+ * @param {string} prompt - Prompt with context and question
+ * @param {Object} options - { signal }
+ * @yields {{type: 'token', text: string}}
+ */
+export async function* streamAnswer(prompt, { signal } = {}) {
+  const words = generateMockAnswer(prompt).split(/(?<= )/);
+  for (const word of words) {
+    if (signal?.aborted) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    yield { type: 'token', text: word };
+  }
+}
+
+export default { createEmbedding, createEmbeddings, generateAnswer, streamAnswer, generateMockAnswer };
@@ -0,0 +1,62 @@
+import dotenv from 'dotenv';
+import { createOpenAICompatibleClient } from './openaiCompatible.js';
+
+dotenv.config();
+
+// Any OpenAI-compatible server: OpenAI itself, or a local llama.cpp / Ollama / vLLM endpoint
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1';
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+
+const client = createOpenAICompatibleClient({
+  name: 'OpenAI-compatible',
+  service: 'openai',
+  baseUrl: OPENAI_BASE_URL,
+  // Local servers usually accept requests without a key
+  apiKey: OPENAI_API_KEY,
+});
+
+/**
+ * Create embeddings for text
+ *
+ * @param {string} text - Text to embed
+ * @param {Object} options - { model, retry }
+ * @returns {Promise<number[]>} Embedding vector
+ */
+export function createEmbedding(text, options) {
+  return client.createEmbedding(text, options);
+}
+
+/**
+ * Create embeddings for several texts in one request
+ *
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} options - { model, retry }
+ * @returns {Promise<number[][]>} One embedding per text, in input order
+ */
+export function createEmbeddings(texts, options) {
+  return client.createEmbeddings(texts, options);
+}
+
+/**
+ * Generate an answer
+ *
+ * @param {string} prompt - Prompt with context and question
+ * @param {Object} options - { history, retry }
+ * @returns {Promise<string>} Generated answer
+ */
+export function generateAnswer(prompt, options) {
+  return client.generateAnswer(prompt, options);
+}
+
+/**
+ * Stream an answer token by token
+ *
+ * @param {string} prompt - Prompt with context and question
+ * @param {Object} options - { signal, history, retry }
+ * @yields {{type: 'token', text: string} | {type: 'usage', usage: Object}}
+ */
+export function streamAnswer(prompt, options) {
+  return client.streamAnswer(prompt, options);
+}
+
+export default { createEmbedding, createEmbeddings, generateAnswer, streamAnswer };
@@ -0,0 +1,215 @@
+import dotenv from 'dotenv';
+import { createHttpClient } from './httpClient.js';
+
+dotenv.config();
+
+const SYSTEM_PROMPT = 'You are a helpful research assistant. Answer questions based on the provided context accurately and concisely.';
+
+// Model settings shared by every OpenAI-style provider
+const LLM_MODEL = process.env.LLM_MODEL || 'gpt-3.5-turbo';
+const LLM_TEMPERATURE = Number(process.env.LLM_TEMPERATURE ?? 0.7);
+const LLM_MAX_TOKENS = Number(process.env.LLM_MAX_TOKENS) || 500;
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-ada-002';
+
+/**
+ * Model names and sampling settings in use
+ */
+export function getModelSettings() {
+  return {
+    model: LLM_MODEL,
+    temperature: LLM_TEMPERATURE,
+    maxTokens: LLM_MAX_TOKENS,
+    embeddingModel: EMBEDDING_MODEL,
+  };
+}
+
+/**
+ * Build the chat-completions request body shared by generateAnswer and streamAnswer
+ * Prior conversation turns ({ role, content }) are placed between the system
+ * prompt and the new prompt.
+ */
+function chatRequestBody(prompt, history = [], extra = {}) {
+  return {
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      ...history.map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: prompt }
+    ],
+    model: LLM_MODEL,
+    temperature: LLM_TEMPERATURE,
+    max_tokens: LLM_MAX_TOKENS,
+    ...extra,
+  };
+}
+
+/**
+ * Parse `data:` payloads from an OpenAI-style Server-Sent Events body
+ */
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const event = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = event
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (data) yield data;
+    }
+  }
+}
+
+/**
+ * Create a client for an API that speaks the OpenAI embeddings and
+ * chat-completions protocol (Lightning, OpenAI, llama.cpp, Ollama, vLLM...)
+ *
+ * @param {Object} config
+ * @param {string} config.name - Provider name used in errors and logs
+ * @param {string} config.service - Name of its HTTP client, for stats and <SERVICE>_HTTP_* settings
+ * @param {string} config.baseUrl - API root, e.g. http://localhost:11434/v1
+ * @param {string} config.apiKey - Bearer token; optional for local servers
+ * @param {string} config.apiKeyEnv - Environment variable that must hold the key, when one is required
+ * @returns {{createEmbedding: Function, createEmbeddings: Function, generateAnswer: Function, streamAnswer: Function}}
+ */
+export function createOpenAICompatibleClient({ name, service, baseUrl, apiKey, apiKeyEnv }) {
+  const root = baseUrl.replace(/\/+$/, '');
+  // Generation can take a while before the first byte, especially on local models
+  const http = createHttpClient(service, { timeoutMs: 60000 });
+
+  /**
+   * POST JSON to the API
+   * @param {Object} options - { signal, retry: { retries, retryBaseMs } overriding the service's HTTP retry settings }
+   */
+  async function post(path, body, { signal, retry } = {}) {
+    if (apiKeyEnv && !apiKey) {
+      throw new Error(`${apiKeyEnv} is not set`);
+    }
+
+    const response = await http.request(`${root}${path}`, {
+      method: 'POST',
+      headers: {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+      signal,
+      ...retry,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${name} API error (${response.status}): ${errorText}`);
+    }
+    return response;
+  }
+
+  /**
+   * Create embeddings for several texts in one request
+   * The API may return items out of order, so they are placed by their `index`.
+   *
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} options
+   * @param {string} options.model - Override EMBEDDING_MODEL (e.g. while re-indexing with a new model)
+   * @param {Object} options.retry - { retries, retryBaseMs } for this request instead of the HTTP_* settings
+   * @returns {Promise<number[][]>} One embedding per text, in input order
+   */
+  async function createEmbeddings(texts, { model = EMBEDDING_MODEL, retry } = {}) {
+    try {
+      const response = await post('/embeddings', { input: texts, model }, { retry });
+      const data = await response.json();
+      if (!Array.isArray(data.data) || data.data.length !== texts.length) {
+        throw new Error(`Expected ${texts.length} embeddings, received ${data.data?.length ?? 0}`);
+      }
+
+      const embeddings = new Array(texts.length);
+      data.data.forEach((item, position) => {
+        embeddings[item.index ?? position] = item.embedding;
+      });
+      return embeddings;
+    } catch (error) {
+      console.error(`${name} embedding error:`, error);
+      throw new Error(`Failed to create embedding: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create an embedding for text
+   *
+   * @param {string} text - Text to embed
+   * @param {Object} options - { model, retry }
+   * @returns {Promise<number[]>} Embedding vector
+   */
+  async function createEmbedding(text, options) {
+    return (await createEmbeddings([text], options))[0];
+  }
+
+  /**
+   * Generate a chat completion
+   *
+   * @param {string} prompt - Prompt with context and question
+   * @param {Object} options
+   * @param {Array<{role: string, content: string}>} options.history - Prior conversation turns
+   * @param {number} options.maxTokens - Override LLM_MAX_TOKENS
+   * @param {Object} options.retry - { retries, retryBaseMs } for this request instead of the HTTP_* settings
+   * @returns {Promise<string>} Generated answer
+   */
+  async function generateAnswer(prompt, { history = [], maxTokens, retry } = {}) {
+    try {
+      const response = await post('/chat/completions', chatRequestBody(prompt, history, maxTokens ? { max_tokens: maxTokens } : {}), { retry });
+      const data = await response.json();
+      return data.choices[0].message.content;
+    } catch (error) {
+      console.error(`${name} answer generation error:`, error);
+      throw new Error(`Failed to generate answer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream a chat completion token by token
+   *
+   * @param {string} prompt - Prompt with context and question
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts the upstream request
+   * @param {Array<{role: string, content: string}>} options.history - Prior conversation turns
+   * @param {Object} options.retry - { retries, retryBaseMs } for this request instead of the HTTP_* settings
+   * @yields {{type: 'token', text: string} | {type: 'usage', usage: Object}}
+   */
+  async function* streamAnswer(prompt, { signal, history = [], retry } = {}) {
+    let response;
+    try {
+      response = await post('/chat/completions', chatRequestBody(prompt, history, {
+        stream: true,
+        stream_options: { include_usage: true },
+      }), { signal, retry });
+    } catch (error) {
+      if (signal?.aborted) return;
+      console.error(`${name} answer stream error:`, error);
+      throw new Error(`Failed to stream answer: ${error.message}`);
+    }
+
+    for await (const data of readEventStream(response.body)) {
+      if (data === '[DONE]') break;
+
+      const chunk = JSON.parse(data);
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) {
+        yield { type: 'token', text };
+      }
+      if (chunk.usage) {
+        yield { type: 'usage', usage: chunk.usage };
+      }
+    }
+  }
+
+  return { createEmbedding, createEmbeddings, generateAnswer, streamAnswer };
+}
+
+export default { createOpenAICompatibleClient, getModelSettings };
@@ -1,53 +1,135 @@
+import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { createHttpClient } from './httpClient.js';
 
 dotenv.config();
 
 const PARALLEL_API_KEY = process.env.PARALLEL_API_KEY;
 const PARALLEL_WORKFLOW_ID = process.env.PARALLEL_WORKFLOW_ID;
-const PARALLEL_API_URL = process.env.PARALLEL_API_URL || 'https://api.parallel.ai/v1';
+const PARALLEL_API_URL = (process.env.PARALLEL_API_URL || 'https://api.parallel.ai/v1').replace(/\/+$/, '');
+// Public URL of POST /api/parallel/webhook; without it runs are only updated by polling GET /api/parallel/:id
+const PARALLEL_WEBHOOK_URL = process.env.PARALLEL_WEBHOOK_URL;
+const PARALLEL_WEBHOOK_SECRET = process.env.PARALLEL_WEBHOOK_SECRET;
+// Webhooks signed longer ago than this are rejected as replays
+const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.PARALLEL_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+export const RUN_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Status names used by the Parallel API, mapped onto RUN_STATUSES
+const STATUS_ALIASES = {
+  pending: 'queued',
+  queued: 'queued',
+  running: 'running',
+  in_progress: 'running',
+  action_required: 'running',
+  completed: 'completed',
+  succeeded: 'completed',
+  success: 'completed',
+  failed: 'failed',
+  error: 'failed',
+  cancelled: 'cancelled',
+  canceled: 'cancelled',
+  cancelling: 'cancelled',
+};
+
+const parallelHttp = createHttpClient('parallel');
+
+/**
+ * Whether workflows can be started (API key and workflow configured)
+ */
+export function isParallelConfigured() {
+  return Boolean(PARALLEL_API_KEY && PARALLEL_WORKFLOW_ID);
+}
+
+/**
+ * Map a Parallel run status onto RUN_STATUSES (unknown values count as running)
+ */
+export function normalizeRunStatus(status) {
+  return STATUS_ALIASES[String(status || '').toLowerCase()] || 'running';
+}
+
+/**
+ * Web results collected by a run, from a run or webhook payload
+ * Accepts `results`, `output.results` or an `output` array of { url, title, content | text | excerpts }.
+ *
+ * @param {Object} data - Run or webhook data
+ * @returns {Array<{url: string, title: string|null, content: string}>|null} Results, or null when the payload carries none
+ */
+export function extractRunResults(data = {}) {
+  const items = data.results ?? data.output?.results ?? (Array.isArray(data.output) ? data.output : null);
+  if (!Array.isArray(items)) {
+    return null;
+  }
+
+  return items
+    .map(item => ({
+      url: typeof item?.url === 'string' ? item.url : null,
+      title: typeof item?.title === 'string' && item.title.trim() ? item.title.trim() : null,
+      content: [item?.content, item?.text, Array.isArray(item?.excerpts) ? item.excerpts.join('\n\n') : null]
+        .find(value => typeof value === 'string' && value.trim()) || '',
+    }))
+    .filter(item => item.content.trim());
+}
+
+/**
+ * Parallel API request with auth, turning error responses into errors
+ */
+async function callParallel(path, options = {}) {
+  const response = await parallelHttp.request(`${PARALLEL_API_URL}${path}`, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${PARALLEL_API_KEY}`,
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Parallel API error (${response.status}): ${errorText}`);
+  }
+  return response.json();
+}
 
 /**
- * Start a Parallel Web Agent workflow
- * 
- * @param {Object} payload - Workflow input data
- * @returns {Promise<Object>} Workflow result
+ * Start a Parallel Web Agent workflow run
+ * When PARALLEL_WEBHOOK_URL is set, Parallel is asked to post run updates there.
+ *
+ * @param {*} input - Workflow input (e.g. the research objective)
+ * @returns {Promise<Object>} { workflowId, runId, status, timestamp }
  */
-export async function startParallelWorkflow(payload = {}) {
+export async function startParallelWorkflow(input) {
   try {
-    if (!PARALLEL_API_KEY) {
-      console.warn('⚠️  PARALLEL_API_KEY not set, returning mock response');
-      return {
-        workflowId: 'mock-workflow-' + Date.now(),
-        status: 'started',
-        message: 'Mock workflow started (Parallel API not configured)',
-      };
+    if (!isParallelConfigured()) {
+      throw new Error('Parallel is not configured (set PARALLEL_API_KEY and PARALLEL_WORKFLOW_ID)');
     }
 
-    if (!PARALLEL_WORKFLOW_ID) {
-      throw new Error('PARALLEL_WORKFLOW_ID not configured');
+    // A start that timed out may still have created a run, so it is not repeated
+    const data = await callParallel(`/workflows/${encodeURIComponent(PARALLEL_WORKFLOW_ID)}/run`, {
+      method: 'POST',
+      idempotent: false,
+      body: JSON.stringify({
+        input,
+        ...(PARALLEL_WEBHOOK_URL && {
+          webhook: { url: PARALLEL_WEBHOOK_URL, event_types: ['run.status'] },
+        }),
+      }),
+    });
+
+    const runId = data.id ?? data.run_id;
+    if (!runId) {
+      throw new Error('Parallel API response has no run ID');
     }
+    console.log(`✓ Started Parallel workflow ${PARALLEL_WORKFLOW_ID} (run ${runId})`);
 
-    // TODO: Implement actual Parallel API call
-    // Example structure:
-    // const response = await fetch(`${PARALLEL_API_URL}/workflows/${PARALLEL_WORKFLOW_ID}/run`, {
-    //   method: 'POST',
-    //   headers: {
-    //     'Authorization': `Bearer ${PARALLEL_API_KEY}`,
-    //     'Content-Type': 'application/json',
-    //   },
-    //   body: JSON.stringify(payload),
-    // });
-    
-    console.log('⚠️  Using mock workflow (Parallel API not configured)');
-    
     return {
       workflowId: PARALLEL_WORKFLOW_ID,
-      status: 'mock_started',
-      payload,
-      message: 'Workflow would start here with Parallel Web Agent API',
+      runId: String(runId),
+      status: normalizeRunStatus(data.status ?? 'queued'),
       timestamp: new Date().toISOString(),
     };
-    
+
   } catch (error) {
     console.error('Parallel workflow error:', error);
     throw new Error(`Failed to start workflow: ${error.message}`);
@@ -55,36 +137,107 @@ export async function startParallelWorkflow(payload = {}) {
 }
 
 /**
- * Check workflow status
- * 
- * @param {string} workflowId - Workflow ID to check
- * @returns {Promise<Object>} Workflow status
+ * Check the status of a workflow run
+ *
+ * @param {string} runId - Run ID returned by startParallelWorkflow
+ * @param {string} workflowId - Workflow the run belongs to (defaults to PARALLEL_WORKFLOW_ID)
+ * @returns {Promise<Object>} { workflowId, runId, status, results, error, timestamp }; results is null until the run completes
  */
-export async function checkWorkflowStatus(workflowId) {
+export async function checkWorkflowStatus(runId, workflowId = PARALLEL_WORKFLOW_ID) {
   try {
-    if (!PARALLEL_API_KEY) {
-      return {
-        workflowId,
-        status: 'mock_completed',
-        message: 'Mock status check (Parallel API not configured)',
-      };
+    if (!isParallelConfigured()) {
+      throw new Error('Parallel is not configured (set PARALLEL_API_KEY and PARALLEL_WORKFLOW_ID)');
     }
 
-    // TODO: Implement status check
-    
+    const data = await callParallel(
+      `/workflows/${encodeURIComponent(workflowId)}/runs/${encodeURIComponent(runId)}`
+    );
+    const status = normalizeRunStatus(data.status);
+
     return {
       workflowId,
-      status: 'unknown',
-      message: 'Status check not yet implemented',
+      runId,
+      status,
+      results: status === 'completed' ? extractRunResults(data) : null,
+      error: data.error?.message ?? data.error ?? null,
+      timestamp: new Date().toISOString(),
     };
-    
+
   } catch (error) {
     console.error('Status check error:', error);
     throw new Error(`Failed to check status: ${error.message}`);
   }
 }
 
+/**
+ * Signing key from PARALLEL_WEBHOOK_SECRET ("whsec_" secrets are base64)
+ */
+function webhookKey() {
+  return PARALLEL_WEBHOOK_SECRET.startsWith('whsec_')
+    ? Buffer.from(PARALLEL_WEBHOOK_SECRET.slice('whsec_'.length), 'base64')
+    : Buffer.from(PARALLEL_WEBHOOK_SECRET);
+}
+
+/**
+ * Sign a webhook body the way Parallel does
+ * (HMAC-SHA256 over "<webhook-id>.<webhook-timestamp>.<body>", base64)
+ *
+ * @param {string} id - webhook-id header
+ * @param {number|string} timestamp - webhook-timestamp header (seconds since epoch)
+ * @param {Buffer|string} body - Raw request body
+ * @returns {string} Value for the webhook-signature header ("v1,<signature>")
+ */
+export function signWebhook(id, timestamp, body) {
+  const signature = crypto
+    .createHmac('sha256', webhookKey())
+    .update(`${id}.${timestamp}.${body}`)
+    .digest('base64');
+  return `v1,${signature}`;
+}
+
+/**
+ * Verify the signature of a webhook request
+ * Requires PARALLEL_WEBHOOK_SECRET, so unsigned webhooks are never accepted.
+ *
+ * @param {Buffer} rawBody - Exact bytes received
+ * @param {Object} headers - Request headers (webhook-id, webhook-timestamp, webhook-signature)
+ * @returns {{eventId: string}|{error: string}}
+ */
+export function verifyWebhookSignature(rawBody, headers = {}) {
+  if (!PARALLEL_WEBHOOK_SECRET) {
+    return { error: 'PARALLEL_WEBHOOK_SECRET is not configured' };
+  }
+
+  const id = headers['webhook-id'];
+  const timestamp = headers['webhook-timestamp'];
+  const signatures = headers['webhook-signature'];
+  if (!id || !timestamp || !signatures || !rawBody) {
+    return { error: 'Missing webhook signature headers' };
+  }
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > WEBHOOK_TOLERANCE_SECONDS) {
+    return { error: 'Webhook timestamp is outside the allowed window' };
+  }
+
+  // The header may list several space-separated signatures (e.g. during secret rotation)
+  const expected = Buffer.from(signWebhook(id, timestamp, rawBody));
+  const valid = signatures.split(' ').some((signature) => {
+    const candidate = Buffer.from(signature);
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+
+  return valid ? { eventId: id } : { error: 'Invalid webhook signature' };
+}
+
 export default {
+  RUN_STATUSES,
+  FINISHED_STATUSES,
+  isParallelConfigured,
+  normalizeRunStatus,
+  extractRunResults,
   startParallelWorkflow,
   checkWorkflowStatus,
+  signWebhook,
+  verifyWebhookSignature,
 };
@@ -0,0 +1,307 @@
+import dotenv from 'dotenv';
+import {
+  saveDocument,
+  getDocument,
+  listDocuments,
+  searchDocuments,
+  updateDocument,
+} from './documentStore.js';
+import { enqueueJob, getJob, isTransientError, toPublicJob } from './jobQueue.js';
+import { ingestDocument } from './ingest.js';
+import { deleteLibraryDocument } from './library.js';
+import {
+  FINISHED_STATUSES,
+  checkWorkflowStatus,
+  extractRunResults,
+  normalizeRunStatus,
+  startParallelWorkflow,
+} from './parallelClient.js';
+
+dotenv.config();
+
+const RUN_TYPE = 'parallelRun';
+// Collection for ingested web results when the run did not name one
+const DEFAULT_COLLECTION = process.env.PARALLEL_COLLECTION || 'web-research';
+// Webhook IDs remembered per run, so redelivered webhooks are ignored
+const MAX_EVENT_IDS = 50;
+
+// Updates queued per run, so a webhook and a status poll never both queue ingestion
+const runLocks = new Map();
+
+/**
+ * Run fn after any update already in progress for the same run
+ */
+function withRunLock(runDocId, fn) {
+  const previous = runLocks.get(runDocId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  runLocks.set(runDocId, next);
+  next.finally(() => {
+    if (runLocks.get(runDocId) === next) runLocks.delete(runDocId);
+  }).catch(() => {});
+  return next;
+}
+
+/**
+ * Whether a run needs no more updates: finished, and its results handed to ingestion
+ */
+function isSettled(run) {
+  return FINISHED_STATUSES.includes(run.status) && (run.status !== 'completed' || Boolean(run.ingest));
+}
+
+/**
+ * Start a workflow run and record it in the run history
+ *
+ * @param {Object} request
+ * @param {*} request.input - Workflow input (e.g. the research objective)
+ * @param {Object} request.labels - { collection, tags, author, publishedAt } for the ingested results
+ * @param {string} request.workspaceId - Workspace the results are ingested into
+ * @param {string} request.ownerId - User who started the run
+ * @returns {Promise<Object>} Stored run
+ */
+export async function startRun({ input, labels = {}, workspaceId = null, ownerId = null }) {
+  try {
+    const started = await startParallelWorkflow(input);
+    const inputText = typeof input === 'string' ? input : JSON.stringify(input);
+    return await saveDocument({
+      _type: RUN_TYPE,
+      title: inputText.substring(0, 100),
+      workflowId: started.workflowId,
+      runId: started.runId,
+      status: started.status,
+      input: inputText,
+      labels: { collection: labels.collection || DEFAULT_COLLECTION, tags: labels.tags || [], author: labels.author || null, publishedAt: labels.publishedAt || null },
+      workspaceId,
+      ownerId,
+      error: null,
+      resultCount: null,
+      ingest: null,
+      events: [],
+      startedAt: started.timestamp,
+      finishedAt: null,
+    });
+  } catch (error) {
+    console.error('Parallel run start error:', error);
+    throw new Error(`Failed to start run: ${error.message}`);
+  }
+}
+
+/**
+ * Get a run by its ID or by the Parallel run ID
+ * @returns {Promise<Object|null>} Run, or null if it does not exist
+ */
+export async function getRun(id) {
+  const doc = await getDocument(id);
+  if (doc && doc._type === RUN_TYPE) {
+    return doc;
+  }
+  const [run] = await searchDocuments({ runId: id }, { type: RUN_TYPE });
+  return run || null;
+}
+
+/**
+ * Run history, newest first
+ * @param {Object} options - { offset, limit, workspaceId } — only runs in that workspace when set
+ */
+export async function listRuns({ offset = 0, limit = 20, workspaceId } = {}) {
+  const { documents, total } = await listDocuments({ type: RUN_TYPE, filter: { workspaceId }, offset, limit });
+  return { runs: documents, total };
+}
+
+/**
+ * Record a status change for a run; a completed run queues ingestion of its results
+ * Results missing from the update are fetched from the Parallel API.
+ *
+ * @param {Object} run - Stored run
+ * @param {Object} update - { status, results?, error? }
+ * @param {Object} options - { eventId } of the webhook that reported it
+ * @returns {Promise<Object>} Updated run
+ */
+async function applyRunUpdate(run, { status, results, error }, { eventId } = {}) {
+  const fields = {};
+  if (eventId) {
+    fields.events = [...(run.events || []), eventId].slice(-MAX_EVENT_IDS);
+  }
+
+  // A finished run stays finished, whatever order updates arrive in
+  if (!FINISHED_STATUSES.includes(run.status) && status !== run.status) {
+    fields.status = status;
+    if (FINISHED_STATUSES.includes(status)) {
+      fields.finishedAt = new Date().toISOString();
+    }
+    if (status === 'failed' || status === 'cancelled') {
+      fields.error = error || `Run ${status}`;
+    }
+  }
+
+  if ((fields.status ?? run.status) === 'completed' && !run.ingest) {
+    const collected = results ?? (await checkWorkflowStatus(run.runId, run.workflowId)).results ?? [];
+    fields.resultCount = collected.length;
+
+    if (collected.length > 0) {
+      const job = await enqueueJob(
+        'parallel-results',
+        { runDocId: run._id, runId: run.runId, results: collected, labels: run.labels, workspaceId: run.workspaceId, ownerId: run.ownerId },
+        { workspaceId: run.workspaceId },
+      );
+      fields.ingest = { jobId: job.id, status: 'queued', documents: [], failed: [], error: null };
+      console.log(`🌐 Queued ${collected.length} web results from Parallel run ${run.runId}`);
+    } else {
+      fields.ingest = { jobId: null, status: 'completed', documents: [], failed: [], error: null };
+    }
+  }
+
+  return Object.keys(fields).length > 0 ? updateDocument(run._id, fields) : run;
+}
+
+/**
+ * Bring an unfinished run up to date from the Parallel API
+ * Finished runs are returned as stored, so this also picks up runs whose
+ * webhook never arrived.
+ *
+ * @param {Object} run - Stored run
+ * @returns {Promise<Object>} Updated run
+ */
+export async function refreshRun(run) {
+  if (isSettled(run)) {
+    return run;
+  }
+  return withRunLock(run._id, async () => {
+    const current = await getRun(run._id);
+    if (isSettled(current)) {
+      return current;
+    }
+    const remote = await checkWorkflowStatus(current.runId, current.workflowId);
+    return applyRunUpdate(current, remote);
+  });
+}
+
+/**
+ * Handle a verified webhook event from Parallel
+ * Events for unknown runs are ignored, as are repeats of an event already handled.
+ *
+ * @param {Object} event - Webhook body: { type, data: { run_id, status, results?, error? } }
+ * @param {string} eventId - webhook-id header
+ * @returns {Promise<{status: 'updated'|'duplicate'|'ignored', run?: Object}>}
+ */
+export async function handleWebhookEvent(event, eventId) {
+  try {
+    const data = event?.data || {};
+    const runId = data.run_id ?? data.id;
+    if (!runId) {
+      return { status: 'ignored' };
+    }
+
+    const run = await getRun(String(runId));
+    if (!run) {
+      console.warn(`⚠️  Webhook for unknown Parallel run ${runId}`);
+      return { status: 'ignored' };
+    }
+
+    return await withRunLock(run._id, async () => {
+      const current = await getRun(run._id);
+      if (current.events?.includes(eventId)) {
+        return { status: 'duplicate', run: current };
+      }
+
+      const updated = await applyRunUpdate(current, {
+        status: normalizeRunStatus(data.status),
+        results: extractRunResults(data),
+        error: data.error?.message ?? data.error ?? null,
+      }, { eventId });
+      return { status: 'updated', run: updated };
+    });
+  } catch (error) {
+    console.error('Parallel webhook error:', error);
+    throw new Error(`Failed to handle webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Run with the progress of its ingestion job
+ */
+export async function describeRun(run) {
+  const job = run.ingest?.jobId ? await getJob(run.ingest.jobId) : null;
+  return { ...run, ingestJob: job && toPublicJob(job) };
+}
+
+/**
+ * Job handler: ingest the web results of a completed run, one document per page
+ * Pages already in the library are skipped, so a retried job picks up where it stopped.
+ */
+export const parallelResultsJobHandler = {
+  async run(job, reportProgress) {
+    const { runDocId, runId, results, labels = {}, workspaceId, ownerId } = job.input;
+    const documents = [];
+    const failed = [];
+
+    await reportProgress({ stage: 'ingesting', percent: 0 });
+    for (const [idx, result] of results.entries()) {
+      let savedDocId = null;
+      try {
+        const ingested = await ingestDocument(result.content, result.url || `parallel:${runId}/${idx + 1}`, {
+          title: result.title,
+          format: 'text',
+          metadata: { title: result.title, canonicalUrl: result.url },
+          collection: labels.collection,
+          tags: labels.tags,
+          author: labels.author,
+          publishedAt: labels.publishedAt,
+          workspaceId,
+          ownerId,
+          onDuplicate: 'skip',
+          onSaved: (doc) => { savedDocId = doc._id; },
+        });
+        documents.push({
+          _key: String(idx),
+          url: result.url,
+          title: ingested.title,
+          docId: ingested.sanityId,
+          action: ingested.action,
+        });
+      } catch (error) {
+        if (savedDocId) {
+          await deleteLibraryDocument(savedDocId);
+        }
+        // Retry the whole job for outages; pages already stored are skipped next time
+        if (isTransientError(error)) throw error;
+        console.warn(`⚠️  Could not ingest ${result.url || `result ${idx + 1}`}: ${error.message}`);
+        failed.push({ _key: String(idx), url: result.url, error: error.message });
+      }
+      await reportProgress({ stage: 'ingesting', percent: (100 * (idx + 1)) / results.length });
+    }
+
+    if (documents.length === 0) {
+      throw new Error(`None of the ${results.length} results could be ingested: ${failed[0]?.error}`);
+    }
+
+    await updateDocument(runDocId, {
+      ingest: { jobId: job.id, status: 'completed', documents, failed, error: null },
+    });
+    console.log(`✅ Ingested ${documents.length} of ${results.length} results from Parallel run ${runId}`);
+
+    return {
+      documents: documents.filter(doc => doc.action !== 'skipped').length,
+      skipped: documents.filter(doc => doc.action === 'skipped').length,
+      failed: failed.length,
+    };
+  },
+
+  async cleanup(job) {
+    const finished = await getJob(job.id);
+    if (finished?.status === 'failed') {
+      await updateDocument(job.input.runDocId, {
+        ingest: { jobId: job.id, status: 'failed', documents: [], failed: [], error: finished.error ?? 'Ingestion failed' },
+      });
+    }
+  },
+};
+
+export default {
+  startRun,
+  getRun,
+  listRuns,
+  refreshRun,
+  handleWebhookEvent,
+  describeRun,
+  parallelResultsJobHandler,
+};
@@ -0,0 +1,52 @@
+import { joinPages } from './chunker.js';
+
+/**
+ * Render a single PDF page to text
+ * Mirrors pdf-parse's default renderer so output matches the previous behaviour
+ */
+async function renderPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * Extract text from a PDF buffer, keeping track of page boundaries
+ *
+ * @param {Buffer} buffer - PDF file buffer
+ * @returns {Promise<{text: string, pages: Array<{number: number, start: number, end: number}>}>}
+ */
+export async function extractPdfPages(buffer) {
+  try {
+    const pdfParse = await import('pdf-parse');
+    const pageTexts = [];
+
+    await pdfParse.default(buffer, {
+      pagerender: async (pageData) => {
+        const text = await renderPage(pageData);
+        pageTexts.push(text);
+        return text;
+      },
+    });
+
+    return joinPages(pageTexts);
+  } catch (error) {
+    console.error('PDF extraction error:', error);
+    throw new Error(`Failed to extract text from PDF: ${error.message}`);
+  }
+}
+
+export default { extractPdfPages };
@@ -0,0 +1,234 @@
+/**
+ * Minimal PDF writer for text documents
+ * Lays out blocks of text (titles, headings, paragraphs, list items) on A4
+ * pages with the standard Helvetica fonts, which every PDF viewer has, so
+ * nothing is embedded. Text is encoded as WinAnsi: characters outside it are
+ * reduced to their base letter where possible and replaced with '?' otherwise.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const FOOTER_SIZE = 8;
+
+// Block styles: font (F1 Helvetica, F2 Helvetica-Bold), size and leading in points, gray level
+const STYLES = {
+  title: { font: 'F2', size: 20, leading: 25, spaceBefore: 0, spaceAfter: 6 },
+  subtitle: { font: 'F1', size: 9, leading: 12, spaceBefore: 0, spaceAfter: 14, gray: 0.4 },
+  heading: { font: 'F2', size: 14, leading: 18, spaceBefore: 14, spaceAfter: 6 },
+  subheading: { font: 'F2', size: 11, leading: 14, spaceBefore: 8, spaceAfter: 4 },
+  paragraph: { font: 'F1', size: 10.5, leading: 14.5, spaceBefore: 0, spaceAfter: 8 },
+  bullet: { font: 'F1', size: 10.5, leading: 14.5, spaceBefore: 0, spaceAfter: 4, indent: 14 },
+  small: { font: 'F1', size: 9, leading: 12, spaceBefore: 0, spaceAfter: 5, gray: 0.3 },
+  reference: { font: 'F1', size: 9, leading: 12, spaceBefore: 0, spaceAfter: 5, indent: 22 },
+};
+
+// Helvetica glyph widths (1/1000 em) for character codes 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+// Helvetica-Bold runs slightly wider; measuring it as scaled Helvetica keeps lines inside the margin
+const BOLD_SCALE = 1.08;
+
+// Characters WinAnsi places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89,
+  'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+};
+
+/**
+ * Encode text as WinAnsi, one character per byte (as a latin1 string)
+ */
+function toWinAnsi(text) {
+  let encoded = '';
+  for (const char of text.replace(/\t/g, '    ')) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      encoded += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    } else if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) {
+      encoded += char;
+    } else if (code >= 32) {
+      const base = char.normalize('NFKD')[0];
+      encoded += base && base.codePointAt(0) < 127 ? base : '?';
+    }
+  }
+  return encoded;
+}
+
+/**
+ * Width of WinAnsi text in points
+ */
+function measure(text, style) {
+  let units = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units / 1000) * style.size * (style.font === 'F2' ? BOLD_SCALE : 1);
+}
+
+/**
+ * Break WinAnsi text into lines no wider than width, splitting words longer than a line
+ */
+function wrap(text, style, width) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (let word of paragraph.split(/ +/)) {
+      while (measure(word, style) > width) {
+        let fit = word.length - 1;
+        while (fit > 1 && measure(word.slice(0, fit), style) > width) fit--;
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, fit));
+        word = word.slice(fit);
+      }
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measure(candidate, style) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * PDF literal string for WinAnsi text
+ */
+function pdfString(text) {
+  let escaped = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const code = text.charCodeAt(i);
+    if (char === '\\' || char === '(' || char === ')') {
+      escaped += `\\${char}`;
+    } else if (code < 32 || code > 126) {
+      escaped += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      escaped += char;
+    }
+  }
+  return `(${escaped})`;
+}
+
+/**
+ * Date in PDF form, e.g. D:20240131120000Z
+ */
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Lay out blocks as lines positioned on pages
+ * @returns {Array<Array<{style: Object, x: number, y: number, text: string}>>} Lines per page
+ */
+function layout(blocks) {
+  const pages = [[]];
+  const bottom = MARGIN + FOOTER_SIZE * 2;
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const block of blocks) {
+    const style = STYLES[block.style] || STYLES.paragraph;
+    const indent = style.indent || 0;
+    const lines = wrap(toWinAnsi(block.text), style, PAGE_WIDTH - MARGIN * 2 - indent);
+
+    y -= pages.at(-1).length > 0 ? style.spaceBefore : 0;
+    // Keep headings with the first lines that follow them
+    const keepLines = block.style === 'heading' || block.style === 'subheading' ? 3 : 1;
+    if (y - style.leading * keepLines < bottom && pages.at(-1).length > 0) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+
+    lines.forEach((text, idx) => {
+      if (y - style.leading < bottom) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= style.leading;
+      if (idx === 0 && block.marker) {
+        pages.at(-1).push({ style, x: MARGIN, y, text: toWinAnsi(block.marker) });
+      }
+      pages.at(-1).push({ style, x: MARGIN + indent, y, text });
+    });
+    y -= style.spaceAfter;
+  }
+
+  return pages;
+}
+
+/**
+ * Content stream drawing one page
+ */
+function pageContent(lines, footer) {
+  const ops = [];
+  for (const { style, x, y, text } of lines) {
+    if (!text) continue;
+    ops.push(`${style.gray ?? 0} g BT /${style.font} ${style.size} Tf ${x} ${y.toFixed(2)} Td ${pdfString(text)} Tj ET`);
+  }
+  ops.push(`0.5 g BT /F1 ${FOOTER_SIZE} Tf ${MARGIN} ${MARGIN - FOOTER_SIZE} Td ${pdfString(footer)} Tj ET`);
+  return ops.join('\n');
+}
+
+/**
+ * Render text blocks as a PDF
+ *
+ * @param {Array<{style: string, text: string, marker?: string}>} blocks - In reading order; style is one of
+ *   title, subtitle, heading, subheading, paragraph, bullet, small, reference. `marker` (e.g. '•' or '[3]')
+ *   is drawn in the indent of bullet and reference blocks, before the first line.
+ * @param {Object} options
+ * @param {string} options.title - Document title (metadata and page footers)
+ * @returns {Buffer} PDF file
+ */
+export function renderPdf(blocks, { title = 'Document' } = {}) {
+  const pages = layout(blocks);
+  const footerTitle = title.length > 80 ? `${title.substring(0, 77)}...` : title;
+
+  // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, idx) => 6 + idx * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< /Title ${pdfString(toWinAnsi(title))} /Producer (MAJ+ Research Agent) /CreationDate (${pdfDate(new Date())}) >>`;
+
+  pages.forEach((lines, idx) => {
+    const content = pageContent(lines, toWinAnsi(`${footerTitle} - page ${idx + 1} of ${pages.length}`));
+    objects[pageIds[idx]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[idx] + 1} 0 R >>`;
+    objects[pageIds[idx] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  // Everything above is ASCII, so string offsets are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+export default { renderPdf };
@@ -1,85 +1,456 @@
-import { createEmbedding, generateAnswer } from './lightningClient.js';
-import { queryTopK } from './redisClient.js';
-import { getDocument } from './sanityClient.js';
+import { embedText, generateAnswer, getProviderNames, streamAnswer } from './llmProvider.js';
+import { getActiveIndex, getVectorDimension, queryTopK } from './vectorStore.js';
+import { getDocument } from './documentStore.js';
+import { validateCitations } from './citations.js';
+import { searchKeyword } from './lexicalIndex.js';
+import { reciprocalRankFusion } from './fusion.js';
+import { hasFilter } from './filters.js';
+import { RERANK_CANDIDATES, selectContexts } from './rerank.js';
+
+const NO_RESULTS_ANSWER = 'No relevant documents found. Please ingest some documents first.';
+const NO_MATCHING_RESULTS_ANSWER = 'No relevant documents match the selected filters or minimum score.';
+
+export const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+
+const DEFAULT_RETRIEVAL_MODE = (process.env.RETRIEVAL_MODE || 'hybrid').toLowerCase();
+
+// Relative weight of each ranking in hybrid fusion
+const HYBRID_WEIGHTS = {
+  vector: Number(process.env.HYBRID_VECTOR_WEIGHT ?? 1),
+  keyword: Number(process.env.HYBRID_KEYWORD_WEIGHT ?? 1),
+};
+
+// Candidates fetched from each ranking before fusion
+const HYBRID_CANDIDATES = Number(process.env.HYBRID_CANDIDATES) || 20;
+
+// Most contexts sent to the LLM per question (CONTEXT_TOKEN_BUDGET usually decides how many fit), and the most a request may ask for
+export const DEFAULT_TOP_K = Number(process.env.DEFAULT_TOP_K) || 8;
+export const MAX_TOP_K = Number(process.env.MAX_TOP_K) || 20;
 
 /**
- * Query knowledge base with semantic search
- * 
+ * Fold prior conversation turns into a standalone retrieval query
+ * Without an LLM, the previous question is prepended so follow-ups keep their subject.
+ *
+ * @param {string} question - Follow-up question
+ * @param {Array<{role: string, content: string}>} history - Prior turns
+ * @param {Object} options
+ * @param {Function} options.onDegraded - Called with a reason when the rewrite is mock output
+ * @returns {Promise<string>} Standalone query used for retrieval
+ */
+export async function rewriteQuestion(question, history = [], { onDegraded } = {}) {
+  if (history.length === 0) {
+    return question;
+  }
+
+  const previousQuestion = [...history].reverse().find(message => message.role === 'user')?.content;
+  const transcript = history
+    .map(({ role, content }) => `${role === 'user' ? 'User' : 'Assistant'}: ${content}`)
+    .join('\n');
+
+  const prompt = `Rewrite the follow-up question as a standalone search query that can be understood without the conversation. Resolve pronouns and references to earlier topics. Reply with the query only.
+
+Conversation:
+${transcript}
+
+Follow-up question: ${question}
+
+Standalone query:`;
+
+  const rewritten = await generateAnswer(prompt, {
+    mockAnswer: () => (previousQuestion ? `${previousQuestion} ${question}` : question),
+    onDegraded,
+  });
+
+  const standalone = rewritten.trim().replace(/^["']|["']$/g, '');
+  console.log(`✏️  Rewrote follow-up as: "${standalone}"`);
+  return standalone || question;
+}
+
+/**
+ * Rank chunks by embedding similarity
+ * Chunks embedded by a different provider than the query are left out, since
+ * their similarity scores are meaningless (e.g. mock vectors stored while the
+ * real provider was down).
+ */
+async function searchVectors(question, k, filter, onDegraded) {
+  // Embed with the model the active index was built with, so a re-index can swap models
+  const index = await getActiveIndex();
+  console.log('🧠 Creating query embedding...');
+  const { embedding, provider } = await embedText(question, {
+    ...index.embedding,
+    mockDimension: await getVectorDimension({ index: index.name }),
+    onDegraded,
+  });
+
+  console.log('📊 Searching vector database...');
+  const results = await queryTopK(embedding, k, filter, { index: index.name });
+  const comparable = results.filter(r => !r.metadata?.embeddingProvider || r.metadata.embeddingProvider === provider);
+  if (comparable.length < results.length) {
+    const ignored = results.length - comparable.length;
+    const others = [...new Set(results.map(r => r.metadata?.embeddingProvider).filter(p => p && p !== provider))];
+    // A query that fell back to a mock embedding cannot be compared with stored vectors, which are fine as they are
+    const fellBack = provider === 'mock' && (index.embedding?.provider ?? getProviderNames().embeddings) !== 'mock';
+    onDegraded?.(fellBack
+      ? `Ignored ${ignored} matching chunks embedded by the ${others.join(', ')} provider while it is unavailable`
+      : `Ignored ${ignored} matching chunks embedded by the ${others.join(', ')} provider; re-index those documents`
+    );
+  }
+  return comparable;
+}
+
+/**
+ * Rank chunks with the configured retrieval mode
+ * Every result carries the score from each component that found it.
+ *
+ * @returns {Promise<Array<{id: string, score: number, metadata: Object, scores: Object}>>}
+ */
+async function searchChunks(question, topK, mode, weights, filter, onDegraded) {
+  if (mode === 'vector') {
+    const results = await searchVectors(question, topK, filter, onDegraded);
+    return results.map(r => ({ ...r, scores: { vector: r.score, keyword: null, fused: null } }));
+  }
+
+  if (mode === 'keyword') {
+    console.log('🔤 Searching keyword index...');
+    const results = await searchKeyword(question, topK, filter);
+    return results.map(r => ({ ...r, scores: { vector: null, keyword: r.score, fused: null } }));
+  }
+
+  const candidates = Math.max(topK, HYBRID_CANDIDATES);
+  console.log('🔀 Searching vector database and keyword index...');
+  const [vector, keyword] = await Promise.all([
+    searchVectors(question, candidates, filter, onDegraded),
+    searchKeyword(question, candidates, filter),
+  ]);
+
+  return reciprocalRankFusion({ vector, keyword }, { weights, k: topK })
+    .map(r => ({ ...r, scores: { ...r.scores, fused: r.score } }));
+}
+
+/**
+ * Retrieve the contexts most relevant to a question
+ * More candidates than needed are retrieved, then reranked (when a reranker is
+ * set), diversified with maximal marginal relevance, capped per document and
+ * packed into the context token budget (see rerank.js).
+ *
  * @param {string} question - User's question
- * @param {number} topK - Number of contexts to retrieve
- * @returns {Promise<Object>} Answer and contexts
+ * @param {number} topK - Most contexts to return
+ * @param {Object} options
+ * @param {'vector'|'keyword'|'hybrid'} options.mode - Retrieval mode (default: RETRIEVAL_MODE or hybrid)
+ * @param {{vector: number, keyword: number}} options.weights - Hybrid fusion weights
+ * @param {Object} options.filter - Metadata filter (see documentLabels.parseQueryFilters), e.g. { collection: 'oncology' }
+ * @param {number} options.minScore - Drop contexts scoring below this (cosine similarity, BM25 or fused score, by mode)
+ * @param {'none'|'local'|'llm'} options.reranker - Reranker for the candidates (default RERANKER)
+ * @param {string} options.workspaceId - Only search chunks of documents in this workspace
+ * @param {Function} options.onDegraded - Called with a reason when the query embedding is mock output, chunks are left out
+ *   or reranking fell back
+ * @returns {Promise<Array<Object>>} Contexts with id, text, score, per-component scores, title, source and chunk position
  */
-export async function queryKnowledge(question, topK = 3) {
-  try {
-    console.log(`🔍 Processing query: "${question}"`);
-    
-    // 1. Create embedding for the question
-    console.log('🧠 Creating query embedding...');
-    const queryEmbedding = await createEmbedding(question);
-    
-    // 2. Search similar vectors in Redis
-    console.log('📊 Searching vector database...');
-    const similarDocs = await queryTopK(queryEmbedding, topK);
-    
-    if (similarDocs.length === 0) {
+export async function retrieveContexts(question, topK = DEFAULT_TOP_K, {
+  mode = DEFAULT_RETRIEVAL_MODE,
+  weights = HYBRID_WEIGHTS,
+  filter = {},
+  minScore = 0,
+  reranker,
+  workspaceId,
+  onDegraded,
+} = {}) {
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    throw new Error(`Unknown retrieval mode "${mode}". Use one of: ${RETRIEVAL_MODES.join(', ')}`);
+  }
+
+  // 1-2. Rank candidate chunks by similarity, keywords or both
+  const scoped = workspaceId ? { ...filter, workspaceId } : filter;
+  const ranked = await searchChunks(question, Math.max(topK, RERANK_CANDIDATES), mode, weights, scoped, onDegraded);
+  const similarDocs = ranked.filter(doc => doc.score >= minScore);
+  if (similarDocs.length < ranked.length) {
+    console.log(`✂️  Dropped ${ranked.length - similarDocs.length} contexts below min score ${minScore}`);
+  }
+
+  // 3. Resolve chunk text (legacy whole-document vectors fall back to the document store)
+  // Lookups run concurrently; the document store's HTTP client bounds how many are in flight
+  console.log('📚 Retrieving document contents...');
+  const candidates = await Promise.all(similarDocs.map(async (doc) => {
+    const metadata = doc.metadata || {};
+
+    if (metadata.text) {
       return {
-        answer: 'No relevant documents found. Please ingest some documents first.',
-        contexts: [],
+        id: doc.id,
+        text: metadata.text,
+        score: doc.score,
+        scores: doc.scores,
+        title: metadata.title || 'Untitled',
+        source: metadata.source || null,
+        docId: metadata.docId,
+        chunkIndex: metadata.chunkIndex,
+        chunkCount: metadata.chunkCount,
+        pageStart: metadata.pageStart ?? null,
+        pageEnd: metadata.pageEnd ?? null,
+        heading: metadata.heading ?? null,
+        collection: metadata.collection ?? null,
+        tags: metadata.tags ?? [],
       };
     }
-    
-    // 3. Retrieve full text from Sanity
-    console.log('📚 Retrieving document contents...');
-    const contexts = [];
-    
-    for (const doc of similarDocs) {
-      try {
-        const fullDoc = await getDocument(doc.id);
-        contexts.push({
-          text: fullDoc.contentSnippet || fullDoc.fullText?.substring(0, 500) || 'No content',
-          score: doc.score,
-          title: fullDoc.title,
-        });
-      } catch (error) {
-        console.warn(`Could not fetch document ${doc.id}:`, error.message);
-        // Use metadata fallback
-        contexts.push({
-          text: doc.metadata.snippet || 'Content unavailable',
-          score: doc.score,
-          title: doc.metadata.title || 'Untitled',
-        });
-      }
+
+    try {
+      const fullDoc = await getDocument(doc.id);
+      return {
+        id: doc.id,
+        text: fullDoc.contentSnippet || fullDoc.fullText?.substring(0, 500) || 'No content',
+        score: doc.score,
+        scores: doc.scores,
+        title: fullDoc.title,
+        source: fullDoc.source || null,
+        docId: doc.id,
+      };
+    } catch (error) {
+      console.warn(`Could not fetch document ${doc.id}:`, error.message);
+      // Use metadata fallback
+      return {
+        id: doc.id,
+        text: metadata.snippet || 'Content unavailable',
+        score: doc.score,
+        scores: doc.scores,
+        title: metadata.title || 'Untitled',
+        source: metadata.source || null,
+        docId: doc.id,
+      };
     }
-    
-    // 4. Build prompt with contexts
-    const contextText = contexts
-      .map((ctx, idx) => `Context ${idx + 1} (relevance: ${ctx.score.toFixed(3)}):\n${ctx.text}`)
-      .join('\n\n');
-    
-    const prompt = `You are a helpful research assistant. Answer the user's question based on the provided contexts.
+  }));
+
+  // 4. Rerank, diversify and pack the candidates into the context budget
+  return selectContexts(question, candidates, { maxContexts: topK, reranker, onDegraded });
+}
+
+/**
+ * Answer used when retrieval finds nothing, depending on whether the search was narrowed
+ */
+function noResultsAnswer(filter, minScore) {
+  return hasFilter(filter) || minScore > 0 ? NO_MATCHING_RESULTS_ANSWER : NO_RESULTS_ANSWER;
+}
+
+/**
+ * Describe where a context came from, e.g. `"Title" (paper.pdf, p. 3)`
+ */
+function describeContext(ctx) {
+  const location = [ctx.source];
+  if (ctx.heading) {
+    location.push(`§ ${ctx.heading}`);
+  }
+  if (ctx.pageStart) {
+    location.push(ctx.pageEnd && ctx.pageEnd !== ctx.pageStart ? `pp. ${ctx.pageStart}-${ctx.pageEnd}` : `p. ${ctx.pageStart}`);
+  }
+  location.push(`relevance: ${ctx.score.toFixed(3)}`);
+  return `"${ctx.title}" (${location.filter(Boolean).join(', ')})`;
+}
+
+/**
+ * Build the LLM prompt from retrieved contexts, numbered for citation
+ */
+function buildPrompt(question, contexts) {
+  const contextText = contexts
+    .map((ctx, idx) => `[${idx + 1}] ${describeContext(ctx)}\n${ctx.text}`)
+    .join('\n\n');
+
+  return `You are a helpful research assistant. Answer the user's question based on the provided contexts.
 
 Context:
 ${contextText}
 
 Question: ${question}
 
-Provide a clear, concise answer based on the contexts above. If the contexts don't contain enough information, say so.`;
+Provide a clear, concise answer based on the contexts above. After each sentence that uses information from a context, cite it with its number in square brackets, e.g. [1] or [2][3]. Only cite numbers listed above. If the contexts don't contain enough information, say so.`;
+}
+
+/**
+ * Shape contexts for API responses
+ */
+function toResponseContexts(contexts) {
+  return contexts.map(c => ({
+    id: c.id,
+    docId: c.docId,
+    title: c.title,
+    source: c.source,
+    text: c.text,
+    score: c.score,
+    scores: c.scores ?? null,
+    chunkIndex: c.chunkIndex ?? null,
+    chunkCount: c.chunkCount ?? null,
+    pageStart: c.pageStart ?? null,
+    pageEnd: c.pageEnd ?? null,
+    heading: c.heading ?? null,
+    collection: c.collection ?? null,
+    tags: c.tags ?? [],
+  }));
+}
+
+/**
+ * Query knowledge base with semantic search
+ *
+ * @param {string} question - User's question
+ * @param {number} topK - Most contexts to use
+ * @param {Object} options
+ * @param {Array<{role: string, content: string}>} options.history - Prior conversation turns
+ * @param {'vector'|'keyword'|'hybrid'} options.mode - Retrieval mode
+ * @param {Object} options.filter - Metadata filter
+ * @param {number} options.minScore - Minimum context score
+ * @param {'none'|'local'|'llm'} options.reranker - Reranker (default RERANKER)
+ * @param {string} options.workspaceId - Only answer from documents in this workspace
+ * @returns {Promise<Object>} Answer, contexts, citations, the retrieval mode, filter, the query used for retrieval
+ *   and degraded / degradedReasons when any step used mock output
+ */
+export async function queryKnowledge(question, topK = DEFAULT_TOP_K, {
+  history = [],
+  mode = DEFAULT_RETRIEVAL_MODE,
+  filter = {},
+  minScore = 0,
+  reranker,
+  workspaceId,
+} = {}) {
+  try {
+    console.log(`🔍 Processing query: "${question}"`);
+    const degradedReasons = new Set();
+    const onDegraded = reason => degradedReasons.add(reason);
+
+    const retrievalQuery = await rewriteQuestion(question, history, { onDegraded });
+    const contexts = await retrieveContexts(retrievalQuery, topK, { mode, filter, minScore, reranker, workspaceId, onDegraded });
+
+    if (contexts.length === 0) {
+      return {
+        retrievalQuery,
+        mode,
+        filter,
+        answer: noResultsAnswer(filter, minScore),
+        contexts: [],
+        citations: [],
+        invalidCitations: [],
+        degraded: degradedReasons.size > 0,
+        degradedReasons: [...degradedReasons],
+      };
+    }
 
     // 5. Generate answer with LLM
     console.log('🤖 Generating answer...');
-    const answer = await generateAnswer(prompt);
-    
+    const rawAnswer = await generateAnswer(buildPrompt(question, contexts), { history, onDegraded });
+    const { answer, citations, invalidCitations } = validateCitations(rawAnswer, contexts);
+
     console.log('✅ Query completed successfully');
-    
+
     return {
+      retrievalQuery,
+      mode,
+      filter,
       answer,
-      contexts: contexts.map(c => ({ text: c.text, score: c.score })),
+      contexts: toResponseContexts(contexts),
+      citations,
+      invalidCitations,
+      degraded: degradedReasons.size > 0,
+      degradedReasons: [...degradedReasons],
     };
-    
+
   } catch (error) {
     console.error('Query pipeline error:', error);
     throw new Error(`Failed to process query: ${error.message}`);
   }
 }
 
-export default { queryKnowledge };
+/**
+ * Query knowledge base and stream the answer as it is generated
+ * Emits the retrieved contexts first, then answer tokens, then a final
+ * event with the citation-validated answer, timing and token usage.
+ * Both the contexts and the done event carry degraded / degradedReasons
+ * (retrieval only, then every step).
+ *
+ * @param {string} question - User's question
+ * @param {Object} options
+ * @param {number} options.topK - Most contexts to use
+ * @param {AbortSignal} options.signal - Stops generation when the client disconnects
+ * @param {Array<{role: string, content: string}>} options.history - Prior conversation turns
+ * @param {'vector'|'keyword'|'hybrid'} options.mode - Retrieval mode
+ * @param {Object} options.filter - Metadata filter
+ * @param {number} options.minScore - Minimum context score
+ * @param {'none'|'local'|'llm'} options.reranker - Reranker (default RERANKER)
+ * @param {string} options.workspaceId - Only answer from documents in this workspace
+ * @yields {{event: 'contexts'|'token'|'done', data: Object}}
+ */
+export async function* streamKnowledge(question, {
+  topK = DEFAULT_TOP_K,
+  signal,
+  history = [],
+  mode = DEFAULT_RETRIEVAL_MODE,
+  filter = {},
+  minScore = 0,
+  reranker,
+  workspaceId,
+} = {}) {
+  const startedAt = Date.now();
+
+  try {
+    console.log(`🔍 Processing streaming query: "${question}"`);
+
+    const degradedReasons = new Set();
+    const onDegraded = reason => degradedReasons.add(reason);
+
+    const retrievalQuery = await rewriteQuestion(question, history, { onDegraded });
+    const contexts = await retrieveContexts(retrievalQuery, topK, { mode, filter, minScore, reranker, workspaceId, onDegraded });
+    const retrievedAt = Date.now();
+
+    yield {
+      event: 'contexts',
+      data: {
+        retrievalQuery,
+        mode,
+        filter,
+        contexts: toResponseContexts(contexts),
+        degraded: degradedReasons.size > 0,
+        degradedReasons: [...degradedReasons],
+      },
+    };
+
+    let usage = null;
+    let rawAnswer = '';
+
+    if (contexts.length === 0) {
+      rawAnswer = noResultsAnswer(filter, minScore);
+      yield { event: 'token', data: { text: rawAnswer } };
+    } else {
+      console.log('🤖 Streaming answer...');
+      for await (const part of streamAnswer(buildPrompt(question, contexts), { signal, history, onDegraded })) {
+        if (part.type === 'token') {
+          rawAnswer += part.text;
+          yield { event: 'token', data: { text: part.text } };
+        } else if (part.type === 'usage') {
+          usage = part.usage;
+        }
+      }
+    }
+
+    const { answer, citations, invalidCitations } = validateCitations(rawAnswer, contexts);
+    const finishedAt = Date.now();
+    console.log(signal?.aborted ? '⏹️  Query stream cancelled' : '✅ Query stream completed');
+
+    yield {
+      event: 'done',
+      data: {
+        cancelled: Boolean(signal?.aborted),
+        answer,
+        citations,
+        invalidCitations,
+        timing: {
+          retrievalMs: retrievedAt - startedAt,
+          generationMs: finishedAt - retrievedAt,
+          totalMs: finishedAt - startedAt,
+        },
+        usage,
+        degraded: degradedReasons.size > 0,
+        degradedReasons: [...degradedReasons],
+      },
+    };
+
+  } catch (error) {
+    console.error('Query stream error:', error);
+    throw new Error(`Failed to process query: ${error.message}`);
+  }
+}
+
+export default { RETRIEVAL_MODES, DEFAULT_TOP_K, MAX_TOP_K, queryKnowledge, retrieveContexts, rewriteQuestion, streamKnowledge };
@@ -0,0 +1,148 @@
+import dotenv from 'dotenv';
+import { sendError } from './errors.js';
+
+dotenv.config();
+
+/**
+ * Fixed-window rate limits, kept in memory per server process
+ * Callers are told their budget in RateLimit-* headers; over the limit they
+ * get 429 RATE_LIMITED with Retry-After. Set a limit to 0 to turn it off.
+ */
+
+const WINDOW_SECONDS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60;
+const AUTH_WINDOW_SECONDS = Number(process.env.RATE_LIMIT_AUTH_WINDOW_SECONDS) || 900;
+
+/**
+ * Read a limit; 0 is a valid value (no limit), so only unset or invalid values fall back
+ */
+function readLimit(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Configured limits: requests per window for each group of routes
+ */
+export function getRateLimits() {
+  return {
+    // Every authenticated /api request, per caller (the UI polls job status once a second)
+    api: { max: readLimit('RATE_LIMIT_MAX', 300), windowSeconds: WINDOW_SECONDS },
+    // Uploads, pasted text and URL crawls, per caller
+    ingest: { max: readLimit('RATE_LIMIT_INGEST_MAX', 30), windowSeconds: WINDOW_SECONDS },
+    // Questions, which each cost an LLM call, per caller
+    query: { max: readLimit('RATE_LIMIT_QUERY_MAX', 60), windowSeconds: WINDOW_SECONDS },
+    // Research reports, which each ask several questions and write a long answer, per caller
+    report: { max: readLimit('RATE_LIMIT_REPORT_MAX', 5), windowSeconds: WINDOW_SECONDS },
+    // Sign-in and registration attempts, per IP address and per email address
+    auth: { max: readLimit('RATE_LIMIT_AUTH_MAX', 10), windowSeconds: AUTH_WINDOW_SECONDS },
+  };
+}
+
+/**
+ * Create a counter of requests per key in fixed windows
+ *
+ * @param {Object} options
+ * @param {number} options.max - Requests allowed per window (0 for no limit)
+ * @param {number} options.windowSeconds - Window length
+ * @returns {{max: number, windowSeconds: number, consume: Function, reset: Function}}
+ */
+export function createRateLimiter({ max, windowSeconds }) {
+  const windowMs = windowSeconds * 1000;
+  const windows = new Map();
+
+  // Forget finished windows so idle callers do not accumulate
+  if (max > 0) {
+    setInterval(() => {
+      const now = Date.now();
+      for (const [key, window] of windows) {
+        if (window.resetAt <= now) windows.delete(key);
+      }
+    }, windowMs).unref();
+  }
+
+  return {
+    max,
+    windowSeconds,
+
+    /**
+     * Count one request
+     * @returns {{allowed: boolean, remaining: number, resetAt: number}}
+     */
+    consume(key) {
+      if (max <= 0) {
+        return { allowed: true, remaining: Infinity, resetAt: 0 };
+      }
+
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+      return { allowed: window.count <= max, remaining: Math.max(0, max - window.count), resetAt: window.resetAt };
+    },
+
+    reset(key) {
+      windows.delete(key);
+    },
+  };
+}
+
+/**
+ * Who a request is counted against: its API key, its signed-in user, or its IP address
+ */
+export function callerKey(req) {
+  if (req.auth?.apiKeyId) return `key:${req.auth.apiKeyId}`;
+  if (req.auth?.user) return `user:${req.auth.user.id}`;
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Count a request against a limiter and set the RateLimit-* headers
+ * Answers 429 when over the limit.
+ *
+ * @returns {boolean} Whether the request may continue (false when a response was sent)
+ */
+export function checkRateLimit(limiter, key, res) {
+  const { allowed, remaining, resetAt } = limiter.consume(key);
+  if (limiter.max <= 0) {
+    return true;
+  }
+
+  const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set({
+    'RateLimit-Limit': String(limiter.max),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+  });
+
+  if (!allowed) {
+    res.set('Retry-After', String(resetSeconds));
+    sendError(res, 'RATE_LIMITED', `Too many requests, try again in ${resetSeconds}s`, { retryAfter: resetSeconds });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Express middleware limiting requests per caller
+ *
+ * @param {Object} limiter - From createRateLimiter
+ * @param {Function} keyOf - Request → key (defaults to callerKey)
+ */
+export function rateLimit(limiter, keyOf = callerKey) {
+  return (req, res, next) => {
+    if (checkRateLimit(limiter, keyOf(req), res)) {
+      next();
+    }
+  };
+}
+
+export default {
+  getRateLimits,
+  createRateLimiter,
+  callerKey,
+  checkRateLimit,
+  rateLimit,
+};
@@ -1,14 +1,32 @@
-import { createClient } from 'redis';
+import { createClient, commandOptions, SchemaFieldTypes, VectorAlgorithms } from 'redis';
 import dotenv from 'dotenv';
+import { matchesFilter, hasFilter } from './filters.js';
+import { cosineSimilarity } from './vectorMath.js';
 
 dotenv.config();
 
+const KEY_PREFIX = 'doc:';
+const VECTOR_INDEX = process.env.REDIS_VECTOR_INDEX || 'idx:docs';
+// Which index is live and which is being built (see vectorStore.js)
+const REGISTRY_KEY = 'vector:indexes';
+const DEFAULT_INDEX = 'default';
+const VECTOR_ALGORITHM = (process.env.REDIS_VECTOR_ALGORITHM || 'HNSW').toUpperCase();
+const VECTOR_SEARCH = (process.env.REDIS_VECTOR_SEARCH || 'auto').toLowerCase();
+// Metadata fields indexed as TAGs and usable as KNN pre-filters
+const TAG_FIELDS = ['docId', 'source', 'collection', 'tags', 'author', 'workspaceId'];
+// Matches read per FT.SEARCH call when listing, counting or deleting by TAG filter
+const SEARCH_PAGE_SIZE = 1000;
+
 let redisClient = null;
 
+// Open indexes by name
+const indexes = new Map();
+
 /**
  * Initialize Redis connection
+ * Shared with other Redis-backed modules (e.g. the job queue).
  */
-async function getRedisClient() {
+export async function getRedisClient() {
   if (redisClient && redisClient.isOpen) {
     return redisClient;
   }
@@ -27,117 +45,655 @@ async function getRedisClient() {
 }
 
 /**
- * Compute cosine similarity between two vectors
+ * Encode a vector as a FLOAT32 blob for RediSearch
+ */
+function vectorToBuffer(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+/**
+ * Decode a FLOAT32 blob back into a plain array
+ */
+function bufferToVector(buffer) {
+  // Copy first: Float32Array needs a 4-byte aligned offset
+  const bytes = new Uint8Array(buffer);
+  return Array.from(new Float32Array(bytes.buffer, 0, bytes.byteLength / 4));
+}
+
+/**
+ * Check whether the RediSearch module is loaded
  */
-function cosineSimilarity(vecA, vecB) {
-  if (vecA.length !== vecB.length) {
-    throw new Error('Vectors must have same length');
+async function hasSearchModule(client) {
+  try {
+    await client.ft._list();
+    return true;
+  } catch (error) {
+    if (/unknown command/i.test(error.message)) {
+      return false;
+    }
+    throw error;
   }
+}
+
+
+/**
+ * Build the hash fields stored for each vector
+ */
+function toHashFields(vector, metadata = {}, timestamp = Date.now()) {
+  return {
+    vector: vectorToBuffer(vector),
+    metadata: JSON.stringify(metadata),
+    docId: metadata.docId || '',
+    source: metadata.source || '',
+    collection: metadata.collection || '',
+    // TAG fields split on commas, so each tag is matched on its own
+    tags: (metadata.tags || []).join(','),
+    author: metadata.author || '',
+    workspaceId: metadata.workspaceId || '',
+    timestamp: String(timestamp),
+  };
+}
+
+/**
+ * Escape a value for use inside a RediSearch TAG query
+ */
+function escapeTag(value) {
+  return String(value).replace(/[,.<>{}[\]"':;!@#$%^&*()\-+=~|/\\ ]/g, '\\$&');
+}
+
+/**
+ * Split a filter into a RediSearch pre-filter over TAG fields and the rest
+ */
+function buildPreFilter(filter = {}) {
+  const clauses = [];
+  const residual = {};
 
-  let dotProduct = 0;
-  let magA = 0;
-  let magB = 0;
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (value === undefined || value === null) continue;
 
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    magA += vecA[i] * vecA[i];
-    magB += vecB[i] * vecB[i];
+    const values = Array.isArray(value) ? value : [value];
+    if (TAG_FIELDS.includes(key) && values.every(v => typeof v === 'string' && v !== '')) {
+      clauses.push(`@${key}:{${values.map(escapeTag).join(' | ')}}`);
+    } else {
+      residual[key] = value;
+    }
   }
 
-  const magnitude = Math.sqrt(magA) * Math.sqrt(magB);
-  return magnitude === 0 ? 0 : dotProduct / magnitude;
+  return {
+    query: clauses.length > 0 ? `(${clauses.join(' ')})` : '*',
+    residual,
+  };
 }
 
 /**
- * Store a vector with metadata
- * @param {string} id - Document ID
- * @param {number[]} vector - Embedding vector
- * @param {Object} metadata - Additional metadata
+ * Read a stored vector regardless of whether it is a legacy JSON string or a hash
  */
-export async function upsertVector(id, vector, metadata = {}) {
-  try {
-    const client = await getRedisClient();
-    
-    const key = `doc:${id}`;
-    const value = JSON.stringify({
-      vector,
-      metadata,
-      timestamp: Date.now(),
-    });
+async function readVector(client, key) {
+  const type = await client.type(key);
 
-    await client.set(key, value);
-    console.log(`✓ Stored vector for: ${id}`);
-    
-    return { id, key };
-  } catch (error) {
-    console.error('Redis upsert error:', error);
-    throw new Error(`Failed to store vector: ${error.message}`);
+  if (type === 'string') {
+    const data = await client.get(key);
+    return data ? JSON.parse(data) : null;
+  }
+
+  if (type === 'hash') {
+    const fields = await client.hGetAll(commandOptions({ returnBuffers: true }), key);
+    if (!fields.vector) return null;
+    return {
+      vector: bufferToVector(fields.vector),
+      metadata: JSON.parse(fields.metadata?.toString() || '{}'),
+    };
   }
+
+  return null;
 }
 
 /**
- * Query top K similar vectors
- * Simple implementation using cosine similarity
- * For production, use RedisVL or Redis vector search
- * 
- * @param {number[]} queryVector - Query embedding
- * @param {number} k - Number of results to return
- * @returns {Promise<Array>} Top K results with scores
+ * Key prefix and RediSearch index name for a named index
+ * The default index keeps the original `doc:` keys and REDIS_VECTOR_INDEX.
  */
-export async function queryTopK(queryVector, k = 3) {
-  try {
-    const client = await getRedisClient();
-    
-    // Get all document keys
-    const keys = await client.keys('doc:*');
-    
-    if (keys.length === 0) {
-      console.warn('No vectors found in Redis');
-      return [];
+function indexKeys(name) {
+  return name === DEFAULT_INDEX
+    ? { keyPrefix: KEY_PREFIX, searchIndex: VECTOR_INDEX }
+    : { keyPrefix: `vec:${name}:`, searchIndex: `${VECTOR_INDEX}:${name}` };
+}
+
+/**
+ * Create the operations for one index
+ */
+function createIndex(name) {
+  const { keyPrefix, searchIndex } = indexKeys(name);
+  // Legacy JSON vectors only ever existed in the default index
+  const hasLegacyKeys = name === DEFAULT_INDEX;
+
+  let vectorIndexReady = false;
+  let vectorIndexPromise = null;
+  let vectorIndexDimension = null;
+
+  /**
+   * Check whether the vector index already exists
+   */
+  async function vectorIndexExists(client) {
+    try {
+      await client.ft.info(searchIndex);
+      return true;
+    } catch (error) {
+      if (/unknown index name|no such index/i.test(error.message)) {
+        return false;
+      }
+      throw error;
     }
+  }
 
-    // Calculate similarities for all documents
-    const similarities = [];
-    
-    for (const key of keys) {
+  /**
+   * Find the dimension of the first legacy JSON vector, if any
+   */
+  async function detectLegacyDimension(client) {
+    for await (const key of client.scanIterator({ MATCH: `${keyPrefix}*`, TYPE: 'string', COUNT: 100 })) {
+      const data = await client.get(key);
+      if (!data) continue;
+      const parsed = JSON.parse(data);
+      if (Array.isArray(parsed.vector)) {
+        return parsed.vector.length;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert legacy JSON string `doc:*` keys into hashes the index can see
+   *
+   * @returns {Promise<number>} Number of keys migrated
+   */
+  async function migrateLegacyVectors(client, dimension) {
+    if (!hasLegacyKeys) return 0;
+    let migrated = 0;
+
+    for await (const key of client.scanIterator({ MATCH: `${keyPrefix}*`, TYPE: 'string', COUNT: 100 })) {
       const data = await client.get(key);
       if (!data) continue;
-      
+
       const parsed = JSON.parse(data);
-      const similarity = cosineSimilarity(queryVector, parsed.vector);
-      
+      if (!Array.isArray(parsed.vector) || parsed.vector.length !== dimension) {
+        console.warn(`⚠️  Skipping migration of ${key}: expected ${dimension} dimensions`);
+        continue;
+      }
+
+      await client
+        .multi()
+        .del(key)
+        .hSet(key, toHashFields(parsed.vector, parsed.metadata, parsed.timestamp))
+        .exec();
+      migrated++;
+    }
+
+    if (migrated > 0) {
+      console.log(`✓ Migrated ${migrated} legacy vectors into ${searchIndex}`);
+    }
+    return migrated;
+  }
+
+  /**
+   * Add TAG fields introduced after the index was created
+   * Vectors written before then have no values for them, so they only match unfiltered queries.
+   */
+  async function addMissingTagFields(client, info) {
+    const existing = new Set(info.attributes.map(attr => attr.identifier));
+    const missing = TAG_FIELDS.filter(field => !existing.has(field));
+    if (missing.length === 0) return;
+
+    await client.ft.alter(searchIndex, Object.fromEntries(missing.map(field => [field, SchemaFieldTypes.TAG])));
+    console.log(`✓ Added ${missing.join(', ')} to vector index ${searchIndex}`);
+  }
+
+  /**
+   * Create the RediSearch vector index (and migrate legacy keys) if possible
+   * Returns false when the search module is unavailable or disabled, in which
+   * case callers use the brute-force JSON path instead.
+   *
+   * @param {number} dimension - Vector dimension, required to create a new index
+   * @returns {Promise<boolean>} Whether KNN search can be used
+   */
+  async function ensureVectorIndex(dimension) {
+    if (vectorIndexReady) return true;
+    if (VECTOR_SEARCH === 'off') return false;
+
+    if (!vectorIndexPromise) {
+      vectorIndexPromise = (async () => {
+        const client = await getRedisClient();
+
+        if (!(await hasSearchModule(client))) {
+          console.warn('⚠️  RediSearch module not loaded, using brute-force vector search');
+          return false;
+        }
+
+        if (await vectorIndexExists(client)) {
+          const info = await client.ft.info(searchIndex);
+          await addMissingTagFields(client, info);
+          const vectorField = info.attributes.find(attr => attr.identifier === 'vector');
+          const indexDimension = Number(vectorField?.dim ?? vectorField?.DIM) || dimension;
+          vectorIndexDimension = indexDimension || null;
+          if (indexDimension) {
+            await migrateLegacyVectors(client, indexDimension);
+          }
+          return true;
+        }
+
+        const indexDimension = dimension || (hasLegacyKeys ? await detectLegacyDimension(client) : null);
+        if (!indexDimension) {
+          // Nothing stored yet; the first upsert will create the index
+          return false;
+        }
+
+        await client.ft.create(searchIndex, {
+          vector: {
+            type: SchemaFieldTypes.VECTOR,
+            ALGORITHM: VECTOR_ALGORITHM === 'FLAT' ? VectorAlgorithms.FLAT : VectorAlgorithms.HNSW,
+            TYPE: 'FLOAT32',
+            DIM: indexDimension,
+            DISTANCE_METRIC: 'COSINE',
+          },
+          ...Object.fromEntries(TAG_FIELDS.map(field => [field, SchemaFieldTypes.TAG])),
+          timestamp: { type: SchemaFieldTypes.NUMERIC, SORTABLE: true },
+        }, {
+          ON: 'HASH',
+          PREFIX: keyPrefix,
+        });
+        console.log(`✓ Created ${VECTOR_ALGORITHM} vector index ${searchIndex} (${indexDimension} dims)`);
+        vectorIndexDimension = indexDimension;
+
+        await migrateLegacyVectors(client, indexDimension);
+        return true;
+      })();
+    }
+
+    try {
+      vectorIndexReady = await vectorIndexPromise;
+      return vectorIndexReady;
+    } finally {
+      // Allow a later call (e.g. with a dimension) to retry
+      if (!vectorIndexReady) vectorIndexPromise = null;
+    }
+  }
+
+  /**
+   * Store several vectors in one transaction
+   * @param {Array<{id: string, vector: number[], metadata: Object}>} items
+   */
+  async function upsertVectors(items) {
+    try {
+      if (items.length === 0) return [];
+      const client = await getRedisClient();
+      const indexed = await ensureVectorIndex(items[0].vector.length);
+      const multi = client.multi();
+
+      for (const { id, vector, metadata = {} } of items) {
+        const key = `${keyPrefix}${id}`;
+        if (indexed) {
+          multi.del(key).hSet(key, toHashFields(vector, metadata));
+        } else {
+          multi.set(key, JSON.stringify({ vector, metadata, timestamp: Date.now() }));
+        }
+      }
+      await multi.exec();
+
+      console.log(`✓ Stored ${items.length} vectors`);
+      return items.map(({ id }) => ({ id, key: `${keyPrefix}${id}` }));
+    } catch (error) {
+      console.error('Redis upsert error:', error);
+      throw new Error(`Failed to store vector: ${error.message}`);
+    }
+  }
+
+  /**
+   * Query top K similar vectors
+   * Uses RediSearch KNN when the index is available, otherwise scans every
+   * vector and computes cosine similarity in JavaScript.
+   *
+   * @param {number[]} queryVector - Query embedding
+   * @param {number} k - Number of results to return
+   * @param {Object} filter - Metadata filter
+   * @returns {Promise<Array>} Top K results with scores
+   */
+  async function queryTopK(queryVector, k = 3, filter = {}) {
+    try {
+      const client = await getRedisClient();
+
+      const topK = await ensureVectorIndex()
+        ? await searchVectorIndex(client, queryVector, k, filter)
+        : await bruteForceTopK(client, queryVector, k, filter);
+
+      console.log(`✓ Found ${topK.length} similar documents`);
+      return topK;
+
+    } catch (error) {
+      console.error('Redis query error:', error);
+      throw new Error(`Failed to query vectors: ${error.message}`);
+    }
+  }
+
+  /**
+   * KNN query against the RediSearch vector index
+   * TAG fields are pre-filtered in Redis; other filters are applied to an
+   * over-fetched candidate set.
+   */
+  async function searchVectorIndex(client, queryVector, k, filter) {
+    const { query, residual } = buildPreFilter(filter);
+    const needsPostFilter = hasFilter(residual);
+    const fetchK = needsPostFilter ? k * 5 : k;
+
+    const results = await client.ft.search(searchIndex, `${query}=>[KNN ${fetchK} @vector $BLOB AS distance]`, {
+      PARAMS: { BLOB: vectorToBuffer(queryVector) },
+      SORTBY: 'distance',
+      RETURN: ['distance', 'metadata'],
+      LIMIT: { from: 0, size: fetchK },
+      DIALECT: 2,
+    });
+
+    return results.documents
+      .map(doc => ({
+        id: doc.id.slice(keyPrefix.length),
+        // COSINE distance is 1 - similarity
+        score: 1 - Number(doc.value.distance),
+        metadata: JSON.parse(doc.value.metadata || '{}'),
+      }))
+      .filter(doc => matchesFilter(doc.metadata, residual))
+      .slice(0, k);
+  }
+
+  /**
+   * Fallback: compare the query against every stored vector
+   */
+  async function bruteForceTopK(client, queryVector, k, filter) {
+    const similarities = [];
+
+    for await (const entry of scanVectors(client, filter)) {
       similarities.push({
-        id: key.replace('doc:', ''),
-        score: similarity,
-        metadata: parsed.metadata,
+        id: entry.id,
+        score: cosineSimilarity(queryVector, entry.vector),
+        metadata: entry.metadata,
       });
     }
 
+    if (similarities.length === 0) {
+      console.warn('No vectors found in Redis');
+      return [];
+    }
+
     // Sort by similarity (descending) and return top K
     similarities.sort((a, b) => b.score - a.score);
-    const topK = similarities.slice(0, k);
-    
-    console.log(`✓ Found ${topK.length} similar documents`);
-    return topK;
-    
+    return similarities.slice(0, k);
+  }
+
+  /**
+   * Delete a vector
+   */
+  async function deleteVector(id) {
+    try {
+      const client = await getRedisClient();
+      await client.del(`${keyPrefix}${id}`);
+      console.log(`✓ Deleted vector: ${id}`);
+    } catch (error) {
+      console.error('Redis delete error:', error);
+      throw new Error(`Failed to delete vector: ${error.message}`);
+    }
+  }
+
+  /**
+   * Iterate over stored vectors matching a metadata filter
+   */
+  async function* scanVectors(client, filter) {
+    for await (const key of client.scanIterator({ MATCH: `${keyPrefix}*`, COUNT: 100 })) {
+      const parsed = await readVector(client, key);
+      const id = key.slice(keyPrefix.length);
+      if (parsed && matchesFilter({ ...parsed.metadata, id }, filter)) {
+        yield { id, key, ...parsed };
+      }
+    }
+  }
+
+  /**
+   * RediSearch query answering a filter on its own, or null when the filter
+   * needs each vector's metadata (no index, no filter, or non-TAG fields)
+   */
+  async function tagQuery(filter) {
+    const { query, residual } = buildPreFilter(filter);
+    if (query === '*' || hasFilter(residual)) return null;
+    return await ensureVectorIndex() ? query : null;
+  }
+
+  /**
+   * Iterate over stored vectors matching a metadata filter
+   * Filters on TAG fields (e.g. `{ docId }`) are answered by the vector index,
+   * so only the matching keys are read; other filters scan every key.
+   *
+   * @param {Object} options - { withVectors } — also read each match's embedding
+   */
+  async function* findVectors(client, filter, { withVectors = false } = {}) {
+    const query = await tagQuery(filter);
+    if (!query) {
+      yield* scanVectors(client, filter);
+      return;
+    }
+
+    // Collect every page first, so deleting matches cannot shift later pages
+    const matches = [];
+    for (let from = 0; ; from += SEARCH_PAGE_SIZE) {
+      const { documents } = await client.ft.search(searchIndex, query, {
+        RETURN: ['metadata'],
+        LIMIT: { from, size: SEARCH_PAGE_SIZE },
+        DIALECT: 2,
+      });
+      matches.push(...documents);
+      if (documents.length < SEARCH_PAGE_SIZE) break;
+    }
+
+    for (const doc of matches) {
+      const parsed = withVectors
+        ? await readVector(client, doc.id)
+        : { metadata: JSON.parse(doc.value.metadata || '{}') };
+      if (parsed) {
+        yield { id: doc.id.slice(keyPrefix.length), key: doc.id, ...parsed };
+      }
+    }
+  }
+
+  /**
+   * Delete every vector matching a metadata filter (or `{ id }`)
+   * @returns {Promise<number>} Number of vectors removed
+   */
+  async function deleteVectors(filter = {}) {
+    try {
+      const client = await getRedisClient();
+      const keys = [];
+      for await (const entry of findVectors(client, filter)) {
+        keys.push(entry.key);
+      }
+      if (keys.length > 0) {
+        await client.del(keys);
+      }
+      console.log(`✓ Deleted ${keys.length} vectors`);
+      return keys.length;
+    } catch (error) {
+      console.error('Redis delete error:', error);
+      throw new Error(`Failed to delete vectors: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count vectors, optionally matching a metadata filter
+   */
+  async function countVectors(filter = {}) {
+    try {
+      const client = await getRedisClient();
+
+      if (!hasFilter(filter) && await ensureVectorIndex()) {
+        const info = await client.ft.info(searchIndex);
+        return Number(info.numDocs);
+      }
+
+      const query = await tagQuery(filter);
+      if (query) {
+        const { total } = await client.ft.search(searchIndex, query, { LIMIT: { from: 0, size: 0 }, DIALECT: 2 });
+        return Number(total);
+      }
+
+      let count = 0;
+      for await (const entry of scanVectors(client, filter)) {
+        if (entry) count++;
+      }
+      return count;
+    } catch (error) {
+      console.error('Redis count error:', error);
+      throw new Error(`Failed to count vectors: ${error.message}`);
+    }
+  }
+
+  /**
+   * List stored vectors ordered by ID
+   *
+   * @param {Object} options
+   * @param {Object} options.filter - Metadata filter
+   * @param {number} options.offset - Entries to skip
+   * @param {number} options.limit - Maximum entries to return
+   * @param {boolean} options.includeVectors - Include the raw embedding
+   * @returns {Promise<Array>} Entries with { id, metadata, vector? }
+   */
+  async function listVectors({ filter = {}, offset = 0, limit = Infinity, includeVectors = false } = {}) {
+    try {
+      const client = await getRedisClient();
+      const entries = [];
+      for await (const entry of findVectors(client, filter, { withVectors: includeVectors })) {
+        entries.push({
+          id: entry.id,
+          metadata: entry.metadata,
+          ...(includeVectors ? { vector: entry.vector } : {}),
+        });
+      }
+      entries.sort((a, b) => a.id.localeCompare(b.id));
+      return entries.slice(offset, offset + limit);
+    } catch (error) {
+      console.error('Redis list error:', error);
+      throw new Error(`Failed to list vectors: ${error.message}`);
+    }
+  }
+
+  /**
+   * Dimension vectors must have: the index dimension, or without an index the
+   * length of the first stored vector (null while nothing is stored)
+   */
+  async function getVectorDimension() {
+    try {
+      if (await ensureVectorIndex()) {
+        return vectorIndexDimension;
+      }
+      const client = await getRedisClient();
+      for await (const entry of scanVectors(client, {})) {
+        return entry.vector.length;
+      }
+      return null;
+    } catch (error) {
+      console.error('Redis dimension check error:', error);
+      throw new Error(`Failed to read vector dimension: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the RediSearch index and every key in this index
+   */
+  async function drop() {
+    const client = await getRedisClient();
+    if (VECTOR_SEARCH !== 'off' && await hasSearchModule(client) && await vectorIndexExists(client)) {
+      await client.ft.dropIndex(searchIndex);
+    }
+
+    let batch = [];
+    for await (const key of client.scanIterator({ MATCH: `${keyPrefix}*`, COUNT: 500 })) {
+      batch.push(key);
+      if (batch.length >= 500) {
+        await client.del(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await client.del(batch);
+    }
+  }
+
+  return {
+    ensureVectorIndex,
+    upsertVectors,
+    queryTopK,
+    deleteVector,
+    deleteVectors,
+    countVectors,
+    listVectors,
+    getVectorDimension,
+    drop,
+  };
+}
+
+/**
+ * Open a named index (the same instance is returned for the same name)
+ *
+ * @param {string} name - Index name; 'default' is the original `doc:*` keys and REDIS_VECTOR_INDEX
+ * @returns {Object} Index operations: upsertVectors, queryTopK, deleteVector, deleteVectors, countVectors, listVectors, getVectorDimension
+ */
+export function openVectorIndex(name = DEFAULT_INDEX) {
+  if (!indexes.has(name)) {
+    indexes.set(name, createIndex(name));
+  }
+  return indexes.get(name);
+}
+
+/**
+ * Create the default RediSearch vector index (and migrate legacy keys) if possible
+ *
+ * @param {number} dimension - Vector dimension, required to create a new index
+ * @returns {Promise<boolean>} Whether KNN search can be used
+ */
+export function ensureVectorIndex(dimension) {
+  return openVectorIndex(DEFAULT_INDEX).ensureVectorIndex(dimension);
+}
+
+/**
+ * Remove an index: its RediSearch index and all of its vectors
+ */
+export async function dropVectorIndex(name) {
+  try {
+    await openVectorIndex(name).drop();
+    indexes.delete(name);
+    console.log(`🗑️  Dropped vector index ${name}`);
   } catch (error) {
-    console.error('Redis query error:', error);
-    throw new Error(`Failed to query vectors: ${error.message}`);
+    console.error('Redis drop index error:', error);
+    throw new Error(`Failed to drop vector index: ${error.message}`);
   }
 }
 
 /**
- * Delete a vector
+ * Read the index registry, or null when none has been written
  */
-export async function deleteVector(id) {
+export async function readIndexRegistry() {
   try {
     const client = await getRedisClient();
-    const key = `doc:${id}`;
-    await client.del(key);
-    console.log(`✓ Deleted vector: ${id}`);
+    const data = await client.get(REGISTRY_KEY);
+    return data ? JSON.parse(data) : null;
   } catch (error) {
-    console.error('Redis delete error:', error);
-    throw new Error(`Failed to delete vector: ${error.message}`);
+    console.error('Redis registry read error:', error);
+    throw new Error(`Failed to read vector index registry: ${error.message}`);
+  }
+}
+
+/**
+ * Write the index registry
+ */
+export async function writeIndexRegistry(registry) {
+  try {
+    const client = await getRedisClient();
+    await client.set(REGISTRY_KEY, JSON.stringify(registry));
+  } catch (error) {
+    console.error('Redis registry write error:', error);
+    throw new Error(`Failed to write vector index registry: ${error.message}`);
   }
 }
 
@@ -151,4 +707,14 @@ export async function closeRedis() {
   }
 }
 
-export default { upsertVector, queryTopK, deleteVector, closeRedis };
+export { closeRedis as closeVectorStore };
+
+export default {
+  getRedisClient,
+  openVectorIndex,
+  ensureVectorIndex,
+  dropVectorIndex,
+  readIndexRegistry,
+  writeIndexRegistry,
+  closeRedis,
+};
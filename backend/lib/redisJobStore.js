@@ -0,0 +1,118 @@
+import dotenv from 'dotenv';
+import { getRedisClient } from './redisClient.js';
+
+dotenv.config();
+
+const JOB_PREFIX = 'job:';
+// Sorted set of job IDs scored by the time they may run (retries are scheduled in the future)
+const QUEUE_KEY = 'jobs:queue';
+// Jobs claimed by a worker and not yet finished
+const RUNNING_KEY = 'jobs:running';
+// Finished jobs are kept this long for status polling
+const FINISHED_TTL_SECONDS = Number(process.env.JOB_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+/**
+ * Store a job record
+ * @param {Object} job - Job with id and status
+ */
+export async function saveJob(job) {
+  try {
+    const client = await getRedisClient();
+    const finished = job.status === 'completed' || job.status === 'failed';
+    await client.set(`${JOB_PREFIX}${job.id}`, JSON.stringify(job), finished ? { EX: FINISHED_TTL_SECONDS } : {});
+    return job;
+  } catch (error) {
+    console.error('Redis job save error:', error);
+    throw new Error(`Failed to save job: ${error.message}`);
+  }
+}
+
+/**
+ * Get a job by ID
+ * @returns {Promise<Object|null>} Job, or null if it does not exist
+ */
+export async function getJob(id) {
+  try {
+    const client = await getRedisClient();
+    const data = await client.get(`${JOB_PREFIX}${id}`);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error('Redis job fetch error:', error);
+    throw new Error(`Failed to fetch job: ${error.message}`);
+  }
+}
+
+/**
+ * Queue a job to run at or after a time
+ * @param {string} id - Job ID
+ * @param {number} runAt - Epoch milliseconds
+ */
+export async function enqueue(id, runAt = Date.now()) {
+  try {
+    const client = await getRedisClient();
+    await client.zAdd(QUEUE_KEY, { score: runAt, value: id });
+  } catch (error) {
+    console.error('Redis enqueue error:', error);
+    throw new Error(`Failed to enqueue job: ${error.message}`);
+  }
+}
+
+/**
+ * Claim the next job that is due
+ * ZREM succeeds for exactly one caller, so several workers can poll safely.
+ *
+ * @returns {Promise<Object|null>} Claimed job, or null when nothing is due
+ */
+export async function claimNext() {
+  try {
+    const client = await getRedisClient();
+    const due = await client.zRangeByScore(QUEUE_KEY, '-inf', Date.now(), { LIMIT: { offset: 0, count: 5 } });
+
+    for (const id of due) {
+      if (await client.zRem(QUEUE_KEY, id) === 1) {
+        await client.sAdd(RUNNING_KEY, id);
+        const job = await getJob(id);
+        if (job) return job;
+        await client.sRem(RUNNING_KEY, id);
+      }
+    }
+    return null;
+  } catch (error) {
+    console.error('Redis job claim error:', error);
+    throw new Error(`Failed to claim job: ${error.message}`);
+  }
+}
+
+/**
+ * Mark a claimed job as no longer running
+ */
+export async function release(id) {
+  try {
+    const client = await getRedisClient();
+    await client.sRem(RUNNING_KEY, id);
+  } catch (error) {
+    console.error('Redis job release error:', error);
+    throw new Error(`Failed to release job: ${error.message}`);
+  }
+}
+
+/**
+ * Put jobs that were running when the process stopped back on the queue
+ * @returns {Promise<number>} Number of jobs recovered
+ */
+export async function recover() {
+  try {
+    const client = await getRedisClient();
+    const ids = await client.sMembers(RUNNING_KEY);
+    for (const id of ids) {
+      await client.zAdd(QUEUE_KEY, { score: Date.now(), value: id });
+      await client.sRem(RUNNING_KEY, id);
+    }
+    return ids.length;
+  } catch (error) {
+    console.error('Redis job recovery error:', error);
+    throw new Error(`Failed to recover jobs: ${error.message}`);
+  }
+}
+
+export default { saveJob, getJob, enqueue, claimNext, release, recover };
@@ -0,0 +1,155 @@
+import { randomUUID } from 'crypto';
+import dotenv from 'dotenv';
+import { getRedisClient } from './redisClient.js';
+
+dotenv.config();
+
+/**
+ * Keyword index changes kept in Redis, shared by every process using the
+ * Redis vector store: a snapshot hash ({ cursor, entries }) plus a stream of
+ * the changes made since. Each process replays the stream from its own
+ * cursor; compaction writes a new snapshot and trims the stream up to it.
+ */
+
+const SNAPSHOT_KEY = 'lexical:snapshot';
+const LOG_KEY = 'lexical:log';
+// Only one process compacts at a time
+const COMPACT_LOCK_KEY = 'lexical:compact-lock';
+const COMPACT_LOCK_MS = 60000;
+// Cursor before the first stream entry
+const LOG_START = '0-0';
+
+/**
+ * Order two stream IDs (`<ms>-<seq>`)
+ */
+function compareIds(a, b) {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
+
+/**
+ * Read the snapshot
+ * @returns {Promise<{entries: Object, cursor: string}|null>} Entries by chunk ID and the last change they include, or null when none has been written
+ */
+export async function readSnapshot() {
+  try {
+    const client = await getRedisClient();
+    const [cursor, entries] = await client.hmGet(SNAPSHOT_KEY, ['cursor', 'entries']);
+    return entries ? { entries: JSON.parse(entries), cursor: cursor || LOG_START } : null;
+  } catch (error) {
+    console.error('Redis keyword snapshot read error:', error);
+    throw new Error(`Failed to read keyword index snapshot: ${error.message}`);
+  }
+}
+
+/**
+ * Changes made after a cursor
+ * @param {string} cursor - Last change already applied
+ * @returns {Promise<{changes: Array<Object>, cursor: string, stale: boolean}>} stale when a newer snapshot
+ *   may have trimmed changes after the cursor, in which case the snapshot must be read again
+ */
+export async function readChanges(cursor) {
+  try {
+    const client = await getRedisClient();
+    // One transaction, so a compaction cannot trim the stream between the two reads
+    const [snapshotCursor, records] = await client
+      .multi()
+      .hGet(SNAPSHOT_KEY, 'cursor')
+      .xRange(LOG_KEY, `(${cursor}`, '+')
+      .exec();
+
+    if (snapshotCursor && compareIds(snapshotCursor, cursor) > 0) {
+      return { changes: [], cursor, stale: true };
+    }
+    return {
+      changes: records.map(record => JSON.parse(record.message.change)),
+      cursor: records.at(-1)?.id ?? cursor,
+      stale: false,
+    };
+  } catch (error) {
+    console.error('Redis keyword log read error:', error);
+    throw new Error(`Failed to read keyword index changes: ${error.message}`);
+  }
+}
+
+/**
+ * Append a change to the stream
+ * Other processes may have appended since the cursor, so their changes are read
+ * in the same transaction and returned to be applied before this one.
+ *
+ * @param {Object} change - { set?: { id: entry }, remove?: [id] }
+ * @param {string} cursor - Cursor the change was made at
+ * @returns {Promise<{changes: Array<Object>, cursor: string, stale: boolean}>} Changes logged before this one,
+ *   and the stream ID of this one; stale as for readChanges, in which case this change is replayed from the stream
+ */
+export async function appendChange(change, cursor) {
+  try {
+    const client = await getRedisClient();
+    const [snapshotCursor, records, id] = await client
+      .multi()
+      .hGet(SNAPSHOT_KEY, 'cursor')
+      .xRange(LOG_KEY, `(${cursor}`, '+')
+      .xAdd(LOG_KEY, '*', { change: JSON.stringify(change) })
+      .exec();
+
+    if (snapshotCursor && compareIds(snapshotCursor, cursor) > 0) {
+      return { changes: [], cursor, stale: true };
+    }
+    return { changes: records.map(record => JSON.parse(record.message.change)), cursor: id, stale: false };
+  } catch (error) {
+    console.error('Redis keyword log append error:', error);
+    throw new Error(`Failed to record keyword index change: ${error.message}`);
+  }
+}
+
+/**
+ * Cursor of the last change in the stream
+ */
+export async function getCursor() {
+  try {
+    const client = await getRedisClient();
+    const [last] = await client.xRevRange(LOG_KEY, '+', '-', { COUNT: 1 });
+    return last?.id ?? LOG_START;
+  } catch (error) {
+    console.error('Redis keyword log read error:', error);
+    throw new Error(`Failed to read keyword index changes: ${error.message}`);
+  }
+}
+
+/**
+ * Replace the snapshot and trim the stream up to its cursor
+ * Skipped while another process compacts, or when the stored snapshot is already newer.
+ *
+ * @param {Object} entries - Every entry by chunk ID
+ * @param {string} cursor - Last change the entries include
+ * @returns {Promise<boolean>} Whether the snapshot was written
+ */
+export async function writeSnapshot(entries, cursor) {
+  try {
+    const client = await getRedisClient();
+    const token = randomUUID();
+    if (await client.set(COMPACT_LOCK_KEY, token, { NX: true, PX: COMPACT_LOCK_MS }) !== 'OK') {
+      return false;
+    }
+
+    try {
+      const current = await client.hGet(SNAPSHOT_KEY, 'cursor');
+      if (current && compareIds(current, cursor) > 0) {
+        return false;
+      }
+      await client.hSet(SNAPSHOT_KEY, { cursor, entries: JSON.stringify(entries) });
+      await client.xTrim(LOG_KEY, 'MINID', cursor);
+      return true;
+    } finally {
+      if (await client.get(COMPACT_LOCK_KEY) === token) {
+        await client.del(COMPACT_LOCK_KEY);
+      }
+    }
+  } catch (error) {
+    console.error('Redis keyword snapshot write error:', error);
+    throw new Error(`Failed to write keyword index snapshot: ${error.message}`);
+  }
+}
+
+export default { readSnapshot, readChanges, appendChange, getCursor, writeSnapshot };
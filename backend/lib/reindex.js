@@ -0,0 +1,245 @@
+import { listDocuments } from './documentStore.js';
+import { chunkText } from './chunker.js';
+import { writeDocumentVectors } from './ingest.js';
+import { enqueueJob, getJob } from './jobQueue.js';
+import { PROVIDERS, getEmbeddingSettings } from './llmProvider.js';
+import {
+  abandonIndexBuild,
+  beginIndexBuild,
+  countVectors,
+  getIndexRegistry,
+  swapActiveIndex,
+} from './vectorStore.js';
+
+const DOC_TYPE = 'researchDoc';
+// Documents read from the document store at a time
+const PAGE_SIZE = 50;
+
+/**
+ * Validate re-index options from a request body or the command line
+ *
+ * @param {Object} input - { provider, model, dimension, swap }
+ * @returns {{options: Object}|{error: string}} Options for prepareReindex, or a message describing the problem
+ */
+export function parseReindexOptions(input = {}) {
+  const provider = typeof input.provider === 'string' && input.provider.trim() ? input.provider.trim().toLowerCase() : undefined;
+  if (provider && !PROVIDERS.includes(provider)) {
+    return { error: `Unknown embedding provider "${provider}". Use one of: ${PROVIDERS.join(', ')}` };
+  }
+
+  const model = typeof input.model === 'string' && input.model.trim() ? input.model.trim() : undefined;
+
+  let dimension;
+  if (input.dimension !== undefined && input.dimension !== null && input.dimension !== '') {
+    dimension = Number(input.dimension);
+    if (!Number.isInteger(dimension) || dimension <= 0) {
+      return { error: 'dimension must be a positive integer' };
+    }
+  }
+
+  if (input.swap !== undefined && typeof input.swap !== 'boolean') {
+    return { error: 'swap must be true or false' };
+  }
+
+  return { options: { provider, model, dimension, swap: input.swap ?? true } };
+}
+
+/**
+ * Embedding settings for the new index: requested overrides on top of the
+ * configured EMBEDDING_* settings. EMBEDDING_DIMENSION only applies while the
+ * provider and model stay the same.
+ */
+function resolveEmbedding({ provider, model, dimension }) {
+  const configured = getEmbeddingSettings();
+  const resolvedProvider = provider || configured.provider;
+  if (resolvedProvider === 'mock') {
+    return { provider: 'mock', model: null, dimension: configured.dimension };
+  }
+
+  const resolvedModel = model || configured.model;
+  const unchanged = resolvedProvider === configured.provider && resolvedModel === configured.model;
+  return {
+    provider: resolvedProvider,
+    model: resolvedModel,
+    dimension: dimension ?? (unchanged ? configured.dimension : null),
+  };
+}
+
+/**
+ * Name for a new index, from the current time (e.g. v20240131120000)
+ */
+function newIndexName() {
+  return `v${new Date().toISOString().replace(/\D/g, '').slice(0, 14)}`;
+}
+
+/**
+ * Register a new index as being built
+ * From here on, ingested and re-indexed documents are written to it as well
+ * as to the active index, so nothing is missed while the corpus is re-embedded.
+ *
+ * @param {Object} options - { provider, model, dimension, swap } (see parseReindexOptions)
+ * @returns {Promise<{index: string, embedding: Object, swap: boolean}>} Build input for runReindex
+ */
+export async function prepareReindex(options = {}) {
+  const embedding = resolveEmbedding(options);
+  const index = newIndexName();
+  await beginIndexBuild({ name: index, embedding });
+  return { index, embedding, swap: options.swap ?? true };
+}
+
+/**
+ * Re-embed every current document into the index being built, then swap it in
+ * Queries keep using the active index until the swap. The swap is skipped
+ * when any chunk fell back to mock embeddings, so a provider outage never
+ * replaces a good index; swap manually once the cause is fixed, or cancel the build.
+ *
+ * @param {{index: string, embedding: Object, swap: boolean}} build - From prepareReindex
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { stage, percent }
+ * @returns {Promise<Object>} { index, embedding, documents, chunks, vectors, swapped, degraded, degradedReasons }
+ */
+export async function runReindex({ index: name, embedding, swap }, { onProgress = () => {} } = {}) {
+  try {
+    const index = { name, embedding };
+    const degradedReasons = new Set();
+    const onDegraded = reason => degradedReasons.add(reason);
+
+    console.log(`♻️  Re-indexing corpus into ${name} (${embedding.provider}${embedding.model ? ` / ${embedding.model}` : ''})`);
+    await onProgress({ stage: 'reindexing', percent: 0 });
+    const { total } = await listDocuments({ type: DOC_TYPE, limit: 1 });
+
+    let seen = 0;
+    let documents = 0;
+    let chunks = 0;
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      // Stop when the build was cancelled (or replaced) while running
+      const { building } = await getIndexRegistry();
+      if (building?.name !== name) {
+        throw new Error(`Re-index into ${name} was cancelled`);
+      }
+
+      const { documents: page } = await listDocuments({ type: DOC_TYPE, offset, limit: PAGE_SIZE });
+      for (const doc of page) {
+        seen++;
+        if (doc.supersededBy) continue;
+
+        const docChunks = chunkText(doc.fullText || '', { pages: doc.pages, sections: doc.sections });
+        if (docChunks.length > 0) {
+          await writeDocumentVectors(doc, docChunks, index, { onDegraded });
+          documents++;
+          chunks += docChunks.length;
+        }
+        await onProgress({ stage: 'reindexing', percent: total > 0 ? (95 * seen) / total : 95 });
+      }
+      if (page.length < PAGE_SIZE) break;
+    }
+
+    const degraded = degradedReasons.size > 0;
+    // A build with the mock provider was asked for; only fallbacks to mock output block the swap
+    const fellBack = degraded && embedding.provider !== 'mock';
+    let swapped = false;
+    if (swap && fellBack) {
+      console.warn(`⚠️  Not swapping to ${name}: some chunks got mock embeddings`);
+    } else if (swap) {
+      await onProgress({ stage: 'swapping', percent: 98 });
+      await swapActiveIndex(name);
+      swapped = true;
+    }
+
+    console.log(`✅ Re-indexed ${documents} documents (${chunks} chunks) into ${name}`);
+    return {
+      index: name,
+      embedding,
+      documents,
+      chunks,
+      vectors: await countVectors({}, { index: name }),
+      swapped,
+      degraded,
+      degradedReasons: [...degradedReasons],
+    };
+  } catch (error) {
+    console.error('Re-index error:', error);
+    throw new Error(`Failed to re-index: ${error.message}`);
+  }
+}
+
+/**
+ * Queue a re-index of the whole corpus
+ *
+ * @param {Object} options - { provider, model, dimension, swap } (see parseReindexOptions)
+ * @returns {Promise<{job: Object, index: string, embedding: Object}>}
+ */
+export async function startReindex(options = {}) {
+  const build = await prepareReindex(options);
+  try {
+    const job = await enqueueJob('reindex', build);
+    await beginIndexBuild({ name: build.index, embedding: build.embedding, jobId: job.id });
+    return { job, index: build.index, embedding: build.embedding };
+  } catch (error) {
+    await abandonIndexBuild(build.index);
+    throw error;
+  }
+}
+
+/**
+ * Active, building and previous indexes with their embedding settings and
+ * vector counts, plus the progress of the running re-index job
+ */
+export async function getReindexStatus() {
+  const registry = await getIndexRegistry();
+
+  const describe = async (entry) => entry && {
+    ...entry,
+    // The default index follows the EMBEDDING_* settings until a re-index replaces it
+    embedding: entry.embedding ?? getEmbeddingSettings(),
+    vectors: await countVectors({}, { index: entry.name }),
+  };
+
+  const building = await describe(registry.building);
+  if (building?.jobId) {
+    const job = await getJob(building.jobId);
+    building.job = job && {
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      percent: job.percent,
+      error: job.error ?? null,
+      result: job.result,
+    };
+  }
+
+  return {
+    active: await describe(registry.active),
+    building,
+    previous: await describe(registry.previous),
+  };
+}
+
+/**
+ * Job handler: re-embed the corpus into the index registered by startReindex
+ */
+export const reindexJobHandler = {
+  run(job, reportProgress) {
+    return runReindex(job.input, { onProgress: reportProgress });
+  },
+
+  async cleanup(job) {
+    const finished = await getJob(job.id);
+    const { active, previous } = await getIndexRegistry();
+    const name = job.input.index;
+    // A cancelled build may have written vectors after it was dropped, so drop it again
+    if (finished?.status === 'failed' && name !== active.name && name !== previous?.name) {
+      console.log(`🧹 Discarding unfinished index ${name}`);
+      await abandonIndexBuild(name);
+    }
+  },
+};
+
+export default {
+  parseReindexOptions,
+  prepareReindex,
+  runReindex,
+  startReindex,
+  getReindexStatus,
+  reindexJobHandler,
+};
@@ -0,0 +1,290 @@
+import { renderPdf } from './pdfWriter.js';
+
+/**
+ * Research report exports: Markdown, a standalone HTML page and PDF
+ * All three follow the same outline: summary, sections with key findings,
+ * open questions, the sub-questions researched and the numbered sources
+ * that the [n] markers in the text refer to.
+ */
+
+export const REPORT_FORMATS = ['md', 'html', 'pdf'];
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf',
+};
+
+/**
+ * Paragraphs of a section body (separated by blank lines)
+ */
+function paragraphs(text = '') {
+  return text.split(/\n\s*\n/).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Where a source passage was found, e.g. `paper.pdf, § Methods, pp. 3-4`
+ */
+function describeLocation(source) {
+  const location = [source.source];
+  if (source.heading) {
+    location.push(`§ ${source.heading}`);
+  }
+  if (source.pageStart) {
+    location.push(source.pageEnd && source.pageEnd !== source.pageStart ? `pp. ${source.pageStart}-${source.pageEnd}` : `p. ${source.pageStart}`);
+  }
+  return location.filter(Boolean).join(', ');
+}
+
+/**
+ * One line about when and how the report was written
+ */
+function describeReport(report) {
+  const date = new Date(report.completedAt || report.createdAt).toISOString().slice(0, 10);
+  const questions = report.subQuestions?.length ?? 0;
+  const sources = report.sources?.length ?? 0;
+  const counts = `${questions} question${questions === 1 ? '' : 's'} researched, ${sources} source${sources === 1 ? '' : 's'} cited`;
+  return `Research report · ${date} · ${counts}`;
+}
+
+/**
+ * Note for reports written partly with mock output
+ */
+function degradedNote(report) {
+  return report.degraded
+    ? `Parts of this report were written with mock output: ${report.degradedReasons.join('; ')}`
+    : null;
+}
+
+/**
+ * Report as Markdown
+ */
+export function toMarkdown(report) {
+  const lines = [`# ${report.title}`, '', `_${describeReport(report)}_`, ''];
+
+  const note = degradedNote(report);
+  if (note) {
+    lines.push(`> ${note}`, '');
+  }
+  if (report.topic !== report.title) {
+    lines.push(`**Topic:** ${report.topic}`, '');
+  }
+  if (report.summary) {
+    lines.push('## Summary', '', report.summary, '');
+  }
+
+  for (const section of report.sections || []) {
+    lines.push(`## ${section.heading}`, '');
+    paragraphs(section.body).forEach(paragraph => lines.push(paragraph, ''));
+    if (section.findings?.length) {
+      lines.push('**Key findings**', '');
+      section.findings.forEach(finding => lines.push(`- ${finding}`));
+      lines.push('');
+    }
+  }
+
+  if (report.openQuestions?.length) {
+    lines.push('## Open questions', '');
+    report.openQuestions.forEach(question => lines.push(`- ${question}`));
+    lines.push('');
+  }
+
+  if (report.subQuestions?.length) {
+    lines.push('## Research questions', '');
+    report.subQuestions.forEach((finding, idx) => lines.push(`${idx + 1}. ${finding.question}${finding.answered ? '' : ' _(no matching documents)_'}`));
+    lines.push('');
+  }
+
+  if (report.sources?.length) {
+    lines.push('## Sources', '');
+    report.sources.forEach(source => lines.push(`[${source.number}] **${source.title}**, ${describeLocation(source)}`, ''));
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text = '') {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escaped text with [n] markers linked to the source list
+ */
+function citedHtml(text, sourceCount) {
+  return escapeHtml(text).replace(/\[(\d{1,2})\]/g, (match, n) => (
+    Number(n) >= 1 && Number(n) <= sourceCount ? `<a class="cite" href="#source-${n}">[${n}]</a>` : match
+  ));
+}
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; color: #1f2328; }
+  h1 { font-size: 2rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.35rem; margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: 0.25rem; }
+  .meta { color: #59636e; font-size: 0.875rem; }
+  .note { background: #fff8c5; border: 1px solid #d4a72c66; border-radius: 6px; padding: 0.5rem 0.75rem; font-size: 0.875rem; }
+  .findings { background: #f6f8fa; border-radius: 6px; padding: 0.5rem 1rem; }
+  .findings h3 { font-size: 0.875rem; text-transform: uppercase; letter-spacing: 0.04em; color: #59636e; margin: 0.5rem 0; }
+  a.cite { font-size: 0.75em; vertical-align: super; text-decoration: none; }
+  .sources li { font-size: 0.875rem; margin-bottom: 0.5rem; }
+  .sources .excerpt { color: #59636e; }
+  @media print { body { margin: 0; max-width: none; } a.cite { color: inherit; } }
+`;
+
+/**
+ * Report as a standalone HTML page (styles inline, prints cleanly)
+ */
+export function toHtml(report) {
+  const count = report.sources?.length ?? 0;
+  const cite = text => citedHtml(text, count);
+  const body = [`<h1>${escapeHtml(report.title)}</h1>`, `<p class="meta">${escapeHtml(describeReport(report))}</p>`];
+
+  const note = degradedNote(report);
+  if (note) {
+    body.push(`<p class="note">${escapeHtml(note)}</p>`);
+  }
+  if (report.topic !== report.title) {
+    body.push(`<p><strong>Topic:</strong> ${escapeHtml(report.topic)}</p>`);
+  }
+  if (report.summary) {
+    body.push('<h2>Summary</h2>', `<p>${cite(report.summary)}</p>`);
+  }
+
+  for (const section of report.sections || []) {
+    body.push(`<h2>${escapeHtml(section.heading)}</h2>`);
+    paragraphs(section.body).forEach(paragraph => body.push(`<p>${cite(paragraph)}</p>`));
+    if (section.findings?.length) {
+      body.push('<div class="findings"><h3>Key findings</h3><ul>');
+      section.findings.forEach(finding => body.push(`<li>${cite(finding)}</li>`));
+      body.push('</ul></div>');
+    }
+  }
+
+  if (report.openQuestions?.length) {
+    body.push('<h2>Open questions</h2>', '<ul>');
+    report.openQuestions.forEach(question => body.push(`<li>${escapeHtml(question)}</li>`));
+    body.push('</ul>');
+  }
+
+  if (report.subQuestions?.length) {
+    body.push('<h2>Research questions</h2>', '<ol>');
+    report.subQuestions.forEach(finding => body.push(
+      `<li>${escapeHtml(finding.question)}${finding.answered ? '' : ' <em>(no matching documents)</em>'}</li>`,
+    ));
+    body.push('</ol>');
+  }
+
+  if (count > 0) {
+    body.push('<h2>Sources</h2>', '<ol class="sources">');
+    report.sources.forEach(source => body.push(
+      `<li id="source-${source.number}"><strong>${escapeHtml(source.title)}</strong>, ${escapeHtml(describeLocation(source))}`
+      + (source.excerpt ? `<br><span class="excerpt">“${escapeHtml(source.excerpt.trim())}…”</span>` : '')
+      + '</li>',
+    ));
+    body.push('</ol>');
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Report as a PDF
+ */
+export function toPdf(report) {
+  const blocks = [
+    { style: 'title', text: report.title },
+    { style: 'subtitle', text: describeReport(report) },
+  ];
+
+  const note = degradedNote(report);
+  if (note) {
+    blocks.push({ style: 'small', text: note });
+  }
+  if (report.topic !== report.title) {
+    blocks.push({ style: 'paragraph', text: `Topic: ${report.topic}` });
+  }
+  if (report.summary) {
+    blocks.push({ style: 'heading', text: 'Summary' }, { style: 'paragraph', text: report.summary });
+  }
+
+  for (const section of report.sections || []) {
+    blocks.push({ style: 'heading', text: section.heading });
+    paragraphs(section.body).forEach(paragraph => blocks.push({ style: 'paragraph', text: paragraph }));
+    if (section.findings?.length) {
+      blocks.push({ style: 'subheading', text: 'Key findings' });
+      section.findings.forEach(finding => blocks.push({ style: 'bullet', marker: '•', text: finding }));
+    }
+  }
+
+  if (report.openQuestions?.length) {
+    blocks.push({ style: 'heading', text: 'Open questions' });
+    report.openQuestions.forEach(question => blocks.push({ style: 'bullet', marker: '•', text: question }));
+  }
+
+  if (report.subQuestions?.length) {
+    blocks.push({ style: 'heading', text: 'Research questions' });
+    report.subQuestions.forEach((finding, idx) => blocks.push({
+      style: 'bullet',
+      marker: `${idx + 1}.`,
+      text: `${finding.question}${finding.answered ? '' : ' (no matching documents)'}`,
+    }));
+  }
+
+  if (report.sources?.length) {
+    blocks.push({ style: 'heading', text: 'Sources' });
+    report.sources.forEach(source => blocks.push({
+      style: 'reference',
+      marker: `[${source.number}]`,
+      text: `${source.title}, ${describeLocation(source)}`,
+    }));
+  }
+
+  return renderPdf(blocks, { title: report.title });
+}
+
+/**
+ * File name for an export, from the report title
+ */
+function fileName(report, format) {
+  const slug = report.title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .substring(0, 80)
+    .replace(/^-|-$/g, '');
+  return `${slug || 'research-report'}.${format}`;
+}
+
+/**
+ * Export a report
+ *
+ * @param {Object} report - Completed report
+ * @param {'md'|'html'|'pdf'} format - Export format
+ * @returns {{content: string|Buffer, contentType: string, fileName: string}}
+ */
+export function exportReport(report, format) {
+  const render = { md: toMarkdown, html: toHtml, pdf: toPdf }[format];
+  return { content: render(report), contentType: CONTENT_TYPES[format], fileName: fileName(report, format) };
+}
+
+export default { REPORT_FORMATS, toMarkdown, toHtml, toPdf, exportReport };
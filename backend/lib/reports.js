@@ -0,0 +1,486 @@
+import { randomUUID } from 'crypto';
+import dotenv from 'dotenv';
+import {
+  saveDocument,
+  getDocument,
+  listDocuments,
+  updateDocument,
+  deleteDocument,
+} from './documentStore.js';
+import { enqueueJob, getJob, toPublicJob } from './jobQueue.js';
+import { generateAnswer } from './llmProvider.js';
+import { DEFAULT_TOP_K, queryKnowledge } from './query.js';
+import { validateCitations } from './citations.js';
+
+dotenv.config();
+
+/**
+ * Research reports
+ * A topic is broken into sub-questions, each answered through queryKnowledge,
+ * and the cited findings are synthesized into a structured report (summary,
+ * sections with key findings, open questions, numbered sources). Reports are
+ * written by a background job and stored as `researchReport` documents.
+ */
+
+const REPORT_TYPE = 'researchReport';
+// Most sub-questions a report may ask
+export const MAX_REPORT_QUESTIONS = Number(process.env.REPORT_MAX_QUESTIONS) || 8;
+const DEFAULT_REPORT_QUESTIONS = Math.min(5, MAX_REPORT_QUESTIONS);
+// Contexts retrieved per sub-question
+const REPORT_TOP_K = Number(process.env.REPORT_TOP_K) || DEFAULT_TOP_K;
+// The synthesis writes the whole report in one reply, so it gets more room than a single answer (LLM_MAX_TOKENS)
+const REPORT_MAX_TOKENS = Number(process.env.REPORT_MAX_TOKENS) || 2000;
+
+// Bounds on what the synthesis may return
+const MAX_SECTIONS = 12;
+const MAX_FINDINGS = 8;
+const MAX_OPEN_QUESTIONS = 10;
+const EXCERPT_CHARS = 300;
+
+/**
+ * Sanity requires a `_key` on objects inside arrays
+ */
+function newKey() {
+  return randomUUID().replace(/-/g, '').slice(0, 12);
+}
+
+/**
+ * A trimmed string of at most max characters, or '' for anything else
+ */
+function toText(value, max = 4000) {
+  return typeof value === 'string' ? value.trim().substring(0, max) : '';
+}
+
+/**
+ * Sub-questions to ask when no LLM is available
+ */
+function mockSubQuestions(topic, count) {
+  return [
+    `What is ${topic}?`,
+    `What are the key findings about ${topic}?`,
+    `What evidence supports conclusions about ${topic}?`,
+    `What are the limitations, risks or open debates around ${topic}?`,
+    `What recent developments concern ${topic}?`,
+    `How does ${topic} compare with the alternatives?`,
+    `Who are the main people or organizations involved in ${topic}?`,
+    `What should be done next about ${topic}?`,
+  ].slice(0, count).join('\n');
+}
+
+/**
+ * Break a topic into sub-questions
+ *
+ * @param {string} topic - Report topic
+ * @param {number} count - Most sub-questions to ask
+ * @param {Object} options
+ * @param {Function} options.onDegraded - Called with a reason when the questions are mock output
+ * @returns {Promise<string[]>} Sub-questions (the topic itself when the reply has none)
+ */
+export async function planSubQuestions(topic, count, { onDegraded } = {}) {
+  const prompt = `Break the research topic below into at most ${count} focused sub-questions that together cover it. Each sub-question must make sense on its own and be answerable from documents in a research library. Reply with one question per line, without numbering or any other text.
+
+Topic: ${topic}`;
+
+  const reply = await generateAnswer(prompt, {
+    mockAnswer: () => mockSubQuestions(topic, count),
+    onDegraded,
+  });
+
+  const seen = new Set();
+  const questions = reply
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)]|Q\d+[:.)])\s*/i, '').trim())
+    .filter(line => line.length >= 5)
+    .filter(line => {
+      const key = line.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, count);
+
+  return questions.length > 0 ? questions : [topic];
+}
+
+/**
+ * Answer each sub-question from the knowledge base and number the cited contexts across the whole report
+ * Answers are rewritten to cite the report-wide numbers; contexts that no answer cites are left out.
+ *
+ * @returns {Promise<{findings: Array<Object>, sources: Array<Object>}>}
+ */
+async function researchSubQuestions(questions, { topK, mode, filter, workspaceId, onDegraded, onProgress }) {
+  const sources = [];
+  const numbers = new Map();
+  const findings = [];
+
+  for (const [idx, question] of questions.entries()) {
+    const result = await queryKnowledge(question, topK, { mode, filter, workspaceId });
+    result.degradedReasons.forEach(onDegraded);
+
+    // Local [n] → report-wide number, adding newly cited contexts to the source list
+    const renumber = new Map();
+    for (const citation of result.citations) {
+      const ctx = result.contexts[citation.index - 1];
+      if (!numbers.has(ctx.id)) {
+        numbers.set(ctx.id, sources.length + 1);
+        sources.push({
+          number: sources.length + 1,
+          contextId: ctx.id,
+          docId: ctx.docId,
+          title: ctx.title,
+          source: ctx.source,
+          heading: ctx.heading,
+          pageStart: ctx.pageStart,
+          pageEnd: ctx.pageEnd,
+          excerpt: ctx.text.substring(0, EXCERPT_CHARS),
+        });
+      }
+      renumber.set(citation.index, numbers.get(ctx.id));
+    }
+
+    findings.push({
+      question,
+      retrievalQuery: result.retrievalQuery,
+      answered: result.contexts.length > 0,
+      answer: result.answer.replace(/\[(\d{1,2})\]/g, (match, n) => (renumber.has(Number(n)) ? `[${renumber.get(Number(n))}]` : match)),
+      sources: [...new Set(renumber.values())].sort((a, b) => a - b),
+    });
+
+    await onProgress(idx + 1);
+  }
+
+  return { findings, sources };
+}
+
+/**
+ * Count with a noun, e.g. '1 question' or '3 questions'
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * First sentence of a text, for key findings written without an LLM
+ */
+function firstSentence(text) {
+  const match = text.match(/^.*?[.!?](?:\s*\[\d{1,2}\])*(?=\s|$)/s);
+  return (match ? match[0] : text).trim();
+}
+
+/**
+ * Report outline built directly from the findings: one section per answered sub-question
+ * Used as the mock synthesis and when the LLM reply cannot be read.
+ */
+function outlineFromFindings(topic, findings, sources) {
+  const answered = findings.filter(finding => finding.answered);
+  const unanswered = findings.length - answered.length;
+
+  return {
+    title: topic.substring(0, 200),
+    summary: `This report covers ${plural(findings.length, 'question')} about ${topic}, drawing on ${plural(sources.length, 'cited passage')}.`
+      + (unanswered > 0 ? ` ${unanswered} of them had no matching documents and are listed as open questions.` : ''),
+    sections: answered.map(finding => ({
+      heading: finding.question,
+      body: finding.answer,
+      findings: [firstSentence(finding.answer)],
+    })),
+    openQuestions: findings.filter(finding => !finding.answered).map(finding => finding.question),
+  };
+}
+
+/**
+ * Prompt asking the LLM to write the report from the findings
+ */
+function buildSynthesisPrompt(topic, findings, sources) {
+  const findingText = findings
+    .map((finding, idx) => `### Q${idx + 1}: ${finding.question}\n${finding.answered ? finding.answer : 'No relevant documents found.'}`)
+    .join('\n\n');
+  const sourceText = sources
+    .map(source => `[${source.number}] "${source.title}" (${source.source})`)
+    .join('\n');
+
+  return `You are writing a structured research report on the topic below from findings gathered for its sub-questions. Findings cite numbered sources such as [3]. Keep those citations on the claims they support and only cite numbers listed under Sources. Do not add facts that are not in the findings.
+
+Topic: ${topic}
+
+Findings:
+${findingText}
+
+Sources:
+${sourceText || '(none)'}
+
+Reply with JSON only, in this shape:
+{"title": "report title", "summary": "executive summary of 2-4 sentences", "sections": [{"heading": "section heading", "body": "one or more paragraphs separated by blank lines", "findings": ["key finding with citations"]}], "openQuestions": ["question the sources leave unanswered"]}`;
+}
+
+/**
+ * Read the synthesis reply into a report outline
+ * @returns {Object|null} Outline, or null when the reply is not the expected JSON
+ */
+function parseOutline(reply) {
+  const start = reply.indexOf('{');
+  const end = reply.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(reply.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+  if (!parsed || !Array.isArray(parsed.sections)) {
+    return null;
+  }
+
+  const list = (value, max, maxLength) => (Array.isArray(value) ? value : [])
+    .map(item => toText(item, maxLength))
+    .filter(Boolean)
+    .slice(0, max);
+
+  return {
+    title: toText(parsed.title, 200),
+    summary: toText(parsed.summary),
+    sections: parsed.sections
+      .filter(section => section && typeof section === 'object')
+      .map(section => ({
+        heading: toText(section.heading, 200),
+        body: toText(section.body, 20000),
+        findings: list(section.findings, MAX_FINDINGS, 1000),
+      }))
+      .filter(section => section.heading && (section.body || section.findings.length > 0))
+      .slice(0, MAX_SECTIONS),
+    openQuestions: list(parsed.openQuestions, MAX_OPEN_QUESTIONS, 500),
+  };
+}
+
+/**
+ * Write the report outline from the findings
+ * Citations to sources that do not exist are removed from every part of the outline.
+ *
+ * @returns {Promise<Object>} { title, summary, sections, openQuestions }
+ */
+async function synthesizeReport(topic, findings, sources, { onDegraded } = {}) {
+  const fallback = outlineFromFindings(topic, findings, sources);
+  const reply = await generateAnswer(buildSynthesisPrompt(topic, findings, sources), {
+    maxTokens: REPORT_MAX_TOKENS,
+    mockAnswer: () => JSON.stringify(fallback),
+    onDegraded,
+  });
+
+  let outline = parseOutline(reply);
+  if (!outline || (outline.sections.length === 0 && fallback.sections.length > 0)) {
+    console.warn('⚠️  Report synthesis reply was not a usable outline, building the report from the findings');
+    outline = fallback;
+  }
+
+  const contexts = sources.map(source => ({ id: source.contextId, docId: source.docId }));
+  const cite = text => validateCitations(text, contexts).answer;
+
+  return {
+    title: outline.title || fallback.title,
+    summary: cite(outline.summary || fallback.summary),
+    sections: outline.sections.map(section => ({
+      heading: section.heading,
+      body: cite(section.body),
+      findings: section.findings.map(cite),
+    })),
+    openQuestions: outline.openQuestions,
+  };
+}
+
+/**
+ * Research a topic and write its report
+ *
+ * @param {string} topic - Report topic
+ * @param {Object} options
+ * @param {number} options.maxQuestions - Most sub-questions to ask
+ * @param {number} options.topK - Contexts retrieved per sub-question
+ * @param {'vector'|'keyword'|'hybrid'} options.mode - Retrieval mode
+ * @param {Object} options.filter - Metadata filter
+ * @param {string} options.workspaceId - Only research documents in this workspace
+ * @param {Function} options.onProgress - Called with { stage, percent }
+ * @returns {Promise<Object>} Report fields: title, summary, sections, openQuestions, subQuestions, sources, degraded, degradedReasons
+ */
+export async function writeReport(topic, {
+  maxQuestions = DEFAULT_REPORT_QUESTIONS,
+  topK = REPORT_TOP_K,
+  mode,
+  filter = {},
+  workspaceId,
+  onProgress = async () => {},
+} = {}) {
+  try {
+    console.log(`📝 Writing report: "${topic}"`);
+    const degradedReasons = new Set();
+    const onDegraded = reason => degradedReasons.add(reason);
+
+    await onProgress({ stage: 'planning', percent: 5 });
+    const questions = await planSubQuestions(topic, maxQuestions, { onDegraded });
+    console.log(`🧭 Planned ${questions.length} sub-questions`);
+
+    await onProgress({ stage: 'researching', percent: 10 });
+    const { findings, sources } = await researchSubQuestions(questions, {
+      topK,
+      mode,
+      filter,
+      workspaceId,
+      onDegraded,
+      onProgress: done => onProgress({ stage: 'researching', percent: 10 + (done / questions.length) * 70 }),
+    });
+
+    await onProgress({ stage: 'writing', percent: 85 });
+    const outline = await synthesizeReport(topic, findings, sources, { onDegraded });
+
+    console.log(`✅ Report written: ${outline.sections.length} sections, ${sources.length} sources`);
+    return {
+      ...outline,
+      sections: outline.sections.map(section => ({ _key: newKey(), ...section })),
+      subQuestions: findings.map(finding => ({ _key: newKey(), ...finding })),
+      sources: sources.map(source => ({ _key: newKey(), ...source })),
+      degraded: degradedReasons.size > 0,
+      degradedReasons: [...degradedReasons],
+    };
+  } catch (error) {
+    console.error('Report error:', error);
+    throw new Error(`Failed to write report: ${error.message}`);
+  }
+}
+
+/**
+ * Queue a report
+ *
+ * @param {Object} request
+ * @param {string} request.topic - Report topic
+ * @param {Object} request.options - { maxQuestions, topK, mode, filter }
+ * @param {string} request.workspaceId - Workspace the report researches and belongs to
+ * @param {string} request.ownerId - User who asked for it
+ * @returns {Promise<Object>} Stored report, with the ID of the job writing it
+ */
+export async function createReport({ topic, options = {}, workspaceId = null, ownerId = null }) {
+  try {
+    const report = await saveDocument({
+      _type: REPORT_TYPE,
+      title: topic.substring(0, 200),
+      topic,
+      status: 'queued',
+      options: {
+        maxQuestions: options.maxQuestions ?? DEFAULT_REPORT_QUESTIONS,
+        topK: options.topK ?? REPORT_TOP_K,
+        mode: options.mode ?? null,
+        filter: options.filter ?? {},
+      },
+      workspaceId,
+      ownerId,
+      jobId: null,
+      error: null,
+      completedAt: null,
+    });
+
+    const job = await enqueueJob('report', { reportId: report._id }, { workspaceId });
+    return await updateDocument(report._id, { jobId: job.id });
+  } catch (error) {
+    console.error('Report create error:', error);
+    throw new Error(`Failed to create report: ${error.message}`);
+  }
+}
+
+/**
+ * Get a report
+ * @returns {Promise<Object|null>} Report, or null if it does not exist
+ */
+export async function getReport(reportId) {
+  const doc = await getDocument(reportId);
+  return doc && doc._type === REPORT_TYPE ? doc : null;
+}
+
+/**
+ * A report with the progress of its job while it is being written
+ */
+export async function describeReport(report) {
+  const writing = report.jobId && (report.status === 'queued' || report.status === 'running');
+  const job = writing ? await getJob(report.jobId) : null;
+  return { ...report, job: job && toPublicJob(job) };
+}
+
+/**
+ * List reports, newest first, without their contents
+ * @param {Object} options - { offset, limit, workspaceId } — only reports in that workspace when set
+ */
+export async function listReports({ offset = 0, limit = 20, workspaceId } = {}) {
+  const { documents, total } = await listDocuments({ type: REPORT_TYPE, filter: { workspaceId }, offset, limit });
+  return {
+    reports: documents.map(({ sections = [], sources = [], subQuestions = [], summary, openQuestions, ...report }) => ({
+      ...report,
+      sectionCount: sections.length,
+      sourceCount: sources.length,
+      questionCount: subQuestions.length,
+    })),
+    total,
+  };
+}
+
+/**
+ * Delete a report
+ */
+export async function deleteReport(reportId) {
+  return deleteDocument(reportId);
+}
+
+/**
+ * Job handler: research the report's topic and store the result on the report
+ */
+export const reportJobHandler = {
+  async run(job, reportProgress) {
+    const report = await getReport(job.input.reportId);
+    if (!report) {
+      // Deleted while queued; nothing left to write
+      return { reportId: job.input.reportId, skipped: true };
+    }
+
+    await updateDocument(report._id, { status: 'running', error: null });
+    const written = await writeReport(report.topic, {
+      ...report.options,
+      mode: report.options?.mode ?? undefined,
+      workspaceId: report.workspaceId ?? undefined,
+      onProgress: reportProgress,
+    });
+
+    await reportProgress({ stage: 'saving', percent: 95 });
+    // Deleted while it was being written
+    if (!(await getReport(report._id))) {
+      return { reportId: report._id, skipped: true };
+    }
+    await updateDocument(report._id, { ...written, status: 'completed', completedAt: new Date().toISOString() });
+    await reportProgress({ stage: 'done', percent: 100 });
+
+    return {
+      reportId: report._id,
+      sections: written.sections.length,
+      sources: written.sources.length,
+      degraded: written.degraded,
+      degradedReasons: written.degradedReasons,
+    };
+  },
+
+  async cleanup(job) {
+    const finished = await getJob(job.id);
+    const report = await getReport(job.input.reportId);
+    if (finished?.status === 'failed' && report) {
+      await updateDocument(report._id, { status: 'failed', error: finished.error || 'Report failed' });
+    }
+  },
+};
+
+export default {
+  MAX_REPORT_QUESTIONS,
+  planSubQuestions,
+  writeReport,
+  createReport,
+  getReport,
+  describeReport,
+  listReports,
+  deleteReport,
+  reportJobHandler,
+};
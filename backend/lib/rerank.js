@@ -0,0 +1,164 @@
+import dotenv from 'dotenv';
+import { estimateTokens, rerankPassages } from './llmProvider.js';
+import { tokenize } from './lexicalIndex.js';
+
+dotenv.config();
+
+// Candidates retrieved before reranking and diversification
+export const RERANK_CANDIDATES = Number(process.env.RERANK_CANDIDATES) || 20;
+
+// Balance between relevance (1) and novelty (0) when picking each next context
+const MMR_LAMBDA = Number(process.env.MMR_LAMBDA ?? 0.7);
+
+// Most contexts taken from one document
+const MAX_CONTEXTS_PER_DOC = Number(process.env.MAX_CONTEXTS_PER_DOC) || 2;
+
+// Estimated tokens of context text sent to the LLM per question
+const CONTEXT_TOKEN_BUDGET = Number(process.env.CONTEXT_TOKEN_BUDGET) || 2000;
+
+/**
+ * Term frequencies of a passage, with its vector length
+ */
+function termVector(text) {
+  const terms = new Map();
+  for (const term of tokenize(text)) {
+    terms.set(term, (terms.get(term) || 0) + 1);
+  }
+  let sumSquares = 0;
+  for (const count of terms.values()) sumSquares += count * count;
+  return { terms, norm: Math.sqrt(sumSquares) };
+}
+
+/**
+ * Cosine similarity of two term vectors: 1 for passages with the same wording, 0 for no shared terms
+ */
+function termSimilarity(a, b) {
+  if (a.norm === 0 || b.norm === 0) return 0;
+  const [small, large] = a.terms.size < b.terms.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, count] of small.terms) {
+    dot += count * (large.terms.get(term) || 0);
+  }
+  return dot / (a.norm * b.norm);
+}
+
+/**
+ * Document a passage belongs to (legacy whole-document vectors are their own document)
+ */
+function documentOf(candidate) {
+  return candidate.docId ?? candidate.id;
+}
+
+/**
+ * Order passages by maximal marginal relevance
+ * Each pick maximises lambda * relevance - (1 - lambda) * (similarity to the
+ * closest passage already picked), so a near-copy of a chosen passage loses
+ * to a slightly less relevant one that adds something new. Passages from a
+ * document that already has maxPerDoc picks are passed over.
+ *
+ * @param {Array<{text: string, docId: string, relevance: number}>} candidates - Passages with relevance from 0 to 1
+ * @param {Object} options
+ * @param {number} options.lambda - Relevance weight from 0 to 1 (default MMR_LAMBDA)
+ * @param {number} options.maxPerDoc - Most passages per document (default MAX_CONTEXTS_PER_DOC)
+ * @returns {Array<Object>} Picked candidates in order, each with its mmr score
+ */
+export function maximalMarginalRelevance(candidates, { lambda = MMR_LAMBDA, maxPerDoc = MAX_CONTEXTS_PER_DOC } = {}) {
+  const vectors = candidates.map(candidate => termVector(candidate.text));
+  const closest = candidates.map(() => 0);
+  const perDoc = new Map();
+  const remaining = new Set(candidates.keys());
+  const picked = [];
+
+  while (remaining.size > 0) {
+    let best = -1;
+    let bestScore = -Infinity;
+    for (const idx of remaining) {
+      if ((perDoc.get(documentOf(candidates[idx])) || 0) >= maxPerDoc) continue;
+      const score = lambda * candidates[idx].relevance - (1 - lambda) * closest[idx];
+      if (score > bestScore) {
+        best = idx;
+        bestScore = score;
+      }
+    }
+    if (best === -1) break;
+
+    remaining.delete(best);
+    picked.push({ ...candidates[best], mmr: bestScore });
+    const doc = documentOf(candidates[best]);
+    perDoc.set(doc, (perDoc.get(doc) || 0) + 1);
+    for (const idx of remaining) {
+      closest[idx] = Math.max(closest[idx], termSimilarity(vectors[idx], vectors[best]));
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * Take contexts in order while they fit the token budget
+ * A context too large for what is left is skipped in favour of smaller ones
+ * after it; the first context is always kept.
+ */
+function packToBudget(contexts, maxContexts, tokenBudget) {
+  const packed = [];
+  let tokens = 0;
+  for (const context of contexts) {
+    if (packed.length >= maxContexts) break;
+    const size = estimateTokens(context.text);
+    if (packed.length > 0 && tokens + size > tokenBudget) continue;
+    packed.push(context);
+    tokens += size;
+  }
+  return { packed, tokens };
+}
+
+/**
+ * Choose the contexts sent to the LLM from the retrieved candidates
+ * Candidates are optionally rescored by a reranker, ordered by maximal
+ * marginal relevance with a per-document cap, then packed into the token budget.
+ *
+ * @param {string} question - Query the candidates were retrieved for
+ * @param {Array<Object>} candidates - Contexts with text, docId, score and scores, best first
+ * @param {Object} options
+ * @param {number} options.maxContexts - Most contexts to return
+ * @param {'none'|'local'|'llm'} options.reranker - Reranker (default RERANKER)
+ * @param {number} options.lambda - MMR relevance weight (default MMR_LAMBDA)
+ * @param {number} options.maxPerDoc - Most contexts per document (default MAX_CONTEXTS_PER_DOC)
+ * @param {number} options.tokenBudget - Estimated tokens of context text (default CONTEXT_TOKEN_BUDGET)
+ * @param {Function} options.onDegraded - Called with a reason when reranking used fallback scores
+ * @returns {Promise<Array<Object>>} Chosen contexts, with scores.rerank when reranked
+ */
+export async function selectContexts(question, candidates, {
+  maxContexts = candidates.length,
+  reranker,
+  lambda = MMR_LAMBDA,
+  maxPerDoc = MAX_CONTEXTS_PER_DOC,
+  tokenBudget = CONTEXT_TOKEN_BUDGET,
+  onDegraded,
+} = {}) {
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const rerankScores = await rerankPassages(question, candidates.map(c => c.text), { reranker, onDegraded });
+  if (rerankScores) {
+    console.log(`🎯 Reranked ${candidates.length} candidates`);
+  }
+
+  // Scores are on different scales (cosine, BM25, fused, reranker), so relevance is relative to the best candidate
+  const ranking = rerankScores ?? candidates.map(c => c.score);
+  const maxScore = Math.max(...ranking);
+  const scored = candidates.map((candidate, idx) => ({
+    ...candidate,
+    scores: { ...candidate.scores, rerank: rerankScores ? rerankScores[idx] : null },
+    relevance: maxScore > 0 ? ranking[idx] / maxScore : 0,
+  }));
+
+  const diversified = maximalMarginalRelevance(scored, { lambda, maxPerDoc });
+  const { packed, tokens } = packToBudget(diversified, maxContexts, tokenBudget);
+  console.log(`🧩 Selected ${packed.length} of ${candidates.length} candidates (~${tokens} tokens)`);
+
+  return packed.map(({ relevance, mmr, ...context }) => context);
+}
+
+export default { RERANK_CANDIDATES, maximalMarginalRelevance, selectContexts };
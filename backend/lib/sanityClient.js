@@ -1,37 +1,111 @@
 import { createClient } from '@sanity/client';
 import dotenv from 'dotenv';
+import { isRange } from './filters.js';
+import { createHttpClient } from './httpClient.js';
 
 dotenv.config();
 
-const client = createClient({
-  projectId: process.env.SANITY_PROJECT_ID || 'YOUR_PROJECT_ID',
-  dataset: process.env.SANITY_DATASET || 'production',
-  token: process.env.SANITY_TOKEN,
-  apiVersion: '2024-01-01',
-  useCdn: false,
-});
+let client = null;
+
+// Retries, breaker and concurrency limit for Sanity API calls (the SDK's own retries are turned off)
+const sanityHttp = createHttpClient('sanity');
+
+/**
+ * Create the Sanity client on first use
+ * Deferred so the rest of the app can load without a Sanity project.
+ */
+function getSanityClient() {
+  if (client) {
+    return client;
+  }
+
+  if (!process.env.SANITY_PROJECT_ID) {
+    throw new Error('SANITY_PROJECT_ID not configured');
+  }
+
+  client = createClient({
+    projectId: process.env.SANITY_PROJECT_ID,
+    dataset: process.env.SANITY_DATASET || 'production',
+    token: process.env.SANITY_TOKEN,
+    apiVersion: '2024-01-01',
+    useCdn: false,
+    ...(process.env.SANITY_API_HOST ? { apiHost: process.env.SANITY_API_HOST } : {}),
+    timeout: sanityHttp.timeoutMs,
+    maxRetries: 0,
+  });
+
+  return client;
+}
+
+/**
+ * Call the Sanity API through the shared HTTP client
+ * @param {(client: Object) => Promise<*>} call - Uses the Sanity client
+ * @param {Object} options - { idempotent } (see httpClient run)
+ */
+function withSanity(call, options) {
+  return sanityHttp.run(() => call(getSanityClient()), options);
+}
+
+/**
+ * Build a GROQ filter expression and params from a metadata filter
+ * Scalar values match by equality, arrays as "any of", ranges by comparison.
+ */
+function buildGroqFilter(type, filter = {}) {
+  const clauses = ['_type == $type'];
+  const params = { type };
+
+  Object.entries(filter || {}).forEach(([key, value], idx) => {
+    if (value === undefined || value === null) return;
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      throw new Error(`Invalid filter field: ${key}`);
+    }
+
+    const param = `p${idx}`;
+
+    if (isRange(value)) {
+      const comparisons = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+      Object.entries(value).forEach(([op, bound]) => {
+        if (bound === undefined || bound === null) return;
+        params[`${param}${op}`] = bound;
+        clauses.push(`${key} ${comparisons[op]} $${param}${op}`);
+      });
+      return;
+    }
+
+    params[param] = value;
+    // Lists match a scalar field that is one of the values, or an array field sharing any of them
+    clauses.push(Array.isArray(value)
+      ? `(${key} in $${param} || count(${key}[@ in $${param}]) > 0)`
+      : `${key} == $${param}`);
+  });
+
+  return { expression: clauses.join(' && '), params };
+}
 
 /**
  * Save a research document to Sanity
  * @param {Object} doc - Document data
+ * @param {string} doc._type - Sanity document type (default: researchDoc)
  * @param {string} doc.title - Document title
  * @param {string} doc.contentSnippet - Short excerpt
  * @param {string} doc.fullText - Complete text
  * @param {string} doc.source - Source identifier
+ * @param {number} doc.chunkCount - Number of chunks stored as vectors
+ * @param {number} doc.pageCount - Number of pages (PDF only)
  * @returns {Promise<Object>} Created document with _id
  */
 export async function saveDocument(doc) {
   try {
+    const { _type = 'researchDoc', ...fields } = doc;
     const document = {
-      _type: 'researchDoc',
+      ...fields,
+      _type,
       title: doc.title || 'Untitled Document',
-      contentSnippet: doc.contentSnippet,
-      fullText: doc.fullText,
-      source: doc.source,
-      createdAt: new Date().toISOString(),
+      createdAt: doc.createdAt || new Date().toISOString(),
     };
 
-    const result = await client.create(document);
+    // Retrying a create that timed out could store the document twice
+    const result = await withSanity(sanity => sanity.create(document), { idempotent: false });
     console.log(`✓ Saved document to Sanity: ${result._id}`);
     return result;
   } catch (error) {
@@ -45,7 +119,7 @@ export async function saveDocument(doc) {
  */
 export async function getDocument(docId) {
   try {
-    const doc = await client.getDocument(docId);
+    const doc = await withSanity(sanity => sanity.getDocument(docId));
     return doc;
   } catch (error) {
     console.error('Sanity fetch error:', error);
@@ -53,12 +127,83 @@ export async function getDocument(docId) {
   }
 }
 
+/**
+ * List documents of a type, newest first
+ *
+ * @param {Object} options
+ * @param {string} options.type - Document type (default: researchDoc)
+ * @param {Object} options.filter - Metadata filter, e.g. { source: 'report.pdf' }
+ * @param {number} options.offset - Documents to skip
+ * @param {number} options.limit - Maximum documents to return
+ * @returns {Promise<{documents: Array<Object>, total: number}>}
+ */
+export async function listDocuments({ type = 'researchDoc', filter = {}, offset = 0, limit = 20 } = {}) {
+  try {
+    const { expression, params } = buildGroqFilter(type, filter);
+    const result = await withSanity(sanity => sanity.fetch(
+      `{
+        "documents": *[${expression}] | order(createdAt desc) [${offset}...${offset + limit}],
+        "total": count(*[${expression}])
+      }`,
+      params
+    ));
+    return result;
+  } catch (error) {
+    console.error('Sanity list error:', error);
+    throw new Error(`Failed to list documents: ${error.message}`);
+  }
+}
+
+/**
+ * Find every document of a type matching a metadata filter
+ */
+export async function searchDocuments(filter = {}, { type = 'researchDoc' } = {}) {
+  try {
+    const { expression, params } = buildGroqFilter(type, filter);
+    return await withSanity(sanity => sanity.fetch(`*[${expression}] | order(createdAt desc)`, params));
+  } catch (error) {
+    console.error('Sanity search error:', error);
+    throw new Error(`Failed to search documents: ${error.message}`);
+  }
+}
+
+/**
+ * Update fields on an existing document
+ * @returns {Promise<Object>} Updated document
+ */
+export async function updateDocument(docId, fields) {
+  try {
+    const result = await withSanity(sanity => sanity
+      .patch(docId)
+      .set({ ...fields, updatedAt: new Date().toISOString() })
+      .commit());
+    console.log(`✓ Updated document in Sanity: ${docId}`);
+    return result;
+  } catch (error) {
+    console.error('Sanity update error:', error);
+    throw new Error(`Failed to update document: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a document by ID
+ */
+export async function deleteDocument(docId) {
+  try {
+    await withSanity(sanity => sanity.delete(docId));
+    console.log(`✓ Deleted document from Sanity: ${docId}`);
+  } catch (error) {
+    console.error('Sanity delete error:', error);
+    throw new Error(`Failed to delete document: ${error.message}`);
+  }
+}
+
 /**
  * Query documents
  */
-export async function queryDocuments(query) {
+export async function queryDocuments(query, params = {}) {
   try {
-    const results = await client.fetch(query);
+    const results = await withSanity(sanity => sanity.fetch(query, params));
     return results;
   } catch (error) {
     console.error('Sanity query error:', error);
@@ -66,4 +211,12 @@ export async function queryDocuments(query) {
   }
 }
 
-export default client;
+export default {
+  saveDocument,
+  getDocument,
+  listDocuments,
+  searchDocuments,
+  updateDocument,
+  deleteDocument,
+  queryDocuments,
+};
@@ -0,0 +1,193 @@
+import { joinBlocks } from './chunker.js';
+
+/**
+ * Guess the delimiter of a CSV/TSV file from its header line
+ */
+function detectDelimiter(headerLine) {
+  const candidates = [',', ';', '\t', '|'];
+  return candidates.reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  );
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting: "a ""quoted"" field", embedded newlines)
+ *
+ * @param {string} input - CSV source
+ * @param {string} delimiter - Field separator
+ * @returns {string[][]} Rows of fields
+ */
+export function parseCsv(input, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Describe one record as "column: value; column: value"
+ */
+function describeRecord(entries) {
+  return entries
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('; ');
+}
+
+/**
+ * Extract row-aware text from CSV/TSV
+ * Each row becomes its own paragraph labelled with the column names, so chunks
+ * never split a row and every chunk is readable without the header.
+ *
+ * @param {string} csv - CSV source
+ * @param {Object} options
+ * @param {string} options.delimiter - Field separator (detected when omitted)
+ * @returns {{text: string, sections: Array<Object>, title: null, metadata: Object}}
+ */
+export function extractCsv(csv, { delimiter } = {}) {
+  try {
+    const source = csv.replace(/^\uFEFF/, '');
+    const rows = parseCsv(source, delimiter || detectDelimiter(source.split(/\r?\n/, 1)[0]));
+    if (rows.length === 0) {
+      return { text: '', sections: [], title: null, metadata: { columns: [], rowCount: 0 } };
+    }
+
+    const columns = rows[0].map((name, idx) => name.trim() || `column ${idx + 1}`);
+    const blocks = [{ type: 'text', text: `Columns: ${columns.join(', ')}` }];
+
+    rows.slice(1).forEach((fields, idx) => {
+      const entries = fields.map((value, col) => [columns[col] || `column ${col + 1}`, value.trim()]);
+      blocks.push({ type: 'text', text: `Row ${idx + 1}: ${describeRecord(entries)}` });
+    });
+
+    const { text, sections } = joinBlocks(blocks);
+    return { text, sections, title: null, metadata: { columns, rowCount: rows.length - 1 } };
+  } catch (error) {
+    console.error('CSV extraction error:', error);
+    throw new Error(`Failed to extract text from CSV: ${error.message}`);
+  }
+}
+
+/**
+ * Flatten nested values into [path, value] pairs, e.g. ['author.name', 'Ada']
+ */
+function flatten(value, prefix = '') {
+  if (Array.isArray(value)) {
+    if (value.every(item => item === null || typeof item !== 'object')) {
+      return [[prefix, value.join(', ')]];
+    }
+    return value.flatMap((item, idx) => flatten(item, `${prefix}[${idx}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key));
+  }
+  return [[prefix || 'value', value]];
+}
+
+/**
+ * Find the list of records in a JSON document
+ * Accepts a top-level array, or an object wrapping one (e.g. { "data": [...] }).
+ */
+function findRecords(data) {
+  if (Array.isArray(data)) {
+    return { records: data, key: null };
+  }
+  if (data && typeof data === 'object') {
+    const entry = Object.entries(data).find(([, value]) => Array.isArray(value) && value.some(item => item && typeof item === 'object'));
+    if (entry) return { records: entry[1], key: entry[0] };
+  }
+  return { records: null, key: null };
+}
+
+/**
+ * Extract row-aware text from JSON or newline-delimited JSON
+ * Arrays of records become one paragraph per record; other objects are
+ * flattened with one section per top-level key.
+ *
+ * @param {string} json - JSON or NDJSON source
+ * @returns {{text: string, sections: Array<Object>, title: string|null, metadata: Object}}
+ */
+export function extractJson(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (parseError) {
+    // Newline-delimited JSON: one value per line
+    try {
+      data = json.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch {
+      throw new Error(`Failed to extract text from JSON: ${parseError.message}`);
+    }
+  }
+
+  try {
+    const { records, key } = findRecords(data);
+    const blocks = [];
+    const keys = new Set();
+
+    if (records) {
+      if (key) blocks.push({ type: 'heading', level: 1, text: key });
+      records.forEach((record, idx) => {
+        const entries = flatten(record);
+        entries.forEach(([path]) => keys.add(path.replace(/\[\d+\]/g, '[]')));
+        blocks.push({ type: 'text', text: `Record ${idx + 1}: ${describeRecord(entries)}` });
+      });
+    } else if (data && typeof data === 'object') {
+      for (const [name, value] of Object.entries(data)) {
+        keys.add(name);
+        blocks.push({ type: 'heading', level: 1, text: name });
+        blocks.push({ type: 'text', text: flatten(value, name).map(([path, v]) => `${path}: ${v}`).join('\n') });
+      }
+    } else {
+      blocks.push({ type: 'text', text: String(data) });
+    }
+
+    const { text, sections } = joinBlocks(blocks);
+    return {
+      text,
+      sections,
+      title: typeof data?.title === 'string' ? data.title : null,
+      metadata: { recordCount: records ? records.length : null, keys: [...keys].slice(0, 100) },
+    };
+  } catch (error) {
+    console.error('JSON extraction error:', error);
+    throw new Error(`Failed to extract text from JSON: ${error.message}`);
+  }
+}
+
+export default { parseCsv, extractCsv, extractJson };
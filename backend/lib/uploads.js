@@ -0,0 +1,111 @@
+import multer from 'multer';
+import dotenv from 'dotenv';
+import { ApiError } from './errors.js';
+
+dotenv.config();
+
+/**
+ * Size limits for ingest requests
+ * Uploads are held in memory until they are spooled to disk for their job,
+ * so every limit here bounds how much one request can make the server hold.
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * Configured limits
+ * @returns {{maxFileBytes: number, maxFiles: number, maxBatchBytes: number, maxTextChars: number, jsonLimitBytes: number}}
+ */
+export function getIngestLimits() {
+  return {
+    maxFileBytes: (Number(process.env.INGEST_MAX_FILE_MB) || 25) * MB,
+    maxFiles: Number(process.env.INGEST_MAX_FILES) || 50,
+    maxBatchBytes: (Number(process.env.INGEST_MAX_BATCH_MB) || 200) * MB,
+    maxTextChars: Number(process.env.INGEST_MAX_TEXT_CHARS) || 1000000,
+    // Pasted text can be sent as JSON, so the body limit leaves room for the text limit
+    jsonLimitBytes: (Number(process.env.JSON_BODY_LIMIT_MB) || 5) * MB,
+  };
+}
+
+const limits = getIngestLimits();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: limits.maxFileBytes,
+    files: limits.maxFiles,
+    // Text fields (pasted text, labels); pasted text is checked against maxTextChars afterwards
+    fieldSize: limits.jsonLimitBytes,
+    fields: 50,
+  },
+});
+
+function formatMb(bytes) {
+  return `${Math.round((bytes / MB) * 10) / 10} MB`;
+}
+
+/**
+ * Turn a multer error into an ApiError with a stable code
+ */
+function toUploadError(error, field) {
+  if (!(error instanceof multer.MulterError)) {
+    return error;
+  }
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new ApiError('FILE_TOO_LARGE', `Files must be at most ${formatMb(limits.maxFileBytes)}`, {
+        maxBytes: limits.maxFileBytes,
+      });
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return new ApiError('TOO_MANY_FILES',
+        `Too many files or unexpected field "${error.field}" (send up to ${limits.maxFiles} files as "${field}")`,
+        { maxFiles: limits.maxFiles });
+    case 'LIMIT_FIELD_VALUE':
+      return new ApiError('PAYLOAD_TOO_LARGE', `Field "${error.field}" is larger than ${formatMb(limits.jsonLimitBytes)}`);
+    default:
+      return new ApiError('VALIDATION_FAILED', error.message);
+  }
+}
+
+/**
+ * Express middleware: receive one file in `field` (optional; text-only requests pass through)
+ */
+export function receiveFile(field) {
+  const handler = upload.single(field);
+  return (req, res, next) => handler(req, res, error => next(error && toUploadError(error, field)));
+}
+
+/**
+ * Express middleware: receive up to INGEST_MAX_FILES files in `field`
+ * Requests announcing more than INGEST_MAX_BATCH_MB are refused before anything is read.
+ */
+export function receiveFiles(field) {
+  const handler = upload.array(field, limits.maxFiles);
+  return (req, res, next) => {
+    const length = Number(req.headers['content-length']);
+    if (length > limits.maxBatchBytes) {
+      return next(new ApiError('PAYLOAD_TOO_LARGE', `Uploads must total at most ${formatMb(limits.maxBatchBytes)}`, {
+        maxBytes: limits.maxBatchBytes,
+      }));
+    }
+    handler(req, res, error => next(error && toUploadError(error, field)));
+  };
+}
+
+/**
+ * Check pasted text against INGEST_MAX_TEXT_CHARS
+ * @throws {ApiError} EMPTY_CONTENT or TEXT_TOO_LONG
+ */
+export function checkTextLength(text) {
+  if (!text.trim()) {
+    throw new ApiError('EMPTY_CONTENT', 'Empty content');
+  }
+  if (text.length > limits.maxTextChars) {
+    throw new ApiError('TEXT_TOO_LONG', `Text must be at most ${limits.maxTextChars} characters (got ${text.length})`, {
+      maxChars: limits.maxTextChars,
+    });
+  }
+}
+
+export default { getIngestLimits, receiveFile, receiveFiles, checkTextLength };
@@ -0,0 +1,117 @@
+import { z } from 'zod';
+import { ApiError, handleRouteError } from './errors.js';
+
+/**
+ * Request validation with zod
+ * Route schemas describe the body (or query string) a route accepts; the
+ * middleware replaces it with the parsed value, so handlers see coerced
+ * numbers and trimmed strings. Failures answer 400 VALIDATION_FAILED with
+ * one { field, message } per problem in `details`.
+ */
+
+/**
+ * Blank values (empty multipart fields, empty query parameters, null) count as absent
+ */
+function blankToUndefined(value) {
+  return value === '' || value === null ? undefined : value;
+}
+
+/**
+ * An optional field; blank values are treated as absent
+ */
+export function optional(schema) {
+  return z.preprocess(blankToUndefined, schema.optional());
+}
+
+/**
+ * A whole number from min to max; strings are accepted (multipart fields and query parameters arrive as strings)
+ */
+export function integer(min, max) {
+  return z.coerce.number({ invalid_type_error: 'Expected a number' }).int().min(min).max(max);
+}
+
+/**
+ * A number from min to max, accepting strings like integer()
+ */
+export function number(min, max) {
+  return z.coerce.number({ invalid_type_error: 'Expected a number' }).min(min).max(max);
+}
+
+/**
+ * A required, trimmed, non-empty string of at most max characters
+ */
+export function text(max) {
+  return z.string().trim().min(1, 'Required').max(max);
+}
+
+/**
+ * A string or a list of strings (tags and filters accept either; multipart fields arrive as comma-separated strings)
+ */
+export function stringOrList(maxLength, maxItems) {
+  return z.union([z.string().max(maxLength), z.array(z.string().max(maxLength)).max(maxItems)]);
+}
+
+// Labels set at ingest; their values are checked further by parseLabels
+export const labelFields = {
+  collection: optional(z.string().max(200)),
+  tags: optional(stringOrList(2000, 100)),
+  author: optional(z.string().max(200)),
+  date: optional(z.string().max(40)),
+};
+
+/**
+ * Readable summary of validation issues, e.g. 'topK: Number must be less than or equal to 20'
+ */
+function describeIssues(issues) {
+  return issues
+    .map(issue => (issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message))
+    .join('; ');
+}
+
+/**
+ * Parse input against a schema
+ *
+ * @param {z.ZodTypeAny} schema - Route schema
+ * @param {*} input - Body or query
+ * @returns {*} Parsed value
+ * @throws {ApiError} VALIDATION_FAILED
+ */
+export function parseRequest(schema, input) {
+  const result = schema.safeParse(input ?? {});
+  if (!result.success) {
+    const { issues } = result.error;
+    throw new ApiError('VALIDATION_FAILED', describeIssues(issues), issues.map(issue => ({
+      field: issue.path.join('.') || null,
+      message: issue.message,
+    })));
+  }
+  return result.data;
+}
+
+/**
+ * Express middleware: validate req.body (or req.query) against a schema and replace it with the parsed value
+ *
+ * @param {z.ZodTypeAny} schema - Route schema
+ * @param {'body'|'query'} source - Which part of the request to validate
+ */
+export function validate(schema, source = 'body') {
+  return (req, res, next) => {
+    try {
+      req[source] = parseRequest(schema, req[source]);
+      next();
+    } catch (error) {
+      handleRouteError(res, error, 'Validation error', 'Invalid request');
+    }
+  };
+}
+
+export default {
+  optional,
+  integer,
+  number,
+  text,
+  stringOrList,
+  labelFields,
+  parseRequest,
+  validate,
+};
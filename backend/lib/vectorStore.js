@@ -0,0 +1,323 @@
+import dotenv from 'dotenv';
+import * as redisStore from './redisClient.js';
+import * as memoryStore from './memoryVectorStore.js';
+
+dotenv.config();
+
+const adapters = {
+  redis: redisStore,
+  memory: memoryStore,
+};
+
+// Default to Redis when it is configured, otherwise run fully in-process
+const VECTOR_STORE = (process.env.VECTOR_STORE || (process.env.REDIS_URL ? 'redis' : 'memory')).toLowerCase();
+
+/**
+ * Resolve the configured vector store adapter
+ */
+function getAdapter() {
+  const adapter = adapters[VECTOR_STORE];
+  if (!adapter) {
+    throw new Error(`Unknown VECTOR_STORE "${VECTOR_STORE}". Use one of: ${Object.keys(adapters).join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Name of the active vector store adapter
+ */
+export function getVectorStoreName() {
+  return VECTOR_STORE;
+}
+
+// Index used until a re-index is swapped in
+const DEFAULT_INDEX = 'default';
+
+/**
+ * Read the index registry
+ * `active` serves queries; `building` is being filled by a re-index and also
+ * receives writes; `previous` is the index replaced by the last swap, kept
+ * for rollback. `embedding` holds the provider, model and dimension an index
+ * was built with (null means the configured EMBEDDING_* settings).
+ *
+ * @returns {Promise<{active: Object, building: Object|null, previous: Object|null}>}
+ */
+export async function getIndexRegistry() {
+  const registry = await getAdapter().readIndexRegistry();
+  return {
+    active: { name: DEFAULT_INDEX, embedding: null },
+    building: null,
+    previous: null,
+    ...registry,
+  };
+}
+
+/**
+ * The index queries run against, with the embedding settings it was built with
+ *
+ * @returns {Promise<{name: string, embedding: Object|null}>}
+ */
+export async function getActiveIndex() {
+  return (await getIndexRegistry()).active;
+}
+
+/**
+ * Indexes new and changed documents must be written to: the active index,
+ * plus the index being built while a re-index runs
+ *
+ * @returns {Promise<Array<{name: string, embedding: Object|null}>>}
+ */
+export async function getWriteIndexes() {
+  const { active, building } = await getIndexRegistry();
+  return building ? [active, building] : [active];
+}
+
+/**
+ * Resolve an index by name, defaulting to the active one
+ */
+async function openIndex(name) {
+  return getAdapter().openVectorIndex(name ?? (await getActiveIndex()).name);
+}
+
+/**
+ * Register a new index as being built
+ * Fails while another build is in progress; registering the same name again
+ * (e.g. a retried job) keeps the existing entry and records the job ID.
+ *
+ * @param {Object} build - { name, embedding, jobId }
+ * @returns {Promise<Object>} The building entry
+ */
+export async function beginIndexBuild({ name, embedding, jobId = null }) {
+  const registry = await getIndexRegistry();
+  if (registry.building && registry.building.name !== name) {
+    throw new Error(`Index ${registry.building.name} is already being built`);
+  }
+  if (name === registry.active.name || name === registry.previous?.name) {
+    throw new Error(`Index ${name} already exists`);
+  }
+
+  if (!registry.building) {
+    registry.building = { name, embedding, jobId, startedAt: new Date().toISOString() };
+    await getAdapter().writeIndexRegistry(registry);
+    console.log(`🏗️  Building vector index ${name}`);
+  } else if (jobId && registry.building.jobId !== jobId) {
+    registry.building.jobId = jobId;
+    await getAdapter().writeIndexRegistry(registry);
+  }
+  return registry.building;
+}
+
+/**
+ * Stop building an index and remove it
+ */
+export async function abandonIndexBuild(name) {
+  const registry = await getIndexRegistry();
+  if (registry.building?.name === name) {
+    registry.building = null;
+    await getAdapter().writeIndexRegistry(registry);
+  }
+  await getAdapter().dropVectorIndex(name);
+}
+
+/**
+ * Make the built index active
+ * The replaced index is kept as `previous` for rollback; the one it replaced is dropped.
+ *
+ * @param {string} name - Only swap if this is the index being built
+ * @returns {Promise<Object>} The updated registry
+ */
+export async function swapActiveIndex(name) {
+  const registry = await getIndexRegistry();
+  if (!registry.building) {
+    throw new Error('No index is being built');
+  }
+  if (name && registry.building.name !== name) {
+    throw new Error(`Index ${name} is not being built (building: ${registry.building.name})`);
+  }
+
+  const dropped = registry.previous;
+  const now = new Date().toISOString();
+  registry.previous = { ...registry.active, retiredAt: now };
+  registry.active = { ...registry.building, activatedAt: now };
+  registry.building = null;
+  await getAdapter().writeIndexRegistry(registry);
+  console.log(`🔀 Vector index ${registry.active.name} is now active (was ${registry.previous.name})`);
+
+  if (dropped) {
+    await getAdapter().dropVectorIndex(dropped.name);
+  }
+  return registry;
+}
+
+/**
+ * Switch back to the index replaced by the last swap
+ * Documents changed since the swap were only written to the newer index, so
+ * re-index them (or the corpus) after rolling back.
+ *
+ * @returns {Promise<Object>} The updated registry
+ */
+export async function restorePreviousIndex() {
+  const registry = await getIndexRegistry();
+  if (!registry.previous) {
+    throw new Error('There is no previous index to restore');
+  }
+  if (registry.building) {
+    throw new Error(`Index ${registry.building.name} is being built; wait for it to finish`);
+  }
+
+  const now = new Date().toISOString();
+  const { name, embedding, startedAt } = registry.previous;
+  registry.previous = { ...registry.active, retiredAt: now };
+  registry.active = { name, embedding, startedAt, activatedAt: now };
+  await getAdapter().writeIndexRegistry(registry);
+  console.log(`↩️  Restored vector index ${registry.active.name}`);
+  return registry;
+}
+
+/**
+ * Drop the index kept after the last swap
+ *
+ * @returns {Promise<string|null>} Name of the dropped index, or null when there was none
+ */
+export async function dropPreviousIndex() {
+  const registry = await getIndexRegistry();
+  if (!registry.previous) return null;
+
+  const { name } = registry.previous;
+  registry.previous = null;
+  await getAdapter().writeIndexRegistry(registry);
+  await getAdapter().dropVectorIndex(name);
+  return name;
+}
+
+/**
+ * Dimension stored vectors have, or null while the store is empty
+ * @param {Object} options - { index } (default: the active index)
+ */
+export async function getVectorDimension({ index } = {}) {
+  return (await openIndex(index)).getVectorDimension();
+}
+
+/**
+ * Reject vectors whose length differs from the index (or from each other
+ * while the store is still empty), e.g. after switching embedding models
+ */
+async function assertDimension(vectors, index) {
+  const expected = (await index.getVectorDimension()) ?? vectors[0]?.length;
+  const mismatch = vectors.find(vector => vector.length !== expected);
+  if (mismatch) {
+    throw new Error(
+      `Vector has ${mismatch.length} dimensions but the ${VECTOR_STORE} index holds ${expected}-dimension vectors. ` +
+      'Re-index the corpus (npm run reindex) after changing the embedding model or EMBEDDING_DIMENSION.'
+    );
+  }
+}
+
+/**
+ * Store a vector with metadata
+ * @param {string} id - Vector ID
+ * @param {number[]} vector - Embedding vector
+ * @param {Object} metadata - Additional metadata
+ * @param {Object} options - { index } (default: the active index)
+ */
+export async function upsertVector(id, vector, metadata = {}, options = {}) {
+  return (await upsertVectors([{ id, vector, metadata }], options))[0];
+}
+
+/**
+ * Store several vectors
+ * @param {Array<{id: string, vector: number[], metadata: Object}>} items
+ * @param {Object} options - { index } (default: the active index)
+ */
+export async function upsertVectors(items, { index } = {}) {
+  const target = await openIndex(index);
+  await assertDimension(items.map(item => item.vector), target);
+  return target.upsertVectors(items);
+}
+
+/**
+ * Query top K similar vectors
+ * @param {number[]} queryVector - Query embedding
+ * @param {number} k - Number of results to return
+ * @param {Object} filter - Metadata filter, e.g. { docId: 'abc' }
+ * @param {Object} options - { index } (default: the active index)
+ * @returns {Promise<Array>} Results with { id, score, metadata }
+ */
+export async function queryTopK(queryVector, k = 3, filter = {}, { index } = {}) {
+  const target = await openIndex(index);
+  await assertDimension([queryVector], target);
+  return target.queryTopK(queryVector, k, filter);
+}
+
+/**
+ * Delete a single vector by ID
+ * @param {string} id - Vector ID
+ * @param {Object} options - { index } (default: every index being written)
+ */
+export async function deleteVector(id, { index } = {}) {
+  const names = index ? [index] : (await getWriteIndexes()).map(({ name }) => name);
+  for (const name of names) {
+    await getAdapter().openVectorIndex(name).deleteVector(id);
+  }
+}
+
+/**
+ * Delete every vector matching a metadata filter
+ * @param {Object} filter - Metadata filter (or `{ id }`)
+ * @param {Object} options - { index } (default: every index being written)
+ * @returns {Promise<number>} Number of vectors removed from the first (active) index
+ */
+export async function deleteVectors(filter = {}, { index } = {}) {
+  const names = index ? [index] : (await getWriteIndexes()).map(({ name }) => name);
+  let deleted = 0;
+  for (const [position, name] of names.entries()) {
+    const removed = await getAdapter().openVectorIndex(name).deleteVectors(filter);
+    if (position === 0) deleted = removed;
+  }
+  return deleted;
+}
+
+/**
+ * Count vectors, optionally matching a metadata filter
+ * @param {Object} filter - Metadata filter
+ * @param {Object} options - { index } (default: the active index)
+ */
+export async function countVectors(filter = {}, { index } = {}) {
+  return (await openIndex(index)).countVectors(filter);
+}
+
+/**
+ * List stored vectors
+ * @param {Object} options - { filter, offset, limit, includeVectors, index }
+ */
+export async function listVectors({ index, ...options } = {}) {
+  return (await openIndex(index)).listVectors(options);
+}
+
+/**
+ * Close connections / flush pending writes
+ */
+export function closeVectorStore() {
+  return getAdapter().closeVectorStore();
+}
+
+export default {
+  getVectorStoreName,
+  getIndexRegistry,
+  getActiveIndex,
+  getWriteIndexes,
+  beginIndexBuild,
+  abandonIndexBuild,
+  swapActiveIndex,
+  restorePreviousIndex,
+  dropPreviousIndex,
+  upsertVector,
+  upsertVectors,
+  queryTopK,
+  deleteVector,
+  deleteVectors,
+  countVectors,
+  listVectors,
+  getVectorDimension,
+  closeVectorStore,
+};
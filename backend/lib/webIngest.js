@@ -0,0 +1,653 @@
+import dns from 'dns';
+import net from 'net';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import dotenv from 'dotenv';
+import { Agent } from 'undici';
+import { createHttpClient } from './httpClient.js';
+import { extractHtml } from './html.js';
+import { extractFile, findExtractor } from './extractors.js';
+import { ingestDocument } from './ingest.js';
+import { deleteLibraryDocument } from './library.js';
+import { enqueueJob } from './jobQueue.js';
+
+dotenv.config();
+
+const USER_AGENT = process.env.URL_INGEST_USER_AGENT || 'MAJResearchAgent/1.0';
+// Product token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = USER_AGENT.split('/')[0].trim().toLowerCase();
+
+export const MAX_CRAWL_DEPTH = Number(process.env.URL_INGEST_MAX_DEPTH) || 3;
+export const MAX_CRAWL_PAGES = Number(process.env.URL_INGEST_MAX_PAGES) || 50;
+// Pages fetched by a crawl that does not set maxPages
+const DEFAULT_CRAWL_PAGES = Math.min(10, MAX_CRAWL_PAGES);
+const MAX_BYTES = (Number(process.env.URL_INGEST_MAX_MB) || 10) * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+// Longest robots.txt Crawl-delay honoured; longer delays are capped
+const MAX_CRAWL_DELAY_MS = 10000;
+// Fetching localhost and private networks is refused unless enabled (e.g. for a local test server)
+const ALLOW_PRIVATE = process.env.URL_INGEST_ALLOW_PRIVATE === 'true';
+
+// Links to these are not followed while crawling
+const SKIPPED_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif|svg|ico|bmp|tiff?|css|js|mjs|map|woff2?|ttf|eot|otf|mp[34]|m4a|wav|ogg|webm|mov|avi|zip|gz|tgz|rar|7z|exe|dmg|iso|apk)$/i;
+
+const webHttp = createHttpClient('web', { timeoutMs: 15000, retries: 2, concurrency: 2, breakerThreshold: 20 });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * URL without its fragment, so page#a and page#b are the same page
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * Host a crawl stays on; www.example.com and example.com count as the same site
+ */
+function siteOf(url) {
+  return new URL(url).hostname.replace(/^www\./, '');
+}
+
+/**
+ * Validate a URL ingest request
+ *
+ * @param {Object} input - { url, depth, maxPages }
+ * @returns {{options: {url: string, depth: number, maxPages: number}}|{error: string}}
+ */
+export function parseUrlIngestOptions({ url, depth, maxPages } = {}) {
+  if (typeof url !== 'string' || !url.trim()) {
+    return { error: 'Field "url" is required' };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return { error: 'Invalid URL' };
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { error: 'Only http and https URLs can be ingested' };
+  }
+  if (parsed.username || parsed.password) {
+    return { error: 'URLs with credentials are not supported' };
+  }
+
+  const options = { url: normalizeUrl(parsed), depth: 0 };
+
+  if (depth !== undefined && depth !== null && depth !== '') {
+    const value = Number(depth);
+    if (!Number.isInteger(value) || value < 0 || value > MAX_CRAWL_DEPTH) {
+      return { error: `depth must be a whole number from 0 to ${MAX_CRAWL_DEPTH}` };
+    }
+    options.depth = value;
+  }
+
+  options.maxPages = options.depth > 0 ? DEFAULT_CRAWL_PAGES : 1;
+  if (maxPages !== undefined && maxPages !== null && maxPages !== '') {
+    const value = Number(maxPages);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_CRAWL_PAGES) {
+      return { error: `maxPages must be a whole number from 1 to ${MAX_CRAWL_PAGES}` };
+    }
+    options.maxPages = value;
+  }
+
+  return { options };
+}
+
+/**
+ * An error that retrying cannot fix, so the job queue fails the job at once (see jobQueue.isTransientError)
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+// Addresses that are not on the public internet: this host, private networks, link-local,
+// shared/benchmark/documentation ranges, multicast and reserved
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 3],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * The eight 16-bit groups of an IPv6 address
+ */
+function ipv6Groups(address) {
+  let text = address.toLowerCase();
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const start = parse(head);
+  const end = parse(tail);
+  return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+/**
+ * The IPv4 address an IPv6 address carries, or null
+ * Mapped (::ffff:a.b.c.d, also written ::ffff:7f00:1), SIIT, compatible (::a.b.c.d),
+ * NAT64 (64:ff9b::/96), 6to4 (2002::/16) and Teredo (2001::/32) addresses reach an IPv4 host.
+ */
+function embeddedIPv4(address) {
+  const groups = ipv6Groups(address);
+  const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+  const ipv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+  if (zeros(0, 5) && groups[5] === 0xffff) return ipv4(groups[6], groups[7]);
+  if (zeros(0, 4) && groups[4] === 0xffff && groups[5] === 0) return ipv4(groups[6], groups[7]);
+  // :: and ::1 are IPv6 addresses in their own right
+  if (zeros(0, 6) && (groups[6] !== 0 || groups[7] > 1)) return ipv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return ipv4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return ipv4(groups[1], groups[2]);
+  // Teredo stores the client address inverted
+  if (groups[0] === 0x2001 && groups[1] === 0) return ipv4(groups[6] ^ 0xffff, groups[7] ^ 0xffff);
+  return null;
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * IPv6 addresses that carry an IPv4 address are judged by that address.
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    return PRIVATE_RANGES.check(address, 'ipv4');
+  }
+  // Drop a zone index (fe80::1%eth0)
+  const ipv6 = address.replace(/%.*$/, '');
+  if (!net.isIPv6(ipv6)) {
+    return true;
+  }
+  const ipv4 = embeddedIPv4(ipv6);
+  return ipv4 ? PRIVATE_RANGES.check(ipv4, 'ipv4') : PRIVATE_RANGES.check(ipv6, 'ipv6');
+}
+
+function privateHostError(hostname) {
+  return permanentError(`Refusing to fetch ${hostname}: it is a private network address (set URL_INGEST_ALLOW_PRIVATE=true to allow)`);
+}
+
+/**
+ * Refuse URLs whose host is a private IP address
+ * Host names are checked when connecting (see publicLookup).
+ */
+function assertPublicHost(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (!ALLOW_PRIVATE && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw privateHostError(url.hostname);
+  }
+}
+
+/**
+ * DNS lookup for page requests that refuses private addresses
+ * The connection is made to the addresses checked here, so a host name cannot
+ * resolve to a public address for the check and a private one for the request.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(privateHostError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Connections for page requests; private hosts are reachable only with URL_INGEST_ALLOW_PRIVATE
+const pageAgent = ALLOW_PRIVATE ? undefined : new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Read a response body, giving up past URL_INGEST_MAX_MB
+ */
+async function readBody(response) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > MAX_BYTES) {
+    await response.body?.cancel();
+    throw permanentError(`Page is larger than ${MAX_BYTES / 1024 / 1024} MB`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_BYTES) {
+      throw permanentError(`Page is larger than ${MAX_BYTES / 1024 / 1024} MB`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch a URL, following redirects ourselves so every hop is checked
+ *
+ * @returns {Promise<{url: string, status: number, ok: boolean, contentType: string, charset: string|null, buffer: Buffer|null}>}
+ *   url is the final URL after redirects; buffer is null for error responses
+ */
+async function fetchUrl(url) {
+  let current = url;
+
+  for (let redirects = 0; ; redirects++) {
+    const parsed = new URL(current);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw permanentError(`Redirected to unsupported URL ${current}`);
+    }
+    assertPublicHost(parsed);
+
+    let response;
+    try {
+      response = await webHttp.request(current, {
+        redirect: 'manual',
+        dispatcher: pageAgent,
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml,application/pdf,text/plain;q=0.9,*/*;q=0.5',
+        },
+      });
+    } catch (error) {
+      // fetch wraps a refusal from publicLookup as its cause
+      throw error.cause?.permanent ? error.cause : error;
+    }
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      await response.body?.cancel();
+      if (redirects >= MAX_REDIRECTS) {
+        throw permanentError(`Too many redirects from ${url}`);
+      }
+      current = new URL(location, current).href;
+      continue;
+    }
+
+    const [contentType = '', ...params] = (response.headers.get('content-type') || '').split(';');
+    const charset = params.map(param => /charset=["']?([\w-]+)/i.exec(param)?.[1]).find(Boolean) || null;
+
+    if (!response.ok) {
+      await response.body?.cancel();
+    }
+    return {
+      url: normalizeUrl(current),
+      status: response.status,
+      ok: response.ok,
+      contentType: contentType.trim().toLowerCase(),
+      charset,
+      buffer: response.ok ? await readBody(response) : null,
+    };
+  }
+}
+
+/**
+ * Parse robots.txt into the rules that apply to us
+ * Uses the groups naming our user agent, else the "*" groups.
+ *
+ * @returns {{rules: Array<{allow: boolean, pattern: string}>, crawlDelayMs: number}}
+ */
+function parseRobots(text) {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = /^([\w-]+)\s*:\s*(.*)$/.exec(line);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelayMs: 0 };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!group) continue;
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) group.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay' && Number.isFinite(Number(value))) {
+      group.crawlDelayMs = Math.min(MAX_CRAWL_DELAY_MS, Number(value) * 1000);
+    }
+  }
+
+  const ours = groups.filter(entry => entry.agents.some(agent => agent !== '*' && ROBOTS_AGENT.includes(agent)));
+  const matching = ours.length > 0 ? ours : groups.filter(entry => entry.agents.includes('*'));
+  return {
+    rules: matching.flatMap(entry => entry.rules),
+    crawlDelayMs: Math.max(0, ...matching.map(entry => entry.crawlDelayMs)),
+  };
+}
+
+/**
+ * Whether robots rules allow a URL: the longest matching rule wins, Allow wins ties
+ */
+function isAllowed(robots, url) {
+  const { pathname, search } = new URL(url);
+  const target = pathname + search;
+  let best = null;
+
+  for (const rule of robots.rules) {
+    const source = rule.pattern
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\\\$$/, '$');
+    if (!new RegExp(`^${source}`).test(target)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+/**
+ * Robots rules for a site, fetched once per crawl
+ * A missing robots.txt (4xx) allows everything; an unreachable one (5xx or
+ * network failure) disallows everything, as the robots exclusion protocol asks.
+ */
+async function getRobots(origin, cache) {
+  if (!cache.has(origin)) {
+    let robots;
+    try {
+      const response = await fetchUrl(`${origin}/robots.txt`);
+      if (response.ok) {
+        robots = parseRobots(response.buffer.toString('utf-8'));
+      } else if (response.status >= 400 && response.status < 500) {
+        robots = { rules: [], crawlDelayMs: 0 };
+      } else {
+        robots = { rules: [{ allow: false, pattern: '/' }], crawlDelayMs: 0, unreachable: true };
+      }
+    } catch (error) {
+      if (/Refusing to fetch/.test(error.message)) throw error;
+      console.warn(`⚠️  Could not read ${origin}/robots.txt: ${error.message}`);
+      robots = { rules: [{ allow: false, pattern: '/' }], crawlDelayMs: 0, unreachable: true };
+    }
+    cache.set(origin, robots);
+  }
+  return cache.get(origin);
+}
+
+/**
+ * Links and robots directives of an HTML page
+ * Links marked rel="nofollow" are left out.
+ */
+function readPageLinks(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const robotsMeta = ($('meta[name="robots"]').attr('content') || '').toLowerCase();
+
+  let base = pageUrl;
+  try {
+    base = new URL($('base[href]').attr('href') || pageUrl, pageUrl).href;
+  } catch {
+    // Invalid <base>: resolve against the page itself
+  }
+
+  const links = new Set();
+  $('a[href]').each((_, el) => {
+    if (/\bnofollow\b/i.test($(el).attr('rel') || '')) return;
+    try {
+      const link = new URL($(el).attr('href'), base);
+      if (link.protocol === 'http:' || link.protocol === 'https:') links.add(normalizeUrl(link));
+    } catch {
+      // Not a URL
+    }
+  });
+
+  return {
+    links: [...links],
+    noindex: /\b(noindex|none)\b/.test(robotsMeta),
+    nofollow: /\b(nofollow|none)\b/.test(robotsMeta),
+  };
+}
+
+/**
+ * Extract the readable content of a fetched page
+ * HTML goes through the article extractor; PDFs, Markdown, plain text and the
+ * other ingest formats use their extractors.
+ *
+ * @returns {Promise<Object|null>} { text, title, sections, pages, format, metadata, canonicalUrl, links, noindex, nofollow },
+ *   or null for content types that cannot be ingested
+ */
+async function extractPage({ url, contentType, charset, buffer }) {
+  if (contentType === 'text/html' || contentType === 'application/xhtml+xml' || (!contentType && /^\s*</.test(buffer.subarray(0, 512).toString()))) {
+    let html;
+    try {
+      html = new TextDecoder(charset || 'utf-8').decode(buffer);
+    } catch {
+      html = buffer.toString('utf-8');
+    }
+
+    const extracted = extractHtml(html);
+    let canonicalUrl = url;
+    try {
+      const canonical = extracted.metadata.canonicalUrl && new URL(extracted.metadata.canonicalUrl, url);
+      if (canonical && (canonical.protocol === 'http:' || canonical.protocol === 'https:')) {
+        canonicalUrl = normalizeUrl(canonical);
+      }
+    } catch {
+      // Invalid canonical link: keep the fetched URL
+    }
+
+    return { ...extracted, format: 'html', canonicalUrl, ...readPageLinks(html, url) };
+  }
+
+  const filename = decodeURIComponent(path.posix.basename(new URL(url).pathname)) || 'index';
+  if (!findExtractor({ buffer, filename, mimetype: contentType })) {
+    return null;
+  }
+  const extracted = await extractFile({ buffer, filename, mimetype: contentType });
+  return { ...extracted, canonicalUrl: url, links: [], noindex: false, nofollow: true };
+}
+
+/**
+ * Fetch, extract and ingest one page
+ *
+ * @returns {Promise<Object>} Page result (see ingestUrl) with links to follow
+ */
+async function ingestPage(pageUrl, { site, seen, sources, options, onDegraded }) {
+  const fetched = await fetchUrl(pageUrl);
+  const page = { url: pageUrl, source: fetched.url, links: [] };
+
+  if (!fetched.ok) {
+    throw new Error(`HTTP ${fetched.status} from ${pageUrl}`);
+  }
+  if (fetched.url !== pageUrl) {
+    if (site && siteOf(fetched.url) !== site) {
+      return { ...page, status: 'skipped', reason: `Redirected off-site to ${fetched.url}` };
+    }
+    if (seen.has(fetched.url)) {
+      return { ...page, status: 'skipped', reason: `Redirected to ${fetched.url}, already fetched` };
+    }
+    seen.add(fetched.url);
+  }
+
+  const extracted = await extractPage(fetched);
+  if (!extracted) {
+    return { ...page, status: 'skipped', reason: `Unsupported content type ${fetched.contentType || 'unknown'}` };
+  }
+
+  const withLinks = { ...page, source: extracted.canonicalUrl, links: extracted.nofollow ? [] : extracted.links, finalUrl: fetched.url };
+  if (extracted.noindex) {
+    return { ...withLinks, status: 'skipped', reason: 'Page asks not to be indexed (noindex)' };
+  }
+  if (!extracted.text.trim()) {
+    return { ...withLinks, status: 'skipped', reason: 'No readable text' };
+  }
+  if (sources.has(extracted.canonicalUrl)) {
+    return { ...withLinks, status: 'skipped', reason: `Same canonical URL as a page already ingested` };
+  }
+  sources.add(extracted.canonicalUrl);
+
+  let savedDocId = null;
+  try {
+    const result = await ingestDocument(extracted.text, extracted.canonicalUrl, {
+      title: extracted.title,
+      pages: extracted.pages,
+      sections: extracted.sections,
+      format: extracted.format,
+      metadata: { ...extracted.metadata, canonicalUrl: extracted.canonicalUrl },
+      ...options,
+      onSaved: (doc) => { savedDocId = doc._id; },
+    });
+    result.degradedReasons.forEach(onDegraded);
+
+    return {
+      ...withLinks,
+      status: result.action === 'skipped' ? 'skipped' : 'ingested',
+      ...(result.action === 'skipped' && { reason: 'duplicate' }),
+      action: result.action,
+      docId: result.sanityId,
+      title: result.title,
+      chunkCount: result.chunkCount,
+      duplicateOf: result.duplicateOf ?? null,
+    };
+  } catch (error) {
+    // Don't leave a document without vectors behind
+    if (savedDocId) await deleteLibraryDocument(savedDocId);
+    throw error;
+  }
+}
+
+/**
+ * Ingest a web page, optionally crawling same-site links breadth-first
+ * robots.txt is honoured (rules and Crawl-delay) for every page, including
+ * the first. A failure on the first page fails the whole request; later
+ * pages are reported one by one.
+ *
+ * @param {Object} request
+ * @param {string} request.url - Page to start from
+ * @param {number} request.depth - Link hops to follow from the first page (0 = only that page)
+ * @param {number} request.maxPages - Most pages to fetch
+ * @param {Object} request.options - Duplicate handling and labels passed to ingestDocument
+ * @param {Object} hooks
+ * @param {Function} hooks.onProgress - Called with { stage: 'crawling', percent }
+ * @returns {Promise<Object>} { url, depth, maxPages, pages: [{ url, source, status: 'ingested'|'skipped'|'failed', reason?,
+ *   action?, docId?, title?, chunkCount?, duplicateOf? }], ingested, skipped, failed, degraded, degradedReasons }
+ */
+export async function ingestUrl({ url, depth = 0, maxPages = 1, options = {} }, { onProgress = () => {} } = {}) {
+  try {
+    console.log(`🌐 Ingesting ${url}${depth > 0 ? ` (depth ${depth}, up to ${maxPages} pages)` : ''}`);
+    await onProgress({ stage: 'crawling', percent: 0 });
+
+    const degradedReasons = new Set();
+    const robotsCache = new Map();
+    const seen = new Set([url]);
+    const sources = new Set();
+    const queue = [{ url, depth: 0 }];
+    const pages = [];
+    let site = null;
+    let fetched = 0;
+    let lastFetchAt = 0;
+
+    while (queue.length > 0 && fetched < maxPages) {
+      const next = queue.shift();
+      const isFirst = pages.length === 0;
+      let page;
+
+      try {
+        const robots = await getRobots(new URL(next.url).origin, robotsCache);
+        if (!isAllowed(robots, next.url)) {
+          throw robots.unreachable
+            ? new Error(`robots.txt for ${new URL(next.url).origin} could not be read`)
+            : permanentError(`Disallowed by robots.txt: ${next.url}`);
+        }
+
+        const wait = lastFetchAt + robots.crawlDelayMs - Date.now();
+        if (wait > 0) await sleep(wait);
+        lastFetchAt = Date.now();
+        fetched++;
+
+        page = await ingestPage(next.url, { site, seen, sources, options, onDegraded: reason => degradedReasons.add(reason) });
+        // The crawl stays on the site the first page ended up on
+        site ??= siteOf(page.finalUrl || page.source);
+      } catch (error) {
+        if (isFirst) throw error;
+        const disallowed = /robots\.txt/.test(error.message);
+        page = { url: next.url, status: disallowed ? 'skipped' : 'failed', reason: error.message, links: [] };
+      }
+
+      if (next.depth < depth) {
+        for (const link of page.links) {
+          if (seen.has(link) || siteOf(link) !== site || SKIPPED_EXTENSIONS.test(new URL(link).pathname)) continue;
+          seen.add(link);
+          queue.push({ url: link, depth: next.depth + 1 });
+        }
+      }
+
+      delete page.links;
+      delete page.finalUrl;
+      pages.push(page);
+      console.log(`   ${page.status === 'ingested' ? '✓' : page.status === 'skipped' ? '⏭️ ' : '✗'} ${next.url}${page.reason ? ` (${page.reason})` : ''}`);
+      await onProgress({ stage: 'crawling', percent: (100 * fetched) / maxPages });
+    }
+
+    const count = (status) => pages.filter(page => page.status === status).length;
+    console.log(`✅ Ingested ${count('ingested')} of ${pages.length} pages from ${url}`);
+
+    return {
+      url,
+      depth,
+      maxPages,
+      pages,
+      ingested: count('ingested'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      degraded: degradedReasons.size > 0,
+      degradedReasons: [...degradedReasons],
+    };
+  } catch (error) {
+    console.error('URL ingest error:', error);
+    const wrapped = new Error(`Failed to ingest ${url}: ${error.message}`);
+    wrapped.permanent = error.permanent;
+    throw wrapped;
+  }
+}
+
+/**
+ * Queue a URL ingest
+ *
+ * @param {Object} request - { url, depth, maxPages } (see parseUrlIngestOptions) and options
+ *   (duplicate handling, labels and owner, see enqueueIngest)
+ * @returns {Promise<Object>} Queued job
+ */
+export function enqueueUrlIngest({ url, depth, maxPages, options = {} }) {
+  return enqueueJob('ingest-url', { source: url, url, depth, maxPages, options }, { workspaceId: options.workspaceId });
+}
+
+/**
+ * Job handler: fetch → extract → ingest each page of a URL ingest
+ * A retry starts over; pages already ingested are then found as duplicates.
+ */
+export const urlIngestJobHandler = {
+  run(job, reportProgress) {
+    return ingestUrl(job.input, { onProgress: reportProgress });
+  },
+};
+
+export default {
+  MAX_CRAWL_DEPTH,
+  MAX_CRAWL_PAGES,
+  parseUrlIngestOptions,
+  ingestUrl,
+  enqueueUrlIngest,
+  urlIngestJobHandler,
+};
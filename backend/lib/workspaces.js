@@ -0,0 +1,280 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import {
+  saveDocument,
+  getDocument,
+  listDocuments,
+  searchDocuments,
+  updateDocument,
+} from './documentStore.js';
+
+/**
+ * Users and the workspaces they share documents in
+ * Both are stored in the document store. Every user gets a personal workspace
+ * at sign-up; workspace owners can add other users by email. The first user
+ * to register becomes an admin, who can create accounts and re-index the corpus.
+ */
+
+const USER_TYPE = 'user';
+const WORKSPACE_TYPE = 'workspace';
+export const USER_ROLES = ['admin', 'member'];
+export const WORKSPACE_ROLES = ['owner', 'member'];
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Hash a password as scrypt$<salt>$<hash> (base64)
+ */
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * User fields safe to return from the API (the password hash stays server-side)
+ */
+export function toPublicUser(user) {
+  return { id: user._id, email: user.email, name: user.name, role: user.role };
+}
+
+/**
+ * Workspace as seen by one of its members
+ */
+export function toPublicWorkspace(workspace, userId) {
+  return {
+    id: workspace._id,
+    name: workspace.name,
+    role: workspace.members?.find(member => member.userId === userId)?.role ?? null,
+    members: (workspace.members || []).map(({ userId: id, email, role }) => ({ userId: id, email, role })),
+  };
+}
+
+/**
+ * Validate account details sent to register or create a user
+ * @returns {{account: {email: string, password: string, name: string}}|{error: string}}
+ */
+export function parseAccount({ email, password, name } = {}) {
+  const normalized = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(normalized)) {
+    return { error: 'A valid email address is required' };
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length > MAX_NAME_LENGTH)) {
+    return { error: `name must be a string of at most ${MAX_NAME_LENGTH} characters` };
+  }
+  return { account: { email: normalized, password, name: name?.trim() || normalized.split('@')[0] } };
+}
+
+/**
+ * Validate a workspace name
+ * @returns {{name: string}|{error: string}}
+ */
+export function parseWorkspaceName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Field "name" is required' };
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  return { name: name.trim() };
+}
+
+/**
+ * Whether any account exists yet (the first one to register becomes an admin)
+ */
+export async function hasUsers() {
+  const { total } = await listDocuments({ type: USER_TYPE, limit: 1 });
+  return total > 0;
+}
+
+export async function getUser(userId) {
+  const doc = await getDocument(userId);
+  return doc && doc._type === USER_TYPE ? doc : null;
+}
+
+export async function findUserByEmail(email) {
+  const [user] = await searchDocuments({ email: normalizeEmail(email) }, { type: USER_TYPE });
+  return user || null;
+}
+
+export async function getWorkspace(workspaceId) {
+  const doc = await getDocument(workspaceId);
+  return doc && doc._type === WORKSPACE_TYPE ? doc : null;
+}
+
+/**
+ * Workspaces a user belongs to, oldest first (their personal workspace leads)
+ */
+export async function listWorkspaces(userId) {
+  const workspaces = await searchDocuments({ memberIds: [userId] }, { type: WORKSPACE_TYPE });
+  return workspaces.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+/**
+ * Create a workspace owned by a user
+ * @param {Object} user - Stored user
+ * @param {string} name - Workspace name
+ * @returns {Promise<Object>} Stored workspace
+ */
+export async function createWorkspace(user, name) {
+  try {
+    const workspace = await saveDocument({
+      _type: WORKSPACE_TYPE,
+      title: name,
+      name,
+      ownerId: user._id,
+      // Kept alongside members so workspaces can be looked up by member with a plain filter
+      memberIds: [user._id],
+      members: [{ _key: user._id, userId: user._id, email: user.email, role: 'owner', addedAt: new Date().toISOString() }],
+    });
+    console.log(`🏢 Created workspace "${name}" for ${user.email}`);
+    return workspace;
+  } catch (error) {
+    console.error('Workspace create error:', error);
+    throw new Error(`Failed to create workspace: ${error.message}`);
+  }
+}
+
+/**
+ * Create an account with a personal workspace
+ *
+ * @param {Object} account - From parseAccount: { email, password, name }
+ * @param {Object} options
+ * @param {'admin'|'member'} options.role - Account role (default: admin for the first account, member after)
+ * @returns {Promise<{user: Object, workspace: Object}|{error: string}>} Stored user and workspace, or an error when the email is taken
+ */
+export async function createUser({ email, password, name }, { role } = {}) {
+  try {
+    if (await findUserByEmail(email)) {
+      return { error: 'An account with this email already exists' };
+    }
+
+    const firstUser = !(await hasUsers());
+    const user = await saveDocument({
+      _type: USER_TYPE,
+      title: email,
+      email,
+      name,
+      role: role || (firstUser ? 'admin' : 'member'),
+      passwordHash: await hashPassword(password),
+      defaultWorkspaceId: null,
+      lastLoginAt: null,
+    });
+
+    const workspace = await createWorkspace(user, `${name}'s workspace`);
+    const updated = await updateDocument(user._id, { defaultWorkspaceId: workspace._id });
+    console.log(`👤 Created ${updated.role} account ${email}`);
+    return { user: updated, workspace };
+  } catch (error) {
+    console.error('User create error:', error);
+    throw new Error(`Failed to create account: ${error.message}`);
+  }
+}
+
+/**
+ * Check an email and password
+ * @returns {Promise<Object|null>} Stored user, or null when the credentials do not match
+ */
+export async function verifyCredentials(email, password) {
+  try {
+    const user = await findUserByEmail(email);
+    if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+      return null;
+    }
+    return await updateDocument(user._id, { lastLoginAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sign-in error:', error);
+    throw new Error(`Failed to sign in: ${error.message}`);
+  }
+}
+
+/**
+ * Add an existing user to a workspace, or change their role in it
+ *
+ * @param {Object} workspace - Stored workspace
+ * @param {string} email - Email of the user to add
+ * @param {'owner'|'member'} role - Role in the workspace
+ * @returns {Promise<{workspace: Object}|{error: string}>}
+ */
+export async function addWorkspaceMember(workspace, email, role = 'member') {
+  try {
+    const user = await findUserByEmail(email);
+    if (!user) {
+      return { error: `No account with email ${normalizeEmail(email)}` };
+    }
+
+    const members = (workspace.members || []).filter(member => member.userId !== user._id);
+    members.push({ _key: user._id, userId: user._id, email: user.email, role, addedAt: new Date().toISOString() });
+    const updated = await updateDocument(workspace._id, { members, memberIds: members.map(member => member.userId) });
+    console.log(`👥 ${user.email} is now ${role} of workspace "${workspace.name}"`);
+    return { workspace: updated };
+  } catch (error) {
+    console.error('Workspace member error:', error);
+    throw new Error(`Failed to add member: ${error.message}`);
+  }
+}
+
+/**
+ * Remove a user from a workspace; the last owner cannot be removed
+ * @returns {Promise<{workspace: Object}|{error: string}|null>} Updated workspace, an error, or null when the user is not a member
+ */
+export async function removeWorkspaceMember(workspace, userId) {
+  try {
+    const members = workspace.members || [];
+    const member = members.find(m => m.userId === userId);
+    if (!member) {
+      return null;
+    }
+    if (member.role === 'owner' && members.filter(m => m.role === 'owner').length === 1) {
+      return { error: 'A workspace needs at least one owner' };
+    }
+
+    const remaining = members.filter(m => m.userId !== userId);
+    const updated = await updateDocument(workspace._id, { members: remaining, memberIds: remaining.map(m => m.userId) });
+    console.log(`👥 Removed ${member.email} from workspace "${workspace.name}"`);
+    return { workspace: updated };
+  } catch (error) {
+    console.error('Workspace member error:', error);
+    throw new Error(`Failed to remove member: ${error.message}`);
+  }
+}
+
+export default {
+  USER_ROLES,
+  WORKSPACE_ROLES,
+  toPublicUser,
+  toPublicWorkspace,
+  parseAccount,
+  parseWorkspaceName,
+  hasUsers,
+  getUser,
+  findUserByEmail,
+  getWorkspace,
+  listWorkspaces,
+  createWorkspace,
+  createUser,
+  verifyCredentials,
+  addWorkspaceMember,
+  removeWorkspaceMember,
+};
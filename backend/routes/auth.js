@@ -0,0 +1,234 @@
+import express from 'express';
+import { z } from 'zod';
+import {
+  createApiKey,
+  getAuthMode,
+  isSignupAllowed,
+  issueToken,
+  listApiKeys,
+  requireAdmin,
+  requireAuth,
+  revokeApiKey,
+} from '../lib/auth.js';
+import {
+  USER_ROLES,
+  createUser,
+  hasUsers,
+  listWorkspaces,
+  parseAccount,
+  toPublicUser,
+  toPublicWorkspace,
+  verifyCredentials,
+} from '../lib/workspaces.js';
+import { handleRouteError, sendError } from '../lib/errors.js';
+import { optional, text, validate } from '../lib/validation.js';
+import { checkRateLimit, createRateLimiter, getRateLimits } from '../lib/rateLimit.js';
+
+const router = express.Router();
+const MAX_KEY_NAME_LENGTH = 100;
+// Long enough for any passphrase, short enough that hashing it stays cheap
+const MAX_PASSWORD_LENGTH = 256;
+
+// Brute-force guard: attempts per IP address and per email address
+const signInLimiter = createRateLimiter(getRateLimits().auth);
+
+const accountSchema = z.object({
+  email: z.string().trim().max(254),
+  password: z.string().max(MAX_PASSWORD_LENGTH),
+  name: optional(z.string().max(200)),
+});
+const loginSchema = z.object({
+  email: z.string().trim().min(1, 'Required').max(254),
+  password: z.string().min(1, 'Required').max(MAX_PASSWORD_LENGTH),
+});
+const userSchema = accountSchema.extend({
+  role: z.enum(USER_ROLES).default('member'),
+});
+const keySchema = z.object({
+  name: text(MAX_KEY_NAME_LENGTH),
+});
+
+/**
+ * Count a sign-in or registration attempt against the caller's IP and the email address tried
+ * @returns {boolean} Whether the attempt may go ahead (false when a 429 was sent)
+ */
+function allowSignInAttempt(req, res) {
+  return checkRateLimit(signInLimiter, `ip:${req.ip}`, res)
+    && checkRateLimit(signInLimiter, `email:${req.body.email.toLowerCase()}`, res);
+}
+
+/**
+ * Session returned after signing in: token plus the account and its workspaces
+ */
+async function toSession(user) {
+  const { token, expiresAt } = issueToken(user);
+  const workspaces = await listWorkspaces(user._id);
+  return {
+    token,
+    expiresAt,
+    user: toPublicUser(user),
+    workspaces: workspaces.map(workspace => toPublicWorkspace(workspace, user._id)),
+  };
+}
+
+/**
+ * GET /api/auth/config
+ * Public: lets the app decide whether to show the sign-in screen
+ * Returns: { mode: 'required' | 'off', signup: boolean }
+ */
+router.get('/config', async (req, res) => {
+  try {
+    const mode = getAuthMode();
+    res.json({ mode, signup: mode !== 'off' && (isSignupAllowed() || !(await hasUsers())) });
+  } catch (error) {
+    handleRouteError(res, error, 'Auth config error', 'Failed to read authentication settings');
+  }
+});
+
+/**
+ * POST /api/auth/register
+ * Accepts: { email, password, name? }
+ * Open while no account exists (the first account becomes an admin), then only with AUTH_ALLOW_SIGNUP=true
+ * Returns 201: { token, expiresAt, user: { id, email, name, role }, workspaces: [{ id, name, role, members }] }
+ */
+router.post('/register', validate(accountSchema), async (req, res) => {
+  try {
+    if (!allowSignInAttempt(req, res)) return;
+    if (!isSignupAllowed() && (await hasUsers())) {
+      return sendError(res, 'SIGNUP_CLOSED', 'Sign-up is closed, ask an admin for an account');
+    }
+
+    const { account, error } = parseAccount(req.body);
+    if (error) {
+      return sendError(res, 'VALIDATION_FAILED', error);
+    }
+
+    const { user, error: createError } = await createUser(account);
+    if (createError) {
+      return sendError(res, 'EMAIL_TAKEN', createError);
+    }
+    res.status(201).json(await toSession(user));
+  } catch (error) {
+    handleRouteError(res, error, 'Register error', 'Failed to create account');
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Accepts: { email, password }
+ * Returns: { token, expiresAt, user, workspaces }; 401 when the credentials do not match,
+ *   429 after RATE_LIMIT_AUTH_MAX attempts from one IP address or for one email address
+ */
+router.post('/login', validate(loginSchema), async (req, res) => {
+  try {
+    if (!allowSignInAttempt(req, res)) return;
+    const { email, password } = req.body;
+
+    const user = await verifyCredentials(email, password);
+    if (!user) {
+      return sendError(res, 'INVALID_CREDENTIALS', 'Wrong email or password');
+    }
+    signInLimiter.reset(`email:${email.toLowerCase()}`);
+    res.json(await toSession(user));
+  } catch (error) {
+    handleRouteError(res, error, 'Login error', 'Failed to sign in');
+  }
+});
+
+router.use(requireAuth);
+
+/**
+ * GET /api/auth/me
+ * Returns: { user, workspace: { id, name, role }, workspaces, via: 'token' | 'apiKey' | 'none' }
+ *   (user and workspace are null when AUTH_MODE=off)
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const { user, workspace, via } = req.auth;
+    const workspaces = user ? await listWorkspaces(user.id) : [];
+    res.json({
+      user,
+      workspace,
+      workspaces: workspaces.map(ws => toPublicWorkspace(ws, user.id)),
+      via,
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Auth me error', 'Failed to load account');
+  }
+});
+
+/**
+ * POST /api/auth/users (admins)
+ * Accepts: { email, password, name?, role?: 'admin' | 'member' }
+ * Creates an account with its own personal workspace
+ * Returns 201: { user, workspace }
+ */
+router.post('/users', requireAdmin, validate(userSchema), async (req, res) => {
+  try {
+    if (!req.auth.user) {
+      return sendError(res, 'AUTH_DISABLED', 'Accounts are not used when AUTH_MODE=off');
+    }
+
+    const { account, error } = parseAccount(req.body);
+    if (error) {
+      return sendError(res, 'VALIDATION_FAILED', error);
+    }
+
+    const { user, workspace, error: createError } = await createUser(account, { role: req.body.role });
+    if (createError) {
+      return sendError(res, 'EMAIL_TAKEN', createError);
+    }
+    res.status(201).json({ user: toPublicUser(user), workspace: toPublicWorkspace(workspace, user._id) });
+  } catch (error) {
+    handleRouteError(res, error, 'Create user error', 'Failed to create account');
+  }
+});
+
+/**
+ * GET /api/auth/keys
+ * Returns: { keys: [{ id, name, prefix, workspaceId, createdAt, lastUsedAt }] }
+ */
+router.get('/keys', async (req, res) => {
+  try {
+    res.json({ keys: req.auth.user ? await listApiKeys(req.auth.user.id) : [] });
+  } catch (error) {
+    handleRouteError(res, error, 'List API keys error', 'Failed to list API keys');
+  }
+});
+
+/**
+ * POST /api/auth/keys
+ * Accepts: { name } — the key acts as the caller in the current workspace
+ * Returns 201: { key, apiKey: { id, name, prefix, workspaceId, createdAt, lastUsedAt } } — the key is only shown once
+ */
+router.post('/keys', validate(keySchema), async (req, res) => {
+  try {
+    if (!req.auth.user) {
+      return sendError(res, 'AUTH_DISABLED', 'API keys are not used when AUTH_MODE=off');
+    }
+    if (req.auth.via === 'apiKey') {
+      return sendError(res, 'FORBIDDEN', 'Sign in to create API keys');
+    }
+
+    res.status(201).json(await createApiKey(req.auth, req.body.name));
+  } catch (error) {
+    handleRouteError(res, error, 'Create API key error', 'Failed to create API key');
+  }
+});
+
+/**
+ * DELETE /api/auth/keys/:id
+ * Returns: { status: 'revoked', id }
+ */
+router.delete('/keys/:id', async (req, res) => {
+  try {
+    if (!req.auth.user || !(await revokeApiKey(req.auth.user.id, req.params.id))) {
+      return sendError(res, 'NOT_FOUND', 'API key not found');
+    }
+    res.json({ status: 'revoked', id: req.params.id });
+  } catch (error) {
+    handleRouteError(res, error, 'Revoke API key error', 'Failed to revoke API key');
+  }
+});
+
+export default router;
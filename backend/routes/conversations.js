@@ -0,0 +1,112 @@
+import express from 'express';
+import { z } from 'zod';
+import {
+  createConversation,
+  getConversation,
+  listConversations,
+  renameConversation,
+  deleteConversation,
+} from '../lib/conversations.js';
+import { canAccess, ownership } from '../lib/auth.js';
+import { handleRouteError, sendError } from '../lib/errors.js';
+import { optional, text, validate } from '../lib/validation.js';
+
+const router = express.Router();
+
+// Titles are cut to 100 characters when stored; longer ones are accepted so a first question can be sent as is
+const MAX_TITLE_LENGTH = 1000;
+
+const createSchema = z.object({
+  title: optional(z.string().max(MAX_TITLE_LENGTH)),
+});
+const renameSchema = z.object({
+  title: text(MAX_TITLE_LENGTH),
+});
+
+/**
+ * Load a conversation the caller may see (conversations are private to whoever started them)
+ * @returns {Promise<Object|null>} Conversation, or null when missing or someone else's
+ */
+async function loadOwnConversation(req) {
+  const conversation = await getConversation(req.params.id);
+  return canAccess(req.auth, conversation, { own: true }) ? conversation : null;
+}
+
+/**
+ * GET /api/conversations
+ * Query: ?offset=0&limit=50
+ * Lists the caller's conversations in the current workspace
+ * Returns: { conversations: [{ _id, title, messageCount, createdAt, updatedAt }], total }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    res.json(await listConversations({ offset, limit, ...ownership(req.auth) }));
+  } catch (error) {
+    handleRouteError(res, error, 'List conversations error', 'Failed to list conversations');
+  }
+});
+
+/**
+ * POST /api/conversations
+ * Accepts: { title? }
+ * Returns: created conversation
+ */
+router.post('/', validate(createSchema), async (req, res) => {
+  try {
+    const conversation = await createConversation({ title: req.body.title, ...ownership(req.auth) });
+    res.status(201).json(conversation);
+  } catch (error) {
+    handleRouteError(res, error, 'Create conversation error', 'Failed to create conversation');
+  }
+});
+
+/**
+ * GET /api/conversations/:id
+ * Returns: conversation with messages
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const conversation = await loadOwnConversation(req);
+    if (!conversation) {
+      return sendError(res, 'NOT_FOUND', 'Conversation not found');
+    }
+    res.json(conversation);
+  } catch (error) {
+    handleRouteError(res, error, 'Get conversation error', 'Failed to fetch conversation');
+  }
+});
+
+/**
+ * PATCH /api/conversations/:id
+ * Accepts: { title }
+ */
+router.patch('/:id', validate(renameSchema), async (req, res) => {
+  try {
+    const { title } = req.body;
+    if (!(await loadOwnConversation(req))) {
+      return sendError(res, 'NOT_FOUND', 'Conversation not found');
+    }
+    res.json(await renameConversation(req.params.id, title));
+  } catch (error) {
+    handleRouteError(res, error, 'Rename conversation error', 'Failed to rename conversation');
+  }
+});
+
+/**
+ * DELETE /api/conversations/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!(await loadOwnConversation(req))) {
+      return sendError(res, 'NOT_FOUND', 'Conversation not found');
+    }
+    await deleteConversation(req.params.id);
+    res.json({ status: 'deleted', id: req.params.id });
+  } catch (error) {
+    handleRouteError(res, error, 'Delete conversation error', 'Failed to delete conversation');
+  }
+});
+
+export default router;
@@ -0,0 +1,144 @@
+import express from 'express';
+import {
+  listLibrary,
+  getLibraryFacets,
+  getLibraryDocument,
+  deleteLibraryDocument,
+  reindexLibraryDocument,
+} from '../lib/library.js';
+import { canAccess, workspaceFilter } from '../lib/auth.js';
+import { handleRouteError, sendError } from '../lib/errors.js';
+
+const router = express.Router();
+
+/**
+ * Load a document in the caller's workspace
+ * @returns {Promise<Object|null>} Document, or null when missing or in another workspace
+ */
+async function loadDocument(req) {
+  const document = await getLibraryDocument(req.params.id);
+  return canAccess(req.auth, document) ? document : null;
+}
+
+/**
+ * Parse a date query parameter into an ISO timestamp
+ * Plain dates (YYYY-MM-DD) cover the whole day: start of day for `from`, end of day for `to`.
+ * Returns undefined when absent and null when invalid.
+ */
+function parseDateParam(value, endOfDay = false) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const isPlainDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isPlainDate ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * GET /api/documents
+ * Query: ?offset=0&limit=20&source=report.pdf&collection=oncology&tag=2024&from=2024-01-01&to=2024-01-31
+ * Lists documents in the current workspace
+ * Returns: { documents: [{ _id, title, source, contentSnippet, chunkCount, pageCount, collection, tags, author, publishedAt, createdAt }], total, offset, limit }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+
+    if (from === null || to === null) {
+      return sendError(res, 'VALIDATION_FAILED', 'Invalid date. Use an ISO date such as 2024-01-31');
+    }
+
+    const param = (name) => typeof req.query[name] === 'string' && req.query[name].trim() ? req.query[name].trim() : undefined;
+    const result = await listLibrary({
+      source: param('source'),
+      collection: param('collection'),
+      tag: param('tag'),
+      from,
+      to,
+      ...workspaceFilter(req.auth),
+      offset,
+      limit,
+    });
+    res.json({ ...result, offset, limit });
+  } catch (error) {
+    handleRouteError(res, error, 'List documents error', 'Failed to list documents');
+  }
+});
+
+/**
+ * GET /api/documents/facets
+ * Returns: { collections: [{ name, count }], tags: [{ name, count }], authors: [{ name, count }] }
+ */
+router.get('/facets', async (req, res) => {
+  try {
+    res.json(await getLibraryFacets(workspaceFilter(req.auth)));
+  } catch (error) {
+    handleRouteError(res, error, 'Document facets error', 'Failed to list collections and tags');
+  }
+});
+
+/**
+ * GET /api/documents/:id
+ * Returns: document with fullText and vectorCount
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const document = await loadDocument(req);
+    if (!document) {
+      return sendError(res, 'NOT_FOUND', 'Document not found');
+    }
+    res.json(document);
+  } catch (error) {
+    handleRouteError(res, error, 'Get document error', 'Failed to fetch document');
+  }
+});
+
+/**
+ * DELETE /api/documents/:id
+ * Removes the document, its vectors and its keyword index entries
+ * Returns: { status, id, vectorsDeleted }
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!(await loadDocument(req))) {
+      return sendError(res, 'NOT_FOUND', 'Document not found');
+    }
+    const { vectorsDeleted } = await deleteLibraryDocument(req.params.id);
+    res.json({ status: 'deleted', id: req.params.id, vectorsDeleted });
+  } catch (error) {
+    handleRouteError(res, error, 'Delete document error', 'Failed to delete document');
+  }
+});
+
+/**
+ * POST /api/documents/:id/reindex
+ * Re-chunks and re-embeds the stored text with the current settings
+ * Returns: { status, id, chunkCount, vectorIds, degraded, degradedReasons }
+ */
+router.post('/:id/reindex', async (req, res) => {
+  try {
+    if (!(await loadDocument(req))) {
+      return sendError(res, 'NOT_FOUND', 'Document not found');
+    }
+    const result = await reindexLibraryDocument(req.params.id);
+    if (!result) {
+      return sendError(res, 'NOT_FOUND', 'Document not found');
+    }
+    res.json({
+      status: 'reindexed',
+      id: req.params.id,
+      chunkCount: result.chunkCount,
+      vectorIds: result.vectorIds,
+      degraded: result.degraded,
+      degradedReasons: result.degradedReasons,
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Reindex document error', 'Failed to re-index document');
+  }
+});
+
+export default router;
@@ -0,0 +1,49 @@
+import express from 'express';
+import { getJob, toPublicJob } from '../lib/jobQueue.js';
+import { canAccess } from '../lib/auth.js';
+import { handleRouteError, sendError } from '../lib/errors.js';
+
+const router = express.Router();
+const MAX_IDS = 100;
+
+/**
+ * GET /api/jobs?ids=<id>,<id>,...
+ * Status of several jobs at once (e.g. a batch upload); unknown IDs and jobs from other workspaces are left out
+ * Returns: { jobs: [...] }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0) {
+      return sendError(res, 'VALIDATION_FAILED', 'Query parameter "ids" is required');
+    }
+    if (ids.length > MAX_IDS) {
+      return sendError(res, 'VALIDATION_FAILED', `At most ${MAX_IDS} job IDs per request`);
+    }
+
+    const jobs = await Promise.all(ids.map(id => getJob(id)));
+    res.json({ jobs: jobs.filter(job => canAccess(req.auth, job)).map(toPublicJob) });
+  } catch (error) {
+    handleRouteError(res, error, 'List jobs error', 'Failed to fetch jobs');
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Returns: { id, type, status, stage, percent, attempts, maxAttempts, errors, error, result, source, createdAt, updatedAt, finishedAt }
+ *   status: queued | running | completed | failed
+ *   stage:  queued | extracting | saving | embedding | indexing | done
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!canAccess(req.auth, job)) {
+      return sendError(res, 'NOT_FOUND', 'Job not found');
+    }
+    res.json(toPublicJob(job));
+  } catch (error) {
+    handleRouteError(res, error, 'Get job error', 'Failed to fetch job');
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+import { z } from 'zod';
+import { isParallelConfigured, verifyWebhookSignature } from '../lib/parallelClient.js';
+import { describeRun, getRun, handleWebhookEvent, listRuns, refreshRun, startRun } from '../lib/parallelRuns.js';
+import { parseLabels } from '../lib/documentLabels.js';
+import { canAccess, ownership, workspaceFilter } from '../lib/auth.js';
+import { handleRouteError, sendError } from '../lib/errors.js';
+import { labelFields, parseRequest, text, validate } from '../lib/validation.js';
+
+const router = express.Router();
+
+const startSchema = z.object({
+  input: z.union([
+    text(10000),
+    z.record(z.unknown()).refine(input => Object.keys(input).length > 0, 'Must not be empty'),
+  ], { errorMap: () => ({ message: 'Expected a string or an object' }) }),
+  ...labelFields,
+});
+
+// Only the envelope is checked; handleWebhookEvent ignores events it does not recognize
+const webhookSchema = z.object({
+  type: z.string().optional(),
+  data: z.record(z.unknown()).optional(),
+}).passthrough();
+
+/**
+ * POST /api/parallel/start
+ * Starts a Parallel Web Agent workflow run; its web results are ingested when it completes
+ * Accepts: { input: "objective" | { ... }, collection?, tags?, author?, date? } — labels for the ingested documents
+ * Returns 202: { id, runId, workflowId, status, statusUrl, startedAt }
+ */
+router.post('/start', validate(startSchema), async (req, res) => {
+  try {
+    const { input } = req.body;
+    const { labels, error: labelsError } = parseLabels(req.body);
+    if (labelsError) {
+      return sendError(res, 'VALIDATION_FAILED', labelsError);
+    }
+
+    if (!isParallelConfigured()) {
+      return sendError(res, 'NOT_CONFIGURED', 'Parallel is not configured (set PARALLEL_API_KEY and PARALLEL_WORKFLOW_ID)');
+    }
+
+    const run = await startRun({ input, labels, ...ownership(req.auth) });
+    res.status(202).json({
+      id: run._id,
+      runId: run.runId,
+      workflowId: run.workflowId,
+      status: run.status,
+      statusUrl: `/api/parallel/${run._id}`,
+      startedAt: run.startedAt,
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Parallel workflow error', 'Failed to start workflow');
+  }
+});
+
+/**
+ * POST /api/parallel/webhook
+ * Receives run updates from Parallel, signed with PARALLEL_WEBHOOK_SECRET (no user authentication)
+ * (webhook-id, webhook-timestamp and webhook-signature headers)
+ * Accepts: { type, data: { run_id, status, results?: [{ url, title, content }], error? } }
+ * Returns: { received: true, status: 'updated' | 'duplicate' | 'ignored', id }; 401 when the signature does not verify
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const { eventId, error } = verifyWebhookSignature(req.rawBody, req.headers);
+    if (error) {
+      console.warn(`⚠️  Rejected Parallel webhook: ${error}`);
+      return sendError(res, 'INVALID_SIGNATURE', error);
+    }
+
+    // Validated after the signature, which is computed over the raw body
+    const result = await handleWebhookEvent(parseRequest(webhookSchema, req.body), eventId);
+    res.json({ received: true, status: result.status, id: result.run?._id ?? null });
+  } catch (error) {
+    handleRouteError(res, error, 'Parallel webhook error', 'Failed to handle webhook');
+  }
+});
+
+/**
+ * GET /api/parallel/runs
+ * Query: ?offset=0&limit=20
+ * Lists runs started in the current workspace
+ * Returns: { runs: [{ _id, runId, workflowId, status, input, labels, resultCount, ingest, error, startedAt, finishedAt }], total }
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    res.json(await listRuns({ offset, limit, ...workspaceFilter(req.auth) }));
+  } catch (error) {
+    handleRouteError(res, error, 'List Parallel runs error', 'Failed to list runs');
+  }
+});
+
+/**
+ * GET /api/parallel/:id
+ * Status of a run (by ID or Parallel run ID). Unfinished runs are checked with
+ * the Parallel API first, so runs complete even when no webhook arrives.
+ * Returns: run with ingest: { jobId, status, documents: [{ url, title, docId, action }], failed, error } and ingestJob (progress),
+ *   plus refreshError when Parallel could not be reached
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    let run = await getRun(req.params.id);
+    if (!canAccess(req.auth, run)) {
+      return sendError(res, 'NOT_FOUND', 'Run not found');
+    }
+
+    let refreshError;
+    try {
+      run = await refreshRun(run);
+    } catch (error) {
+      refreshError = error.message;
+    }
+
+    res.json({ ...(await describeRun(run)), ...(refreshError && { refreshError }) });
+  } catch (error) {
+    handleRouteError(res, error, 'Parallel status error', 'Failed to fetch run');
+  }
+});
+
+export default router;
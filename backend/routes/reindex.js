@@ -0,0 +1,152 @@
+import express from 'express';
+import { z } from 'zod';
+import { getReindexStatus, parseReindexOptions, startReindex } from '../lib/reindex.js';
+import {
+  abandonIndexBuild,
+  dropPreviousIndex,
+  getIndexRegistry,
+  restorePreviousIndex,
+  swapActiveIndex,
+} from '../lib/vectorStore.js';
+import { getJob } from '../lib/jobQueue.js';
+import { requireAdmin } from '../lib/auth.js';
+import { handleRouteError, sendError } from '../lib/errors.js';
+import { integer, optional, validate } from '../lib/validation.js';
+
+const router = express.Router();
+
+// Provider names and dimension bounds are checked by parseReindexOptions and the provider itself
+const reindexSchema = z.object({
+  provider: optional(z.string().max(50)),
+  model: optional(z.string().max(200)),
+  dimension: optional(integer(1, 65536)),
+  swap: optional(z.boolean()),
+});
+
+// The index holds every workspace's documents, so only admins manage it
+router.use(requireAdmin);
+
+/**
+ * GET /api/reindex
+ * Returns: { active, building, previous }, each { name, embedding: { provider, model, dimension }, vectors, ... } or null;
+ *   building also has job: { id, status, stage, percent, error, result }
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await getReindexStatus());
+  } catch (error) {
+    handleRouteError(res, error, 'Reindex status error', 'Failed to read index status');
+  }
+});
+
+/**
+ * POST /api/reindex
+ * Re-embeds the whole corpus into a new index in the background; queries keep
+ * using the active index until the new one is swapped in
+ * Body: { provider?, model?, dimension?, swap?: true }
+ * Returns 202: { status: 'queued', jobId, statusUrl, index, embedding }
+ */
+router.post('/', validate(reindexSchema), async (req, res) => {
+  try {
+    const { options, error } = parseReindexOptions(req.body);
+    if (error) {
+      return sendError(res, 'VALIDATION_FAILED', error);
+    }
+
+    const { building } = await getIndexRegistry();
+    if (building) {
+      return sendError(res, 'CONFLICT', `Index ${building.name} is already being built`, { jobId: building.jobId });
+    }
+
+    const { job, index, embedding } = await startReindex(options);
+    res.status(202).json({
+      status: 'queued',
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      index,
+      embedding,
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Reindex start error', 'Failed to start re-index');
+  }
+});
+
+/**
+ * POST /api/reindex/swap
+ * Makes a finished build active (for builds started with swap: false, or not swapped because they were degraded)
+ * Returns: { status: 'swapped', active, previous }
+ */
+router.post('/swap', async (req, res) => {
+  try {
+    const { building } = await getIndexRegistry();
+    if (!building) {
+      return sendError(res, 'CONFLICT', 'No index is being built');
+    }
+
+    const job = building.jobId ? await getJob(building.jobId) : null;
+    if (job && job.status !== 'completed') {
+      return sendError(res, 'CONFLICT', `Index ${building.name} is not finished (job ${job.status})`);
+    }
+
+    const { active, previous } = await swapActiveIndex(building.name);
+    res.json({ status: 'swapped', active, previous });
+  } catch (error) {
+    handleRouteError(res, error, 'Reindex swap error', 'Failed to swap indexes');
+  }
+});
+
+/**
+ * POST /api/reindex/rollback
+ * Makes the index replaced by the last swap active again
+ * Returns: { status: 'restored', active, previous }
+ */
+router.post('/rollback', async (req, res) => {
+  try {
+    const { previous, building } = await getIndexRegistry();
+    if (!previous || building) {
+      return sendError(res, 'CONFLICT', previous ? 'Wait for the running build to finish or cancel it' : 'There is no previous index');
+    }
+
+    const registry = await restorePreviousIndex();
+    res.json({ status: 'restored', active: registry.active, previous: registry.previous });
+  } catch (error) {
+    handleRouteError(res, error, 'Reindex rollback error', 'Failed to restore the previous index');
+  }
+});
+
+/**
+ * DELETE /api/reindex/building
+ * Cancels the running build and removes its index
+ * Returns: { status: 'cancelled', index }
+ */
+router.delete('/building', async (req, res) => {
+  try {
+    const { building } = await getIndexRegistry();
+    if (!building) {
+      return sendError(res, 'NOT_FOUND', 'No index is being built');
+    }
+    await abandonIndexBuild(building.name);
+    res.json({ status: 'cancelled', index: building.name });
+  } catch (error) {
+    handleRouteError(res, error, 'Reindex cancel error', 'Failed to cancel the build');
+  }
+});
+
+/**
+ * DELETE /api/reindex/previous
+ * Removes the index kept for rollback
+ * Returns: { status: 'dropped', index }
+ */
+router.delete('/previous', async (req, res) => {
+  try {
+    const name = await dropPreviousIndex();
+    if (!name) {
+      return sendError(res, 'NOT_FOUND', 'There is no previous index');
+    }
+    res.json({ status: 'dropped', index: name });
+  } catch (error) {
+    handleRouteError(res, error, 'Reindex drop error', 'Failed to drop the previous index');
+  }
+});
+
+export default router;
@@ -0,0 +1,146 @@
+import express from 'express';
+import { z } from 'zod';
+import {
+  MAX_REPORT_QUESTIONS,
+  createReport,
+  deleteReport,
+  describeReport,
+  getReport,
+  listReports,
+} from '../lib/reports.js';
+import { REPORT_FORMATS, exportReport } from '../lib/reportExport.js';
+import { MAX_TOP_K, RETRIEVAL_MODES } from '../lib/query.js';
+import { parseQueryFilters } from '../lib/documentLabels.js';
+import { canAccess, ownership, workspaceFilter } from '../lib/auth.js';
+import { handleRouteError, sendError } from '../lib/errors.js';
+import { createRateLimiter, getRateLimits, rateLimit } from '../lib/rateLimit.js';
+import { integer, optional, text, validate } from '../lib/validation.js';
+
+const router = express.Router();
+const reportRateLimit = rateLimit(createRateLimiter(getRateLimits().report));
+
+const MAX_TOPIC_CHARS = 2000;
+
+const createSchema = z.object({
+  topic: text(MAX_TOPIC_CHARS),
+  maxQuestions: optional(integer(1, MAX_REPORT_QUESTIONS)),
+  topK: optional(integer(1, MAX_TOP_K)),
+  mode: optional(z.enum(RETRIEVAL_MODES)),
+  filters: optional(z.union([z.string().max(10000), z.record(z.unknown())])),
+});
+
+const exportSchema = z.object({
+  format: optional(z.enum(REPORT_FORMATS)),
+});
+
+/**
+ * Load a report the caller may see (reports are shared with the workspace they were written in)
+ * @returns {Promise<Object|null>} Report, or null when missing or in another workspace
+ */
+async function loadReport(req) {
+  const report = await getReport(req.params.id);
+  return canAccess(req.auth, report) ? report : null;
+}
+
+/**
+ * POST /api/reports
+ * Queues a research report: the topic is broken into sub-questions, each answered from the
+ * knowledge base, and the findings are written up with numbered sources
+ * Accepts: { topic, maxQuestions?, topK?, mode?, filters? } — topK, mode and filters apply to every sub-question
+ * Returns 202: { id, status, jobId, statusUrl }
+ */
+router.post('/', reportRateLimit, validate(createSchema), async (req, res) => {
+  try {
+    const { topic, maxQuestions, topK, mode, filters } = req.body;
+    const { filter, error } = parseQueryFilters(filters);
+    if (error) {
+      return sendError(res, 'VALIDATION_FAILED', error);
+    }
+
+    const report = await createReport({ topic, options: { maxQuestions, topK, mode, filter }, ...ownership(req.auth) });
+    res.status(202).json({
+      id: report._id,
+      status: report.status,
+      jobId: report.jobId,
+      statusUrl: `/api/reports/${report._id}`,
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Create report error', 'Failed to create report');
+  }
+});
+
+/**
+ * GET /api/reports
+ * Query: ?offset=0&limit=20
+ * Lists reports in the current workspace, without their contents
+ * Returns: { reports: [{ _id, title, topic, status, options, error, sectionCount, sourceCount, questionCount, createdAt, completedAt }], total }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    res.json(await listReports({ offset, limit, ...workspaceFilter(req.auth) }));
+  } catch (error) {
+    handleRouteError(res, error, 'List reports error', 'Failed to list reports');
+  }
+});
+
+/**
+ * GET /api/reports/:id
+ * Returns: report with summary, sections: [{ heading, body, findings }], openQuestions,
+ *   subQuestions: [{ question, answer, sources }], sources: [{ number, title, source, ... }],
+ *   and job (progress) while it is queued or running
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const report = await loadReport(req);
+    if (!report) {
+      return sendError(res, 'NOT_FOUND', 'Report not found');
+    }
+    res.json(await describeReport(report));
+  } catch (error) {
+    handleRouteError(res, error, 'Get report error', 'Failed to fetch report');
+  }
+});
+
+/**
+ * GET /api/reports/:id/export?format=md|html|pdf
+ * Downloads a completed report (Markdown by default); 409 while it is still being written
+ */
+router.get('/:id/export', validate(exportSchema, 'query'), async (req, res) => {
+  try {
+    const report = await loadReport(req);
+    if (!report) {
+      return sendError(res, 'NOT_FOUND', 'Report not found');
+    }
+    if (report.status !== 'completed') {
+      return sendError(res, 'CONFLICT', `Report is ${report.status}; only completed reports can be exported`, { status: report.status });
+    }
+
+    const { content, contentType, fileName } = exportReport(report, req.query.format ?? 'md');
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    });
+    res.send(content);
+  } catch (error) {
+    handleRouteError(res, error, 'Export report error', 'Failed to export report');
+  }
+});
+
+/**
+ * DELETE /api/reports/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!(await loadReport(req))) {
+      return sendError(res, 'NOT_FOUND', 'Report not found');
+    }
+    await deleteReport(req.params.id);
+    res.json({ status: 'deleted', id: req.params.id });
+  } catch (error) {
+    handleRouteError(res, error, 'Delete report error', 'Failed to delete report');
+  }
+});
+
+export default router;
@@ -0,0 +1,132 @@
+import express from 'express';
+import { z } from 'zod';
+import {
+  WORKSPACE_ROLES,
+  addWorkspaceMember,
+  createWorkspace,
+  getUser,
+  getWorkspace,
+  listWorkspaces,
+  parseWorkspaceName,
+  removeWorkspaceMember,
+  toPublicWorkspace,
+} from '../lib/workspaces.js';
+import { handleRouteError, sendError } from '../lib/errors.js';
+import { validate } from '../lib/validation.js';
+
+const router = express.Router();
+
+const workspaceSchema = z.object({
+  name: z.string().max(200),
+});
+const memberSchema = z.object({
+  email: z.string().trim().min(1, 'Required').max(254),
+  role: z.enum(WORKSPACE_ROLES).default('member'),
+});
+
+// Workspaces only exist when authentication is on
+router.use((req, res, next) => {
+  if (!req.auth?.user) {
+    return sendError(res, 'AUTH_DISABLED', 'Workspaces are not used when AUTH_MODE=off');
+  }
+  next();
+});
+
+/**
+ * Load a workspace the caller owns, answering 404/403 otherwise
+ * @returns {Promise<Object|null>} Workspace, or null when a response was sent
+ */
+async function loadOwnedWorkspace(req, res) {
+  const workspace = await getWorkspace(req.params.id);
+  const member = workspace?.members?.find(m => m.userId === req.auth.user.id);
+  if (!member) {
+    sendError(res, 'NOT_FOUND', 'Workspace not found');
+    return null;
+  }
+  if (member.role !== 'owner') {
+    sendError(res, 'FORBIDDEN', 'Only workspace owners can manage members');
+    return null;
+  }
+  return workspace;
+}
+
+/**
+ * GET /api/workspaces
+ * Returns: { workspaces: [{ id, name, role, members: [{ userId, email, role }] }], current }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await listWorkspaces(req.auth.user.id);
+    res.json({
+      workspaces: workspaces.map(workspace => toPublicWorkspace(workspace, req.auth.user.id)),
+      current: req.auth.workspaceId,
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'List workspaces error', 'Failed to list workspaces');
+  }
+});
+
+/**
+ * POST /api/workspaces
+ * Accepts: { name } — the caller becomes its owner
+ * Returns 201: { id, name, role, members }
+ */
+router.post('/', validate(workspaceSchema), async (req, res) => {
+  try {
+    const { name, error } = parseWorkspaceName(req.body.name);
+    if (error) {
+      return sendError(res, 'VALIDATION_FAILED', error);
+    }
+
+    const workspace = await createWorkspace(await getUser(req.auth.user.id), name);
+    res.status(201).json(toPublicWorkspace(workspace, req.auth.user.id));
+  } catch (error) {
+    handleRouteError(res, error, 'Create workspace error', 'Failed to create workspace');
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/members (owners)
+ * Accepts: { email, role?: 'owner' | 'member' } — adds an existing account, or changes its role
+ * Returns: { id, name, role, members }
+ */
+router.post('/:id/members', validate(memberSchema), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    const workspace = await loadOwnedWorkspace(req, res);
+    if (!workspace) return;
+
+    const { workspace: updated, error } = await addWorkspaceMember(workspace, email, role);
+    if (error) {
+      return sendError(res, 'NOT_FOUND', error);
+    }
+    res.json(toPublicWorkspace(updated, req.auth.user.id));
+  } catch (error) {
+    handleRouteError(res, error, 'Add workspace member error', 'Failed to add member');
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:id/members/:userId (owners)
+ * Returns: { id, name, role, members }; 409 when removing the last owner
+ */
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const workspace = await loadOwnedWorkspace(req, res);
+    if (!workspace) return;
+
+    const result = await removeWorkspaceMember(workspace, req.params.userId);
+    if (!result) {
+      return sendError(res, 'NOT_FOUND', 'Member not found');
+    }
+    if (result.error) {
+      return sendError(res, 'CONFLICT', result.error);
+    }
+    res.json(toPublicWorkspace(result.workspace, req.auth.user.id));
+  } catch (error) {
+    handleRouteError(res, error, 'Remove workspace member error', 'Failed to remove member');
+  }
+});
+
+export default router;
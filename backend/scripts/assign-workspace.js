@@ -0,0 +1,72 @@
+import { closeRedis } from '../lib/redisClient.js';
+import { closeVectorStore } from '../lib/vectorStore.js';
+import { listDocuments, updateDocument } from '../lib/documentStore.js';
+import { reindexLibraryDocument } from '../lib/library.js';
+import { getWorkspace } from '../lib/workspaces.js';
+
+/**
+ * Move records created before authentication into a workspace
+ * Usage:
+ *   npm run assign-workspace -- --workspace <workspaceId> [--dry-run]
+ *
+ * Documents, conversations and Parallel runs without a workspace are stamped
+ * with it (owned by the workspace owner). Documents are then re-indexed so
+ * their vectors carry the workspace too; unchanged chunks come from the
+ * embedding cache. With the memory vector store, stop the server first.
+ */
+const PAGE_SIZE = 100;
+const TYPES = ['researchDoc', 'conversation', 'parallelRun'];
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+/**
+ * Every record of a type with no workspace
+ */
+async function findUnassigned(type) {
+  const unassigned = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { documents } = await listDocuments({ type, offset, limit: PAGE_SIZE });
+    unassigned.push(...documents.filter(doc => !doc.workspaceId));
+    if (documents.length < PAGE_SIZE) break;
+  }
+  return unassigned;
+}
+
+async function main() {
+  try {
+    const workspaceId = option('--workspace');
+    if (!workspaceId) throw new Error('--workspace <workspaceId> is required (see GET /api/workspaces)');
+
+    const workspace = await getWorkspace(workspaceId);
+    if (!workspace) throw new Error(`Workspace ${workspaceId} not found`);
+    const dryRun = args.includes('--dry-run');
+
+    for (const type of TYPES) {
+      const records = await findUnassigned(type);
+      console.log(`${dryRun ? '🔎' : '📦'} ${records.length} ${type} records without a workspace`);
+      if (dryRun) continue;
+
+      for (const record of records) {
+        await updateDocument(record._id, { workspaceId: workspace._id, ownerId: record.ownerId || workspace.ownerId });
+        // Superseded versions have no vectors to update
+        if (type === 'researchDoc' && !record.supersededBy) {
+          await reindexLibraryDocument(record._id);
+        }
+      }
+    }
+
+    console.log(dryRun ? 'ℹ️  Dry run, nothing was changed' : `✅ Assigned to workspace "${workspace.name}"`);
+  } catch (error) {
+    console.error('Assigning workspace failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeVectorStore();
+    await closeRedis();
+  }
+}
+
+main();
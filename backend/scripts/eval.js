@@ -0,0 +1,136 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Score retrieval and answers against a golden question set
+ * Usage:
+ *   npm run eval -- [--dataset eval/datasets/sample.json] [--k 5] [--mode hybrid] [--reranker local]
+ *                   [--out eval/reports] [--name label] [--baseline <report.json>] [--max-drop 0.02]
+ *                   [--providers mock|configured]
+ *   npm run eval -- --diff <base.json> <candidate.json> [--max-drop 0.02]
+ *
+ * The dataset's corpus is ingested into a scratch store in a temporary directory,
+ * so the configured Redis, Sanity and data directory are never touched. By default
+ * the mock embedding and LLM providers are used, so runs are offline and repeatable;
+ * --providers configured uses the providers from .env instead.
+ *
+ * Writes <name>-<timestamp>.json and .md to --out. With --baseline (or --diff),
+ * prints how the metrics moved; with --max-drop it exits with code 1 when any
+ * summary metric fell by more than that.
+ */
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_DATASET = path.join(BACKEND_DIR, 'eval/datasets/sample.json');
+const DEFAULT_OUT_DIR = path.join(BACKEND_DIR, 'eval/reports');
+const DEFAULT_K = 5;
+const PROVIDER_CHOICES = ['mock', 'configured'];
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const readReport = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read report ${file}: ${error.message}`);
+  }
+};
+
+/**
+ * Point every store at a scratch directory (and the providers at mocks) before the pipeline modules load
+ */
+function useScratchEnvironment(workDir, providers) {
+  Object.assign(process.env, {
+    DATA_DIR: workDir,
+    VECTOR_STORE: 'memory',
+    DOC_STORE: 'local',
+    EMBEDDING_CACHE: 'memory',
+  });
+  if (providers === 'mock') {
+    Object.assign(process.env, { LLM_PROVIDER: 'mock', EMBEDDING_PROVIDER: 'mock', LLM_FALLBACK: 'fail' });
+  }
+}
+
+/**
+ * Print a diff and apply --max-drop
+ */
+function reportDiff(evaluation, diff) {
+  console.log(`\n${evaluation.renderMarkdownDiff(diff)}`);
+  const maxDrop = option('--max-drop');
+  if (maxDrop !== undefined) {
+    const drop = evaluation.largestDrop(diff);
+    if (drop > Number(maxDrop)) {
+      console.error(`❌ A metric dropped by ${drop.toFixed(3)} (allowed: ${maxDrop})`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+async function main() {
+  const providers = option('--providers') || 'mock';
+  if (!PROVIDER_CHOICES.includes(providers)) {
+    console.error(`Unknown --providers "${providers}". Use one of: ${PROVIDER_CHOICES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'maj-eval-'));
+  useScratchEnvironment(workDir, providers);
+  // Loaded after the environment is set, since modules read their settings on import
+  const evaluation = await import('../lib/evaluation.js');
+  const { closeVectorStore } = await import('../lib/vectorStore.js');
+
+  try {
+    if (flag('--diff')) {
+      const index = args.indexOf('--diff');
+      const [baseFile, candidateFile] = args.slice(index + 1, index + 3);
+      if (!baseFile || !candidateFile) throw new Error('--diff needs two report files: <base.json> <candidate.json>');
+      reportDiff(evaluation, evaluation.diffReports(await readReport(baseFile), await readReport(candidateFile)));
+      return;
+    }
+
+    const k = Number(option('--k') ?? DEFAULT_K);
+    if (!Number.isInteger(k) || k < 1) throw new Error('--k must be a whole number of at least 1');
+
+    const dataset = await evaluation.loadDataset(path.resolve(option('--dataset') || DEFAULT_DATASET));
+    const baseline = option('--baseline') ? await readReport(option('--baseline')) : null;
+
+    const report = await evaluation.runEvaluation(dataset, {
+      k,
+      mode: option('--mode'),
+      reranker: option('--reranker'),
+      onProgress: (done, total) => console.log(`📝 Scored question ${done}/${total}`),
+    });
+
+    const outDir = path.resolve(option('--out') || DEFAULT_OUT_DIR);
+    const stamp = report.startedAt.replace(/[:.]/g, '-');
+    const base = path.join(outDir, `${option('--name') || dataset.name}-${stamp}`);
+    await fs.mkdir(outDir, { recursive: true });
+    await fs.writeFile(`${base}.json`, `${JSON.stringify(report, null, 2)}\n`);
+    await fs.writeFile(`${base}.md`, evaluation.renderMarkdownReport(report));
+
+    console.log('');
+    for (const metric of evaluation.METRICS) {
+      const value = report.summary[metric];
+      console.log(`   ${metric.padEnd(13)} ${value === null ? '–' : value.toFixed(3)}`);
+    }
+    console.log(`\n✅ Report written to ${base}.json and ${base}.md`);
+
+    if (baseline) {
+      reportDiff(evaluation, evaluation.diffReports(baseline, report));
+    }
+  } catch (error) {
+    console.error('Evaluation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeVectorStore();
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+main();
@@ -0,0 +1,101 @@
+import http from 'node:http';
+
+/**
+ * Misbehaving upstream for exercising the shared HTTP client
+ * Point LIGHTNING_BASE_URL, OPENAI_BASE_URL, PARALLEL_API_URL or SANITY_API_HOST at it.
+ *
+ * Usage: npm run stub:http -- [--port 4100] [--mode flaky]
+ *
+ * Modes (also selectable per request with ?mode= or the X-Stub-Mode header):
+ *   ok        - answer immediately
+ *   flaky     - every other request fails with 500 (default)
+ *   ratelimit - every other request returns 429 with Retry-After: 1
+ *   slow      - answer after STUB_DELAY_MS (default 5000)
+ *   down      - always 503
+ *
+ * Embeddings have STUB_EMBEDDING_DIMENSION values (default 384).
+ */
+const args = process.argv.slice(2);
+const option = (flag, fallback) => {
+  const index = args.indexOf(flag);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const PORT = Number(option('--port', process.env.STUB_PORT || 4100));
+const DEFAULT_MODE = option('--mode', process.env.STUB_MODE || 'flaky');
+const DELAY_MS = Number(process.env.STUB_DELAY_MS) || 5000;
+const EMBEDDING_DIMENSION = Number(process.env.STUB_EMBEDDING_DIMENSION) || 384;
+const MODES = ['ok', 'flaky', 'ratelimit', 'slow', 'down'];
+
+let requestCount = 0;
+
+/**
+ * Success body shaped like the endpoint that was called, so clients can parse it
+ * Embeddings requests get one indexed item per input, as batched clients expect.
+ */
+function successBody(url, payload) {
+  if (url.pathname.endsWith('/embeddings')) {
+    const inputs = Array.isArray(payload?.input) ? payload.input : [payload?.input ?? ''];
+    return {
+      data: inputs.map((_, index) => ({
+        index,
+        embedding: Array.from({ length: EMBEDDING_DIMENSION }, (_, i) => Math.sin(i + index)),
+      })),
+    };
+  }
+  if (url.pathname.endsWith('/chat/completions')) {
+    return { choices: [{ message: { content: 'Stub answer' } }] };
+  }
+  if (url.pathname.includes('/workflows/')) {
+    return { run_id: `stub-run-${requestCount}`, status: 'queued' };
+  }
+  return { ok: true, request: requestCount };
+}
+
+const server = http.createServer((req, res) => {
+  requestCount++;
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const mode = url.searchParams.get('mode') || req.headers['x-stub-mode'] || DEFAULT_MODE;
+  const failThisTime = requestCount % 2 === 1;
+
+  const send = (status, body, headers = {}) => {
+    console.log(`${new Date().toISOString()} ${req.method} ${url.pathname} [${mode}] → ${status}`);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  // Read the request body before answering
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    let payload = null;
+    try {
+      payload = JSON.parse(Buffer.concat(chunks).toString() || 'null');
+    } catch {
+      // Not JSON; endpoints that need a body fall back to a single item
+    }
+    switch (mode) {
+      case 'down':
+        return send(503, { error: 'Service unavailable (stub)' });
+      case 'flaky':
+        return failThisTime ? send(500, { error: 'Internal error (stub)' }) : send(200, successBody(url, payload));
+      case 'ratelimit':
+        return failThisTime
+          ? send(429, { error: 'Too many requests (stub)' }, { 'Retry-After': '1' })
+          : send(200, successBody(url, payload));
+      case 'slow':
+        return setTimeout(() => send(200, successBody(url, payload)), DELAY_MS);
+      default:
+        return send(200, successBody(url, payload));
+    }
+  });
+});
+
+if (!MODES.includes(DEFAULT_MODE)) {
+  console.error(`Unknown mode "${DEFAULT_MODE}". Use one of: ${MODES.join(', ')}`);
+  process.exit(1);
+}
+
+server.listen(PORT, () => {
+  console.log(`🧪 HTTP stub listening on http://localhost:${PORT} (mode: ${DEFAULT_MODE})`);
+});
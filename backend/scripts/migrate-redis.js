@@ -0,0 +1,23 @@
+import { ensureVectorIndex, closeRedis } from '../lib/redisClient.js';
+
+/**
+ * Create the RediSearch vector index and convert legacy JSON `doc:*` keys
+ * Usage: npm run migrate:redis
+ */
+async function main() {
+  try {
+    const ready = await ensureVectorIndex();
+    if (ready) {
+      console.log('✅ Vector index ready');
+    } else {
+      console.log('⚠️  Vector index not created (RediSearch unavailable, disabled, or no vectors stored yet)');
+    }
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closeRedis();
+  }
+}
+
+main();
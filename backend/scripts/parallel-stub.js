@@ -0,0 +1,169 @@
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { signWebhook } from '../lib/parallelClient.js';
+
+/**
+ * Local stand-in for the Parallel API
+ * Runs complete after a short delay with a few generated web pages, and send
+ * signed webhooks to the URL given when they were started.
+ *
+ * Usage: npm run stub:parallel -- [--port 4200] [--outcome completed] [--webhook-results] [--redeliver]
+ * Then start the backend with:
+ *   PARALLEL_API_URL=http://localhost:4200/v1 PARALLEL_API_KEY=test PARALLEL_WORKFLOW_ID=wf_test
+ *   PARALLEL_WEBHOOK_URL=http://localhost:3000/api/parallel/webhook PARALLEL_WEBHOOK_SECRET=<same as the stub's>
+ *
+ * Options:
+ *   --outcome          completed (default), failed or cancelled
+ *   --webhook-results  include the results in the webhook (by default the backend fetches them)
+ *   --redeliver        send every webhook twice, like a retrying sender
+ *   STUB_RUN_MS        time from start to finish (default 3000)
+ */
+const args = process.argv.slice(2);
+const option = (flag, fallback) => {
+  const index = args.indexOf(flag);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const PORT = Number(option('--port', process.env.STUB_PORT || 4200));
+const OUTCOME = option('--outcome', 'completed');
+const WEBHOOK_RESULTS = args.includes('--webhook-results');
+const REDELIVER = args.includes('--redeliver');
+const RUN_MS = Number(process.env.STUB_RUN_MS) || 3000;
+const OUTCOMES = ['completed', 'failed', 'cancelled'];
+
+const runs = new Map();
+
+/**
+ * Pages a web agent might have collected for the input
+ */
+function fakeResults(input) {
+  const topic = (typeof input === 'string' ? input : input.objective || input.query || JSON.stringify(input)).slice(0, 80);
+  const slug = topic.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'topic';
+  return [1, 2, 3].map(n => ({
+    url: `https://example.com/${slug}/source-${n}`,
+    title: `${topic} — source ${n}`,
+    content: [
+      `Source ${n} on ${topic}.`,
+      `This page was collected by the local Parallel stand-in. It summarises finding ${n} about ${topic}, `
+        + `with enough text to be split into chunks and retrieved by questions about the subject.`,
+      `Key point ${n}: the evidence for ${topic} is reviewed in section ${n}, alongside open questions for further research.`,
+    ].join('\n\n'),
+  }));
+}
+
+/**
+ * Run as the API returns it
+ */
+function describe(run) {
+  return {
+    run_id: run.id,
+    status: run.status,
+    ...(run.status === 'completed' && { results: run.results }),
+    ...(run.error && { error: { message: run.error } }),
+  };
+}
+
+/**
+ * Post a signed status webhook for a run
+ */
+async function sendWebhook(run) {
+  if (!run.webhookUrl) return;
+
+  const body = JSON.stringify({
+    type: 'run.status',
+    timestamp: new Date().toISOString(),
+    data: WEBHOOK_RESULTS ? describe(run) : { run_id: run.id, status: run.status, ...(run.error && { error: { message: run.error } }) },
+  });
+  const id = `msg_${randomUUID()}`;
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  for (let delivery = 1; delivery <= (REDELIVER ? 2 : 1); delivery++) {
+    try {
+      const response = await fetch(run.webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'webhook-id': id,
+          'webhook-timestamp': String(timestamp),
+          ...(process.env.PARALLEL_WEBHOOK_SECRET && { 'webhook-signature': signWebhook(id, timestamp, body) }),
+        },
+        body,
+      });
+      console.log(`📨 Webhook ${run.id} ${run.status} (delivery ${delivery}) → ${response.status} ${await response.text()}`);
+    } catch (error) {
+      console.error(`📨 Webhook ${run.id} failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Move a run through running to its outcome
+ */
+function progress(run) {
+  setTimeout(() => {
+    run.status = 'running';
+    sendWebhook(run);
+  }, RUN_MS / 3);
+
+  setTimeout(() => {
+    run.status = OUTCOME;
+    if (OUTCOME === 'completed') {
+      run.results = fakeResults(run.input);
+    } else {
+      run.error = `Run ${OUTCOME} (stub)`;
+    }
+    sendWebhook(run);
+  }, RUN_MS);
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const send = (status, body) => {
+      console.log(`${new Date().toISOString()} ${req.method} ${url.pathname} → ${status}`);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+      return send(401, { error: 'Missing API key' });
+    }
+
+    const start = url.pathname.match(/^\/v1\/workflows\/([^/]+)\/run$/);
+    if (req.method === 'POST' && start) {
+      let body;
+      try {
+        body = JSON.parse(raw || '{}');
+      } catch {
+        return send(400, { error: 'Invalid JSON' });
+      }
+
+      const run = { id: `run_${randomUUID().slice(0, 8)}`, workflowId: start[1], status: 'queued', input: body.input ?? '', webhookUrl: body.webhook?.url };
+      runs.set(run.id, run);
+      progress(run);
+      return send(200, { run_id: run.id, status: run.status });
+    }
+
+    const status = url.pathname.match(/^\/v1\/workflows\/([^/]+)\/runs\/([^/]+)$/);
+    if (req.method === 'GET' && status) {
+      const run = runs.get(status[2]);
+      return run ? send(200, describe(run)) : send(404, { error: 'Run not found' });
+    }
+
+    send(404, { error: 'Not found' });
+  });
+});
+
+if (!OUTCOMES.includes(OUTCOME)) {
+  console.error(`Unknown outcome "${OUTCOME}". Use one of: ${OUTCOMES.join(', ')}`);
+  process.exit(1);
+}
+
+server.listen(PORT, () => {
+  console.log(`🧪 Parallel stand-in listening on http://localhost:${PORT}/v1 (outcome: ${OUTCOME})`);
+  if (!process.env.PARALLEL_WEBHOOK_SECRET) {
+    console.warn('⚠️  PARALLEL_WEBHOOK_SECRET not set; webhooks are sent unsigned and will be rejected');
+  }
+});
@@ -0,0 +1,96 @@
+import { closeRedis } from '../lib/redisClient.js';
+import {
+  abandonIndexBuild,
+  closeVectorStore,
+  dropPreviousIndex,
+  getIndexRegistry,
+  restorePreviousIndex,
+  swapActiveIndex,
+} from '../lib/vectorStore.js';
+import { getReindexStatus, parseReindexOptions, prepareReindex, runReindex } from '../lib/reindex.js';
+
+/**
+ * Re-embed the whole corpus into a new vector index, then swap it in
+ * Usage:
+ *   npm run reindex -- [--provider openai] [--model nomic-embed-text] [--dimension 768] [--no-swap]
+ *   npm run reindex -- --status | --swap | --rollback | --cancel | --drop-previous
+ *
+ * Runs in this process rather than on the server's job queue. With the memory
+ * vector store, stop the server first (or use POST /api/reindex instead).
+ */
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+async function main() {
+  try {
+    if (flag('--status')) {
+      console.log(JSON.stringify(await getReindexStatus(), null, 2));
+      return;
+    }
+    if (flag('--swap')) {
+      const { active } = await swapActiveIndex();
+      console.log(`✅ ${active.name} is now the active index`);
+      return;
+    }
+    if (flag('--rollback')) {
+      const { active } = await restorePreviousIndex();
+      console.log(`✅ Restored ${active.name}`);
+      return;
+    }
+    if (flag('--cancel')) {
+      const { building } = await getIndexRegistry();
+      if (!building) throw new Error('No index is being built');
+      await abandonIndexBuild(building.name);
+      console.log(`✅ Cancelled ${building.name}`);
+      return;
+    }
+    if (flag('--drop-previous')) {
+      const name = await dropPreviousIndex();
+      console.log(name ? `✅ Dropped ${name}` : 'No previous index to drop');
+      return;
+    }
+
+    const { options, error } = parseReindexOptions({
+      provider: option('--provider'),
+      model: option('--model'),
+      dimension: option('--dimension'),
+      swap: !flag('--no-swap'),
+    });
+    if (error) throw new Error(error);
+
+    const build = await prepareReindex(options);
+    let lastPercent = -1;
+    try {
+      const result = await runReindex(build, {
+        onProgress: ({ stage, percent }) => {
+          const rounded = Math.floor(percent);
+          if (rounded !== lastPercent) {
+            lastPercent = rounded;
+            process.stdout.write(`\r${stage} ${rounded}%`);
+          }
+        },
+      });
+      process.stdout.write('\n');
+      console.log(JSON.stringify(result, null, 2));
+      if (!result.swapped) {
+        console.log(`ℹ️  ${build.index} was not swapped in. Run "npm run reindex -- --swap" when ready.`);
+      }
+    } catch (runError) {
+      process.stdout.write('\n');
+      await abandonIndexBuild(build.index);
+      throw runError;
+    }
+  } catch (error) {
+    console.error('Re-index failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeVectorStore();
+    await closeRedis();
+  }
+}
+
+main();
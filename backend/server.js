@@ -1,137 +1,472 @@
 import express from 'express';
 import cors from 'cors';
-import multer from 'multer';
 import dotenv from 'dotenv';
-import { ingestDocument } from './lib/ingest.js';
-import { queryKnowledge } from './lib/query.js';
-import { startParallelWorkflow } from './lib/parallelClient.js';
+import { z } from 'zod';
+import { DEFAULT_TOP_K, MAX_TOP_K, RETRIEVAL_MODES, queryKnowledge, streamKnowledge } from './lib/query.js';
+import { identifyFile } from './lib/extractors.js';
+import { enqueueBatch, enqueueIngest, ingestJobHandler } from './lib/ingestJobs.js';
+import { getJobQueueName } from './lib/jobQueue.js';
+import { DUPLICATE_ACTIONS } from './lib/dedupe.js';
+import { parseLabels, parseQueryFilters } from './lib/documentLabels.js';
+import { registerJobHandler, startJobWorker } from './lib/jobWorker.js';
+import { getVectorStoreName } from './lib/vectorStore.js';
+import { getDocumentStoreName } from './lib/documentStore.js';
+import { RERANKERS, getDegradedReasons, getProviderInfo } from './lib/llmProvider.js';
+import { checkHealth } from './lib/health.js';
+import { getHttpStats } from './lib/httpClient.js';
+import { isParallelConfigured } from './lib/parallelClient.js';
+import { getEmbeddingCacheStats } from './lib/embeddingCache.js';
+import { reindexJobHandler } from './lib/reindex.js';
+import { parallelResultsJobHandler } from './lib/parallelRuns.js';
+import { reportJobHandler } from './lib/reports.js';
+import { enqueueUrlIngest, parseUrlIngestOptions, urlIngestJobHandler } from './lib/webIngest.js';
+import { getConversation, getHistory, recordTurn } from './lib/conversations.js';
+import { canAccess, getAuthMode, getCorsOptions, getCorsOrigins, hasJwtSecret, isSignupAllowed, ownership, requireAdmin, requireAuth } from './lib/auth.js';
+import { ApiError, describeError, errorHandler, handleRouteError, notFoundHandler, sendError, toErrorBody } from './lib/errors.js';
+import { integer, labelFields, optional, text, validate } from './lib/validation.js';
+import { createRateLimiter, getRateLimits, rateLimit } from './lib/rateLimit.js';
+import { checkTextLength, getIngestLimits, receiveFile, receiveFiles } from './lib/uploads.js';
+import authRouter from './routes/auth.js';
+import workspacesRouter from './routes/workspaces.js';
+import conversationsRouter from './routes/conversations.js';
+import documentsRouter from './routes/documents.js';
+import jobsRouter from './routes/jobs.js';
+import reindexRouter from './routes/reindex.js';
+import parallelRouter from './routes/parallel.js';
+import reportsRouter from './routes/reports.js';
 
 dotenv.config();
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
+// API paths reachable without signing in (relative to /api); the webhook checks its own signature
+const PUBLIC_API_PATHS = ['/parallel/webhook'];
+// Questions are embedded and sent to the LLM with every retrieved context
+const MAX_QUESTION_CHARS = Number(process.env.QUERY_MAX_CHARS) || 4000;
 
-app.use(cors());
-app.use(express.json());
+// Behind a reverse proxy, rate limits need the client address from X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set('trust proxy', TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
+const rateLimits = getRateLimits();
+const apiRateLimit = rateLimit(createRateLimiter(rateLimits.api));
+const ingestRateLimit = rateLimit(createRateLimiter(rateLimits.ingest));
+const queryRateLimit = rateLimit(createRateLimiter(rateLimits.query));
+
+app.use(cors(getCorsOptions()));
+// Keep the exact bytes received, webhook signatures are computed over them
+app.use(express.json({
+  limit: getIngestLimits().jsonLimitBytes,
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  },
+}));
 
 const PORT = process.env.PORT || 3000;
 
+registerJobHandler('ingest', ingestJobHandler);
+registerJobHandler('ingest-url', urlIngestJobHandler);
+registerJobHandler('reindex', reindexJobHandler);
+registerJobHandler('parallel-results', parallelResultsJobHandler);
+registerJobHandler('report', reportJobHandler);
+
+/**
+ * Load the conversation named in a request, if any
+ * Returns undefined when no conversationId was sent and null when it does not exist or is someone else's.
+ */
+async function loadConversation(conversationId, auth) {
+  if (conversationId === undefined || conversationId === null || conversationId === '') {
+    return undefined;
+  }
+  const conversation = await getConversation(String(conversationId));
+  return canAccess(auth, conversation, { own: true }) ? conversation : null;
+}
+
+// Duplicate handling and labels, accepted by every ingest route (multipart fields arrive as strings)
+const ingestOptionFields = {
+  onDuplicate: optional(z.enum(DUPLICATE_ACTIONS)),
+  nearDuplicateThreshold: optional(z.coerce.number({ invalid_type_error: 'Expected a number' }).gt(0).max(1)),
+  ...labelFields,
+};
+
+const ingestSchema = z.object({
+  text: optional(z.string()),
+  ...ingestOptionFields,
+});
+
+const batchIngestSchema = z.object(ingestOptionFields);
+
+// Crawl bounds are checked by parseUrlIngestOptions
+const urlIngestSchema = z.object({
+  url: text(2048),
+  depth: optional(integer(0, 100)),
+  maxPages: optional(integer(1, 10000)),
+  ...ingestOptionFields,
+});
+
+// Also used for GET /api/query/stream, whose parameters arrive as strings (filters as JSON)
+const querySchema = z.object({
+  q: text(MAX_QUESTION_CHARS),
+  conversationId: optional(z.string().max(200)),
+  mode: optional(z.enum(RETRIEVAL_MODES)),
+  topK: optional(integer(1, MAX_TOP_K)),
+  minScore: optional(z.coerce.number({ invalid_type_error: 'Expected a number' }).min(0)),
+  reranker: optional(z.enum(RERANKERS)),
+  filters: optional(z.union([z.string().max(10000), z.record(z.unknown())])),
+});
+
+/**
+ * Ingest options from a validated request: duplicate handling, labels and the caller as owner
+ * @throws {ApiError} VALIDATION_FAILED when a label is invalid
+ */
+function readIngestOptions(body, auth) {
+  const { labels, error } = parseLabels(body);
+  if (error) {
+    throw new ApiError('VALIDATION_FAILED', error);
+  }
+
+  const options = { ...labels, ...ownership(auth) };
+  if (body.onDuplicate !== undefined) options.onDuplicate = body.onDuplicate;
+  if (body.nearDuplicateThreshold !== undefined) options.nearDuplicateThreshold = body.nearDuplicateThreshold;
+  return options;
+}
+
+/**
+ * Retrieval options from a validated query
+ * @throws {ApiError} VALIDATION_FAILED when the filters are invalid
+ */
+function readQueryOptions({ topK, minScore, reranker, filters }) {
+  const { filter, error } = parseQueryFilters(filters);
+  if (error) {
+    throw new ApiError('VALIDATION_FAILED', error);
+  }
+  return { topK: topK ?? DEFAULT_TOP_K, minScore: minScore ?? 0, reranker, filter };
+}
+
+/**
+ * Degradation to report with a queued ingest: mock providers, or a recent
+ * fallback to mock output (the job result reports what actually happened)
+ */
+function currentDegradation() {
+  const degradedReasons = getDegradedReasons();
+  return { degraded: degradedReasons.length > 0, degradedReasons };
+}
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/**
+ * GET /health/deep
+ * Probes the document store, vector store, embedding provider and LLM (admins only; results cached for HEALTH_CACHE_SECONDS)
+ * Returns: { status: 'ok' | 'degraded' | 'down', checks: { documentStore, vectorStore, embeddings, llm }, degradedReasons, timestamp }
+ *   where timestamp is when the probes ran
+ * Responds 503 when down
+ */
+app.get('/health/deep', requireAuth, requireAdmin, apiRateLimit, async (req, res) => {
+  try {
+    const { checkedAt, ...health } = await checkHealth();
+    res.status(health.status === 'down' ? 503 : 200).json({ ...health, timestamp: checkedAt });
+  } catch (error) {
+    console.error('Health check error:', error);
+    res.status(503).json({ status: 'down', ...toErrorBody('INTERNAL_ERROR', error.message || 'Health check failed') });
+  }
+});
+
+// Sign-in routes are public; everything else under /api needs a session token or API key
+app.use('/api/auth', authRouter);
+app.use('/api', (req, res, next) => (PUBLIC_API_PATHS.includes(req.path) ? next() : requireAuth(req, res, next)));
+app.use('/api', apiRateLimit);
+
 /**
  * POST /api/ingest
- * Accepts file (PDF) or text
- * Steps: extract text → create embeddings → save to Sanity → insert vector into RedisVL
- * Returns: { status, sanityId, redisId }
+ * Accepts file (PDF, DOCX, Markdown, HTML, CSV, JSON, TXT) or text
+ * Optional: onDuplicate (skip | replace | version), nearDuplicateThreshold (0-1),
+ *           collection, tags (list or comma-separated), author, date (YYYY-MM-DD)
+ * Queues a job that will: extract text → chunk → save to document store → embed each chunk → insert vectors into the vector store
+ * Returns 202: { status, jobId, statusUrl, degraded, degradedReasons } — poll GET /api/jobs/:id for progress and the result;
+ *   413 FILE_TOO_LARGE / TEXT_TOO_LONG over INGEST_MAX_FILE_MB / INGEST_MAX_TEXT_CHARS, 415 UNSUPPORTED_FILE_TYPE when the content is not a supported format
  */
-app.post('/api/ingest', upload.single('file'), async (req, res) => {
+app.post('/api/ingest', ingestRateLimit, receiveFile('file'), validate(ingestSchema), async (req, res) => {
   try {
-    let text = '';
-    let source = '';
+    let job;
+    const options = readIngestOptions(req.body, req.auth);
 
     if (req.file) {
-      // File upload
-      source = req.file.originalname;
-      const buffer = req.file.buffer;
-      
-      if (req.file.mimetype === 'application/pdf') {
-        // Will use pdf-parse or Lightning API
-        const pdfParse = await import('pdf-parse');
-        const data = await pdfParse.default(buffer);
-        text = data.text;
-      } else if (req.file.mimetype === 'text/plain') {
-        text = buffer.toString('utf-8');
-      } else {
-        return res.status(400).json({ error: 'Unsupported file type. Use PDF or TXT.' });
+      // File upload: the content decides the format, not the reported name or MIME type
+      const file = { buffer: req.file.buffer, filename: req.file.originalname, mimetype: req.file.mimetype };
+
+      if (req.file.size === 0) {
+        return sendError(res, 'EMPTY_CONTENT', 'Empty content');
+      }
+      const { error: typeError } = identifyFile(file);
+      if (typeError) {
+        return sendError(res, 'UNSUPPORTED_FILE_TYPE', typeError);
       }
-    } else if (req.body.text) {
+
+      job = await enqueueIngest({ file, source: req.file.originalname, options });
+    } else if (req.body.text !== undefined) {
       // Text paste
-      text = req.body.text;
-      source = 'pasted_text';
+      checkTextLength(req.body.text);
+      job = await enqueueIngest({ text: req.body.text, source: 'pasted_text', options });
     } else {
-      return res.status(400).json({ error: 'No file or text provided' });
+      return sendError(res, 'VALIDATION_FAILED', 'No file or text provided');
     }
 
-    if (!text.trim()) {
-      return res.status(400).json({ error: 'Empty content' });
+    res.status(202).json({
+      status: 'queued',
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      message: 'Document queued for ingestion',
+      ...currentDegradation(),
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Ingest error', 'Failed to queue document');
+  }
+});
+
+/**
+ * POST /api/ingest/batch
+ * Accepts many files in the "files" field; ZIP archives are unpacked server-side
+ * Optional: onDuplicate (skip | replace | version), nearDuplicateThreshold (0-1),
+ *           collection, tags, author, date — applied to every file
+ * Each file is validated, checked for duplicates and queued as its own ingest job
+ * Returns: { files: [{ source, filename, status: queued|skipped|failed, jobId?, reason?, duplicateOf? }], queued, skipped, failed,
+ *            degraded, degradedReasons }; 413 when a file is over INGEST_MAX_FILE_MB or the upload over INGEST_MAX_BATCH_MB
+ */
+app.post('/api/ingest/batch', ingestRateLimit, receiveFiles('files'), validate(batchIngestSchema), async (req, res) => {
+  try {
+    if (!req.files?.length) {
+      return sendError(res, 'VALIDATION_FAILED', 'No files provided');
     }
+    const options = readIngestOptions(req.body, req.auth);
 
-    // Ingest the document
-    const result = await ingestDocument(text, source);
+    const files = await enqueueBatch(req.files.map(file => ({
+      buffer: file.buffer,
+      filename: file.originalname,
+      mimetype: file.mimetype,
+    })), options);
+    const count = (status) => files.filter(file => file.status === status).length;
 
-    res.json({
-      status: 'ingest_success',
-      sanityId: result.sanityId,
-      redisId: result.redisId,
-      message: 'Document ingested and vectorized successfully'
+    res.status(count('queued') > 0 ? 202 : 200).json({
+      files,
+      queued: count('queued'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      ...currentDegradation(),
     });
 
   } catch (error) {
-    console.error('Ingest error:', error);
-    res.status(500).json({ 
-      error: error.message || 'Failed to ingest document',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    handleRouteError(res, error, 'Batch ingest error', 'Failed to queue files');
+  }
+});
+
+/**
+ * POST /api/ingest/url
+ * Accepts: { url, depth?: 0, maxPages?, onDuplicate?, nearDuplicateThreshold?, collection?, tags?, author?, date? }
+ * Queues a job that fetches the page, extracts its readable text and title and ingests it with its canonical URL
+ * as the source; with depth > 0 it also follows same-site links (breadth-first, up to maxPages pages), honouring robots.txt
+ * Returns 202: { status, jobId, statusUrl, url, depth, maxPages, degraded, degradedReasons } — the job result lists every page
+ */
+app.post('/api/ingest/url', ingestRateLimit, validate(urlIngestSchema), async (req, res) => {
+  try {
+    const { options: crawl, error: urlError } = parseUrlIngestOptions(req.body);
+    if (urlError) {
+      return sendError(res, 'VALIDATION_FAILED', urlError);
+    }
+    const options = readIngestOptions(req.body, req.auth);
+
+    const job = await enqueueUrlIngest({ ...crawl, options });
+    res.status(202).json({
+      status: 'queued',
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      message: crawl.depth > 0 ? 'Crawl queued for ingestion' : 'Page queued for ingestion',
+      ...crawl,
+      ...currentDegradation(),
     });
+
+  } catch (error) {
+    handleRouteError(res, error, 'URL ingest error', 'Failed to queue URL');
   }
 });
 
 /**
  * POST /api/query
- * Accepts: { q: "user question" }
- * Steps: query RedisVL for top 3 vectors → call LLM with contexts
- * Returns: { answer, contexts: [{text, score}] }
+ * Accepts: { q: "user question", conversationId?, mode?: "vector" | "keyword" | "hybrid", topK?, minScore?,
+ *           reranker?: "none" | "local" | "llm", filters?: { collection?, tags?, author?, source?, after?, before? } }
+ * Steps: rewrite follow-ups using conversation history → retrieve candidate chunks (vector, BM25 keyword or both fused)
+ *        → rerank, diversify and pack up to topK contexts into the token budget → call LLM with contexts
+ * Returns: { answer, contexts: [{id, docId, title, source, text, score, scores: {vector, keyword, fused, rerank}, chunkIndex, chunkCount, pageStart, pageEnd, collection, tags}], citations, invalidCitations, retrievalQuery, mode, filter, conversationId,
+ *          degraded, degradedReasons }
  */
-app.post('/api/query', async (req, res) => {
+app.post('/api/query', queryRateLimit, validate(querySchema), async (req, res) => {
   try {
-    const { q } = req.body;
+    const { q, conversationId, mode } = req.body;
+    const options = readQueryOptions(req.body);
 
-    if (!q || typeof q !== 'string' || !q.trim()) {
-      return res.status(400).json({ error: 'Query parameter "q" is required' });
+    const conversation = await loadConversation(conversationId, req.auth);
+    if (conversation === null) {
+      return sendError(res, 'NOT_FOUND', 'Conversation not found');
     }
 
-    const result = await queryKnowledge(q.trim());
+    const result = await queryKnowledge(q, options.topK, {
+      history: getHistory(conversation),
+      mode,
+      filter: options.filter,
+      minScore: options.minScore,
+      reranker: options.reranker,
+      workspaceId: req.auth.workspaceId,
+    });
+
+    if (conversation) {
+      await recordTurn(conversation, q, result);
+    }
 
     res.json({
+      conversationId: conversation?._id ?? null,
+      retrievalQuery: result.retrievalQuery,
+      mode: result.mode,
+      filter: result.filter,
       answer: result.answer,
-      contexts: result.contexts
+      contexts: result.contexts,
+      citations: result.citations,
+      invalidCitations: result.invalidCitations,
+      degraded: result.degraded,
+      degradedReasons: result.degradedReasons,
     });
 
   } catch (error) {
-    console.error('Query error:', error);
-    res.status(500).json({ 
-      error: error.message || 'Failed to process query',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    handleRouteError(res, error, 'Query error', 'Failed to process query');
   }
 });
 
 /**
- * POST /api/parallel/start
- * Triggers Parallel Web Agent workflow
- * Returns: { workflowId, status }
+ * GET|POST /api/query/stream
+ * Accepts: ?q=...&conversationId=...&mode=...&topK=...&minScore=...&reranker=...&filters=<JSON> (GET)
+ *          or { q: "user question", conversationId?, mode?, topK?, minScore?, reranker?, filters? } (POST)
+ * Streams Server-Sent Events:
+ *   contexts → { retrievalQuery, mode, filter, contexts: [...], degraded, degradedReasons }
+ *   token    → { text }            (repeated)
+ *   done     → { cancelled, answer, citations, invalidCitations, timing, usage, degraded, degradedReasons }
+ *   saved    → { conversationId }  (when the turn was added to a conversation)
+ *   error    → { error, code }
  */
-app.post('/api/parallel/start', async (req, res) => {
+async function handleQueryStream(req, res) {
+  const input = req.method === 'GET' ? req.query : req.body;
+  const { q, conversationId, mode } = input;
+
+  let options;
+  let conversation;
   try {
-    const result = await startParallelWorkflow(req.body);
-    res.json(result);
+    options = readQueryOptions(input);
+    conversation = await loadConversation(conversationId, req.auth);
   } catch (error) {
-    console.error('Parallel workflow error:', error);
-    res.status(500).json({ 
-      error: error.message || 'Failed to start workflow',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    return handleRouteError(res, error, 'Query stream error', 'Failed to load conversation');
+  }
+  if (conversation === null) {
+    return sendError(res, 'NOT_FOUND', 'Conversation not found');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  // Stop generating when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const turn = {};
+    const stream = streamKnowledge(q, {
+      signal: controller.signal,
+      history: getHistory(conversation),
+      mode,
+      topK: options.topK,
+      filter: options.filter,
+      minScore: options.minScore,
+      reranker: options.reranker,
+      workspaceId: req.auth.workspaceId,
     });
+
+    for await (const { event, data } of stream) {
+      if (controller.signal.aborted) break;
+      if (event !== 'token') Object.assign(turn, data);
+      sendEvent(event, data);
+    }
+
+    // Only completed answers become part of the conversation
+    if (conversation && !controller.signal.aborted) {
+      await recordTurn(conversation, q, turn);
+      sendEvent('saved', { conversationId: conversation._id });
+    }
+  } catch (error) {
+    console.error('Query stream error:', error);
+    sendEvent('error', describeError(error, 'Failed to process query').body);
   }
+
+  res.end();
+}
+
+app.get('/api/query/stream', queryRateLimit, validate(querySchema, 'query'), handleQueryStream);
+app.post('/api/query/stream', queryRateLimit, validate(querySchema), handleQueryStream);
+
+/**
+ * GET /metrics
+ * Outbound HTTP counters per upstream service (requests, retries, timeouts, circuit state)
+ * and embedding cache hits (admins only: the last upstream error can carry provider details)
+ * Returns: { http: { [service]: stats }, embeddingCache, timestamp }
+ */
+app.get('/metrics', requireAuth, requireAdmin, apiRateLimit, (req, res) => {
+  res.json({ http: getHttpStats(), embeddingCache: getEmbeddingCacheStats(), timestamp: new Date().toISOString() });
 });
 
+app.use('/api/workspaces', workspacesRouter);
+app.use('/api/conversations', conversationsRouter);
+app.use('/api/documents', documentsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/reindex', reindexRouter);
+app.use('/api/parallel', parallelRouter);
+app.use('/api/reports', reportsRouter);
+
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
 app.listen(PORT, () => {
   console.log(`🚀 MAJ+ Backend running on http://localhost:${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
+  console.log(`📊 Health check: http://localhost:${PORT}/health (dependencies: /health/deep, metrics: /metrics)`);
   console.log(`\n⚙️  Environment:`);
   console.log(`   - Sanity: ${process.env.SANITY_PROJECT_ID ? '✓' : '✗'}`);
   console.log(`   - Redis: ${process.env.REDIS_URL ? '✓' : '✗'}`);
-  console.log(`   - Lightning: ${process.env.LIGHTNING_API_KEY ? '✓' : '✗'}`);
-  console.log(`   - Parallel: ${process.env.PARALLEL_API_KEY ? '✓' : '✗'}\n`);
+  console.log(`   - Vector store: ${getVectorStoreName()}`);
+  console.log(`   - Document store: ${getDocumentStoreName()}`);
+  const authMode = getAuthMode();
+  console.log(`   - Auth: ${authMode}${authMode !== 'off' ? `${isSignupAllowed() ? ', open sign-up' : ''}${hasJwtSecret() ? '' : ' (no AUTH_JWT_SECRET, sessions end on restart)'}` : ''}`);
+  console.log(`   - CORS origins: ${getCorsOrigins().join(', ')}`);
+  const limits = getIngestLimits();
+  console.log(`   - Limits: ${limits.maxFileBytes / 1024 / 1024} MB per file, ${limits.maxFiles} files per batch, ${limits.maxTextChars} characters of text`);
+  const perWindow = ({ max, windowSeconds }) => (max > 0 ? `${max}/${windowSeconds}s` : 'off');
+  console.log(`   - Rate limits: api ${perWindow(rateLimits.api)}, ingest ${perWindow(rateLimits.ingest)}, query ${perWindow(rateLimits.query)}, reports ${perWindow(rateLimits.report)}, sign-in ${perWindow(rateLimits.auth)}`);
+  console.log(`   - Job queue: ${getJobQueueName()}`);
+  const { llm, embeddings } = getProviderInfo();
+  console.log(`   - LLM: ${llm.provider}${llm.model ? ` (${llm.model})` : ''}`);
+  console.log(`   - Provider fallback: ${getProviderInfo().fallback}`);
+  console.log(`   - Reranker: ${getProviderInfo().reranker}`);
+  console.log(`   - Embeddings: ${embeddings.provider}${embeddings.model ? ` (${embeddings.model})` : ''}${embeddings.dimension ? `, ${embeddings.dimension} dims` : ''}`);
+  console.log(`   - Parallel: ${isParallelConfigured() ? '✓' : '✗'}${isParallelConfigured() && !process.env.PARALLEL_WEBHOOK_URL ? ' (no webhook URL, runs update when polled)' : ''}\n`);
+
+  startJobWorker();
 });
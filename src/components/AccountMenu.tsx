@@ -0,0 +1,53 @@
+import { Check, LogOut, UserRound } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { useAuth } from "@/hooks/use-auth";
+
+/**
+ * Signed-in user with a workspace switcher and sign-out; hidden when authentication is off.
+ */
+export const AccountMenu = () => {
+  const { enabled, account, switchWorkspace, signOut } = useAuth();
+  if (!enabled || !account?.user) return null;
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="sm" className="max-w-[16rem]">
+          <UserRound className="w-4 h-4 mr-2 shrink-0" />
+          <span className="truncate">{account.workspace?.name ?? account.user.name}</span>
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-64">
+        <DropdownMenuLabel className="font-normal">
+          <p className="text-sm font-medium truncate">{account.user.name}</p>
+          <p className="text-xs text-muted-foreground truncate">
+            {account.user.email}
+            {account.user.role === "admin" ? " · admin" : ""}
+          </p>
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        <DropdownMenuLabel className="text-xs text-muted-foreground">Workspaces</DropdownMenuLabel>
+        {account.workspaces.map((workspace) => (
+          <DropdownMenuItem key={workspace.id} onSelect={() => switchWorkspace(workspace.id)}>
+            <Check className={`w-4 h-4 mr-2 ${workspace.id === account.workspace?.id ? "opacity-100" : "opacity-0"}`} />
+            <span className="truncate">{workspace.name}</span>
+            <span className="ml-auto text-xs text-muted-foreground">{workspace.members.length}</span>
+          </DropdownMenuItem>
+        ))}
+        <DropdownMenuSeparator />
+        <DropdownMenuItem onSelect={signOut}>
+          <LogOut className="w-4 h-4 mr-2" />
+          Sign out
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
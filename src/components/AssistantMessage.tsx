@@ -0,0 +1,161 @@
+import { useRef, useState } from "react";
+import { AlertTriangle, Loader2 } from "lucide-react";
+import { Card } from "@/components/ui/card";
+import { CitedAnswer } from "@/components/CitedAnswer";
+import type { ChatMessage, Context, QueryFilter } from "@/types/research";
+
+/** "collection: oncology · #2024", or "" when the search was not filtered. */
+const formatFilter = (filter: QueryFilter | undefined) => {
+  if (!filter) return "";
+  const list = (value: string | string[]) => (Array.isArray(value) ? value.join(" | ") : value);
+  const parts: string[] = [];
+  if (filter.collection) parts.push(`collection: ${list(filter.collection)}`);
+  if (filter.tags?.length) parts.push(filter.tags.map((tag) => `#${tag}`).join(" "));
+  if (filter.author) parts.push(`author: ${list(filter.author)}`);
+  if (filter.source) parts.push(`source: ${list(filter.source)}`);
+  if (filter.publishedAt) parts.push(`dated ${filter.publishedAt.gte ?? "…"} – ${filter.publishedAt.lte ?? "…"}`);
+  return parts.join(" · ");
+};
+
+const formatPosition = (context: Context) => {
+  const parts: string[] = [];
+  if (context.heading) {
+    parts.push(`§ ${context.heading}`);
+  }
+  if (context.chunkIndex !== null && context.chunkCount !== null) {
+    parts.push(`Chunk ${context.chunkIndex + 1}/${context.chunkCount}`);
+  }
+  if (context.pageStart !== null) {
+    parts.push(
+      context.pageEnd !== null && context.pageEnd !== context.pageStart
+        ? `pp. ${context.pageStart}–${context.pageEnd}`
+        : `p. ${context.pageStart}`
+    );
+  }
+  return parts.join(" · ");
+};
+
+// Breakdown of a fused hybrid score into its semantic and keyword components, plus the reranker's score
+const formatComponentScores = (context: Context) => {
+  const scores = context.scores;
+  if (!scores) return "";
+  const parts =
+    scores.fused === null
+      ? []
+      : [
+          `vector ${scores.vector !== null ? scores.vector.toFixed(3) : "–"}`,
+          `BM25 ${scores.keyword !== null ? scores.keyword.toFixed(2) : "–"}`,
+        ];
+  if (scores.rerank !== undefined && scores.rerank !== null) {
+    parts.push(`rerank ${scores.rerank.toFixed(2)}`);
+  }
+  return parts.join(" · ");
+};
+
+interface AssistantMessageProps {
+  message: ChatMessage;
+}
+
+/**
+ * An answer with clickable citations and the contexts it was generated from.
+ */
+export const AssistantMessage = ({ message }: AssistantMessageProps) => {
+  const contextRefs = useRef<(HTMLDivElement | null)[]>([]);
+  const [activeCitation, setActiveCitation] = useState<number | null>(null);
+  const contexts = message.contexts ?? [];
+
+  const handleCite = (index: number) => {
+    contextRefs.current[index - 1]?.scrollIntoView({ behavior: "smooth", block: "center" });
+    setActiveCitation(index);
+    window.setTimeout(() => setActiveCitation((current) => (current === index ? null : current)), 2000);
+  };
+
+  if (message.status === "loading") {
+    return (
+      <div className="flex items-center gap-2 text-sm text-muted-foreground">
+        <Loader2 className="w-4 h-4 animate-spin" />
+        Searching your documents...
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <Card className="p-5 bg-gradient-surface border-primary/30 backdrop-blur">
+        <p className="text-foreground leading-relaxed whitespace-pre-wrap">
+          <CitedAnswer
+            text={message.content}
+            contextCount={contexts.length}
+            activeIndex={activeCitation}
+            onCite={handleCite}
+          />
+          {message.status === "streaming" && (
+            <span className="inline-block w-2 h-4 ml-1 align-middle bg-primary animate-pulse" />
+          )}
+        </p>
+        {message.degradedReasons && message.degradedReasons.length > 0 && (
+          <div className="mt-3 flex items-start gap-2 text-xs text-destructive">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            <ul className="space-y-0.5">
+              {message.degradedReasons.map((reason) => (
+                <li key={reason}>{reason}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {message.status === "cancelled" && (
+          <p className="mt-3 text-xs font-mono text-muted-foreground">Generation stopped.</p>
+        )}
+        {message.retrievalQuery && (
+          <p className="mt-3 text-xs font-mono text-muted-foreground">
+            Searched for: {message.retrievalQuery}
+            {message.mode && ` (${message.mode})`}
+            {formatFilter(message.filter) && ` · ${formatFilter(message.filter)}`}
+          </p>
+        )}
+        {message.timing && (
+          <p className="mt-2 text-xs font-mono text-muted-foreground">
+            Retrieval {message.timing.retrievalMs} ms · Generation {message.timing.generationMs} ms · Total{" "}
+            {message.timing.totalMs} ms
+            {message.usage?.total_tokens !== undefined && ` · ${message.usage.total_tokens} tokens`}
+          </p>
+        )}
+      </Card>
+
+      {contexts.length > 0 && (
+        <div className="space-y-2">
+          <h4 className="text-sm font-bold text-muted-foreground">Retrieved Contexts</h4>
+          {contexts.map((context, idx) => (
+            <Card
+              key={context.id ?? idx}
+              ref={(el) => (contextRefs.current[idx] = el)}
+              className={`p-4 bg-card/50 border-border/30 scroll-mt-8 transition-shadow duration-300 ${
+                activeCitation === idx + 1 ? "ring-2 ring-accent shadow-glow-accent" : ""
+              }`}
+            >
+              <div className="flex items-start justify-between gap-4 mb-2">
+                <div className="min-w-0 space-y-1">
+                  <span className="text-xs font-mono text-muted-foreground">
+                    [{idx + 1}]
+                    {formatPosition(context) && ` · ${formatPosition(context)}`}
+                  </span>
+                  <p className="text-sm font-semibold truncate">
+                    {context.title}
+                    {context.source && <span className="ml-2 font-normal text-muted-foreground">{context.source}</span>}
+                  </p>
+                </div>
+                <div className="shrink-0 text-right">
+                  <span className="text-xs font-mono text-accent">Score: {context.score.toFixed(3)}</span>
+                  {formatComponentScores(context) && (
+                    <p className="text-[10px] font-mono text-muted-foreground">{formatComponentScores(context)}</p>
+                  )}
+                </div>
+              </div>
+              <p className="text-sm text-muted-foreground font-mono leading-relaxed">{context.text}</p>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,94 @@
+import { Fragment, useEffect, useState, type ReactNode } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { API_BASE_URL, apiFetch } from "@/lib/api";
+import { describeError } from "@/lib/errors";
+import { endSession, getSession, subscribeSession, switchWorkspace } from "@/lib/session";
+import { AuthContext } from "@/hooks/use-auth";
+import Login from "@/pages/Login";
+import type { AccountInfo, AuthConfig } from "@/types/auth";
+
+const GateMessage = ({ children }: { children: ReactNode }) => (
+  <div className="min-h-screen bg-background flex items-center justify-center p-4">
+    <Card className="p-6 max-w-md w-full space-y-4 text-center bg-gradient-surface border-border/50">{children}</Card>
+  </div>
+);
+
+/**
+ * Shows the sign-in screen until there is a session (when the backend requires one),
+ * then renders the app for the current workspace. Switching workspace or account
+ * drops cached data and remounts the app, so nothing from the previous one shows.
+ */
+export const AuthGate = ({ children }: { children: ReactNode }) => {
+  const queryClient = useQueryClient();
+  const [session, setSession] = useState(getSession);
+
+  useEffect(
+    () =>
+      subscribeSession((next) => {
+        queryClient.removeQueries({ predicate: (query) => query.queryKey[0] !== "auth-config" });
+        setSession(next);
+      }),
+    [queryClient],
+  );
+
+  const configQuery = useQuery({
+    queryKey: ["auth-config"],
+    queryFn: () => apiFetch<AuthConfig>("/api/auth/config"),
+    staleTime: Infinity,
+  });
+  const enabled = configQuery.data?.mode === "required";
+
+  const accountQuery = useQuery({
+    queryKey: ["account", session?.token, session?.workspaceId],
+    queryFn: () => apiFetch<AccountInfo>("/api/auth/me"),
+    enabled: enabled && Boolean(session),
+    retry: false,
+  });
+
+  if (configQuery.isLoading || (enabled && session && accountQuery.isLoading)) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <Loader2 className="w-6 h-6 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  if (configQuery.isError) {
+    return (
+      <GateMessage>
+        <p className="font-medium">Could not reach the backend</p>
+        <p className="text-sm text-muted-foreground">Make sure it is running at {API_BASE_URL}.</p>
+        <Button variant="outline" onClick={() => configQuery.refetch()}>
+          Try again
+        </Button>
+      </GateMessage>
+    );
+  }
+
+  if (enabled && !session) {
+    return <Login signup={configQuery.data.signup} />;
+  }
+
+  if (enabled && accountQuery.isError) {
+    return (
+      <GateMessage>
+        <p className="font-medium">Could not open this workspace</p>
+        <p className="text-sm text-muted-foreground">{describeError(accountQuery.error)}</p>
+        <Button variant="outline" onClick={endSession}>
+          Sign out
+        </Button>
+      </GateMessage>
+    );
+  }
+
+  return (
+    <AuthContext.Provider
+      value={{ enabled, account: accountQuery.data ?? null, switchWorkspace, signOut: endSession }}
+    >
+      <Fragment key={session?.workspaceId ?? "none"}>{children}</Fragment>
+    </AuthContext.Provider>
+  );
+};
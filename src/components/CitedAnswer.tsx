@@ -0,0 +1,71 @@
+import { Fragment } from "react";
+import { cn } from "@/lib/utils";
+
+// Matches the markers the backend validates: [1], [2, 3], [1-3]
+const CITATION_PATTERN = /\[(\d{1,2}(?:\s*[,;–-]\s*\d{1,2})*)\]/g;
+
+const parseMarker = (body: string) => {
+  const indices: number[] = [];
+  for (const part of body.split(/\s*[,;]\s*/)) {
+    const [start, end] = part.split(/\s*[–-]\s*/).map(Number);
+    if (end !== undefined && start <= end) {
+      for (let i = start; i <= end; i++) indices.push(i);
+    } else {
+      indices.push(start);
+    }
+  }
+  return indices;
+};
+
+interface CitedAnswerProps {
+  text: string;
+  contextCount: number;
+  activeIndex?: number | null;
+  onCite: (index: number) => void;
+}
+
+/**
+ * Renders an answer with its [n] citation markers as buttons linked to the
+ * retrieved contexts. Markers outside the context range are left as text.
+ */
+export const CitedAnswer = ({ text, contextCount, activeIndex, onCite }: CitedAnswerProps) => {
+  const parts: React.ReactNode[] = [];
+  let cursor = 0;
+
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    const indices = parseMarker(match[1]);
+    if (!indices.every((idx) => idx >= 1 && idx <= contextCount)) continue;
+
+    parts.push(text.slice(cursor, match.index));
+    parts.push(
+      <sup key={match.index} className="mx-0.5 space-x-0.5">
+        {indices.map((idx) => (
+          <button
+            key={idx}
+            type="button"
+            onClick={() => onCite(idx)}
+            className={cn(
+              "rounded px-1 text-[0.7rem] font-mono font-semibold transition-colors",
+              activeIndex === idx
+                ? "bg-accent text-accent-foreground"
+                : "bg-accent/15 text-accent hover:bg-accent/30"
+            )}
+            aria-label={`Show context ${idx}`}
+          >
+            {idx}
+          </button>
+        ))}
+      </sup>
+    );
+    cursor = match.index + match[0].length;
+  }
+  parts.push(text.slice(cursor));
+
+  return (
+    <>
+      {parts.map((part, idx) => (
+        <Fragment key={idx}>{part}</Fragment>
+      ))}
+    </>
+  );
+};
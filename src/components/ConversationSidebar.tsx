@@ -0,0 +1,80 @@
+import { MessageSquare, Plus, Trash2 } from "lucide-react";
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarHeader,
+  SidebarMenu,
+  SidebarMenuAction,
+  SidebarMenuButton,
+  SidebarMenuItem,
+  SidebarMenuSkeleton,
+} from "@/components/ui/sidebar";
+import { Button } from "@/components/ui/button";
+import type { ConversationSummary } from "@/types/research";
+
+interface ConversationSidebarProps {
+  conversations: ConversationSummary[];
+  isLoading: boolean;
+  activeId: string | null;
+  onSelect: (id: string) => void;
+  onNew: () => void;
+  onDelete: (id: string) => void;
+}
+
+export const ConversationSidebar = ({
+  conversations,
+  isLoading,
+  activeId,
+  onSelect,
+  onNew,
+  onDelete,
+}: ConversationSidebarProps) => (
+  <Sidebar>
+    <SidebarHeader className="p-4">
+      <Button onClick={onNew} className="w-full bg-primary hover:bg-primary/90 text-primary-foreground">
+        <Plus className="w-4 h-4 mr-2" />
+        New conversation
+      </Button>
+    </SidebarHeader>
+    <SidebarContent>
+      <SidebarGroup>
+        <SidebarGroupLabel>Conversations</SidebarGroupLabel>
+        <SidebarGroupContent>
+          <SidebarMenu>
+            {isLoading &&
+              Array.from({ length: 4 }).map((_, idx) => (
+                <SidebarMenuItem key={idx}>
+                  <SidebarMenuSkeleton showIcon />
+                </SidebarMenuItem>
+              ))}
+            {!isLoading && conversations.length === 0 && (
+              <p className="px-2 py-1 text-xs text-muted-foreground">No conversations yet</p>
+            )}
+            {conversations.map((conversation) => (
+              <SidebarMenuItem key={conversation._id}>
+                <SidebarMenuButton
+                  isActive={conversation._id === activeId}
+                  onClick={() => onSelect(conversation._id)}
+                  tooltip={conversation.title}
+                >
+                  <MessageSquare />
+                  <span>{conversation.title}</span>
+                </SidebarMenuButton>
+                <SidebarMenuAction
+                  showOnHover
+                  onClick={() => onDelete(conversation._id)}
+                  aria-label={`Delete ${conversation.title}`}
+                >
+                  <Trash2 />
+                </SidebarMenuAction>
+              </SidebarMenuItem>
+            ))}
+          </SidebarMenu>
+        </SidebarGroupContent>
+      </SidebarGroup>
+    </SidebarContent>
+  </Sidebar>
+);
@@ -0,0 +1,63 @@
+import { useQuery } from "@tanstack/react-query";
+import { Loader2 } from "lucide-react";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { apiFetch } from "@/lib/api";
+import { describeError } from "@/lib/errors";
+import type { LibraryDocumentDetail } from "@/types/research";
+
+interface DocumentDetailDialogProps {
+  documentId: string | null;
+  onOpenChange: (open: boolean) => void;
+}
+
+/**
+ * Full text and indexing details of a single ingested document.
+ */
+export const DocumentDetailDialog = ({ documentId, onOpenChange }: DocumentDetailDialogProps) => {
+  const documentQuery = useQuery({
+    queryKey: ["documents", documentId],
+    queryFn: () => apiFetch<LibraryDocumentDetail>(`/api/documents/${documentId}`),
+    enabled: documentId !== null,
+  });
+  const doc = documentQuery.data;
+
+  return (
+    <Dialog open={documentId !== null} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle className="truncate pr-6">{doc?.title ?? "Document"}</DialogTitle>
+          <DialogDescription>
+            {doc
+              ? [
+                  doc.source,
+                  doc.format?.toUpperCase(),
+                  `${doc.vectorCount} indexed chunks`,
+                  doc.pageCount && `${doc.pageCount} pages`,
+                  `added ${new Date(doc.createdAt).toLocaleString()}`,
+                ]
+                  .filter(Boolean)
+                  .join(" · ")
+              : "Loading document..."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {documentQuery.isLoading && (
+          <div className="flex justify-center py-12">
+            <Loader2 className="w-6 h-6 animate-spin text-muted-foreground" />
+          </div>
+        )}
+        {documentQuery.isError && (
+          <p className="text-sm text-destructive">
+            {describeError(documentQuery.error, "Failed to load document")}
+          </p>
+        )}
+        {doc && (
+          <ScrollArea className="h-[60vh] rounded-md border border-border/50 bg-secondary/30 p-4">
+            <p className="text-sm font-mono leading-relaxed whitespace-pre-wrap">{doc.fullText}</p>
+          </ScrollArea>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,183 @@
+import { useRef, useState } from "react";
+import { CheckCircle2, Copy, FileText, Loader2, UploadCloud, X, XCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import { ARCHIVE_EXTENSIONS, SUPPORTED_EXTENSIONS, SUPPORTED_FORMATS_LABEL } from "@/lib/ingestFormats";
+import { describeDuplicate, describeIngestResult } from "@/lib/ingestResults";
+import { cn } from "@/lib/utils";
+import type { BatchFileResult, IngestJob } from "@/types/research";
+
+const STAGE_LABELS: Record<string, string> = {
+  queued: "Queued",
+  extracting: "Extracting",
+  saving: "Saving",
+  embedding: "Embedding",
+  indexing: "Indexing",
+  done: "Done",
+};
+
+const formatSize = (bytes: number) =>
+  bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+interface IngestFileQueueProps {
+  pendingFiles: File[];
+  results: BatchFileResult[];
+  jobs: Record<string, IngestJob>;
+  disabled?: boolean;
+  onAddFiles: (files: File[]) => void;
+  onRemoveFile: (index: number) => void;
+}
+
+/**
+ * Drag-and-drop file picker with the per-file status of the current batch.
+ */
+export const IngestFileQueue = ({
+  pendingFiles,
+  results,
+  jobs,
+  disabled = false,
+  onAddFiles,
+  onRemoveFile,
+}: IngestFileQueueProps) => {
+  const inputRef = useRef<HTMLInputElement | null>(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleDrop = (e: React.DragEvent<HTMLDivElement>) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!disabled) onAddFiles(Array.from(e.dataTransfer.files));
+  };
+
+  const handleSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
+    onAddFiles(Array.from(e.target.files ?? []));
+    // Allow picking the same file again after removing it
+    e.target.value = "";
+  };
+
+  return (
+    <div className="space-y-3">
+      <div
+        role="button"
+        tabIndex={0}
+        onClick={() => !disabled && inputRef.current?.click()}
+        onKeyDown={(e) => (e.key === "Enter" || e.key === " ") && !disabled && inputRef.current?.click()}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={cn(
+          "flex flex-col items-center justify-center gap-2 rounded-lg border-2 border-dashed p-6 text-center cursor-pointer transition-colors",
+          isDragging ? "border-primary bg-primary/10" : "border-border/50 bg-secondary/50 hover:border-primary/50",
+          disabled && "cursor-not-allowed opacity-60",
+        )}
+      >
+        <UploadCloud className="w-8 h-8 text-muted-foreground" />
+        <p className="text-sm">
+          <span className="font-medium text-primary">Choose files</span> or drag them here
+        </p>
+        <p className="text-xs text-muted-foreground">{SUPPORTED_FORMATS_LABEL}, or ZIP archives of them</p>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={[...SUPPORTED_EXTENSIONS, ...ARCHIVE_EXTENSIONS].join(",")}
+          onChange={handleSelect}
+          className="hidden"
+        />
+      </div>
+
+      {pendingFiles.length > 0 && (
+        <ul className="space-y-1">
+          {pendingFiles.map((file, idx) => (
+            <li key={`${file.name}-${idx}`} className="flex items-center gap-2 text-sm">
+              <FileText className="w-4 h-4 flex-shrink-0 text-primary" />
+              <span className="truncate flex-1">{file.name}</span>
+              <span className="text-xs text-muted-foreground">{formatSize(file.size)}</span>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-6 w-6"
+                disabled={disabled}
+                onClick={() => onRemoveFile(idx)}
+                aria-label={`Remove ${file.name}`}
+              >
+                <X className="w-3 h-3" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {results.length > 0 && (
+        <ul className="space-y-2 rounded-lg border border-border/50 bg-secondary/30 p-3">
+          {results.map((result, idx) => (
+            <BatchFileRow key={`${result.source}-${idx}`} result={result} job={result.jobId ? jobs[result.jobId] : undefined} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const BatchFileRow = ({ result, job }: { result: BatchFileResult; job?: IngestJob }) => {
+  // Byte-identical files are skipped on upload; other duplicates once their job has run
+  const skipped =
+    result.status === "skipped" || (job?.status === "completed" && job.result?.action === "skipped");
+  if (skipped) {
+    return (
+      <li className="flex items-start gap-2 text-sm text-muted-foreground">
+        <Copy className="w-4 h-4 flex-shrink-0 mt-0.5" />
+        <div className="min-w-0">
+          <p className="truncate">{result.source}</p>
+          <p className="text-xs">
+            {job?.result
+              ? describeIngestResult(job.result)
+              : `Skipped: duplicate of ${result.duplicateOf ? describeDuplicate(result.duplicateOf) : "an existing document"}`}
+          </p>
+        </div>
+      </li>
+    );
+  }
+
+  const error = result.status === "failed" ? result.reason : job?.status === "failed" ? job.error : undefined;
+  if (error) {
+    return (
+      <li className="flex items-start gap-2 text-sm text-destructive">
+        <XCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+        <div className="min-w-0">
+          <p className="truncate">{result.source}</p>
+          <p className="text-xs break-words">{error}</p>
+        </div>
+      </li>
+    );
+  }
+
+  if (job?.status === "completed") {
+    return (
+      <li className="flex items-start gap-2 text-sm text-primary">
+        <CheckCircle2 className="w-4 h-4 flex-shrink-0 mt-0.5" />
+        <div className="min-w-0">
+          <p className="truncate">{result.source}</p>
+          <p className="text-xs">{job.result ? describeIngestResult(job.result) : "Ingested"}</p>
+        </div>
+      </li>
+    );
+  }
+
+  return (
+    <li className="flex items-start gap-2 text-sm">
+      <Loader2 className="w-4 h-4 flex-shrink-0 mt-0.5 animate-spin text-muted-foreground" />
+      <div className="min-w-0 flex-1 space-y-1">
+        <div className="flex justify-between gap-2">
+          <p className="truncate">{result.source}</p>
+          <span className="text-xs text-muted-foreground whitespace-nowrap">
+            {job ? `${STAGE_LABELS[job.stage] ?? job.stage} ${job.percent}%` : "Queued"}
+          </span>
+        </div>
+        <Progress value={job?.percent ?? 0} className="h-1.5" />
+      </div>
+    </li>
+  );
+};
@@ -0,0 +1,57 @@
+import { Input } from "@/components/ui/input";
+import type { FacetCount, IngestLabels } from "@/types/research";
+
+interface IngestLabelFieldsProps {
+  value: IngestLabels;
+  collections: FacetCount[];
+  disabled?: boolean;
+  onChange: (value: IngestLabels) => void;
+}
+
+/**
+ * Optional collection, tags, author and date applied to everything ingested next.
+ */
+export const IngestLabelFields = ({ value, collections, disabled = false, onChange }: IngestLabelFieldsProps) => {
+  const update = (field: keyof IngestLabels) => (e: React.ChangeEvent<HTMLInputElement>) =>
+    onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      <Input
+        value={value.collection}
+        onChange={update("collection")}
+        placeholder="Collection"
+        list="ingest-collections"
+        disabled={disabled}
+        className="bg-secondary/50 border-border/50 text-sm"
+      />
+      <datalist id="ingest-collections">
+        {collections.map(({ name }) => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+      <Input
+        value={value.tags}
+        onChange={update("tags")}
+        placeholder="Tags, comma separated"
+        disabled={disabled}
+        className="bg-secondary/50 border-border/50 text-sm"
+      />
+      <Input
+        value={value.author}
+        onChange={update("author")}
+        placeholder="Author"
+        disabled={disabled}
+        className="bg-secondary/50 border-border/50 text-sm"
+      />
+      <Input
+        type="date"
+        value={value.date}
+        onChange={update("date")}
+        aria-label="Document date"
+        disabled={disabled}
+        className="bg-secondary/50 border-border/50 text-sm"
+      />
+    </div>
+  );
+};
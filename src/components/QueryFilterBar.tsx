@@ -0,0 +1,90 @@
+import { X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { cn } from "@/lib/utils";
+import type { LibraryFacets, QueryFilters } from "@/types/research";
+
+const ALL_COLLECTIONS = "__all__";
+
+interface QueryFilterBarProps {
+  facets: LibraryFacets | undefined;
+  value: QueryFilters;
+  onChange: (value: QueryFilters) => void;
+}
+
+/**
+ * Collection and tag pickers that narrow which documents a question searches.
+ */
+export const QueryFilterBar = ({ facets, value, onChange }: QueryFilterBarProps) => {
+  const collections = facets?.collections ?? [];
+  const tags = facets?.tags ?? [];
+  const selectedTags = value.tags ?? [];
+  const isFiltered = Boolean(value.collection) || selectedTags.length > 0;
+
+  if (collections.length === 0 && tags.length === 0) {
+    return null;
+  }
+
+  const toggleTag = (tag: string) => {
+    const next = selectedTags.includes(tag) ? selectedTags.filter((t) => t !== tag) : [...selectedTags, tag];
+    onChange({ ...value, tags: next.length > 0 ? next : undefined });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-3">
+        <span className="text-xs text-muted-foreground">Search in</span>
+        <div className="flex items-center gap-1">
+          <Select
+            value={value.collection ?? ALL_COLLECTIONS}
+            onValueChange={(collection) =>
+              onChange({ ...value, collection: collection === ALL_COLLECTIONS ? undefined : collection })
+            }
+          >
+            <SelectTrigger className="h-8 w-48 text-xs bg-secondary/50 border-border/50">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_COLLECTIONS} className="text-xs">
+                All collections
+              </SelectItem>
+              {collections.map(({ name, count }) => (
+                <SelectItem key={name} value={name} className="text-xs">
+                  {name} ({count})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {isFiltered && (
+            <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => onChange({})} aria-label="Clear filters">
+              <X className="w-3 h-3" />
+            </Button>
+          )}
+        </div>
+      </div>
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {tags.map(({ name, count }) => {
+            const active = selectedTags.includes(name);
+            return (
+              <button
+                key={name}
+                type="button"
+                onClick={() => toggleTag(name)}
+                aria-pressed={active}
+                className={cn(
+                  "rounded-full border px-2 py-0.5 text-xs transition-colors",
+                  active
+                    ? "border-accent bg-accent/20 text-accent"
+                    : "border-border/50 text-muted-foreground hover:border-accent/50",
+                )}
+              >
+                #{name} <span className="opacity-60">{count}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,207 @@
+import { useState } from "react";
+import { AlertTriangle, Download, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import { CitedAnswer } from "@/components/CitedAnswer";
+import { apiDownload } from "@/lib/api";
+import { describeError } from "@/lib/errors";
+import { cn } from "@/lib/utils";
+import type { ReportFormat, ReportSource, ResearchReport } from "@/types/research";
+
+const EXPORT_FORMATS: { value: ReportFormat; label: string }[] = [
+  { value: "md", label: "Markdown" },
+  { value: "html", label: "HTML" },
+  { value: "pdf", label: "PDF" },
+];
+
+const STAGE_LABELS: Record<string, string> = {
+  queued: "Waiting to start",
+  planning: "Planning sub-questions",
+  researching: "Researching sub-questions",
+  writing: "Writing the report",
+  saving: "Saving",
+};
+
+const describeLocation = (source: ReportSource) => {
+  const location = [source.source];
+  if (source.heading) location.push(`§ ${source.heading}`);
+  if (source.pageStart) {
+    location.push(
+      source.pageEnd && source.pageEnd !== source.pageStart
+        ? `pp. ${source.pageStart}-${source.pageEnd}`
+        : `p. ${source.pageStart}`
+    );
+  }
+  return location.filter(Boolean).join(", ");
+};
+
+const paragraphs = (text: string) =>
+  text
+    .split(/\n\s*\n/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+interface ReportViewProps {
+  report: ResearchReport;
+}
+
+/**
+ * A research report with its progress while it is written, then its sections,
+ * open questions and sources, with exports to Markdown, HTML and PDF.
+ */
+export const ReportView = ({ report }: ReportViewProps) => {
+  const [activeSource, setActiveSource] = useState<number | null>(null);
+  const [exporting, setExporting] = useState<ReportFormat | null>(null);
+  const sources = report.sources ?? [];
+
+  const handleCite = (number: number) => {
+    setActiveSource(number);
+    document.getElementById(`report-source-${number}`)?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  };
+
+  const handleExport = async (format: ReportFormat) => {
+    setExporting(format);
+    try {
+      await apiDownload(`/api/reports/${report._id}/export?format=${format}`, `research-report.${format}`);
+    } catch (error) {
+      toast.error("Export failed", { description: describeError(error) });
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const cited = (text: string) => (
+    <CitedAnswer text={text} contextCount={sources.length} activeIndex={activeSource} onCite={handleCite} />
+  );
+
+  if (report.status === "queued" || report.status === "running") {
+    const stage = report.job?.stage ?? report.status;
+    return (
+      <div className="space-y-4 py-8">
+        <div className="flex items-center gap-2 text-sm">
+          <Loader2 className="w-4 h-4 animate-spin text-accent" />
+          <span>{STAGE_LABELS[stage] ?? stage}...</span>
+        </div>
+        <Progress value={report.job?.percent ?? 0} className="h-2" />
+        <p className="text-xs text-muted-foreground">
+          Each sub-question is answered from your documents before the report is written. This can take a few minutes.
+        </p>
+      </div>
+    );
+  }
+
+  if (report.status === "failed") {
+    return (
+      <p className="py-8 text-sm text-destructive">{report.error || "The report could not be written. Try again later."}</p>
+    );
+  }
+
+  return (
+    <article className="space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="space-y-1 min-w-0">
+          <h2 className="text-2xl font-bold break-words">{report.title}</h2>
+          <p className="text-xs text-muted-foreground">
+            {[
+              report.completedAt && new Date(report.completedAt).toLocaleString(),
+              `${report.subQuestions?.length ?? 0} questions researched`,
+              `${sources.length} sources cited`,
+            ]
+              .filter(Boolean)
+              .join(" · ")}
+          </p>
+        </div>
+        <div className="flex items-center gap-1">
+          {EXPORT_FORMATS.map(({ value, label }) => (
+            <Button
+              key={value}
+              variant="outline"
+              size="sm"
+              onClick={() => handleExport(value)}
+              disabled={exporting !== null}
+            >
+              {exporting === value ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Download className="w-4 h-4 mr-2" />
+              )}
+              {label}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {report.degraded && (
+        <div className="flex gap-2 rounded-md border border-yellow-500/40 bg-yellow-500/10 px-3 py-2 text-xs">
+          <AlertTriangle className="w-4 h-4 shrink-0 text-yellow-500" />
+          <span>Parts of this report were written with mock output: {report.degradedReasons?.join("; ")}</span>
+        </div>
+      )}
+
+      {report.summary && (
+        <section className="space-y-2">
+          <h3 className="text-lg font-semibold">Summary</h3>
+          <p className="text-sm leading-relaxed">{cited(report.summary)}</p>
+        </section>
+      )}
+
+      {report.sections?.map((section) => (
+        <section key={section._key} className="space-y-2">
+          <h3 className="text-lg font-semibold">{section.heading}</h3>
+          {paragraphs(section.body).map((paragraph, idx) => (
+            <p key={idx} className="text-sm leading-relaxed">
+              {cited(paragraph)}
+            </p>
+          ))}
+          {section.findings.length > 0 && (
+            <div className="rounded-md bg-secondary/50 px-4 py-3">
+              <p className="text-xs font-medium uppercase tracking-wide text-muted-foreground mb-2">Key findings</p>
+              <ul className="list-disc pl-5 space-y-1 text-sm">
+                {section.findings.map((finding, idx) => (
+                  <li key={idx}>{cited(finding)}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </section>
+      ))}
+
+      {report.openQuestions && report.openQuestions.length > 0 && (
+        <section className="space-y-2">
+          <h3 className="text-lg font-semibold">Open questions</h3>
+          <ul className="list-disc pl-5 space-y-1 text-sm">
+            {report.openQuestions.map((question, idx) => (
+              <li key={idx}>{question}</li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {sources.length > 0 && (
+        <section className="space-y-2">
+          <h3 className="text-lg font-semibold">Sources</h3>
+          <ol className="space-y-2">
+            {sources.map((source) => (
+              <li
+                key={source._key}
+                id={`report-source-${source.number}`}
+                className={cn(
+                  "rounded-md border px-3 py-2 text-xs transition-colors",
+                  activeSource === source.number ? "border-accent bg-accent/10" : "border-border/50"
+                )}
+              >
+                <p>
+                  <span className="font-mono font-semibold mr-2">[{source.number}]</span>
+                  <span className="font-medium">{source.title}</span>
+                  <span className="text-muted-foreground">, {describeLocation(source)}</span>
+                </p>
+                {source.excerpt && <p className="mt-1 text-muted-foreground line-clamp-2">{source.excerpt}</p>}
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+    </article>
+  );
+};
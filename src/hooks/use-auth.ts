@@ -0,0 +1,23 @@
+import { createContext, useContext } from "react";
+import { endSession, switchWorkspace } from "@/lib/session";
+import type { AccountInfo } from "@/types/auth";
+
+export interface AuthContextValue {
+  // False when the backend runs with AUTH_MODE=off
+  enabled: boolean;
+  account: AccountInfo | null;
+  switchWorkspace: (workspaceId: string) => void;
+  signOut: () => void;
+}
+
+export const AuthContext = createContext<AuthContextValue>({
+  enabled: false,
+  account: null,
+  switchWorkspace,
+  signOut: endSession,
+});
+
+/**
+ * Signed-in account and workspace, provided by AuthGate.
+ */
+export const useAuth = () => useContext(AuthContext);
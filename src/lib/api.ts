@@ -0,0 +1,123 @@
+import { authHeaders, endSession } from "@/lib/session";
+import { ApiError, type ApiErrorBody } from "@/lib/errors";
+
+export const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3000";
+
+/**
+ * A 401 means the session expired or was revoked; signing out shows the sign-in screen again.
+ */
+const checkSession = (response: Response) => {
+  if (response.status === 401) endSession();
+};
+
+/**
+ * fetch that reports an unreachable backend as a NETWORK_ERROR (cancellation still rejects with an AbortError).
+ */
+async function request(path: string, init: RequestInit) {
+  try {
+    return await fetch(`${API_BASE_URL}${path}`, init);
+  } catch (error) {
+    if (init.signal?.aborted) throw error;
+    throw new ApiError("NETWORK_ERROR", "Failed to reach the backend", 0);
+  }
+}
+
+/**
+ * The ApiError described by a failed response's { error, code, details } body.
+ */
+async function toApiError(response: Response) {
+  checkSession(response);
+  const body: ApiErrorBody = await response.json().catch(() => ({}));
+  return ApiError.fromBody(body, response.status);
+}
+
+export interface StreamEvent {
+  event: string;
+  data: unknown;
+}
+
+interface StreamOptions {
+  signal?: AbortSignal;
+  onEvent: (event: StreamEvent) => void;
+}
+
+/**
+ * POST a JSON body and consume the Server-Sent Events response.
+ * Resolves when the stream ends; rejects with an AbortError when cancelled and an ApiError when the request fails.
+ */
+export async function postEventStream(path: string, body: unknown, { signal, onEvent }: StreamOptions) {
+  const response = await request(path, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "text/event-stream",
+      ...authHeaders(),
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok || !response.body) {
+    throw await toApiError(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary: number;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      const dataLines: string[] = [];
+      for (const line of raw.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).trimStart());
+      }
+      if (dataLines.length > 0) {
+        onEvent({ event, data: JSON.parse(dataLines.join("\n")) });
+      }
+    }
+  }
+}
+
+/**
+ * Fetch JSON from the backend as the signed-in user, throwing an ApiError on failure.
+ */
+export async function apiFetch<T>(path: string, init: RequestInit = {}): Promise<T> {
+  const response = await request(path, {
+    ...init,
+    headers: {
+      ...(init.body && !(init.body instanceof FormData) ? { "Content-Type": "application/json" } : {}),
+      ...authHeaders(),
+      ...init.headers,
+    },
+  });
+
+  if (!response.ok) throw await toApiError(response);
+  return (await response.json().catch(() => ({}))) as T;
+}
+
+/**
+ * Download a file from the backend as the signed-in user, saving it under the name the server suggests.
+ */
+export async function apiDownload(path: string, fallbackName: string) {
+  const response = await request(path, { headers: authHeaders() });
+  if (!response.ok) throw await toApiError(response);
+
+  const disposition = response.headers.get("Content-Disposition") ?? "";
+  const fileName = disposition.match(/filename="([^"]+)"/)?.[1] ?? fallbackName;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,102 @@
+/**
+ * Error codes sent by the backend in { error, code, details }, plus the client-side
+ * NETWORK_ERROR (no response at all) and UNKNOWN_ERROR (a response without a code).
+ */
+export type ApiErrorCode =
+  | "VALIDATION_FAILED"
+  | "INVALID_JSON"
+  | "EMPTY_CONTENT"
+  | "TOO_MANY_FILES"
+  | "AUTH_DISABLED"
+  | "AUTH_REQUIRED"
+  | "SESSION_EXPIRED"
+  | "INVALID_API_KEY"
+  | "INVALID_CREDENTIALS"
+  | "INVALID_SIGNATURE"
+  | "FORBIDDEN"
+  | "SIGNUP_CLOSED"
+  | "NOT_FOUND"
+  | "CONFLICT"
+  | "EMAIL_TAKEN"
+  | "PAYLOAD_TOO_LARGE"
+  | "FILE_TOO_LARGE"
+  | "TEXT_TOO_LONG"
+  | "UNSUPPORTED_FILE_TYPE"
+  | "RATE_LIMITED"
+  | "INTERNAL_ERROR"
+  | "NOT_CONFIGURED"
+  | "NETWORK_ERROR"
+  | "UNKNOWN_ERROR";
+
+export interface ApiErrorBody {
+  error?: string;
+  code?: ApiErrorCode;
+  details?: unknown;
+}
+
+export class ApiError extends Error {
+  code: ApiErrorCode;
+  status: number;
+  details?: unknown;
+
+  constructor(code: ApiErrorCode, message: string, status: number, details?: unknown) {
+    super(message);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  /**
+   * Error from a response body; bodies without a code (proxies, old servers) become UNKNOWN_ERROR.
+   */
+  static fromBody(body: ApiErrorBody, status: number) {
+    return new ApiError(body.code ?? "UNKNOWN_ERROR", body.error || `Request failed (${status})`, status, body.details);
+  }
+}
+
+const detail = (error: ApiError, key: string) => {
+  const value = (error.details as Record<string, unknown> | undefined)?.[key];
+  return typeof value === "number" ? value : undefined;
+};
+
+const formatMb = (bytes: number) => `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB`;
+
+/**
+ * User-facing messages for codes whose server message is too technical or needs the details filled in.
+ * Other codes (validation, not found, conflicts...) already carry a message written for the user.
+ */
+const MESSAGES: Partial<Record<ApiErrorCode, (error: ApiError) => string>> = {
+  NETWORK_ERROR: () => "Can't reach the server. Check your connection and that the backend is running.",
+  AUTH_REQUIRED: () => "Your session has ended. Please sign in again.",
+  SESSION_EXPIRED: () => "Your session has ended. Please sign in again.",
+  RATE_LIMITED: (error) => {
+    const seconds = detail(error, "retryAfter");
+    return seconds ? `Too many requests. Try again in ${seconds} seconds.` : "Too many requests. Try again shortly.";
+  },
+  FILE_TOO_LARGE: (error) => {
+    const maxBytes = detail(error, "maxBytes");
+    return maxBytes ? `File is too large. The limit is ${formatMb(maxBytes)} per file.` : "File is too large.";
+  },
+  TEXT_TOO_LONG: (error) => {
+    const maxChars = detail(error, "maxChars");
+    return maxChars ? `Text is too long. The limit is ${maxChars.toLocaleString()} characters.` : "Text is too long.";
+  },
+  PAYLOAD_TOO_LARGE: () => "The upload is too large. Send fewer or smaller files.",
+  TOO_MANY_FILES: (error) => {
+    const maxFiles = detail(error, "maxFiles");
+    return maxFiles ? `Too many files. Upload at most ${maxFiles} at a time.` : "Too many files in one upload.";
+  },
+  INVALID_JSON: () => "The request could not be read. Please reload the page and try again.",
+  INTERNAL_ERROR: () => "Something went wrong on the server. Please try again in a moment.",
+  UNKNOWN_ERROR: (error) => (error.status >= 500 ? "The server is not responding properly. Please try again later." : error.message),
+};
+
+/**
+ * Message to show the user for a failed request (or any thrown value).
+ */
+export function describeError(error: unknown, fallback = "Something went wrong") {
+  if (error instanceof ApiError) return MESSAGES[error.code]?.(error) ?? error.message;
+  if (error instanceof Error && error.message) return error.message;
+  return fallback;
+}
@@ -0,0 +1,35 @@
+/**
+ * File types the backend can extract text from (mirrors backend/lib/extractors.js).
+ */
+export const SUPPORTED_EXTENSIONS = [
+  ".pdf",
+  ".docx",
+  ".md",
+  ".markdown",
+  ".mdx",
+  ".html",
+  ".htm",
+  ".xhtml",
+  ".csv",
+  ".tsv",
+  ".json",
+  ".jsonl",
+  ".ndjson",
+  ".txt",
+  ".text",
+  ".log",
+];
+
+export const SUPPORTED_FORMATS_LABEL = "PDF, Word, Markdown, HTML, CSV, JSON or text";
+
+/** Archives are unpacked server-side and each supported file inside is ingested. */
+export const ARCHIVE_EXTENSIONS = [".zip"];
+
+const extensionOf = (name: string) => {
+  const dot = name.lastIndexOf(".");
+  return dot === -1 ? "" : name.slice(dot).toLowerCase();
+};
+
+export const isSupportedFile = (file: File) => SUPPORTED_EXTENSIONS.includes(extensionOf(file.name));
+
+export const isArchiveFile = (file: File) => ARCHIVE_EXTENSIONS.includes(extensionOf(file.name));
@@ -0,0 +1,50 @@
+import type { DuplicateAction, DuplicateMatch, IngestJobResult, UrlIngestJobResult } from "@/types/research";
+
+export const DUPLICATE_ACTION_LABELS: Record<DuplicateAction, string> = {
+  skip: "Skip",
+  replace: "Replace",
+  version: "New version",
+};
+
+/** "notes.md (near match, 93% similar)" */
+export const describeDuplicate = (match: DuplicateMatch) => {
+  const name = match.title && match.title !== match.source ? `"${match.title}" (${match.source})` : match.source;
+  return match.match === "near" && match.similarity !== undefined
+    ? `${name}, ${Math.round(match.similarity * 100)}% similar`
+    : name;
+};
+
+/** One-line summary of what an ingest job did. */
+export const describeIngestResult = (result: IngestJobResult) => {
+  const duplicate = result.duplicateOf ? describeDuplicate(result.duplicateOf) : "";
+  switch (result.action) {
+    case "skipped":
+      return `Skipped: already ingested as ${duplicate}`;
+    case "replaced":
+      return `Replaced existing document ${duplicate} (${result.chunkCount} chunks)`;
+    case "versioned":
+      return `Stored as a new version of ${duplicate} (${result.chunkCount} chunks)`;
+    default:
+      return `${result.chunkCount} chunks indexed`;
+  }
+};
+
+export const isUrlIngestResult = (result: IngestJobResult | UrlIngestJobResult): result is UrlIngestJobResult =>
+  "pages" in result;
+
+/** "3 pages ingested, 1 skipped" */
+export const describeUrlIngestResult = (result: UrlIngestJobResult) => {
+  const [page] = result.pages;
+  if (result.pages.length === 1 && page.status === "ingested") {
+    return `Ingested "${page.title}" from ${page.source} (${page.chunkCount} chunks)`;
+  }
+  if (result.pages.length === 1 && page.status === "skipped") {
+    return page.duplicateOf ? `Skipped: already ingested as ${describeDuplicate(page.duplicateOf)}` : `Skipped: ${page.reason}`;
+  }
+  const counts = [
+    `${result.ingested} ${result.ingested === 1 ? "page" : "pages"} ingested`,
+    result.skipped > 0 ? `${result.skipped} skipped` : "",
+    result.failed > 0 ? `${result.failed} failed` : "",
+  ];
+  return counts.filter(Boolean).join(", ");
+};
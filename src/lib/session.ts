@@ -0,0 +1,71 @@
+import type { AuthSession } from "@/types/auth";
+
+const STORAGE_KEY = "maj.session";
+
+export interface StoredSession {
+  token: string;
+  expiresAt: string;
+  workspaceId: string | null;
+}
+
+type Listener = (session: StoredSession | null) => void;
+
+const listeners = new Set<Listener>();
+
+const read = (): StoredSession | null => {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null") as StoredSession | null;
+    return session && Date.parse(session.expiresAt) > Date.now() ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+let current = read();
+
+const write = (session: StoredSession | null) => {
+  current = session;
+  if (session) localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  else localStorage.removeItem(STORAGE_KEY);
+  listeners.forEach((listener) => listener(session));
+};
+
+/**
+ * Signed-in session kept across reloads, or null when signed out or expired.
+ */
+export const getSession = () => (current && Date.parse(current.expiresAt) > Date.now() ? current : null);
+
+/**
+ * Store the session returned by sign-in; requests start in the personal workspace.
+ */
+export const startSession = ({ token, expiresAt, workspaces }: AuthSession) =>
+  write({ token, expiresAt, workspaceId: workspaces[0]?.id ?? null });
+
+export const endSession = () => write(null);
+
+export const switchWorkspace = (workspaceId: string) => {
+  if (current) write({ ...current, workspaceId });
+};
+
+/**
+ * Be told when the session starts, ends or changes workspace.
+ * @returns Unsubscribe function
+ */
+export const subscribeSession = (listener: Listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+/**
+ * Headers that authenticate a request as the signed-in user in their current workspace.
+ */
+export const authHeaders = (): Record<string, string> => {
+  const session = getSession();
+  if (!session) return {};
+  return {
+    Authorization: `Bearer ${session.token}`,
+    ...(session.workspaceId ? { "X-Workspace-Id": session.workspaceId } : {}),
+  };
+};
@@ -0,0 +1,305 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { keepPreviousData, useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { ArrowLeft, Eye, Library, Loader2, RefreshCw, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from "@/components/ui/pagination";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { toast } from "sonner";
+import { apiFetch } from "@/lib/api";
+import { describeError } from "@/lib/errors";
+import { AccountMenu } from "@/components/AccountMenu";
+import { useAuth } from "@/hooks/use-auth";
+import { DocumentDetailDialog } from "@/components/DocumentDetailDialog";
+import type { LibraryDocument, LibraryPage } from "@/types/research";
+
+const PAGE_SIZE = 20;
+
+// Page numbers to show around the current page; null marks a gap
+const pageWindow = (current: number, count: number): (number | null)[] => {
+  const pages = new Set([1, count, current - 1, current, current + 1]);
+  const sorted = [...pages].filter((page) => page >= 1 && page <= count).sort((a, b) => a - b);
+  return sorted.flatMap((page, idx) => (idx > 0 && page - sorted[idx - 1] > 1 ? [null, page] : [page]));
+};
+
+const Documents = () => {
+  const { account } = useAuth();
+  const workspaceLabel = account?.workspace ? `"${account.workspace.name}"` : "the knowledge base";
+  const queryClient = useQueryClient();
+  const [page, setPage] = useState(1);
+  const [source, setSource] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [viewingId, setViewingId] = useState<string | null>(null);
+  const [pendingDelete, setPendingDelete] = useState<LibraryDocument | null>(null);
+
+  const params = new URLSearchParams({ offset: String((page - 1) * PAGE_SIZE), limit: String(PAGE_SIZE) });
+  if (source.trim()) params.set("source", source.trim());
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+
+  const documentsQuery = useQuery({
+    queryKey: ["documents", "list", params.toString()],
+    queryFn: () => apiFetch<LibraryPage>(`/api/documents?${params}`),
+    placeholderData: keepPreviousData,
+  });
+
+  const documents = documentsQuery.data?.documents ?? [];
+  const total = documentsQuery.data?.total ?? 0;
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  const reindexMutation = useMutation({
+    mutationFn: (id: string) =>
+      apiFetch<{ chunkCount: number }>(`/api/documents/${id}/reindex`, { method: "POST" }),
+    onSuccess: (result) => {
+      toast.success(`Re-indexed into ${result.chunkCount} chunks`);
+      queryClient.invalidateQueries({ queryKey: ["documents"] });
+    },
+    onError: (error) => toast.error(describeError(error, "Failed to re-index document")),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id: string) =>
+      apiFetch<{ vectorsDeleted: number }>(`/api/documents/${id}`, { method: "DELETE" }),
+    onSuccess: (result) => {
+      toast.success(`Document deleted (${result.vectorsDeleted} vectors removed)`);
+      if (documents.length === 1 && page > 1) setPage(page - 1);
+      queryClient.invalidateQueries({ queryKey: ["documents"] });
+    },
+    onError: (error) => toast.error(describeError(error, "Failed to delete document")),
+  });
+
+  const updateFilter = (setter: (value: string) => void) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  const goToPage = (target: number) => (e: React.MouseEvent) => {
+    e.preventDefault();
+    if (target >= 1 && target <= pageCount) setPage(target);
+  };
+
+  return (
+    <div className="min-h-screen bg-background p-4 md:p-8">
+      <div className="max-w-7xl mx-auto space-y-8">
+        <div className="flex items-center justify-between">
+          <Button asChild variant="ghost" size="sm">
+            <Link to="/">
+              <ArrowLeft className="w-4 h-4 mr-2" />
+              Back to research
+            </Link>
+          </Button>
+          <AccountMenu />
+        </div>
+
+        <header className="flex items-center gap-3">
+          <div className="p-2 bg-primary/10 rounded-lg">
+            <Library className="w-6 h-6 text-primary" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold">Document Library</h1>
+            <p className="text-sm text-muted-foreground">
+              {documentsQuery.data ? `${total} documents in ${workspaceLabel}` : `Everything in ${workspaceLabel}`}
+            </p>
+          </div>
+        </header>
+
+        <Card className="p-6 space-y-6 bg-gradient-surface border-border/50 backdrop-blur">
+          <div className="grid gap-4 md:grid-cols-3">
+            <div>
+              <label className="block text-sm font-medium mb-2">Source</label>
+              <Input
+                value={source}
+                onChange={updateFilter(setSource)}
+                placeholder="e.g. report.pdf"
+                className="bg-secondary/50 border-border/50"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Added from</label>
+              <Input type="date" value={from} onChange={updateFilter(setFrom)} className="bg-secondary/50 border-border/50" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Added to</label>
+              <Input type="date" value={to} onChange={updateFilter(setTo)} className="bg-secondary/50 border-border/50" />
+            </div>
+          </div>
+
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Title</TableHead>
+                <TableHead>Source</TableHead>
+                <TableHead className="text-right">Chunks</TableHead>
+                <TableHead className="text-right">Pages</TableHead>
+                <TableHead>Added</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {documentsQuery.isLoading &&
+                Array.from({ length: 5 }).map((_, idx) => (
+                  <TableRow key={idx}>
+                    <TableCell colSpan={6}>
+                      <Skeleton className="h-6 w-full" />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              {documentsQuery.isError && (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center text-destructive">
+                    {describeError(documentsQuery.error, "Failed to load documents")}
+                  </TableCell>
+                </TableRow>
+              )}
+              {documentsQuery.isSuccess && documents.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center text-muted-foreground">
+                    No documents found
+                  </TableCell>
+                </TableRow>
+              )}
+              {documents.map((doc) => (
+                <TableRow key={doc._id}>
+                  <TableCell className="max-w-xs">
+                    <p className="font-medium truncate">
+                      {doc.title}
+                      {doc.version && doc.version > 1 && (
+                        <span className="ml-2 text-xs font-normal text-muted-foreground">v{doc.version}</span>
+                      )}
+                      {doc.supersededBy && (
+                        <span className="ml-2 text-xs font-normal text-muted-foreground">(superseded, not searchable)</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-muted-foreground truncate">{doc.contentSnippet}</p>
+                    {(doc.collection || doc.tags?.length || doc.author) && (
+                      <p className="text-xs text-muted-foreground truncate">
+                        {[doc.collection, doc.author, ...(doc.tags ?? []).map((tag) => `#${tag}`)]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </p>
+                    )}
+                  </TableCell>
+                  <TableCell className="font-mono text-xs">
+                    {doc.source}
+                    {doc.format && <span className="ml-2 uppercase text-muted-foreground">{doc.format}</span>}
+                  </TableCell>
+                  <TableCell className="text-right font-mono">{doc.chunkCount ?? "–"}</TableCell>
+                  <TableCell className="text-right font-mono">{doc.pageCount ?? "–"}</TableCell>
+                  <TableCell className="text-xs text-muted-foreground whitespace-nowrap">
+                    {new Date(doc.createdAt).toLocaleString()}
+                  </TableCell>
+                  <TableCell className="text-right whitespace-nowrap">
+                    <Button variant="ghost" size="icon" onClick={() => setViewingId(doc._id)} aria-label={`View ${doc.title}`}>
+                      <Eye className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => reindexMutation.mutate(doc._id)}
+                      disabled={reindexMutation.isPending}
+                      aria-label={`Re-index ${doc.title}`}
+                    >
+                      {reindexMutation.isPending && reindexMutation.variables === doc._id ? (
+                        <Loader2 className="w-4 h-4 animate-spin" />
+                      ) : (
+                        <RefreshCw className="w-4 h-4" />
+                      )}
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => setPendingDelete(doc)}
+                      className="text-destructive hover:text-destructive"
+                      aria-label={`Delete ${doc.title}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          {pageCount > 1 && (
+            <Pagination>
+              <PaginationContent>
+                <PaginationItem>
+                  <PaginationPrevious
+                    href="#"
+                    onClick={goToPage(page - 1)}
+                    className={page === 1 ? "pointer-events-none opacity-50" : undefined}
+                  />
+                </PaginationItem>
+                {pageWindow(page, pageCount).map((number, idx) => (
+                  <PaginationItem key={number ?? `gap-${idx}`}>
+                    {number === null ? (
+                      <PaginationEllipsis />
+                    ) : (
+                      <PaginationLink href="#" isActive={number === page} onClick={goToPage(number)}>
+                        {number}
+                      </PaginationLink>
+                    )}
+                  </PaginationItem>
+                ))}
+                <PaginationItem>
+                  <PaginationNext
+                    href="#"
+                    onClick={goToPage(page + 1)}
+                    className={page === pageCount ? "pointer-events-none opacity-50" : undefined}
+                  />
+                </PaginationItem>
+              </PaginationContent>
+            </Pagination>
+          )}
+        </Card>
+      </div>
+
+      <DocumentDetailDialog documentId={viewingId} onOpenChange={(open) => !open && setViewingId(null)} />
+
+      <AlertDialog open={pendingDelete !== null} onOpenChange={(open) => !open && setPendingDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete document?</AlertDialogTitle>
+            <AlertDialogDescription>
+              "{pendingDelete?.title}" and all of its vectors will be removed from the knowledge base. This cannot be
+              undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => pendingDelete && deleteMutation.mutate(pendingDelete._id)}
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default Documents;
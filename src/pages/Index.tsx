@@ -1,49 +1,302 @@
-import { useState } from "react";
-import { Upload, Search, FileText, Loader2, CheckCircle2, XCircle } from "lucide-react";
+import { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Upload, MessagesSquare, Loader2, CheckCircle2, XCircle, Send, Square, Library, FileText } from "lucide-react";
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
 import { Card } from "@/components/ui/card";
-import { Input } from "@/components/ui/input";
+import { SidebarInset, SidebarProvider, SidebarTrigger } from "@/components/ui/sidebar";
+import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group";
+import { Progress } from "@/components/ui/progress";
 import { toast } from "sonner";
+import { apiFetch, postEventStream } from "@/lib/api";
+import { ApiError, describeError, type ApiErrorBody } from "@/lib/errors";
+import { SUPPORTED_FORMATS_LABEL, isArchiveFile, isSupportedFile } from "@/lib/ingestFormats";
+import { AccountMenu } from "@/components/AccountMenu";
+import { AssistantMessage } from "@/components/AssistantMessage";
+import { ConversationSidebar } from "@/components/ConversationSidebar";
+import { IngestFileQueue } from "@/components/IngestFileQueue";
+import { IngestLabelFields } from "@/components/IngestLabelFields";
+import { QueryFilterBar } from "@/components/QueryFilterBar";
+import { DUPLICATE_ACTION_LABELS, describeIngestResult, describeUrlIngestResult, isUrlIngestResult } from "@/lib/ingestResults";
+import type {
+  BatchFileResult,
+  BatchIngestResponse,
+  ChatMessage,
+  Conversation,
+  ConversationSummary,
+  DuplicateAction,
+  IngestJob,
+  IngestJobResult,
+  IngestLabels,
+  LibraryFacets,
+  QueryFilters,
+  RetrievalMode,
+  UrlIngestJobResult,
+} from "@/types/research";
 
 type IngestStatus = "idle" | "loading" | "success" | "error";
-type QueryStatus = "idle" | "loading" | "success" | "error";
 
-interface Context {
-  text: string;
-  score: number;
-}
+const EMPTY_LABELS: IngestLabels = { collection: "", tags: "", author: "", date: "" };
+
+/** Add the labels that were filled in to an ingest request. */
+const appendLabels = (formData: FormData, labels: IngestLabels) => {
+  Object.entries(labels).forEach(([field, value]) => {
+    if (value.trim()) formData.append(field, value.trim());
+  });
+};
+
+const INGEST_STAGE_LABELS: Record<string, string> = {
+  queued: "Waiting in queue",
+  crawling: "Fetching pages",
+  extracting: "Extracting text",
+  saving: "Saving document",
+  embedding: "Embedding chunks",
+  indexing: "Updating keyword index",
+  done: "Done",
+};
+
+const CRAWL_DEPTHS = [
+  { value: "0", label: "This page" },
+  { value: "1", label: "+1 level" },
+  { value: "2", label: "+2 levels" },
+];
+
+const RETRIEVAL_MODES: { value: RetrievalMode; label: string }[] = [
+  { value: "hybrid", label: "Hybrid" },
+  { value: "vector", label: "Semantic" },
+  { value: "keyword", label: "Keyword" },
+];
+
+const newMessageId = () => crypto.randomUUID();
 
-interface QueryResult {
-  answer: string;
-  contexts: Context[];
-}
+const toChatMessages = (conversation: Conversation): ChatMessage[] =>
+  conversation.messages.map((message) => ({
+    id: message._key,
+    role: message.role,
+    content: message.content,
+    status: "done",
+    retrievalQuery: message.retrievalQuery,
+    mode: message.mode,
+    contexts: message.contexts,
+    citations: message.citations,
+  }));
 
 const Index = () => {
   const [textContent, setTextContent] = useState("");
-  const [selectedFile, setSelectedFile] = useState<File | null>(null);
+  const [urlInput, setUrlInput] = useState("");
+  const [crawlDepth, setCrawlDepth] = useState("0");
+  const [crawlMaxPages, setCrawlMaxPages] = useState("10");
+  const [pendingFiles, setPendingFiles] = useState<File[]>([]);
+  const [batchResults, setBatchResults] = useState<BatchFileResult[]>([]);
+  const [isUploadingBatch, setIsUploadingBatch] = useState(false);
+  const [duplicateAction, setDuplicateAction] = useState<DuplicateAction>("skip");
+  const [ingestLabels, setIngestLabels] = useState<IngestLabels>(EMPTY_LABELS);
   const [ingestStatus, setIngestStatus] = useState<IngestStatus>("idle");
   const [ingestResult, setIngestResult] = useState<string>("");
+  const [ingestJobId, setIngestJobId] = useState<string | null>(null);
   
-  const [query, setQuery] = useState("");
-  const [queryStatus, setQueryStatus] = useState<QueryStatus>("idle");
-  const [queryResult, setQueryResult] = useState<QueryResult | null>(null);
-
-  const handleFileSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      if (file.type === "application/pdf" || file.type === "text/plain") {
-        setSelectedFile(file);
-        toast.success(`Selected: ${file.name}`);
+  const queryClient = useQueryClient();
+  const [conversationId, setConversationId] = useState<string | null>(null);
+  const [messages, setMessages] = useState<ChatMessage[]>([]);
+  const [question, setQuestion] = useState("");
+  const [isAsking, setIsAsking] = useState(false);
+  const [retrievalMode, setRetrievalMode] = useState<RetrievalMode>("hybrid");
+  const [queryFilters, setQueryFilters] = useState<QueryFilters>({});
+  const queryAbortRef = useRef<AbortController | null>(null);
+  const threadEndRef = useRef<HTMLDivElement | null>(null);
+
+  const conversationsQuery = useQuery({
+    queryKey: ["conversations"],
+    queryFn: () => apiFetch<{ conversations: ConversationSummary[]; total: number }>("/api/conversations"),
+  });
+
+  const facetsQuery = useQuery({
+    queryKey: ["documents", "facets"],
+    queryFn: () => apiFetch<LibraryFacets>("/api/documents/facets"),
+  });
+
+  const ingestJobQuery = useQuery({
+    queryKey: ["jobs", ingestJobId],
+    queryFn: () => apiFetch<IngestJob<IngestJobResult | UrlIngestJobResult>>(`/api/jobs/${ingestJobId}`),
+    enabled: ingestJobId !== null,
+    refetchInterval: (query) => {
+      const status = query.state.data?.status;
+      return status === "completed" || status === "failed" ? false : 1000;
+    },
+  });
+  const ingestJob = ingestJobQuery.data;
+
+  useEffect(() => {
+    const result = ingestJob?.status === "completed" ? ingestJob.result : null;
+    if (!result) {
+      if (ingestJob?.status === "failed") {
+        setIngestJobId(null);
+        setIngestStatus("error");
+        setIngestResult(`Error: ${ingestJob.error || "Failed to ingest document"}`);
+        toast.error("Ingestion failed");
+      }
+    } else if (isUrlIngestResult(result)) {
+      setIngestJobId(null);
+      setIngestStatus(result.ingested > 0 || result.skipped > 0 ? "success" : "error");
+      setIngestResult(describeUrlIngestResult(result));
+      const problems = result.pages.filter((page) => page.status === "failed" || (page.status === "skipped" && !page.duplicateOf));
+      const details = problems.slice(0, 3).map((page) => `${page.url}: ${page.reason}`).join(" · ");
+      if (result.ingested === 0) {
+        toast.info("No new pages ingested", { description: details || undefined });
+      } else {
+        toast.success(`${result.ingested} ${result.ingested === 1 ? "page" : "pages"} ingested and vectorized`, {
+          description: details || undefined,
+        });
+      }
+      if (result.degraded) {
+        toast.warning("Stored with mock embeddings", { description: result.degradedReasons?.join(" · ") });
+      }
+      queryClient.invalidateQueries({ queryKey: ["documents"] });
+    } else {
+      setIngestJobId(null);
+      setIngestStatus("success");
+      if (result.action === "skipped") {
+        setIngestResult(describeIngestResult(result));
+        toast.info("Document already ingested");
+      } else {
+        setIngestResult(
+          result.action === "created"
+            ? `Document ingested successfully! Sanity ID: ${result.sanityId} (${result.chunkCount} chunks)`
+            : `${describeIngestResult(result)}. Sanity ID: ${result.sanityId}`,
+        );
+        toast.success("Document ingested and vectorized");
+      }
+      if (result.degraded) {
+        toast.warning("Stored with mock embeddings", { description: result.degradedReasons?.join(" · ") });
+      }
+      queryClient.invalidateQueries({ queryKey: ["documents"] });
+    }
+  }, [ingestJob, queryClient]);
+
+  useEffect(() => {
+    if (ingestJobQuery.isError) {
+      setIngestJobId(null);
+      setIngestStatus("error");
+      setIngestResult(`Error: ${describeError(ingestJobQuery.error, "Lost track of ingest job")}`);
+    }
+  }, [ingestJobQuery.isError, ingestJobQuery.error]);
+
+  const batchJobIds = batchResults.flatMap((result) => (result.jobId ? [result.jobId] : []));
+  const batchJobsQuery = useQuery({
+    queryKey: ["jobs", "batch", batchJobIds],
+    queryFn: () => apiFetch<{ jobs: IngestJob[] }>(`/api/jobs?ids=${batchJobIds.join(",")}`),
+    enabled: batchJobIds.length > 0,
+    refetchInterval: (query) => {
+      const jobs = query.state.data?.jobs ?? [];
+      const finished = jobs.filter((job) => job.status === "completed" || job.status === "failed").length;
+      return finished === batchJobIds.length ? false : 1000;
+    },
+  });
+  const batchJobs = Object.fromEntries((batchJobsQuery.data?.jobs ?? []).map((job) => [job.id, job]));
+  const isBatchRunning =
+    batchJobIds.length > 0 &&
+    batchJobIds.some((id) => !batchJobs[id] || batchJobs[id].status === "queued" || batchJobs[id].status === "running");
+
+  const batchWasRunningRef = useRef(false);
+  useEffect(() => {
+    if (batchWasRunningRef.current && !isBatchRunning) {
+      const completed = Object.values(batchJobs).filter((job) => job.status === "completed").length;
+      const failed = Object.values(batchJobs).filter((job) => job.status === "failed").length;
+      if (failed > 0) {
+        toast.error(`${completed} of ${completed + failed} files ingested, ${failed} failed`);
       } else {
-        toast.error("Please select a PDF or text file");
+        toast.success(`${completed} ${completed === 1 ? "file" : "files"} ingested and vectorized`);
       }
+      queryClient.invalidateQueries({ queryKey: ["documents"] });
+    }
+    batchWasRunningRef.current = isBatchRunning;
+  }, [isBatchRunning, batchJobs, queryClient]);
+
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ behavior: "smooth", block: "end" });
+  }, [messages.length]);
+
+  const handleAddFiles = (files: File[]) => {
+    const accepted = files.filter((file) => isSupportedFile(file) || isArchiveFile(file));
+    const rejected = files.filter((file) => !accepted.includes(file));
+
+    if (rejected.length > 0) {
+      toast.error(`Unsupported: ${rejected.map((file) => file.name).join(", ")}. Use ${SUPPORTED_FORMATS_LABEL} or ZIP files`);
+    }
+    if (accepted.length > 0) {
+      setPendingFiles((prev) => [...prev, ...accepted]);
+      setBatchResults([]);
+    }
+  };
+
+  const handleIngestFiles = async () => {
+    setIsUploadingBatch(true);
+    setIngestResult("");
+
+    try {
+      const formData = new FormData();
+      pendingFiles.forEach((file) => formData.append("files", file));
+      formData.append("onDuplicate", duplicateAction);
+      appendLabels(formData, ingestLabels);
+
+      const data = await apiFetch<BatchIngestResponse>("/api/ingest/batch", {
+        method: "POST",
+        body: formData,
+      });
+
+      // Each queued file is ingested by its own background job, polled above
+      setBatchResults(data.files);
+      setPendingFiles([]);
+      if (data.queued === 0) {
+        toast.info(`Nothing to ingest: ${data.skipped} skipped, ${data.failed} failed`);
+      }
+    } catch (error) {
+      toast.error("Upload failed", { description: describeError(error) });
+    } finally {
+      setIsUploadingBatch(false);
+    }
+  };
+
+  const handleIngestUrl = async () => {
+    setIngestStatus("loading");
+    setIngestResult("");
+
+    try {
+      const labels = Object.fromEntries(
+        Object.entries(ingestLabels).flatMap(([field, value]) => (value.trim() ? [[field, value.trim()]] : [])),
+      );
+      const data = await apiFetch<{ jobId: string }>("/api/ingest/url", {
+        method: "POST",
+        body: JSON.stringify({
+          url: urlInput.trim(),
+          depth: Number(crawlDepth),
+          ...(crawlDepth !== "0" && crawlMaxPages ? { maxPages: Number(crawlMaxPages) } : {}),
+          onDuplicate: duplicateAction,
+          ...labels,
+        }),
+      });
+
+      // Pages are fetched and ingested in the background; progress is polled from the job
+      setIngestJobId(data.jobId);
+      setUrlInput("");
+    } catch (error) {
+      setIngestStatus("error");
+      setIngestResult(`Error: ${describeError(error, "Failed to ingest URL")}`);
+      toast.error("Ingestion failed", { description: describeError(error) });
     }
   };
 
   const handleIngest = async () => {
-    if (!textContent && !selectedFile) {
-      toast.error("Please provide text or select a file");
+    if (pendingFiles.length > 0) {
+      return handleIngestFiles();
+    }
+    if (urlInput.trim()) {
+      return handleIngestUrl();
+    }
+    if (!textContent) {
+      toast.error("Please provide text, a URL or select files");
       return;
     }
 
@@ -52,242 +305,464 @@ const Index = () => {
 
     try {
       const formData = new FormData();
-      if (selectedFile) {
-        formData.append("file", selectedFile);
-      } else {
-        formData.append("text", textContent);
-      }
+      formData.append("text", textContent);
+      formData.append("onDuplicate", duplicateAction);
+      appendLabels(formData, ingestLabels);
 
-      const response = await fetch("http://localhost:3000/api/ingest", {
+      const data = await apiFetch<{ jobId: string }>("/api/ingest", {
         method: "POST",
         body: formData,
       });
 
-      const data = await response.json();
-      
-      if (response.ok) {
-        setIngestStatus("success");
-        setIngestResult(`Document ingested successfully! Sanity ID: ${data.sanityId}`);
-        toast.success("Document ingested and vectorized");
-        setTextContent("");
-        setSelectedFile(null);
-      } else {
-        setIngestStatus("error");
-        setIngestResult(`Error: ${data.error || "Failed to ingest document"}`);
-        toast.error("Ingestion failed");
-      }
+      // Ingestion runs in the background; progress is polled from the job
+      setIngestJobId(data.jobId);
+      setTextContent("");
     } catch (error) {
       setIngestStatus("error");
-      setIngestResult(`Error: ${error instanceof Error ? error.message : "Unknown error"}. Make sure backend is running on port 3000.`);
-      toast.error("Failed to connect to backend");
+      setIngestResult(`Error: ${describeError(error, "Failed to ingest document")}`);
+      toast.error("Ingestion failed", { description: describeError(error) });
+    }
+  };
+
+
+  const updateLastAssistant = (update: (message: ChatMessage) => ChatMessage) => {
+    setMessages((prev) => {
+      const next = [...prev];
+      const last = next[next.length - 1];
+      if (last?.role === "assistant") next[next.length - 1] = update(last);
+      return next;
+    });
+  };
+
+  const handleSelectConversation = async (id: string) => {
+    if (isAsking || id === conversationId) return;
+    try {
+      const conversation = await apiFetch<Conversation>(`/api/conversations/${id}`);
+      setConversationId(id);
+      setMessages(toChatMessages(conversation));
+    } catch (error) {
+      toast.error(describeError(error, "Failed to load conversation"));
+    }
+  };
+
+  const handleNewConversation = () => {
+    if (isAsking) return;
+    setConversationId(null);
+    setMessages([]);
+    setQuestion("");
+  };
+
+  const handleDeleteConversation = async (id: string) => {
+    try {
+      await apiFetch(`/api/conversations/${id}`, { method: "DELETE" });
+      if (id === conversationId) handleNewConversation();
+      queryClient.invalidateQueries({ queryKey: ["conversations"] });
+    } catch (error) {
+      toast.error(describeError(error, "Failed to delete conversation"));
     }
   };
 
-  const handleQuery = async () => {
-    if (!query.trim()) {
-      toast.error("Please enter a query");
+  const handleAsk = async () => {
+    const q = question.trim();
+    if (!q) {
+      toast.error("Please enter a question");
       return;
     }
 
-    setQueryStatus("loading");
-    setQueryResult(null);
+    const controller = new AbortController();
+    queryAbortRef.current = controller;
+    setIsAsking(true);
+    setQuestion("");
+    setMessages((prev) => [
+      ...prev,
+      { id: newMessageId(), role: "user", content: q },
+      { id: newMessageId(), role: "assistant", content: "", status: "loading" },
+    ]);
 
     try {
-      const response = await fetch("http://localhost:3000/api/query", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+      let activeId = conversationId;
+      if (!activeId) {
+        const conversation = await apiFetch<Conversation>("/api/conversations", {
+          method: "POST",
+          body: JSON.stringify({ title: q.slice(0, 100) }),
+        });
+        activeId = conversation._id;
+        setConversationId(activeId);
+      }
+
+      const hasFilters = Boolean(queryFilters.collection) || Boolean(queryFilters.tags?.length);
+      const body = { q, conversationId: activeId, mode: retrievalMode, ...(hasFilters && { filters: queryFilters }) };
+      await postEventStream("/api/query/stream", body, {
+        signal: controller.signal,
+        onEvent: ({ event, data }) => {
+          switch (event) {
+            case "contexts": {
+              const { contexts, retrievalQuery, mode, filter, degradedReasons } = data as Pick<
+                ChatMessage,
+                "contexts" | "retrievalQuery" | "mode" | "filter" | "degradedReasons"
+              >;
+              updateLastAssistant((message) => ({
+                ...message,
+                contexts,
+                retrievalQuery,
+                mode,
+                filter,
+                degradedReasons,
+                status: "streaming",
+              }));
+              break;
+            }
+            case "token":
+              updateLastAssistant((message) => ({ ...message, content: message.content + (data as { text: string }).text }));
+              break;
+            case "done": {
+              const { answer, citations, invalidCitations, timing, usage, degradedReasons } = data as Required<
+                Pick<ChatMessage, "citations" | "invalidCitations" | "timing" | "usage" | "degradedReasons">
+              > & { answer: string };
+              // Replace the streamed text with the citation-validated answer
+              updateLastAssistant((message) => ({
+                ...message,
+                content: answer,
+                citations,
+                invalidCitations,
+                timing,
+                usage,
+                degradedReasons,
+                status: "done",
+              }));
+              break;
+            }
+            case "saved":
+              queryClient.invalidateQueries({ queryKey: ["conversations"] });
+              break;
+            case "error":
+              throw ApiError.fromBody(data as ApiErrorBody, 200);
+          }
         },
-        body: JSON.stringify({ q: query }),
       });
-
-      const data = await response.json();
-      
-      if (response.ok) {
-        setQueryStatus("success");
-        setQueryResult(data);
-        toast.success("Query completed");
+    } catch (error) {
+      if (controller.signal.aborted) {
+        updateLastAssistant((message) => ({ ...message, status: "cancelled" }));
+        toast.info("Query cancelled");
       } else {
-        setQueryStatus("error");
-        toast.error(`Query failed: ${data.error || "Unknown error"}`);
+        updateLastAssistant((message) => ({
+          ...message,
+          content: `Error: ${describeError(error)}`,
+          status: "error",
+        }));
+        toast.error("Query failed", { description: describeError(error) });
       }
-    } catch (error) {
-      setQueryStatus("error");
-      toast.error("Failed to connect to backend");
+    } finally {
+      queryAbortRef.current = null;
+      setIsAsking(false);
     }
   };
 
+  const handleCancelQuery = () => {
+    queryAbortRef.current?.abort();
+  };
+
   return (
-    <div className="min-h-screen bg-background p-4 md:p-8">
-      <div className="max-w-7xl mx-auto space-y-8">
-        {/* Header */}
-        <header className="text-center space-y-4 py-8">
-          <h1 className="text-5xl md:text-6xl font-bold bg-gradient-primary bg-clip-text text-transparent">
-            MAJ+ Research Agent
-          </h1>
-          <p className="text-muted-foreground text-lg max-w-2xl mx-auto">
-            Memory-Augmented Research with Semantic Search & LLM Integration
-          </p>
-        </header>
-
-        {/* Main Grid */}
-        <div className="grid md:grid-cols-2 gap-6">
-          {/* Ingest Panel */}
-          <Card className="p-6 space-y-6 bg-gradient-surface border-border/50 backdrop-blur">
-            <div className="flex items-center gap-3">
-              <div className="p-2 bg-primary/10 rounded-lg">
-                <Upload className="w-6 h-6 text-primary" />
-              </div>
-              <div>
-                <h2 className="text-2xl font-bold">Ingest Documents</h2>
-                <p className="text-sm text-muted-foreground">Upload PDF or paste text content</p>
+    <SidebarProvider>
+      <ConversationSidebar
+        conversations={conversationsQuery.data?.conversations ?? []}
+        isLoading={conversationsQuery.isLoading}
+        activeId={conversationId}
+        onSelect={handleSelectConversation}
+        onNew={handleNewConversation}
+        onDelete={handleDeleteConversation}
+      />
+      <SidebarInset className="bg-background">
+        <div className="min-h-screen p-4 md:p-8">
+          <div className="max-w-7xl mx-auto space-y-8">
+            <div className="flex items-center justify-between -mb-4">
+              <SidebarTrigger />
+              <div className="flex items-center gap-1">
+                <Button asChild variant="ghost" size="sm">
+                  <Link to="/documents">
+                    <Library className="w-4 h-4 mr-2" />
+                    Documents
+                  </Link>
+                </Button>
+                <Button asChild variant="ghost" size="sm">
+                  <Link to="/reports">
+                    <FileText className="w-4 h-4 mr-2" />
+                    Reports
+                  </Link>
+                </Button>
+                <AccountMenu />
               </div>
             </div>
 
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium mb-2">Upload File</label>
-                <div className="relative">
-                  <Input
-                    type="file"
-                    accept=".pdf,.txt"
-                    onChange={handleFileSelect}
-                    className="cursor-pointer bg-secondary/50 border-border/50"
-                  />
-                  {selectedFile && (
-                    <div className="mt-2 text-sm text-primary flex items-center gap-2">
-                      <FileText className="w-4 h-4" />
-                      {selectedFile.name}
-                    </div>
-                  )}
+            {/* Header */}
+            <header className="text-center space-y-4 py-8">
+              <h1 className="text-5xl md:text-6xl font-bold bg-gradient-primary bg-clip-text text-transparent">
+                MAJ+ Research Agent
+              </h1>
+              <p className="text-muted-foreground text-lg max-w-2xl mx-auto">
+                Memory-Augmented Research with Semantic Search & LLM Integration
+              </p>
+            </header>
+
+            {/* Main Grid */}
+            <div className="grid lg:grid-cols-[minmax(0,2fr)_minmax(0,3fr)] gap-6 items-start">
+              {/* Ingest Panel */}
+              <Card className="p-6 space-y-6 bg-gradient-surface border-border/50 backdrop-blur">
+                <div className="flex items-center gap-3">
+                  <div className="p-2 bg-primary/10 rounded-lg">
+                    <Upload className="w-6 h-6 text-primary" />
+                  </div>
+                  <div>
+                    <h2 className="text-2xl font-bold">Ingest Documents</h2>
+                    <p className="text-sm text-muted-foreground">Upload {SUPPORTED_FORMATS_LABEL} files, ZIP archives, a web page or paste text</p>
+                  </div>
                 </div>
-              </div>
 
-              <div className="text-center text-muted-foreground text-sm">or</div>
+                <div className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Upload Files</label>
+                    <IngestFileQueue
+                      pendingFiles={pendingFiles}
+                      results={batchResults}
+                      jobs={batchJobs}
+                      disabled={isUploadingBatch}
+                      onAddFiles={handleAddFiles}
+                      onRemoveFile={(index) => setPendingFiles((prev) => prev.filter((_, idx) => idx !== index))}
+                    />
+                  </div>
 
-              <div>
-                <label className="block text-sm font-medium mb-2">Paste Text</label>
-                <Textarea
-                  value={textContent}
-                  onChange={(e) => setTextContent(e.target.value)}
-                  placeholder="Paste your research text here..."
-                  className="min-h-[200px] bg-secondary/50 border-border/50 font-mono text-sm"
-                />
-              </div>
+                  <div className="text-center text-muted-foreground text-sm">or</div>
 
-              <Button
-                onClick={handleIngest}
-                disabled={ingestStatus === "loading"}
-                className="w-full bg-primary hover:bg-primary/90 text-primary-foreground shadow-glow-primary transition-all"
-              >
-                {ingestStatus === "loading" ? (
-                  <>
-                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                    Processing...
-                  </>
-                ) : (
-                  <>
-                    <Upload className="w-4 h-4 mr-2" />
-                    Ingest Document
-                  </>
-                )}
-              </Button>
-
-              {ingestResult && (
-                <div className={`p-4 rounded-lg border ${
-                  ingestStatus === "success" 
-                    ? "bg-primary/10 border-primary/30 text-primary" 
-                    : "bg-destructive/10 border-destructive/30 text-destructive"
-                }`}>
-                  <div className="flex items-start gap-2">
-                    {ingestStatus === "success" ? (
-                      <CheckCircle2 className="w-5 h-5 flex-shrink-0 mt-0.5" />
-                    ) : (
-                      <XCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                  <div className="space-y-2">
+                    <label className="block text-sm font-medium">Web Page</label>
+                    <Input
+                      type="url"
+                      value={urlInput}
+                      onChange={(e) => setUrlInput(e.target.value)}
+                      placeholder="https://example.com/article"
+                      disabled={ingestStatus === "loading"}
+                      className="bg-secondary/50 border-border/50 text-sm"
+                    />
+                    {urlInput.trim() && (
+                      <div className="flex items-center justify-between gap-3">
+                        <ToggleGroup
+                          type="single"
+                          size="sm"
+                          value={crawlDepth}
+                          onValueChange={(value) => value && setCrawlDepth(value)}
+                        >
+                          {CRAWL_DEPTHS.map(({ value, label }) => (
+                            <ToggleGroupItem key={value} value={value} className="text-xs">
+                              {label}
+                            </ToggleGroupItem>
+                          ))}
+                        </ToggleGroup>
+                        {crawlDepth !== "0" && (
+                          <label className="flex items-center gap-2 text-xs text-muted-foreground">
+                            Max pages
+                            <Input
+                              type="number"
+                              min={1}
+                              max={50}
+                              value={crawlMaxPages}
+                              onChange={(e) => setCrawlMaxPages(e.target.value)}
+                              className="h-8 w-16 bg-secondary/50 border-border/50 text-xs"
+                            />
+                          </label>
+                        )}
+                      </div>
+                    )}
+                    {urlInput.trim() && crawlDepth !== "0" && (
+                      <p className="text-xs text-muted-foreground">
+                        Follows links on the same site and skips pages its robots.txt disallows.
+                      </p>
                     )}
-                    <p className="text-sm font-mono">{ingestResult}</p>
                   </div>
-                </div>
-              )}
-            </div>
-          </Card>
 
-          {/* Query Panel */}
-          <Card className="p-6 space-y-6 bg-gradient-surface border-border/50 backdrop-blur">
-            <div className="flex items-center gap-3">
-              <div className="p-2 bg-accent/10 rounded-lg">
-                <Search className="w-6 h-6 text-accent" />
-              </div>
-              <div>
-                <h2 className="text-2xl font-bold">Query Knowledge</h2>
-                <p className="text-sm text-muted-foreground">Semantic search with LLM answers</p>
-              </div>
-            </div>
+                  <div className="text-center text-muted-foreground text-sm">or</div>
 
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium mb-2">Your Question</label>
-                <Textarea
-                  value={query}
-                  onChange={(e) => setQuery(e.target.value)}
-                  placeholder="Ask a question about your documents..."
-                  className="min-h-[120px] bg-secondary/50 border-border/50"
-                />
-              </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Paste Text</label>
+                    <Textarea
+                      value={textContent}
+                      onChange={(e) => setTextContent(e.target.value)}
+                      placeholder="Paste your research text here..."
+                      className="min-h-[200px] bg-secondary/50 border-border/50 font-mono text-sm"
+                    />
+                  </div>
 
-              <Button
-                onClick={handleQuery}
-                disabled={queryStatus === "loading"}
-                className="w-full bg-accent hover:bg-accent/90 text-accent-foreground shadow-glow-accent transition-all"
-              >
-                {queryStatus === "loading" ? (
-                  <>
-                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                    Searching...
-                  </>
-                ) : (
-                  <>
-                    <Search className="w-4 h-4 mr-2" />
-                    Search & Answer
-                  </>
-                )}
-              </Button>
-            </div>
-          </Card>
-        </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Labels (optional)</label>
+                    <IngestLabelFields
+                      value={ingestLabels}
+                      collections={facetsQuery.data?.collections ?? []}
+                      disabled={ingestStatus === "loading" || isUploadingBatch}
+                      onChange={setIngestLabels}
+                    />
+                  </div>
+
+                  <div className="flex items-center justify-between gap-3">
+                    <label className="text-sm font-medium">If already ingested</label>
+                    <ToggleGroup
+                      type="single"
+                      size="sm"
+                      value={duplicateAction}
+                      onValueChange={(value) => value && setDuplicateAction(value as DuplicateAction)}
+                    >
+                      {(Object.keys(DUPLICATE_ACTION_LABELS) as DuplicateAction[]).map((action) => (
+                        <ToggleGroupItem key={action} value={action} className="text-xs">
+                          {DUPLICATE_ACTION_LABELS[action]}
+                        </ToggleGroupItem>
+                      ))}
+                    </ToggleGroup>
+                  </div>
 
-        {/* Results Section */}
-        {queryResult && (
-          <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
-            {/* Answer */}
-            <Card className="p-6 bg-gradient-surface border-primary/30 backdrop-blur">
-              <h3 className="text-lg font-bold mb-4 text-primary">Answer</h3>
-              <p className="text-foreground leading-relaxed">{queryResult.answer}</p>
-            </Card>
-
-            {/* Contexts */}
-            {queryResult.contexts && queryResult.contexts.length > 0 && (
-              <div className="space-y-3">
-                <h3 className="text-lg font-bold text-muted-foreground">Retrieved Contexts</h3>
-                {queryResult.contexts.map((context, idx) => (
-                  <Card key={idx} className="p-4 bg-card/50 border-border/30">
-                    <div className="flex items-start justify-between gap-4 mb-2">
-                      <span className="text-xs font-mono text-muted-foreground">Context {idx + 1}</span>
-                      <span className="text-xs font-mono text-accent">
-                        Score: {context.score.toFixed(3)}
-                      </span>
+                  <Button
+                    onClick={handleIngest}
+                    disabled={ingestStatus === "loading" || isUploadingBatch || isBatchRunning}
+                    className="w-full bg-primary hover:bg-primary/90 text-primary-foreground shadow-glow-primary transition-all"
+                  >
+                    {ingestStatus === "loading" || isUploadingBatch || isBatchRunning ? (
+                      <>
+                        <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                        {isUploadingBatch ? "Uploading..." : "Processing..."}
+                      </>
+                    ) : (
+                      <>
+                        <Upload className="w-4 h-4 mr-2" />
+                        {pendingFiles.length > 1
+                          ? `Ingest ${pendingFiles.length} Files`
+                          : pendingFiles.length === 0 && urlInput.trim()
+                            ? crawlDepth === "0" ? "Ingest Page" : "Crawl Site"
+                            : "Ingest Document"}
+                      </>
+                    )}
+                  </Button>
+
+                  {ingestStatus === "loading" && (
+                    <div className="space-y-2">
+                      <div className="flex justify-between text-xs text-muted-foreground">
+                        <span>
+                          {ingestJob ? INGEST_STAGE_LABELS[ingestJob.stage] ?? ingestJob.stage : "Uploading"}
+                          {ingestJob && ingestJob.attempts > 1 && ` (attempt ${ingestJob.attempts}/${ingestJob.maxAttempts})`}
+                        </span>
+                        <span>{ingestJob?.percent ?? 0}%</span>
+                      </div>
+                      <Progress value={ingestJob?.percent ?? 0} className="h-2" />
                     </div>
-                    <p className="text-sm text-muted-foreground font-mono leading-relaxed">
-                      {context.text}
+                  )}
+
+                  {ingestResult && (
+                    <div className={`p-4 rounded-lg border ${
+                      ingestStatus === "success" 
+                        ? "bg-primary/10 border-primary/30 text-primary" 
+                        : "bg-destructive/10 border-destructive/30 text-destructive"
+                    }`}>
+                      <div className="flex items-start gap-2">
+                        {ingestStatus === "success" ? (
+                          <CheckCircle2 className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                        ) : (
+                          <XCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                        )}
+                        <p className="text-sm font-mono">{ingestResult}</p>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </Card>
+
+
+              {/* Conversation Panel */}
+              <Card className="p-6 space-y-6 bg-gradient-surface border-border/50 backdrop-blur">
+                <div className="flex items-center gap-3">
+                  <div className="p-2 bg-accent/10 rounded-lg">
+                    <MessagesSquare className="w-6 h-6 text-accent" />
+                  </div>
+                  <div>
+                    <h2 className="text-2xl font-bold">Research Conversation</h2>
+                    <p className="text-sm text-muted-foreground">Ask questions and follow-ups about your documents</p>
+                  </div>
+                </div>
+
+                <div className="space-y-6">
+                  {messages.length === 0 && (
+                    <p className="text-sm text-muted-foreground text-center py-8">
+                      Start a conversation by asking a question below.
                     </p>
-                  </Card>
-                ))}
-              </div>
-            )}
+                  )}
+                  {messages.map((message) =>
+                    message.role === "user" ? (
+                      <div key={message.id} className="flex justify-end">
+                        <div className="max-w-[85%] rounded-lg bg-accent/10 border border-accent/30 px-4 py-2 text-sm whitespace-pre-wrap">
+                          {message.content}
+                        </div>
+                      </div>
+                    ) : (
+                      <div key={message.id} className="animate-in fade-in slide-in-from-bottom-4 duration-500">
+                        <AssistantMessage message={message} />
+                      </div>
+                    )
+                  )}
+                  <div ref={threadEndRef} />
+                </div>
+
+                <div className="space-y-3 border-t border-border/50 pt-4">
+                  <Textarea
+                    value={question}
+                    onChange={(e) => setQuestion(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter" && !e.shiftKey && !isAsking) {
+                        e.preventDefault();
+                        handleAsk();
+                      }
+                    }}
+                    placeholder={messages.length > 0 ? "Ask a follow-up..." : "Ask a question about your documents..."}
+                    className="min-h-[80px] bg-secondary/50 border-border/50"
+                  />
+                  <div className="flex items-center justify-between gap-3">
+                    <span className="text-xs text-muted-foreground">Retrieval</span>
+                    <ToggleGroup
+                      type="single"
+                      size="sm"
+                      variant="outline"
+                      value={retrievalMode}
+                      onValueChange={(value) => value && setRetrievalMode(value as RetrievalMode)}
+                    >
+                      {RETRIEVAL_MODES.map(({ value, label }) => (
+                        <ToggleGroupItem key={value} value={value} className="text-xs">
+                          {label}
+                        </ToggleGroupItem>
+                      ))}
+                    </ToggleGroup>
+                  </div>
+                  <QueryFilterBar facets={facetsQuery.data} value={queryFilters} onChange={setQueryFilters} />
+                  {isAsking ? (
+                    <Button
+                      onClick={handleCancelQuery}
+                      variant="outline"
+                      className="w-full border-accent/50 text-accent transition-all"
+                    >
+                      <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                      Generating...
+                      <Square className="w-3 h-3 ml-3 fill-current" />
+                      <span className="ml-1">Stop</span>
+                    </Button>
+                  ) : (
+                    <Button
+                      onClick={handleAsk}
+                      className="w-full bg-accent hover:bg-accent/90 text-accent-foreground shadow-glow-accent transition-all"
+                    >
+                      <Send className="w-4 h-4 mr-2" />
+                      Ask
+                    </Button>
+                  )}
+                </div>
+              </Card>
+            </div>
           </div>
-        )}
-      </div>
-    </div>
+        </div>
+      </SidebarInset>
+    </SidebarProvider>
   );
 };
 
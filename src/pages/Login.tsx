@@ -0,0 +1,114 @@
+import { useState, type FormEvent } from "react";
+import { Loader2, LogIn } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { toast } from "sonner";
+import { apiFetch } from "@/lib/api";
+import { describeError } from "@/lib/errors";
+import { startSession } from "@/lib/session";
+import type { AuthSession } from "@/types/auth";
+
+type Mode = "login" | "register";
+
+interface LoginProps {
+  // Whether new accounts can register themselves
+  signup: boolean;
+}
+
+const Login = ({ signup }: LoginProps) => {
+  const [mode, setMode] = useState<Mode>("login");
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+    setError("");
+    setIsSubmitting(true);
+
+    try {
+      const session = await apiFetch<AuthSession>(`/api/auth/${mode}`, {
+        method: "POST",
+        body: JSON.stringify(mode === "register" ? { name: name.trim() || undefined, email, password } : { email, password }),
+      });
+      startSession(session);
+      toast.success(mode === "register" ? `Welcome, ${session.user.name}` : "Signed in");
+    } catch (err) {
+      setError(describeError(err, "Failed to sign in"));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background flex items-center justify-center p-4">
+      <Card className="p-6 w-full max-w-sm space-y-6 bg-gradient-surface border-border/50 backdrop-blur">
+        <header className="text-center space-y-2">
+          <h1 className="text-3xl font-bold bg-gradient-primary bg-clip-text text-transparent">MAJ+ Research Agent</h1>
+          <p className="text-sm text-muted-foreground">
+            {mode === "login" ? "Sign in to your workspace" : "Create an account with its own workspace"}
+          </p>
+        </header>
+
+        {signup && (
+          <Tabs value={mode} onValueChange={(value) => setMode(value as Mode)}>
+            <TabsList className="grid w-full grid-cols-2">
+              <TabsTrigger value="login">Sign in</TabsTrigger>
+              <TabsTrigger value="register">Create account</TabsTrigger>
+            </TabsList>
+          </Tabs>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {mode === "register" && (
+            <div className="space-y-2">
+              <Label htmlFor="login-name">Name</Label>
+              <Input id="login-name" value={name} onChange={(e) => setName(e.target.value)} autoComplete="name" />
+            </div>
+          )}
+          <div className="space-y-2">
+            <Label htmlFor="login-email">Email</Label>
+            <Input
+              id="login-email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              autoComplete="email"
+              required
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="login-password">Password</Label>
+            <Input
+              id="login-password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={mode === "register" ? "new-password" : "current-password"}
+              minLength={mode === "register" ? 8 : undefined}
+              required
+            />
+          </div>
+
+          {error && <p className="text-sm text-destructive">{error}</p>}
+
+          <Button type="submit" className="w-full" disabled={isSubmitting}>
+            {isSubmitting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <LogIn className="w-4 h-4 mr-2" />}
+            {mode === "register" ? "Create account" : "Sign in"}
+          </Button>
+        </form>
+
+        {!signup && (
+          <p className="text-xs text-center text-muted-foreground">No account yet? Ask an admin to create one.</p>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default Login;
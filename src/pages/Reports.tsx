@@ -0,0 +1,266 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { ArrowLeft, FileText, Loader2, NotebookPen, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Textarea } from "@/components/ui/textarea";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { apiFetch } from "@/lib/api";
+import { describeError } from "@/lib/errors";
+import { cn } from "@/lib/utils";
+import { AccountMenu } from "@/components/AccountMenu";
+import { QueryFilterBar } from "@/components/QueryFilterBar";
+import { ReportView } from "@/components/ReportView";
+import { useAuth } from "@/hooks/use-auth";
+import type {
+  CreateReportResponse,
+  LibraryFacets,
+  QueryFilters,
+  ReportPage,
+  ReportStatus,
+  ReportSummary,
+  ResearchReport,
+} from "@/types/research";
+
+const QUESTION_COUNTS = [3, 4, 5, 6, 8];
+
+const STATUS_LABELS: Record<ReportStatus, string> = {
+  queued: "Queued",
+  running: "Writing...",
+  completed: "Ready",
+  failed: "Failed",
+};
+
+const isWriting = (status: ReportStatus | undefined) => status === "queued" || status === "running";
+
+const Reports = () => {
+  const { account } = useAuth();
+  const workspaceLabel = account?.workspace ? `"${account.workspace.name}"` : "the knowledge base";
+  const queryClient = useQueryClient();
+  const [topic, setTopic] = useState("");
+  const [maxQuestions, setMaxQuestions] = useState(5);
+  const [filters, setFilters] = useState<QueryFilters>({});
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [pendingDelete, setPendingDelete] = useState<ReportSummary | null>(null);
+
+  const facetsQuery = useQuery({
+    queryKey: ["documents", "facets"],
+    queryFn: () => apiFetch<LibraryFacets>("/api/documents/facets"),
+  });
+
+  const reportsQuery = useQuery({
+    queryKey: ["reports", "list"],
+    queryFn: () => apiFetch<ReportPage>("/api/reports?limit=50"),
+    refetchInterval: (query) => (query.state.data?.reports.some((report) => isWriting(report.status)) ? 2000 : false),
+  });
+  const reports = reportsQuery.data?.reports ?? [];
+  const activeId = selectedId ?? reports[0]?._id ?? null;
+
+  const reportQuery = useQuery({
+    queryKey: ["reports", activeId],
+    queryFn: () => apiFetch<ResearchReport>(`/api/reports/${activeId}`),
+    enabled: activeId !== null,
+    refetchInterval: (query) => (isWriting(query.state.data?.status) ? 1000 : false),
+  });
+  const report = reportQuery.data;
+
+  const createMutation = useMutation({
+    mutationFn: () => {
+      const hasFilters = Boolean(filters.collection) || Boolean(filters.tags?.length);
+      return apiFetch<CreateReportResponse>("/api/reports", {
+        method: "POST",
+        body: JSON.stringify({ topic: topic.trim(), maxQuestions, ...(hasFilters && { filters }) }),
+      });
+    },
+    onSuccess: (result) => {
+      toast.success("Report queued", { description: "It will appear here as soon as it is written." });
+      setTopic("");
+      setSelectedId(result.id);
+      queryClient.invalidateQueries({ queryKey: ["reports"] });
+    },
+    onError: (error) => toast.error("Failed to start report", { description: describeError(error) }),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id: string) => apiFetch(`/api/reports/${id}`, { method: "DELETE" }),
+    onSuccess: (_, id) => {
+      toast.success("Report deleted");
+      if (activeId === id) setSelectedId(null);
+      queryClient.invalidateQueries({ queryKey: ["reports"] });
+    },
+    onError: (error) => toast.error(describeError(error, "Failed to delete report")),
+  });
+
+  const handleCreate = () => {
+    if (!topic.trim()) {
+      toast.error("Please describe the topic of the report");
+      return;
+    }
+    createMutation.mutate();
+  };
+
+  return (
+    <div className="min-h-screen bg-background p-4 md:p-8">
+      <div className="max-w-7xl mx-auto space-y-8">
+        <div className="flex items-center justify-between">
+          <Button asChild variant="ghost" size="sm">
+            <Link to="/">
+              <ArrowLeft className="w-4 h-4 mr-2" />
+              Back to research
+            </Link>
+          </Button>
+          <AccountMenu />
+        </div>
+
+        <header className="flex items-center gap-3">
+          <div className="p-2 bg-primary/10 rounded-lg">
+            <FileText className="w-6 h-6 text-primary" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold">Research Reports</h1>
+            <p className="text-sm text-muted-foreground">
+              Structured reports with cited sources, researched from {workspaceLabel}
+            </p>
+          </div>
+        </header>
+
+        <div className="grid gap-6 lg:grid-cols-3">
+          <div className="space-y-6">
+            <Card className="p-6 space-y-4 bg-gradient-surface border-border/50 backdrop-blur">
+              <h2 className="text-lg font-semibold">New report</h2>
+              <Textarea
+                value={topic}
+                onChange={(e) => setTopic(e.target.value)}
+                placeholder="e.g. The state of solid-state battery research and its path to market"
+                className="min-h-[100px] bg-secondary/50 border-border/50"
+              />
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-xs text-muted-foreground">Sub-questions</span>
+                <Select value={String(maxQuestions)} onValueChange={(value) => setMaxQuestions(Number(value))}>
+                  <SelectTrigger className="h-8 w-24 text-xs">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {QUESTION_COUNTS.map((count) => (
+                      <SelectItem key={count} value={String(count)} className="text-xs">
+                        Up to {count}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <QueryFilterBar facets={facetsQuery.data} value={filters} onChange={setFilters} />
+              <Button
+                onClick={handleCreate}
+                disabled={createMutation.isPending}
+                className="w-full bg-accent hover:bg-accent/90 text-accent-foreground shadow-glow-accent transition-all"
+              >
+                {createMutation.isPending ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <NotebookPen className="w-4 h-4 mr-2" />
+                )}
+                Write report
+              </Button>
+            </Card>
+
+            <Card className="p-4 space-y-2 bg-gradient-surface border-border/50 backdrop-blur">
+              <h2 className="px-2 text-sm font-semibold text-muted-foreground">Reports</h2>
+              {reportsQuery.isLoading &&
+                Array.from({ length: 3 }).map((_, idx) => <Skeleton key={idx} className="h-12 w-full" />)}
+              {reportsQuery.isError && (
+                <p className="px-2 text-sm text-destructive">{describeError(reportsQuery.error, "Failed to load reports")}</p>
+              )}
+              {reportsQuery.isSuccess && reports.length === 0 && (
+                <p className="px-2 text-sm text-muted-foreground">No reports yet</p>
+              )}
+              {reports.map((item) => (
+                <div
+                  key={item._id}
+                  className={cn(
+                    "group flex items-center gap-2 rounded-md px-2 py-2 transition-colors",
+                    item._id === activeId ? "bg-secondary" : "hover:bg-secondary/50"
+                  )}
+                >
+                  <button type="button" onClick={() => setSelectedId(item._id)} className="flex-1 min-w-0 text-left">
+                    <p className="text-sm font-medium truncate">{item.title}</p>
+                    <p className="text-xs text-muted-foreground">
+                      <span className={cn(item.status === "failed" && "text-destructive")}>
+                        {STATUS_LABELS[item.status]}
+                      </span>
+                      {" · "}
+                      {new Date(item.createdAt).toLocaleDateString()}
+                      {item.status === "completed" && ` · ${item.sourceCount} sources`}
+                    </p>
+                  </button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => setPendingDelete(item)}
+                    className="h-8 w-8 shrink-0 text-destructive hover:text-destructive opacity-0 group-hover:opacity-100 focus:opacity-100"
+                    aria-label={`Delete ${item.title}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+            </Card>
+          </div>
+
+          <Card className="p-6 lg:col-span-2 bg-gradient-surface border-border/50 backdrop-blur">
+            {activeId === null && reportsQuery.isSuccess && (
+              <p className="py-12 text-center text-sm text-muted-foreground">
+                Describe a topic to write your first report. It is broken into sub-questions, each answered from your
+                documents, and written up with the sources it cites.
+              </p>
+            )}
+            {reportQuery.isLoading && (
+              <div className="flex justify-center py-12">
+                <Loader2 className="w-6 h-6 animate-spin text-muted-foreground" />
+              </div>
+            )}
+            {reportQuery.isError && (
+              <p className="text-sm text-destructive">{describeError(reportQuery.error, "Failed to load report")}</p>
+            )}
+            {report && <ReportView key={report._id} report={report} />}
+          </Card>
+        </div>
+      </div>
+
+      <AlertDialog open={pendingDelete !== null} onOpenChange={(open) => !open && setPendingDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete report?</AlertDialogTitle>
+            <AlertDialogDescription>
+              "{pendingDelete?.title}" will be removed for everyone in the workspace. The documents it cites are kept.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => pendingDelete && deleteMutation.mutate(pendingDelete._id)}
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default Reports;
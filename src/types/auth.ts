@@ -0,0 +1,40 @@
+export type AuthMode = "required" | "off";
+
+export interface AuthConfig {
+  mode: AuthMode;
+  signup: boolean;
+}
+
+export interface AuthUser {
+  id: string;
+  email: string;
+  name: string;
+  role: "admin" | "member";
+}
+
+export interface WorkspaceMember {
+  userId: string;
+  email: string;
+  role: "owner" | "member";
+}
+
+export interface Workspace {
+  id: string;
+  name: string;
+  role: "owner" | "member" | null;
+  members: WorkspaceMember[];
+}
+
+export interface AuthSession {
+  token: string;
+  expiresAt: string;
+  user: AuthUser;
+  workspaces: Workspace[];
+}
+
+export interface AccountInfo {
+  user: AuthUser | null;
+  workspace: { id: string; name: string; role: "owner" | "member" } | null;
+  workspaces: Workspace[];
+  via: "token" | "apiKey" | "none";
+}
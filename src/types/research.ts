@@ -0,0 +1,325 @@
+export type RetrievalMode = "vector" | "keyword" | "hybrid";
+
+export interface ContextScores {
+  vector: number | null;
+  keyword: number | null;
+  fused: number | null;
+  /** Reranker score (0-1) when a reranker re-scored the candidates */
+  rerank?: number | null;
+}
+
+export interface Context {
+  id: string;
+  docId: string;
+  title: string;
+  source: string | null;
+  text: string;
+  score: number;
+  scores?: ContextScores | null;
+  chunkIndex: number | null;
+  chunkCount: number | null;
+  pageStart: number | null;
+  pageEnd: number | null;
+  heading?: string | null;
+  collection?: string | null;
+  tags?: string[];
+}
+
+export interface Citation {
+  index: number;
+  contextId: string;
+  docId: string;
+  occurrences: number;
+}
+
+export interface QueryTiming {
+  retrievalMs: number;
+  generationMs: number;
+  totalMs: number;
+}
+
+export interface QueryUsage {
+  prompt_tokens?: number;
+  completion_tokens?: number;
+  total_tokens?: number;
+}
+
+/** Metadata filter applied by the backend, as echoed back with a query. */
+export interface QueryFilter {
+  collection?: string | string[];
+  tags?: string[];
+  author?: string | string[];
+  source?: string | string[];
+  publishedAt?: { gte?: string; lte?: string };
+}
+
+export type MessageStatus = "loading" | "streaming" | "done" | "cancelled" | "error";
+
+export interface ChatMessage {
+  id: string;
+  role: "user" | "assistant";
+  content: string;
+  status?: MessageStatus;
+  retrievalQuery?: string;
+  mode?: RetrievalMode;
+  filter?: QueryFilter;
+  contexts?: Context[];
+  citations?: Citation[];
+  invalidCitations?: number[];
+  timing?: QueryTiming;
+  usage?: QueryUsage | null;
+  /** Why the answer may be unreliable, e.g. mock output after a provider failure. */
+  degradedReasons?: string[];
+}
+
+export interface ConversationSummary {
+  _id: string;
+  title: string;
+  messageCount: number;
+  createdAt: string;
+  updatedAt?: string;
+}
+
+export interface StoredMessage {
+  _key: string;
+  role: "user" | "assistant";
+  content: string;
+  retrievalQuery?: string;
+  mode?: RetrievalMode;
+  contexts?: Context[];
+  citations?: Citation[];
+}
+
+export interface Conversation {
+  _id: string;
+  title: string;
+  messages: StoredMessage[];
+  createdAt: string;
+  updatedAt?: string;
+}
+
+export interface LibraryDocument {
+  _id: string;
+  title: string;
+  source: string;
+  contentSnippet: string;
+  chunkCount: number | null;
+  pageCount: number | null;
+  format?: string;
+  metadata?: Record<string, unknown>;
+  collection?: string | null;
+  tags?: string[];
+  author?: string | null;
+  publishedAt?: string | null;
+  createdAt: string;
+  updatedAt?: string;
+  reindexedAt?: string;
+  version?: number;
+  previousVersion?: string;
+  supersededBy?: string;
+  replacedAt?: string;
+}
+
+export interface LibraryDocumentDetail extends LibraryDocument {
+  fullText: string;
+  vectorCount: number;
+}
+
+export interface LibraryPage {
+  documents: LibraryDocument[];
+  total: number;
+  offset: number;
+  limit: number;
+}
+
+export type IngestJobStatus = "queued" | "running" | "completed" | "failed";
+
+export type DuplicateAction = "skip" | "replace" | "version";
+
+export interface DuplicateMatch {
+  docId?: string;
+  title?: string;
+  source: string;
+  match?: "exact" | "near";
+  similarity?: number;
+}
+
+export interface IngestJobResult {
+  action: "created" | "skipped" | "replaced" | "versioned";
+  duplicateOf: DuplicateMatch | null;
+  sanityId: string;
+  vectorIds: string[];
+  chunkCount: number;
+  title: string;
+  format: string;
+  degraded?: boolean;
+  degradedReasons?: string[];
+}
+
+export type UrlPageStatus = "ingested" | "skipped" | "failed";
+
+export interface UrlIngestPage {
+  url: string;
+  /** Canonical URL the page was stored under */
+  source?: string;
+  status: UrlPageStatus;
+  reason?: string;
+  action?: IngestJobResult["action"];
+  docId?: string;
+  title?: string;
+  chunkCount?: number;
+  duplicateOf?: DuplicateMatch | null;
+}
+
+/** Result of an "ingest-url" job: one entry per page fetched. */
+export interface UrlIngestJobResult {
+  url: string;
+  depth: number;
+  maxPages: number;
+  pages: UrlIngestPage[];
+  ingested: number;
+  skipped: number;
+  failed: number;
+  degraded?: boolean;
+  degradedReasons?: string[];
+}
+
+export interface IngestJob<TResult = IngestJobResult> {
+  id: string;
+  type: string;
+  status: IngestJobStatus;
+  stage: string;
+  percent: number;
+  attempts: number;
+  maxAttempts: number;
+  errors: { attempt: number; message: string; at: string }[];
+  error?: string;
+  result: TResult | null;
+  source: string | null;
+  createdAt: string;
+  updatedAt: string;
+  finishedAt?: string;
+}
+
+export type BatchFileStatus = "queued" | "skipped" | "failed";
+
+export interface BatchFileResult {
+  source: string;
+  filename: string;
+  status: BatchFileStatus;
+  jobId?: string;
+  reason?: string;
+  duplicateOf?: DuplicateMatch;
+}
+
+export interface BatchIngestResponse {
+  files: BatchFileResult[];
+  queued: number;
+  skipped: number;
+  failed: number;
+}
+
+export interface FacetCount {
+  name: string;
+  count: number;
+}
+
+export interface LibraryFacets {
+  collections: FacetCount[];
+  tags: FacetCount[];
+  authors: FacetCount[];
+}
+
+/** Labels attached to documents at ingest; tags are comma-separated as typed. */
+export interface IngestLabels {
+  collection: string;
+  tags: string;
+  author: string;
+  date: string;
+}
+
+export interface QueryFilters {
+  collection?: string;
+  tags?: string[];
+}
+
+export type ReportStatus = "queued" | "running" | "completed" | "failed";
+
+export type ReportFormat = "md" | "html" | "pdf";
+
+export interface ReportSection {
+  _key: string;
+  heading: string;
+  /** Paragraphs separated by blank lines, citing sources as [n] */
+  body: string;
+  findings: string[];
+}
+
+/** A cited passage, numbered across the whole report. */
+export interface ReportSource {
+  _key: string;
+  number: number;
+  contextId: string;
+  docId: string;
+  title: string;
+  source: string | null;
+  heading?: string | null;
+  pageStart: number | null;
+  pageEnd: number | null;
+  excerpt: string;
+}
+
+export interface ReportSubQuestion {
+  _key: string;
+  question: string;
+  retrievalQuery: string;
+  answered: boolean;
+  answer: string;
+  sources: number[];
+}
+
+export interface ReportOptions {
+  maxQuestions: number;
+  topK: number;
+  mode: RetrievalMode | null;
+  filter: QueryFilter;
+}
+
+export interface ReportSummary {
+  _id: string;
+  title: string;
+  topic: string;
+  status: ReportStatus;
+  options: ReportOptions;
+  jobId: string | null;
+  error: string | null;
+  sectionCount: number;
+  sourceCount: number;
+  questionCount: number;
+  degraded?: boolean;
+  createdAt: string;
+  completedAt: string | null;
+}
+
+export interface ResearchReport extends Omit<ReportSummary, "sectionCount" | "sourceCount" | "questionCount"> {
+  summary?: string;
+  sections?: ReportSection[];
+  openQuestions?: string[];
+  subQuestions?: ReportSubQuestion[];
+  sources?: ReportSource[];
+  degradedReasons?: string[];
+  /** Progress while the report is queued or running */
+  job: IngestJob<unknown> | null;
+}
+
+export interface ReportPage {
+  reports: ReportSummary[];
+  total: number;
+}
+
+export interface CreateReportResponse {
+  id: string;
+  status: ReportStatus;
+  jobId: string;
+  statusUrl: string;
+}